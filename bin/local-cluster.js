@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { ReslifyClient, DHTClient } = require('../src/sdk');
+const { DEFAULT_BOOTSTRAP_PORT, startBootstrapNetwork } = require('../src/utils/dht-bootstrap');
+const { loadNodeKeyPair } = require('../src/utils/node-key');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const LOCALHOST = '127.0.0.1';
+const READY_MARKER = 'Ready to accept';
+const START_TIMEOUT = 90 * 1000;
+const STOP_TIMEOUT = 15 * 1000;
+const CHECK_FILE_SIZE = 256 * 1024;
+
+const USAGE = `Usage: local-cluster [options]
+
+Starts a private DHT and N storage nodes on this machine, all bound to
+${LOCALHOST}, so discovery, replication and DHT transfers work without
+internet access. Every node trusts the others (DHT_TRUSTED_PEERS), shares
+one SIGNED_URL_SECRET and keeps its data under <dir>/node<i>. Other
+settings are taken from the environment; METADATA_STORE defaults to
+"embedded". Ctrl-C stops everything.
+
+Options:
+  -n, --nodes <n>          Storage nodes to start (default: 3)
+      --base-port <port>   HTTP port of the first node; the others follow (default: 3000)
+      --bootstrap-port <port>
+                           Port of the private DHT's first node (default: ${DEFAULT_BOOTSTRAP_PORT})
+      --dir <path>         Where node data lives (default: ./cluster)
+      --fresh              Delete <dir> first
+      --check              Upload a file to the first node, check it was
+                           replicated and download it over the DHT, then stop
+                           the cluster; exits non-zero if any step fails
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+  nodes: { type: 'string', short: 'n', default: '3' },
+  'base-port': { type: 'string', default: '3000' },
+  'bootstrap-port': { type: 'string', default: String(DEFAULT_BOOTSTRAP_PORT) },
+  dir: { type: 'string', default: './cluster' },
+  fresh: { type: 'boolean', default: false },
+  check: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function parsePort(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > 65535) {
+    throw new UsageError(`--${name} must be a port number`);
+  }
+  return number;
+}
+
+// Credentials for the cluster when the environment brings none.
+function clusterAuth() {
+  if (process.env.AUTH_API_KEYS || process.env.AUTH_JWT_SECRET) {
+    return { env: {}, apiKey: process.env.RESLIFY_API_KEY };
+  }
+  const apiKey = crypto.randomBytes(16).toString('hex');
+  return { env: { AUTH_API_KEYS: `admin=${apiKey}`, AUTH_ADMIN_USERS: 'admin' }, apiKey };
+}
+
+/**
+ * Starts one server.js and resolves once it is accepting requests. Its
+ * output goes to <node dir>/server.log.
+ */
+function startNode(node, env) {
+  const log = fs.createWriteStream(path.join(node.dir, 'server.log'));
+  // Detached, so Ctrl-C reaches only this script, which then stops each
+  // node once
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    detached: true
+  });
+  node.process = child;
+  child.stdout.pipe(log);
+  child.stderr.pipe(log);
+
+  return new Promise((resolve, reject) => {
+    // Kept short, but long enough to catch the marker split across chunks
+    let tail = '';
+    const timer = setTimeout(() => fail(new Error(`${node.name} did not start within ${START_TIMEOUT / 1000}s`)), START_TIMEOUT);
+
+    const fail = (error) => {
+      clearTimeout(timer);
+      child.stdout.removeListener('data', onData);
+      reject(new Error(`${error.message} (see ${path.join(node.dir, 'server.log')})`));
+    };
+    const onData = (data) => {
+      const output = tail + data.toString();
+      tail = output.slice(-READY_MARKER.length);
+      if (output.includes(READY_MARKER)) {
+        clearTimeout(timer);
+        child.stdout.removeListener('data', onData);
+        child.removeListener('exit', onExit);
+        resolve();
+      }
+    };
+    const onExit = (code) => fail(new Error(`${node.name} exited with code ${code} while starting`));
+
+    child.stdout.on('data', onData);
+    child.once('exit', onExit);
+  });
+}
+
+// Asks a node to shut down cleanly, killing it if it does not in time.
+function stopNode(node) {
+  const child = node.process;
+  if (!child || child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.kill('SIGINT');
+  });
+}
+
+/**
+ * End-to-end check: upload to the first node, expect the replication
+ * factor (or every node, in smaller clusters) to be met, then fetch the
+ * file from the DHT with a capability token and compare hashes.
+ */
+async function check(nodes, bootstrap, apiKey) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'reslify-cluster-check-'));
+  const filePath = path.join(workDir, 'cluster-check.bin');
+  const content = crypto.randomBytes(CHECK_FILE_SIZE);
+  const expectedHash = crypto.createHash('sha256').update(content).digest('hex');
+  await fs.promises.writeFile(filePath, content);
+
+  const client = new ReslifyClient(nodes[0].url, { apiKey });
+  const dhtClient = new DHTClient({ bootstrap, host: LOCALHOST });
+
+  try {
+    const upload = await client.upload(filePath);
+    const wanted = Math.min(upload.replication.factor, nodes.length);
+    console.log(`   📤 Uploaded ${upload.fileId} to ${nodes[0].name}: ` +
+      `${upload.replication.achieved} of ${wanted} replica(s)`);
+    if (upload.replication.achieved < wanted) {
+      throw new Error(`Replication incomplete: ${JSON.stringify(upload.replication.failures || [])}`);
+    }
+
+    const peers = await dhtClient.find(upload.fileId);
+    console.log(`   🔍 ${peers.length} peer(s) announce it on the DHT`);
+
+    const { capability } = await client.capability(upload.fileId, { peer: dhtClient.publicKey });
+    const download = await dhtClient.download(upload.fileId, { capability, saveDir: workDir });
+    if (download.contentHash !== expectedHash) {
+      throw new Error(`Downloaded content hash ${download.contentHash} does not match ${expectedHash}`);
+    }
+    console.log(`   📥 Downloaded over the DHT from ${download.servedBy}, SHA-256 matches`);
+  } finally {
+    await dhtClient.destroy();
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function main(argv) {
+  const { values: options } = parseArgs({ args: argv, options: OPTIONS });
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const count = Number(options.nodes);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError('--nodes must be a positive integer');
+  }
+  const basePort = parsePort(options['base-port'], 'base-port');
+  const bootstrapPort = parsePort(options['bootstrap-port'], 'bootstrap-port');
+  if (basePort + count - 1 > 65535) {
+    throw new UsageError('--base-port leaves no room for that many nodes');
+  }
+
+  const root = path.resolve(options.dir);
+  if (options.fresh) await fs.promises.rm(root, { recursive: true, force: true });
+
+  const nodes = Array.from({ length: count }, (_, i) => {
+    const dir = path.join(root, `node${i + 1}`);
+    const port = basePort + i;
+    return {
+      name: `node${i + 1}`,
+      dir,
+      port,
+      url: `http://${LOCALHOST}:${port}`,
+      nodeId: loadNodeKeyPair(path.join(dir, 'uploads')).publicKey.toString('hex')
+    };
+  });
+
+  console.log(`\n🛰️  Starting private DHT on ${LOCALHOST}:${bootstrapPort}...`);
+  const network = await startBootstrapNetwork({ host: LOCALHOST, port: bootstrapPort });
+  const auth = clusterAuth();
+  const shared = {
+    METADATA_STORE: process.env.METADATA_STORE || 'embedded',
+    HOST: LOCALHOST,
+    DHT_HOST: LOCALHOST,
+    DHT_BOOTSTRAP: network.bootstrap.join(','),
+    DHT_TRUSTED_PEERS: nodes.map(node => node.nodeId).join(','),
+    SIGNED_URL_SECRET: process.env.SIGNED_URL_SECRET || crypto.randomBytes(32).toString('hex'),
+    ...auth.env
+  };
+
+  let stopping = null;
+  const shutdown = () => {
+    stopping = stopping || (async () => {
+      console.log('\n🛑 Stopping cluster...');
+      await Promise.all(nodes.map(stopNode));
+      await network.destroy();
+      console.log('👋 Cluster stopped');
+    })();
+    return stopping;
+  };
+
+  try {
+    // One at a time: each node joins the cluster topic as the others are up
+    for (const node of nodes) {
+      console.log(`🚀 Starting ${node.name} on port ${node.port}...`);
+      await startNode(node, {
+        ...shared,
+        PORT: String(node.port),
+        UPLOAD_DIR: path.join(node.dir, 'uploads'),
+        BLOB_DIR: path.join(node.dir, 'blobs'),
+        METADATA_DIR: path.join(node.dir, 'data')
+      });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🌐 LOCAL CLUSTER: ${count} node(s), private DHT of ${network.size} node(s)`);
+    console.log('='.repeat(60));
+    for (const node of nodes) {
+      console.log(`   ${node.name}  ${node.url}  ${node.nodeId.substring(0, 16)}...  ${path.join(node.dir, 'server.log')}`);
+    }
+    console.log('\n💡 Clients reach the cluster with:');
+    console.log(`   DHT_BOOTSTRAP=${shared.DHT_BOOTSTRAP} DHT_HOST=${LOCALHOST}`);
+    console.log(`   RESLIFY_SERVER=${nodes[0].url}` + (auth.env.AUTH_API_KEYS ? ` RESLIFY_API_KEY=${auth.apiKey}` : ''));
+
+    if (options.check) {
+      console.log('\n🧪 Checking the cluster end to end...');
+      await check(nodes, network.bootstrap, auth.apiKey);
+      console.log('✅ Cluster check passed');
+      return;
+    }
+
+    console.log('\nPress Ctrl-C to stop.');
+    await new Promise(resolve => process.once('SIGINT', resolve));
+  } finally {
+    await shutdown();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    () => process.exit(0),
+    (error) => {
+      console.error(`local-cluster: ${error.message}`);
+      if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        console.error('Run "local-cluster --help" for usage.');
+      }
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
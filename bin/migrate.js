@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Progress is read by a person here, not collected; LOG_FORMAT=json still wins
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { parseArgs } = require('util');
+const { loadDatabaseConfig, replicationToCql } = require('../src/config/database');
+const MigrationService = require('../src/services/migration.service');
+
+const USAGE = `Usage: migrate <command> [options]
+
+Commands:
+  status             List migrations and whether each is applied
+  up                 Apply pending migrations
+  down               Roll back applied migrations (the latest one by default)
+  keyspace           Change the keyspace replication to the configured one
+
+Options:
+      --to <version>   "up": stop after <version>
+                       "down": roll back every migration above <version>
+      --steps <n>      "down": roll back the last <n> migrations
+      --dry-run        Print the schema changes and writes instead of running them
+  -h, --help           Show this help
+
+The cluster, keyspace and replication come from CASSANDRA_CONTACT_POINTS,
+CASSANDRA_LOCAL_DATACENTER, CASSANDRA_KEYSPACE, CASSANDRA_REPLICATION_STRATEGY,
+CASSANDRA_REPLICATION_FACTOR and CASSANDRA_REPLICATION_DATACENTERS, set in
+the environment or in the server's config file (RESLIFY_CONFIG or
+./reslify.config.json).`;
+
+const OPTIONS = {
+  to: { type: 'string' },
+  steps: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function parseVersion(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+async function status(migrations) {
+  const entries = await migrations.status();
+
+  for (const entry of entries) {
+    const appliedAt = entry.appliedAt ? entry.appliedAt.toISOString() : '';
+    console.log(`${entry.state.padEnd(8)}  ${label(entry).padEnd(32)}  ${appliedAt}`);
+  }
+
+  const pending = entries.filter(entry => entry.state === 'pending').length;
+  console.log(`\n${entries.length - pending} applied, ${pending} pending`);
+}
+
+async function up(migrations, options) {
+  const dryRun = options['dry-run'];
+  const applied = await migrations.up({ to: parseVersion(options.to, 'to'), dryRun });
+
+  console.log(applied.length === 0
+    ? 'Nothing to migrate'
+    : `${dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s)`);
+}
+
+async function down(migrations, options) {
+  const dryRun = options['dry-run'];
+  if (options.to !== undefined && options.steps !== undefined) {
+    throw new UsageError('Use either --to or --steps, not both');
+  }
+
+  const steps = options.steps === undefined ? 1 : parseVersion(options.steps, 'steps');
+  const rolledBack = await migrations.down({ to: parseVersion(options.to, 'to'), steps, dryRun });
+
+  console.log(rolledBack.length === 0
+    ? 'Nothing to roll back'
+    : `${dryRun ? 'Would roll back' : 'Rolled back'} ${rolledBack.length} migration(s)`);
+}
+
+async function keyspace(migrations, options) {
+  const result = await migrations.updateKeyspace({ dryRun: options['dry-run'] });
+
+  if (!result.changed) {
+    console.log(`Keyspace "${migrations.keyspace}" already uses ${replicationToCql(result.replication)}`);
+    return;
+  }
+
+  console.log(`${options['dry-run'] ? 'Would change' : 'Changed'} keyspace "${migrations.keyspace}" replication\n` +
+    `  from ${replicationToCql(result.previous)}\n` +
+    `  to   ${replicationToCql(result.replication)}`);
+  if (!options['dry-run']) {
+    console.log('Run "nodetool repair --full" on every Cassandra node so existing data reaches its new replicas.');
+  }
+}
+
+const COMMANDS = { status, up, down, keyspace };
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true
+  });
+  const [command] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const migrations = new MigrationService(loadDatabaseConfig());
+  try {
+    await migrations.connect();
+    await COMMANDS[command](migrations, options);
+  } finally {
+    await migrations.shutdown();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    () => process.exit(0),
+    (error) => {
+      console.error(`migrate: ${error.message}`);
+      if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        console.error('Run "migrate --help" for usage.');
+      }
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
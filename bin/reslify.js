@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ReslifyClient, ReslifyError, DHTClient, StorageNode } = require('../src/sdk');
+const { DEFAULT_SERVER } = require('../src/sdk/http-client');
+const { MAX_FILE_SIZE } = require('../src/config/constants');
+const { randomKey } = require('../src/utils/file-encryption');
+const {
+  DEFAULT_BOOTSTRAP_PORT,
+  DEFAULT_BOOTSTRAP_NODES,
+  parseBootstrap,
+  startBootstrapNetwork
+} = require('../src/utils/dht-bootstrap');
+
+const USAGE = `Usage: reslify <command> [options]
+
+Commands:
+  serve <dir>        Announce every file in <dir> on the DHT and serve it
+  get <fileId>       Download a file
+  put <file>         Upload a file to the server
+  ls                 List files stored on the server, a page at a time
+  logs [fileId]      Show access logs, optionally for one file
+  share <fileId>     Change who may read a file (--visibility, --share)
+  sign <fileId>      Print an expiring download link that needs no credentials
+  keygen             Print a new random key for --encryption-key or ENCRYPTION_KEYS
+  bootstrap          Run a private DHT for nodes and clients without internet
+                     access; pass its address to them as --bootstrap / DHT_BOOTSTRAP
+
+Options:
+  -s, --server <url>   Server URL (default: $RESLIFY_SERVER or ${DEFAULT_SERVER})
+      --api-key <key>  API key (default: $RESLIFY_API_KEY)
+      --token <jwt>    Signed token, instead of an API key (default: $RESLIFY_TOKEN)
+  -k, --encryption-key <key>
+                       "put", "get": encrypt end-to-end with this key, which
+                       never leaves this machine (default: $RESLIFY_ENCRYPTION_KEY)
+  -o, --out <dir>      Download directory for "get" (default: .)
+      --dht            "get": download straight from DHT peers, with a
+                       capability token from the server
+                       "put": announce the file on the DHT and serve it
+      --resumable      "put": upload through a resumable session
+      --content-addressed
+                       "put": use the file's SHA-256 as its id
+      --visibility <v> "put", "share": private, shared or public
+      --share <users>  "put", "share": comma-separated user ids to share with
+      --expires <s>    "sign": seconds until the link expires (default: 1 hour)
+      --max-downloads <n>
+                       "sign": number of downloads the link allows
+      --ip <addr>      "sign": only accept downloads from this address
+  -n, --limit <n>      "ls", "logs": maximum number of entries
+      --prefix <name>  "ls": only names starting with <name>
+      --type <mime>    "ls": only this MIME type, e.g. image/png or image/*
+      --sort <field>   "ls": uploadedAt, name or size
+      --order <dir>    "ls": asc or desc
+      --cursor <c>     "ls", "logs": continue from a previous page
+      --all            "ls": follow cursors through every page
+      --from <date>    "logs": entries at or after this time
+      --to <date>      "logs": entries at or before this time
+      --operation <op> "logs": only this operation, e.g. read or delete
+      --client <id>    "logs": only this client
+      --capability <t> "get --dht": use this capability token instead of
+                       asking the server for one
+      --timeout <ms>   DHT lookup/download timeout
+      --bootstrap <nodes>
+                       Comma-separated host:port DHT bootstrap nodes to use
+                       instead of the public ones (default: $DHT_BOOTSTRAP)
+      --host <addr>    "bootstrap": address to listen on (default: 127.0.0.1)
+                       others: interface the DHT binds to (default: $DHT_HOST)
+      --port <n>       "bootstrap": port of the first node (default: ${DEFAULT_BOOTSTRAP_PORT})
+      --nodes <n>      "bootstrap": number of DHT nodes to run (default: ${DEFAULT_BOOTSTRAP_NODES})
+      --json           Print raw JSON
+  -h, --help           Show this help`;
+
+const OPTIONS = {
+  server: { type: 'string', short: 's' },
+  'api-key': { type: 'string' },
+  token: { type: 'string' },
+  'encryption-key': { type: 'string', short: 'k' },
+  out: { type: 'string', short: 'o', default: '.' },
+  dht: { type: 'boolean', default: false },
+  resumable: { type: 'boolean', default: false },
+  'content-addressed': { type: 'boolean' },
+  visibility: { type: 'string' },
+  share: { type: 'string' },
+  expires: { type: 'string' },
+  'max-downloads': { type: 'string' },
+  ip: { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  prefix: { type: 'string' },
+  type: { type: 'string' },
+  sort: { type: 'string' },
+  order: { type: 'string' },
+  cursor: { type: 'string' },
+  all: { type: 'boolean', default: false },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  operation: { type: 'string' },
+  client: { type: 'string' },
+  capability: { type: 'string' },
+  timeout: { type: 'string' },
+  bootstrap: { type: 'string' },
+  host: { type: 'string' },
+  port: { type: 'string' },
+  nodes: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function print(options, value, format) {
+  console.log(options.json ? JSON.stringify(value, null, 2) : format(value));
+}
+
+function formatSize(bytes) {
+  const size = Number(bytes);
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDownload(result) {
+  return `Saved ${result.fileName} (${formatSize(result.size)}) to ${result.savedTo}\n` +
+    `SHA-256: ${result.contentHash}${result.verified ? ' (verified)' : ''}\n` +
+    `Served by: ${result.servedBy}` +
+    (result.resumedFrom ? `\nResumed at byte ${result.resumedFrom}` : '') +
+    (result.decrypted ? '\nDecrypted with your encryption key' : '') +
+    (result.encrypted ? '\nFile is encrypted end-to-end and was saved encrypted: pass --encryption-key to decrypt it' : '');
+}
+
+// "alice, bob" -> ['alice', 'bob']; undefined leaves sharing unchanged.
+function parseUsers(value) {
+  if (value === undefined) return undefined;
+  return value.split(',').map(user => user.trim()).filter(Boolean);
+}
+
+function encryptionKeyOption(options) {
+  return options['encryption-key'] || process.env.RESLIFY_ENCRYPTION_KEY;
+}
+
+function parsePositive(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+// Swarm options for StorageNode and DHTClient: a private DHT when
+// bootstrap nodes are given, the public one otherwise.
+function dhtOptions(options) {
+  try {
+    return {
+      bootstrap: parseBootstrap(options.bootstrap ?? process.env.DHT_BOOTSTRAP),
+      host: options.host ?? process.env.DHT_HOST
+    };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function requireArg(value, name) {
+  if (!value) throw new UsageError(`Missing <${name}>`);
+  return value;
+}
+
+// Keeps a DHT process alive until Ctrl-C, then leaves the swarm cleanly.
+function serveUntilInterrupted(node) {
+  node.on('sent', ({ fileId, bytes }) => console.log(`Sent ${fileId} (${formatSize(bytes)})`));
+  node.on('requestError', error => console.error(`Request failed: ${error.message}`));
+
+  return new Promise(resolve => {
+    process.once('SIGINT', async () => {
+      await node.destroy();
+      resolve();
+    });
+  });
+}
+
+async function serve(args, options) {
+  const dir = requireArg(args[0], 'dir');
+  const node = new StorageNode(dhtOptions(options));
+  const published = await node.serve(dir);
+
+  print(options, published, files => files.length === 0
+    ? `No files found in ${dir}`
+    : files.map(file => `${file.fileId}  ${formatSize(file.size).padStart(9)}  ${file.fileName}`).join('\n'));
+  console.log(`\nServing ${published.length} file(s) on the DHT. Press Ctrl-C to stop.`);
+
+  await serveUntilInterrupted(node);
+}
+
+// Standalone storage nodes need no capability, so a server that can't be
+// reached only means downloading without one.
+async function requestCapability(client, fileId, peer) {
+  try {
+    return (await client.capability(fileId, { peer })).capability;
+  } catch (error) {
+    if (error instanceof ReslifyError) throw error;
+    console.error(`No capability from ${client.baseUrl} (${error.message}); trying peers without one`);
+    return undefined;
+  }
+}
+
+async function get(args, options, client) {
+  const fileId = requireArg(args[0], 'fileId');
+
+  if (!options.dht) {
+    const result = await client.download(fileId, {
+      saveDir: options.out,
+      encryptionKey: encryptionKeyOption(options)
+    });
+    print(options, result, formatDownload);
+    return;
+  }
+
+  const dhtClient = new DHTClient(dhtOptions(options));
+  try {
+    const capability = options.capability ||
+      (await requestCapability(client, fileId, dhtClient.publicKey));
+    const result = await dhtClient.download(fileId, {
+      capability,
+      saveDir: options.out,
+      timeout: options.timeout ? Number(options.timeout) : undefined,
+      encryptionKey: encryptionKeyOption(options)
+    });
+    print(options, result, formatDownload);
+  } finally {
+    await dhtClient.destroy();
+  }
+}
+
+async function put(args, options, client) {
+  const filePath = requireArg(args[0], 'file');
+
+  if (options.dht) {
+    if (encryptionKeyOption(options)) {
+      throw new UsageError('"put --dht" serves files as they are; --encryption-key is not supported with it');
+    }
+    const node = new StorageNode(dhtOptions(options));
+    const file = await node.publish(filePath);
+    print(options, file, ({ fileId, fileName }) => `Announced ${fileName} as ${fileId}`);
+    console.log('Serving on the DHT. Press Ctrl-C to stop.');
+    await serveUntilInterrupted(node);
+    return;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  const uploadOptions = {
+    contentAddressed: options['content-addressed'],
+    visibility: options.visibility,
+    sharedWith: parseUsers(options.share),
+    encryptionKey: encryptionKeyOption(options)
+  };
+  const result = options.resumable || size > MAX_FILE_SIZE
+    ? await client.uploadResumable(filePath, uploadOptions)
+    : await client.upload(filePath, uploadOptions);
+
+  print(options, result, response =>
+    `Uploaded ${response.fileName} (${formatSize(response.size)})${response.duplicate ? ' [duplicate]' : ''}` +
+    `${response.encryption === 'client' ? ' [encrypted end-to-end]' : ''}\n` +
+    `File ID: ${response.fileId}\n` +
+    `Replicas: ${response.replication ? `${response.replication.achieved}/${response.replication.factor}` : 'n/a'}\n` +
+    `Retrieve: ${response.retrieveUrl}`);
+}
+
+function formatFiles(list) {
+  return list.length === 0
+    ? 'No files stored'
+    : list.map(file =>
+      `${file.fileId}  ${formatSize(file.fileSize).padStart(9)}  ${file.uploadedAt ? new Date(file.uploadedAt).toISOString() : '-'}  ${file.fileName}`
+    ).join('\n');
+}
+
+async function ls(args, options, client) {
+  const query = {
+    limit: options.limit,
+    prefix: options.prefix,
+    type: options.type,
+    sort: options.sort,
+    order: options.order
+  };
+
+  if (options.all) {
+    const files = [];
+    for await (const file of client.listAll(query)) files.push(file);
+    print(options, files, formatFiles);
+    return;
+  }
+
+  const page = await client.list({ ...query, cursor: options.cursor });
+  print(options, page, ({ files, nextCursor }) => formatFiles(files) +
+    (nextCursor ? `\n\nMore files available: reslify ls --cursor ${nextCursor}` : ''));
+}
+
+async function logs(args, options, client) {
+  const fileId = args[0];
+  const query = {
+    from: options.from,
+    to: options.to,
+    operation: options.operation,
+    client: options.client,
+    limit: options.limit,
+    cursor: options.cursor
+  };
+  const page = fileId ? await client.fileLogs(fileId, query) : await client.logs(query);
+
+  print(options, page, ({ logs: entries, nextCursor }) => (entries.length === 0
+    ? 'No access logs'
+    : entries.map(entry =>
+      `${new Date(entry.timestamp).toISOString()}  ${String(entry.operationType).padEnd(6)}  ${entry.fileId}  ${entry.clientId}`
+    ).join('\n')) +
+    (nextCursor ? `\n\nMore entries available: reslify logs ${fileId ? `${fileId} ` : ''}--cursor ${nextCursor}` : ''));
+}
+
+async function share(args, options, client) {
+  const fileId = requireArg(args[0], 'fileId');
+  if (options.visibility === undefined && options.share === undefined) {
+    throw new UsageError('Pass --visibility and/or --share');
+  }
+
+  const result = await client.share(fileId, {
+    visibility: options.visibility,
+    sharedWith: parseUsers(options.share)
+  });
+
+  print(options, result, ({ access }) =>
+    `${fileId} is now ${access.visibility}` +
+    (access.sharedWith.length ? `, shared with ${access.sharedWith.join(', ')}` : ''));
+}
+
+async function sign(args, options, client) {
+  const fileId = requireArg(args[0], 'fileId');
+  const result = await client.signUrl(fileId, {
+    expiresIn: options.expires,
+    maxDownloads: options['max-downloads'],
+    ip: options.ip
+  });
+
+  print(options, result, ({ url, expiresAt, maxDownloads, ip }) =>
+    `${url}\n` +
+    `Expires: ${expiresAt}` +
+    (maxDownloads ? `\nDownloads allowed: ${maxDownloads}` : '') +
+    (ip ? `\nOnly from: ${ip}` : ''));
+}
+
+async function keygen(args, options) {
+  const key = randomKey().toString('base64');
+  print(options, { key }, () => key);
+}
+
+async function bootstrap(args, options) {
+  const network = await startBootstrapNetwork({
+    host: options.host || '127.0.0.1',
+    port: parsePositive(options.port, 'port', DEFAULT_BOOTSTRAP_PORT),
+    nodes: parsePositive(options.nodes, 'nodes', DEFAULT_BOOTSTRAP_NODES)
+  });
+
+  const summary = { bootstrap: network.bootstrap, nodes: network.size };
+  print(options, summary, () =>
+    `Private DHT of ${summary.nodes} node(s) running. Point nodes and clients at it with:\n` +
+    `  DHT_BOOTSTRAP=${summary.bootstrap.join(',')}`);
+  console.log('Press Ctrl-C to stop.');
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await network.destroy();
+}
+
+const COMMANDS = { serve, get, put, ls, logs, share, sign, keygen, bootstrap };
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true
+  });
+  const [command, ...args] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const client = new ReslifyClient(options.server || process.env.RESLIFY_SERVER || DEFAULT_SERVER, {
+    apiKey: options['api-key'] || process.env.RESLIFY_API_KEY,
+    token: options.token || process.env.RESLIFY_TOKEN
+  });
+  await COMMANDS[command](args, options, client);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    () => process.exit(0),
+    (error) => {
+      console.error(`reslify: ${error.message}`);
+      if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        console.error('Run "reslify --help" for usage.');
+      }
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
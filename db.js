@@ -1,184 +1,482 @@
 const cassandra = require('cassandra-driver');
+const path = require('path');
+const { getMimeType } = require('./src/utils/mime-types');
+const { matchesListingFilters } = require('./src/utils/listing-filters');
+const { canList } = require('./src/utils/file-access');
+const { metrics } = require('./src/utils/metrics');
+const { createLogger } = require('./src/utils/logger');
+
+const { loadDatabaseConfig } = require('./src/config/database');
+const MigrationService = require('./src/services/migration.service');
 
 // Use environment variables for Docker compatibility
+const config = loadDatabaseConfig();
+
 const client = new cassandra.Client({
-  contactPoints: [process.env.CASSANDRA_CONTACT_POINTS || '127.0.0.1'],
-  localDataCenter: process.env.CASSANDRA_LOCAL_DATACENTER || 'datacenter1',
-  keyspace: process.env.CASSANDRA_KEYSPACE || 'fs_metadata'
+  contactPoints: config.contactPoints,
+  localDataCenter: config.localDataCenter,
+  keyspace: config.keyspace
 });
 
-async function initializeDatabase() {
-  console.log('\n' + '='.repeat(60));
-  console.log('🔧 INITIALIZING CASSANDRA DATABASE');
-  console.log('='.repeat(60));
+const log = createLogger('db');
 
-  try {
-    console.log('\n📡 Step 1: Connecting to Cassandra...');
-    console.log(`   🔗 Contact Point: ${process.env.CASSANDRA_CONTACT_POINTS || '127.0.0.1'}`);
-    
-    // Use environment variables here too
-    const tempClient = new cassandra.Client({
-      contactPoints: [process.env.CASSANDRA_CONTACT_POINTS || '127.0.0.1'],
-      localDataCenter: process.env.CASSANDRA_LOCAL_DATACENTER || 'datacenter1'
-    });
-    
-    await tempClient.connect();
-    console.log('   ✅ Connected to Cassandra successfully!');
+// "SELECT ... FROM files WHERE ..." -> { operation: 'select', table: 'files' }
+function describeStatement(query) {
+  const operation = /^\s*(\w+)/.exec(query);
+  const table = /\b(?:FROM|INTO|UPDATE)\s+([\w.]+)/i.exec(query);
+  return {
+    operation: operation ? operation[1].toLowerCase() : 'unknown',
+    table: table ? table[1] : ''
+  };
+}
 
-    console.log('\n🗄️  Step 2: Creating keyspace "fs_metadata"...');
-    
-    const createKeyspaceQuery = `
-      CREATE KEYSPACE IF NOT EXISTS fs_metadata
-      WITH replication = {
-        'class': 'SimpleStrategy',
-        'replication_factor': 1
+// Times every query and batch, and counts failures, for GET /metrics.
+// Each one is logged at debug level under the request that issued it.
+function instrumentClient(cassandraClient) {
+  const timed = (method, describe) => {
+    const original = cassandraClient[method].bind(cassandraClient);
+    cassandraClient[method] = async (...args) => {
+      const labels = describe(args[0]);
+      const endTimer = metrics.cassandraQueryDuration.startTimer(labels);
+      let failure;
+      try {
+        return await original(...args);
+      } catch (error) {
+        failure = error;
+        metrics.cassandraQueryErrors.inc(labels);
+        throw error;
+      } finally {
+        const seconds = endTimer();
+        if (failure) {
+          log.warn('Query failed', { ...labels, durationMs: seconds * 1000, error: failure });
+        } else {
+          log.debug('Query', { ...labels, durationMs: seconds * 1000 });
+        }
       }
-    `;
-    
-    await tempClient.execute(createKeyspaceQuery);
-    console.log('   ✅ Keyspace "fs_metadata" created/verified!');
+    };
+  };
 
-    console.log('\n📋 Step 3: Creating table "files"...');
-    
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS fs_metadata.files (
-        file_id text PRIMARY KEY,
-        file_path text,
-        file_name text,
-        file_size bigint,
-        uploaded_at timestamp
-      )
-    `;
-    
-    await tempClient.execute(createTableQuery);
-    console.log('   ✅ Table "files" created/verified!');
+  timed('execute', query => describeStatement(query));
+  timed('batch', queries => ({
+    operation: 'batch',
+    table: Array.from(new Set(queries.map(entry => describeStatement(entry.query || entry).table))).join(',')
+  }));
+}
 
-    console.log('\n📋 Step 4: Creating table "access_logs"...');
-    
-    const createLogsTableQuery = `
-      CREATE TABLE IF NOT EXISTS fs_metadata.access_logs (
-        log_id timeuuid PRIMARY KEY,
-        file_id text,
-        client_id text,
-        operation_type text,
-        timestamp timestamp
-      )
-    `;
-    
-    await tempClient.execute(createLogsTableQuery);
-    console.log('   ✅ Table "access_logs" created/verified!');
+instrumentClient(client);
 
-    await tempClient.shutdown();
+async function initializeDatabase() {
+  const migrations = new MigrationService(config);
 
-    console.log('\n🔗 Step 5: Connecting to keyspace "fs_metadata"...');
-    await client.connect();
-    console.log('   ✅ Connected to keyspace successfully!');
+  try {
+    log.info('Connecting to Cassandra', { contactPoints: config.contactPoints, keyspace: config.keyspace });
+    await migrations.connect();
+
+    if (config.autoMigrate) {
+      const applied = await migrations.up();
+      log.info(applied.length > 0 ? 'Migrations applied' : 'Schema is up to date', {
+        applied: applied.map(migration => migration.version)
+      });
+    } else {
+      const pending = await migrations.pending();
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migration(s) (${pending.map(m => m.version).join(', ')}) ` +
+          'and CASSANDRA_AUTO_MIGRATE=false; run "npm run migrate -- up" first');
+      }
+      log.info('Schema is up to date');
+    }
 
-    console.log('\n✨ Database initialization complete!');
-    console.log('='.repeat(60) + '\n');
+    await client.connect();
+    log.info('Database initialized', { keyspace: config.keyspace });
 
     return true;
 
   } catch (error) {
-    console.error('\n❌ Database initialization failed:', error.message);
-    console.error('📝 Error details:', error);
+    log.error('Database initialization failed', { error });
     throw error;
+  } finally {
+    await migrations.shutdown();
+  }
+}
+
+// Rows written before migration 007 only have the path the file had in
+// ./uploads; its blob store key is the file name.
+function storageKeyOf(row) {
+  if (row.storage_key) return row.storage_key;
+  return row.file_path ? path.basename(row.file_path) : null;
+}
+
+// Encryption envelopes are stored as JSON text (see EncryptionService).
+function parseEncryption(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function mapFileRow(row) {
+  return {
+    fileId: row.file_id,
+    storageKey: storageKeyOf(row),
+    fileName: row.file_name,
+    fileSize: row.file_size ? row.file_size.toString() : '0',
+    mimeType: getMimeType(row.file_name || ''),
+    contentHash: row.content_hash || null,
+    ownerId: row.owner_id || null,
+    visibility: row.visibility || 'private',
+    sharedWith: row.shared_with || [],
+    encryption: parseEncryption(row.encryption),
+    uploadedAt: row.uploaded_at
+  };
+}
+
+// ========== PAGED SCANS ==========
+
+// Upper bound on rows read to answer one page, so a very selective filter
+// returns a short page with a cursor instead of scanning everything.
+const MAX_SCAN_ROWS = 5000;
+
+// Rows fetched per round trip. Filters are applied here rather than in
+// Cassandra, so small pages still fetch enough rows to fill them.
+const MIN_FETCH_SIZE = 100;
+
+/**
+ * Reads one page of results from a series of bucketed partitions, visited
+ * in the order of `buckets`. `accept` maps a row to a result, or null to
+ * skip it. `cursor` is the `next` value of the previous page
+ * ({ bucket, pageState }); `next` is null once every bucket is read.
+ *
+ * Cassandra can only resume after a whole fetched page, so a page that
+ * fills part-way through a fetch resumes by fetching it again: pageState
+ * is { state, skip }, the driver's paging state for that fetch (null at
+ * the start of a bucket) and the number of its rows already read.
+ */
+async function scanBuckets({ buckets, descending, cursor, limit, query, params, accept }) {
+  let position = 0;
+  let state = null;
+  let skip = 0;
+
+  if (cursor) {
+    // Fall back to the next bucket in order rather than restarting if the
+    // cursor's bucket has disappeared.
+    position = buckets.findIndex(bucket => (descending ? bucket <= cursor.bucket : bucket >= cursor.bucket));
+    if (position === -1) position = buckets.length;
+    if (buckets[position] === cursor.bucket && cursor.pageState) {
+      state = cursor.pageState.state || null;
+      skip = Number.isInteger(cursor.pageState.skip) && cursor.pageState.skip > 0 ? cursor.pageState.skip : 0;
+    }
+  }
+
+  const items = [];
+  let scanned = 0;
+
+  while (position < buckets.length && items.length < limit && scanned < MAX_SCAN_ROWS) {
+    const result = await client.execute(query, params(buckets[position]), {
+      prepare: true,
+      fetchSize: Math.max(limit, MIN_FETCH_SIZE),
+      pageState: state || undefined
+    });
+
+    let read = skip;
+    while (read < result.rows.length && items.length < limit) {
+      const item = accept(result.rows[read++]);
+      if (item) items.push(item);
+    }
+    scanned += read - skip;
+
+    if (read < result.rows.length) {
+      skip = read;
+    } else if (result.pageState) {
+      state = result.pageState;
+      skip = 0;
+    } else {
+      position++;
+      state = null;
+      skip = 0;
+    }
   }
+
+  const pageState = state || skip ? { state, skip } : null;
+  return {
+    items,
+    next: position < buckets.length ? { bucket: buckets[position], pageState } : null
+  };
+}
+
+// ========== FILE LISTING ==========
+//
+// GET /files pages through denormalized copies of "files", one per sort
+// order. Each copy is split into buckets so no partition grows without
+// bound, and the buckets in use are recorded in file_listing_buckets.
+// Bucket names sort in the same order as the rows they hold.
+
+const LISTING_INDEXES = {
+  uploadedAt: {
+    table: 'files_by_upload_date',
+    type: 'timestamp',
+    // One bucket per month: "2024-05"
+    bucketOf: value => value.toISOString().substring(0, 7),
+    sortKey: file => file.uploadedAt
+  },
+  name: {
+    table: 'files_by_name',
+    type: 'text',
+    // One bucket per leading UTF-8 byte, hex-encoded so buckets sort in the
+    // byte order Cassandra sorts the names in: "61" for "a", "2e" for ".".
+    // An empty name goes with those starting with a zero byte.
+    bucketOf: value => Buffer.from(value).subarray(0, 1).toString('hex') || '00',
+    sortKey: file => file.fileName.toLowerCase()
+  },
+  size: {
+    table: 'files_by_size',
+    type: 'bigint',
+    // One bucket per power of two, zero-padded so buckets sort numerically
+    bucketOf: value => String(Math.floor(Math.log2(Number(value.toString()) + 1))).padStart(2, '0'),
+    sortKey: file => cassandra.types.Long.fromString(String(file.fileSize))
+  }
+};
+
+// Rows from before uploaded_at was always set are listed as the oldest files.
+function mapListingRow(row) {
+  const file = mapFileRow(row);
+  if (!file.uploadedAt) file.uploadedAt = new Date(0);
+  return file;
 }
 
-async function storeFileMetadata(fileId, filePath, fileName, fileSize) {
-  console.log(`\n💾 Storing file metadata in Cassandra:`);
-  console.log(`   🔑 File ID: ${fileId}`);
-  console.log(`   📄 File Name: ${fileName}`);
+function listingWriteQueries(file) {
+  const queries = [];
 
+  for (const [indexName, index] of Object.entries(LISTING_INDEXES)) {
+    const sortKey = index.sortKey(file);
+    const bucket = index.bucketOf(sortKey);
+
+    queries.push({
+      query: `INSERT INTO ${index.table} (bucket, sort_key, file_id, storage_key, file_name, file_size, content_hash,
+                owner_id, visibility, shared_with, uploaded_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      params: [bucket, sortKey, file.fileId, file.storageKey, file.fileName, file.fileSize, file.contentHash,
+        file.ownerId, file.visibility, file.sharedWith, file.uploadedAt]
+    });
+    queries.push({
+      query: 'INSERT INTO file_listing_buckets (index_name, bucket) VALUES (?, ?)',
+      params: [indexName, bucket]
+    });
+  }
+
+  return queries;
+}
+
+function sameSortKey(a, b) {
+  return a instanceof Date ? a.getTime() === b.getTime() : a.toString() === b.toString();
+}
+
+// Deletes the file's listing rows, except those identical to the rows
+// `replacement` will write: in one batch the delete would win the tie.
+function listingDeleteQueries(file, replacement = null) {
+  return Object.values(LISTING_INDEXES)
+    .filter(index => !replacement || !sameSortKey(index.sortKey(file), index.sortKey(replacement)))
+    .map(index => {
+      const sortKey = index.sortKey(file);
+      return {
+        query: `DELETE FROM ${index.table} WHERE bucket = ? AND sort_key = ? AND file_id = ?`,
+        params: [index.bucketOf(sortKey), sortKey, file.fileId]
+      };
+    });
+}
+
+// Narrows the index's sort key to the range the filters allow, so only
+// matching buckets and rows are read. Returns { lower, upper, upperInclusive }.
+function listingRange(sort, filters) {
+  if (sort === 'uploadedAt') {
+    return { lower: filters.uploadedAfter, upper: filters.uploadedBefore, upperInclusive: false };
+  }
+  if (sort === 'name' && filters.namePrefix) {
+    const prefix = filters.namePrefix.toLowerCase();
+    return { lower: prefix, upper: prefix + '\u{10FFFF}', upperInclusive: false };
+  }
+  if (sort === 'size') {
+    const toLong = value => (value === undefined ? undefined : cassandra.types.Long.fromNumber(value));
+    return { lower: toLong(filters.minSize), upper: toLong(filters.maxSize), upperInclusive: true };
+  }
+  return {};
+}
+
+/**
+ * Lists one page of files ordered by `sort` ('uploadedAt', 'name' or 'size').
+ * `cursor` is the `next` value of the previous page ({ bucket, pageState }).
+ * When `viewer` is given (a principal, or null for anonymous callers) only
+ * files that viewer may list are returned.
+ * Resolves with { files, next }, where `next` is null after the last page.
+ * A page may hold fewer than `limit` files when filters reject many rows.
+ */
+async function listFiles({ sort = 'uploadedAt', order = 'desc', limit = 100, cursor = null, filters = {}, viewer } = {}) {
+  const index = LISTING_INDEXES[sort];
+  const range = listingRange(sort, filters);
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const lowerBucket = range.lower === undefined ? null : index.bucketOf(range.lower);
+  const upperBucket = range.upper === undefined ? null : index.bucketOf(range.upper);
+
+  const bucketResult = await client.execute(
+    'SELECT bucket FROM file_listing_buckets WHERE index_name = ?', [sort], { prepare: true }
+  );
+  const buckets = bucketResult.rows
+    .map(row => row.bucket)
+    .filter(bucket => (lowerBucket === null || bucket >= lowerBucket) && (upperBucket === null || bucket <= upperBucket));
+  if (direction === 'DESC') buckets.reverse();
+
+  let query = `SELECT * FROM ${index.table} WHERE bucket = ?`;
+  const rangeParams = [];
+  if (range.lower !== undefined) {
+    query += ' AND sort_key >= ?';
+    rangeParams.push(range.lower);
+  }
+  if (range.upper !== undefined) {
+    query += range.upperInclusive ? ' AND sort_key <= ?' : ' AND sort_key < ?';
+    rangeParams.push(range.upper);
+  }
+  query += ` ORDER BY sort_key ${direction}`;
+
+  const { items: files, next } = await scanBuckets({
+    buckets,
+    descending: direction === 'DESC',
+    cursor,
+    limit,
+    query,
+    params: bucket => [bucket, ...rangeParams],
+    accept: row => {
+      const file = mapFileRow(row);
+      if (viewer !== undefined && !canList(file, viewer)) return null;
+      return matchesListingFilters(file, filters) ? file : null;
+    }
+  });
+
+  return { files, next };
+}
+
+async function storeFileMetadata(fileId, storageKey, fileName, fileSize, contentHash = null, access = {}, encryption = null) {
   try {
-    const query = `
-      INSERT INTO files (file_id, file_path, file_name, file_size, uploaded_at)
-      VALUES (?, ?, ?, ?, toTimestamp(now()))
-    `;
+    const file = {
+      fileId,
+      storageKey,
+      fileName,
+      fileSize,
+      contentHash,
+      ownerId: access.ownerId || null,
+      visibility: access.visibility || 'private',
+      sharedWith: access.sharedWith || [],
+      uploadedAt: new Date()
+    };
+    const queries = [{
+      query: `
+        INSERT INTO files (file_id, storage_key, file_name, file_size, content_hash, owner_id, visibility, shared_with, encryption, uploaded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      params: [
+        fileId, storageKey, fileName, fileSize, contentHash,
+        file.ownerId, file.visibility, file.sharedWith,
+        encryption ? JSON.stringify(encryption) : null,
+        file.uploadedAt
+      ]
+    }];
+
+    // Overwriting a file must not leave its old listing rows behind.
+    const previous = await client.execute('SELECT * FROM files WHERE file_id = ?', [fileId], { prepare: true });
+    if (previous.rows.length > 0) {
+      queries.push(...listingDeleteQueries(mapListingRow(previous.rows[0]), file));
+    }
+    queries.push(...listingWriteQueries(file));
 
-    const params = [fileId, filePath, fileName, fileSize];
-    
-    await client.execute(query, params, { prepare: true });
+    const usage = [{ ownerId: file.ownerId, files: 1, bytes: Number(fileSize) }];
+    if (previous.rows.length > 0) {
+      usage.push({ ownerId: previous.rows[0].owner_id, files: -1, bytes: -sizeOf(previous.rows[0]) });
+    }
+    await writeWithUsage(queries, usage);
     
-    console.log('   ✅ File metadata stored in Cassandra!');
+    log.debug('File metadata stored', { fileId, fileName });
     return true;
 
   } catch (error) {
-    console.error('   ❌ Error storing file metadata:', error.message);
+    log.error('Storing file metadata failed', { fileId, error });
     throw error;
   }
 }
 
-async function getFileMetadata(fileId) {
-  console.log(`\n🔍 Retrieving file metadata from Cassandra:`);
-  console.log(`   🔑 File ID: ${fileId}`);
+// Changes who may see a file. The listing rows keep their keys, so they are
+// simply rewritten with the new values.
+async function updateFileAccess(fileId, { visibility, sharedWith }) {
+  const result = await client.execute('SELECT * FROM files WHERE file_id = ?', [fileId], { prepare: true });
+  if (result.rows.length === 0) return false;
+
+  const file = { ...mapListingRow(result.rows[0]), visibility, sharedWith };
+  await client.batch([
+    {
+      query: 'UPDATE files SET visibility = ?, shared_with = ? WHERE file_id = ?',
+      params: [visibility, sharedWith, fileId]
+    },
+    ...listingWriteQueries(file)
+  ], { prepare: true });
+
+  log.debug('File access updated', { fileId, visibility });
+  return true;
+}
 
+async function updateFileEncryption(fileId, encryption) {
+  const query = 'UPDATE files SET encryption = ? WHERE file_id = ? IF EXISTS';
+  const result = await client.execute(query, [JSON.stringify(encryption), fileId], { prepare: true });
+  return result.wasApplied();
+}
+
+async function getFileMetadata(fileId) {
   try {
     const query = 'SELECT * FROM files WHERE file_id = ?';
     const result = await client.execute(query, [fileId], { prepare: true });
 
     if (result.rows.length === 0) {
-      console.log('   ❌ File not found in database');
+      log.debug('File metadata not found', { fileId });
       return null;
     }
 
-    const file = result.rows[0];
-    console.log('   ✅ File metadata retrieved!');
-    console.log(`   📄 File Name: ${file.file_name}`);
-    console.log(`   📁 File Path: ${file.file_path}`);
-
-    return {
-      fileId: file.file_id,
-      filePath: file.file_path,
-      fileName: file.file_name,
-      fileSize: file.file_size ? file.file_size.toString() : '0',
-      uploadedAt: file.uploaded_at
-    };
+    return mapFileRow(result.rows[0]);
 
   } catch (error) {
-    console.error('   ❌ Error retrieving file metadata:', error.message);
+    log.error('Retrieving file metadata failed', { fileId, error });
     throw error;
   }
 }
 
 async function getAllFiles() {
-  console.log('\n📂 Retrieving all files from Cassandra...');
-
   try {
     const query = 'SELECT * FROM files';
     const result = await client.execute(query);
 
-    const files = result.rows.map(row => ({
-      fileId: row.file_id,
-      filePath: row.file_path,
-      fileName: row.file_name,
-      fileSize: row.file_size ? row.file_size.toString() : '0',
-      uploadedAt: row.uploaded_at
-    }));
+    const files = result.rows.map(mapFileRow);
 
-    console.log(`   ✅ Retrieved ${files.length} files from database`);
+    log.debug('Retrieved all files', { files: files.length });
     return files;
 
   } catch (error) {
-    console.error('   ❌ Error retrieving all files:', error.message);
+    log.error('Retrieving all files failed', { error });
     throw error;
   }
 }
 
 async function deleteFileMetadata(fileId) {
-  console.log(`\n🗑️  Deleting file metadata from Cassandra:`);
-  console.log(`   🔑 File ID: ${fileId}`);
-
   try {
-    const query = 'DELETE FROM files WHERE file_id = ?';
-    await client.execute(query, [fileId], { prepare: true });
+    const existing = await client.execute('SELECT * FROM files WHERE file_id = ?', [fileId], { prepare: true });
+    const queries = [{ query: 'DELETE FROM files WHERE file_id = ?', params: [fileId] }];
 
-    console.log('   ✅ File metadata deleted from Cassandra!');
+    if (existing.rows.length > 0) {
+      queries.push(...listingDeleteQueries(mapListingRow(existing.rows[0])));
+    }
+
+    const usage = existing.rows.length > 0
+      ? [{ ownerId: existing.rows[0].owner_id, files: -1, bytes: -sizeOf(existing.rows[0]) }]
+      : [];
+    await writeWithUsage(queries, usage);
+
+    log.debug('File metadata deleted', { fileId });
     return true;
 
   } catch (error) {
-    console.error('   ❌ Error deleting file metadata:', error.message);
+    log.error('Deleting file metadata failed', { fileId, error });
     throw error;
   }
 }
@@ -189,80 +487,416 @@ async function fileExists(fileId) {
     const result = await client.execute(query, [fileId], { prepare: true });
     return result.rows.length > 0;
   } catch (error) {
-    console.error('Error checking file existence:', error.message);
+    log.error('Checking file existence failed', { fileId, error });
     return false;
   }
 }
 
+// ========== STORAGE USAGE ==========
+
+// Files and bytes stored per owner, kept in counters next to every files
+// write for the storage quotas. The '*' scope totals all owners, including
+// files that have none; Cassandra rejects empty partition keys, and no user
+// id can be "*".
+const ALL_OWNERS_SCOPE = '*';
+
+function sizeOf(row) {
+  return row.file_size ? Number(row.file_size.toString()) : 0;
+}
+
+function mapUsageRow(row) {
+  return {
+    files: row ? Number(row.files || 0) : 0,
+    bytes: row ? Number(row.bytes || 0) : 0
+  };
+}
+
+// [{ ownerId, files, bytes }] changes -> counter updates for each owner
+// and the total
+function usageQueries(changes) {
+  return changes.flatMap(({ ownerId, files, bytes }) => (ownerId ? [ownerId, ALL_OWNERS_SCOPE] : [ALL_OWNERS_SCOPE])
+    .map(scope => ({
+      query: 'UPDATE storage_usage SET files = files + ?, bytes = bytes + ? WHERE scope = ?',
+      params: [files, bytes, scope]
+    })));
+}
+
+/**
+ * Runs a logged batch of files writes together with the usage `changes`
+ * it makes. Counters can't join a logged batch, so usage is counted first:
+ * when that fails nothing is written and the error propagates. When the
+ * files batch then fails, the usage is counted back.
+ */
+async function writeWithUsage(queries, changes) {
+  if (changes.length > 0) {
+    await client.batch(usageQueries(changes), { prepare: true, counter: true });
+  }
+
+  try {
+    await client.batch(queries, { prepare: true });
+  } catch (error) {
+    if (changes.length > 0) {
+      const reverted = changes.map(change => ({ ...change, files: -change.files, bytes: -change.bytes }));
+      await client.batch(usageQueries(reverted), { prepare: true, counter: true }).catch((revertError) => {
+        log.error('Reverting storage usage failed; usage is now off', { changes, error: revertError });
+      });
+    }
+    throw error;
+  }
+}
+
+async function getUsage(ownerId = null) {
+  const query = 'SELECT files, bytes FROM storage_usage WHERE scope = ?';
+  const result = await client.execute(query, [ownerId || ALL_OWNERS_SCOPE], { prepare: true });
+  return mapUsageRow(result.first());
+}
+
+// The table holds one row per owner that ever stored a file, so it is
+// read whole.
+async function listUsage() {
+  const result = await client.execute('SELECT scope, files, bytes FROM storage_usage');
+
+  return result.rows
+    .filter(row => row.scope !== ALL_OWNERS_SCOPE)
+    .map(row => ({ ownerId: row.scope, ...mapUsageRow(row) }))
+    .filter(usage => usage.files > 0 || usage.bytes > 0);
+}
+
+// ========== ACCESS LOGS ==========
+
+// access_log_days scope for the days across all files. Cassandra rejects
+// empty partition keys, and no file id can be "*".
+const ALL_FILES_SCOPE = '*';
+
+function logDay(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function mapLogRow(row) {
+  return {
+    logId: row.log_id.toString(),
+    fileId: row.file_id,
+    clientId: row.client_id,
+    operationType: row.operation_type,
+    timestamp: row.timestamp
+  };
+}
+
+function accessLogWriteQueries(logId, fileId, clientId, operationType, timestamp) {
+  const day = logDay(timestamp);
+
+  return [
+    {
+      query: `INSERT INTO access_logs_by_file (file_id, day, log_id, client_id, operation_type, timestamp)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+      params: [fileId, day, logId, clientId, operationType, timestamp]
+    },
+    {
+      query: `INSERT INTO access_logs_by_day (day, log_id, file_id, client_id, operation_type, timestamp)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+      params: [day, logId, fileId, clientId, operationType, timestamp]
+    },
+    { query: 'INSERT INTO access_log_days (scope, day) VALUES (?, ?)', params: [fileId, day] },
+    { query: 'INSERT INTO access_log_days (scope, day) VALUES (?, ?)', params: [ALL_FILES_SCOPE, day] }
+  ];
+}
+
 async function logAccess(fileId, clientId, operationType) {
   try {
-    const query = `
-      INSERT INTO access_logs (log_id, file_id, client_id, operation_type, timestamp)
-      VALUES (now(), ?, ?, ?, toTimestamp(now()))
-    `;
-    
-    await client.execute(query, [fileId, clientId, operationType], { prepare: true });
+    const logId = cassandra.types.TimeUuid.now();
+    await client.batch(
+      accessLogWriteQueries(logId, fileId, clientId, operationType, logId.getDate()),
+      { prepare: true }
+    );
     
-    console.log(`   📝 Access logged: ${operationType} by ${clientId}`);
+    log.debug('Access logged', { fileId, operation: operationType, clientId });
     return true;
     
   } catch (error) {
-    console.error(`   ⚠️  Failed to log access:`, error.message);
+    log.warn('Logging access failed', { fileId, operation: operationType, error });
     return false;
   }
 }
 
-async function getAccessLogs(fileId, limit = 100) {
-  try {
-    const query = `
-      SELECT log_id, file_id, client_id, operation_type, timestamp
-      FROM access_logs
-      WHERE file_id = ?
-      LIMIT ?
+/**
+ * Lists access log entries newest first, for one file when `fileId` is set
+ * or across all files otherwise. `from`/`to` (Dates) bound the time window;
+ * `operation` and `clientId` filter entries. `cursor` is the `next` value of
+ * the previous page. Resolves with { logs, next }.
+ */
+async function listAccessLogs({ fileId = null, from, to, operation, clientId, limit = 100, cursor = null } = {}) {
+  const scope = fileId === null ? ALL_FILES_SCOPE : fileId;
+  const daysResult = await client.execute(
+    'SELECT day FROM access_log_days WHERE scope = ?', [scope], { prepare: true }
+  );
+
+  const fromDay = from ? logDay(from) : null;
+  const toDay = to ? logDay(to) : null;
+  const days = daysResult.rows
+    .map(row => row.day)
+    .filter(day => (fromDay === null || day >= fromDay) && (toDay === null || day <= toDay));
+
+  let query = fileId === null
+    ? 'SELECT * FROM access_logs_by_day WHERE day = ?'
+    : 'SELECT * FROM access_logs_by_file WHERE file_id = ? AND day = ?';
+  const windowParams = [];
+  if (from) {
+    query += ' AND log_id >= minTimeuuid(?)';
+    windowParams.push(from);
+  }
+  if (to) {
+    query += ' AND log_id <= maxTimeuuid(?)';
+    windowParams.push(to);
+  }
+
+  const { items: logs, next } = await scanBuckets({
+    buckets: days,
+    descending: true,
+    cursor,
+    limit,
+    query,
+    params: day => (fileId === null ? [day, ...windowParams] : [fileId, day, ...windowParams]),
+    accept: row => {
+      if (operation && row.operation_type !== operation) return null;
+      if (clientId && row.client_id !== clientId) return null;
+      return mapLogRow(row);
+    }
+  });
+
+  return { logs, next };
+}
+
+// Blob reference counts are updated with lightweight transactions (IF ...)
+// so concurrent uploads and deletes of the same content can't lose updates.
+// Each helper retries its compare-and-set a bounded number of times.
+const MAX_CAS_ATTEMPTS = 10;
+
+async function acquireBlob(contentHash, storageKey, fileSize, encryption = null) {
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const insertQuery = `
+      INSERT INTO blobs (content_hash, storage_key, file_size, ref_count, encryption, created_at)
+      VALUES (?, ?, ?, 1, ?, toTimestamp(now()))
+      IF NOT EXISTS
     `;
-    
-    const result = await client.execute(query, [fileId, limit], { prepare: true });
-    
-    return result.rows.map(row => ({
-      logId: row.log_id,
-      fileId: row.file_id,
-      clientId: row.client_id,
-      operationType: row.operation_type,
-      timestamp: row.timestamp
-    }));
-    
-  } catch (error) {
-    console.error('Error retrieving access logs:', error.message);
-    throw error;
+    const inserted = await client.execute(
+      insertQuery,
+      [contentHash, storageKey, fileSize, encryption ? JSON.stringify(encryption) : null],
+      { prepare: true }
+    );
+
+    if (inserted.wasApplied()) {
+      log.debug('New blob stored', { contentHash });
+      return { contentHash, storageKey, refCount: 1, encryption, deduplicated: false };
+    }
+
+    const existing = inserted.first();
+    const updateQuery = 'UPDATE blobs SET ref_count = ? WHERE content_hash = ? IF ref_count = ?';
+    const updated = await client.execute(
+      updateQuery,
+      [existing.ref_count + 1, contentHash, existing.ref_count],
+      { prepare: true }
+    );
+
+    if (updated.wasApplied()) {
+      log.debug('Blob reused', { contentHash, refCount: existing.ref_count + 1 });
+      return {
+        contentHash,
+        storageKey: storageKeyOf(existing),
+        refCount: existing.ref_count + 1,
+        encryption: parseEncryption(existing.encryption),
+        deduplicated: true
+      };
+    }
   }
+
+  throw new Error(`Could not acquire blob ${contentHash} after ${MAX_CAS_ATTEMPTS} attempts`);
 }
 
-async function getAllAccessLogs(limit = 1000) {
-  try {
-    const query = 'SELECT * FROM access_logs LIMIT ?';
-    const result = await client.execute(query, [limit]);
-    
-    return result.rows.map(row => ({
-      logId: row.log_id.toString(),
-      fileId: row.file_id,
-      clientId: row.client_id,
-      operationType: row.operation_type,
-      timestamp: row.timestamp
-    }));
-    
-  } catch (error) {
-    console.error('Error retrieving all access logs:', error.message);
-    throw error;
+async function releaseBlob(contentHash) {
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const selectQuery = 'SELECT storage_key, file_path, ref_count FROM blobs WHERE content_hash = ?';
+    const result = await client.execute(selectQuery, [contentHash], { prepare: true });
+
+    if (result.rows.length === 0) {
+      return { contentHash, tracked: false, storageKey: null, refCount: 0, removed: false };
+    }
+
+    const storageKey = storageKeyOf(result.rows[0]);
+    const refCount = result.rows[0].ref_count;
+    const remaining = Math.max(0, refCount - 1);
+
+    const query = remaining === 0
+      ? 'DELETE FROM blobs WHERE content_hash = ? IF ref_count = ?'
+      : 'UPDATE blobs SET ref_count = ? WHERE content_hash = ? IF ref_count = ?';
+    const params = remaining === 0
+      ? [contentHash, refCount]
+      : [remaining, contentHash, refCount];
+
+    const released = await client.execute(query, params, { prepare: true });
+
+    if (released.wasApplied()) {
+      log.debug('Blob released', { contentHash, refCount: remaining });
+      return { contentHash, tracked: true, storageKey, refCount: remaining, removed: remaining === 0 };
+    }
+  }
+
+  throw new Error(`Could not release blob ${contentHash} after ${MAX_CAS_ATTEMPTS} attempts`);
+}
+
+async function updateBlobKey(contentHash, storageKey) {
+  const query = 'UPDATE blobs SET storage_key = ? WHERE content_hash = ? IF EXISTS';
+  const result = await client.execute(query, [storageKey, contentHash], { prepare: true });
+  return result.wasApplied();
+}
+
+// Download grants count uses of signed URLs issued with a download limit,
+// with the same compare-and-set as the blob reference counts above.
+async function createDownloadGrant(urlId, fileId, maxDownloads, expiresAt) {
+  const ttl = Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000));
+  const query = `
+    INSERT INTO download_grants (url_id, file_id, max_downloads, downloads, expires_at)
+    VALUES (?, ?, ?, 0, ?)
+    USING TTL ?
+  `;
+  await client.execute(query, [urlId, fileId, maxDownloads, expiresAt, ttl], { prepare: true });
+  return true;
+}
+
+async function getDownloadGrant(urlId) {
+  const query = 'SELECT file_id, max_downloads, downloads, expires_at FROM download_grants WHERE url_id = ?';
+  const result = await client.execute(query, [urlId], { prepare: true });
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return { fileId: row.file_id, maxDownloads: row.max_downloads, downloads: row.downloads, expiresAt: row.expires_at };
+}
+
+async function useDownloadGrant(urlId) {
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const selectQuery = 'SELECT max_downloads, downloads, expires_at FROM download_grants WHERE url_id = ?';
+    const result = await client.execute(selectQuery, [urlId], { prepare: true });
+
+    if (result.rows.length === 0) return null;
+
+    const { max_downloads: maxDownloads, downloads, expires_at: expiresAt } = result.rows[0];
+    if (downloads >= maxDownloads) {
+      return { allowed: false, downloads, maxDownloads };
+    }
+
+    // Rewriting a column resets its TTL, so carry the remaining lifetime over.
+    const ttl = Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000));
+    const updateQuery = 'UPDATE download_grants USING TTL ? SET downloads = ? WHERE url_id = ? IF downloads = ?';
+    const updated = await client.execute(updateQuery, [ttl, downloads + 1, urlId, downloads], { prepare: true });
+
+    if (updated.wasApplied()) {
+      return { allowed: true, downloads: downloads + 1, maxDownloads };
+    }
   }
+
+  throw new Error(`Could not record download for signed URL ${urlId} after ${MAX_CAS_ATTEMPTS} attempts`);
+}
+
+async function updateBlobEncryption(contentHash, encryption) {
+  const query = 'UPDATE blobs SET encryption = ? WHERE content_hash = ? IF EXISTS';
+  const result = await client.execute(query, [JSON.stringify(encryption), contentHash], { prepare: true });
+  return result.wasApplied();
+}
+
+// Details are only written when given, so recording a copy again without
+// them keeps the ones already there.
+async function addReplica(fileId, nodeId, nodeAddress, storageKey, details = null) {
+  const storedAt = new Date();
+  const queries = [
+    {
+      query: `
+        INSERT INTO file_replicas (file_id, node_id, node_address, storage_key, stored_at)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+      params: [fileId, nodeId, nodeAddress, storageKey, storedAt]
+    },
+    details
+      ? {
+        query: `
+          INSERT INTO node_files (node_id, file_id, storage_key, file_name, file_size, content_hash, stored_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `,
+        params: [nodeId, fileId, storageKey, details.fileName, details.fileSize, details.contentHash, storedAt]
+      }
+      : {
+        query: 'INSERT INTO node_files (node_id, file_id, storage_key, stored_at) VALUES (?, ?, ?, ?)',
+        params: [nodeId, fileId, storageKey, storedAt]
+      }
+  ];
+
+  await client.batch(queries, { prepare: true });
+  log.debug('Replica recorded', { fileId, nodeId });
+  return true;
+}
+
+async function getReplicas(fileId) {
+  const query = 'SELECT * FROM file_replicas WHERE file_id = ?';
+  const result = await client.execute(query, [fileId], { prepare: true });
+
+  return result.rows.map(row => ({
+    fileId: row.file_id,
+    nodeId: row.node_id,
+    nodeAddress: row.node_address,
+    storageKey: storageKeyOf(row),
+    storedAt: row.stored_at
+  }));
+}
+
+async function getFilesForNode(nodeId) {
+  const query = 'SELECT * FROM node_files WHERE node_id = ?';
+  const result = await client.execute(query, [nodeId], { prepare: true });
+
+  return result.rows.map(row => ({
+    fileId: row.file_id,
+    storageKey: storageKeyOf(row),
+    fileName: row.file_name || null,
+    fileSize: row.file_size ? row.file_size.toString() : null,
+    contentHash: row.content_hash || null
+  }));
+}
+
+async function removeReplica(fileId, nodeId) {
+  const queries = [
+    { query: 'DELETE FROM file_replicas WHERE file_id = ? AND node_id = ?', params: [fileId, nodeId] },
+    { query: 'DELETE FROM node_files WHERE node_id = ? AND file_id = ?', params: [nodeId, fileId] }
+  ];
+
+  await client.batch(queries, { prepare: true });
+  return true;
+}
+
+async function deleteReplicas(fileId) {
+  const replicas = await getReplicas(fileId);
+
+  for (const replica of replicas) {
+    await removeReplica(fileId, replica.nodeId);
+  }
+
+  return replicas.length;
+}
+
+// Round-trips a trivial query so health checks notice a lost connection.
+async function checkHealth() {
+  const startedAt = Date.now();
+  const result = await client.execute('SELECT release_version FROM system.local');
+
+  return {
+    latencyMs: Date.now() - startedAt,
+    keyspace: config.keyspace,
+    version: result.rows.length > 0 ? result.rows[0].release_version : null
+  };
 }
 
 async function shutdown() {
-  console.log('\n👋 Shutting down Cassandra client...');
   try {
     await client.shutdown();
-    console.log('✅ Cassandra client closed successfully');
+    log.info('Cassandra client closed');
   } catch (error) {
-    console.error('❌ Error shutting down Cassandra client:', error.message);
+    log.error('Shutting down Cassandra client failed', { error });
   }
 }
 
@@ -271,11 +905,28 @@ module.exports = {
   storeFileMetadata,
   getFileMetadata,
   getAllFiles,
+  listFiles,
+  updateFileAccess,
+  updateFileEncryption,
   deleteFileMetadata,
   fileExists,
+  getUsage,
+  listUsage,
   logAccess,
-  getAccessLogs,
-  getAllAccessLogs,
+  listAccessLogs,
+  acquireBlob,
+  releaseBlob,
+  updateBlobKey,
+  updateBlobEncryption,
+  createDownloadGrant,
+  getDownloadGrant,
+  useDownloadGrant,
+  addReplica,
+  getReplicas,
+  getFilesForNode,
+  removeReplica,
+  deleteReplicas,
+  checkHealth,
   shutdown,
   client
 };
@@ -1,96 +1,51 @@
-// verification step which confirms the storage node is discoverable in the DHT network
-// and that the file location has been successfully published.
-const Hyperswarm = require('hyperswarm');
-const crypto = require('crypto');  // Node.js built-in crypto
-const b4a = require('b4a');
+// Publishes a local file on the DHT, then verifies it is discoverable by
+// looking its id up from a second swarm. Keeps serving until Ctrl-C.
+// Usage: node client-upload.js <file> [fileId]
+// Set DHT_BOOTSTRAP (and DHT_HOST) to use a private DHT.
+const StorageNode = require('../src/sdk/storage-node');
+const DHTClient = require('../src/sdk/dht-client');
+const { parseBootstrap } = require('../src/utils/dht-bootstrap');
 
-class IndexPublisher {
-  constructor() {
-    this.swarm = new Hyperswarm();
-    this.publishedFiles = new Map();
-    
-    console.log('📤 Index Publisher Client Starting...\n');
-  }
+async function main() {
+  const [filePath, fileId] = process.argv.slice(2);
 
-  async publishFileLocation(fileId, storageNodeAddress) {
-    console.log('📝 Publishing file location to DHT index...');
-    console.log(`🔑 File ID: ${fileId}`);
-    console.log(`📍 Storage Location: ${storageNodeAddress}`);
-    
-    // Create 32-byte topic using SHA-256
-    const topic = crypto.createHash('sha256')
-      .update(fileId)
-      .digest();
-    
-    console.log(`📦 Topic (32 bytes): ${topic.toString('hex').substring(0, 20)}...`);
-    
-    this.publishedFiles.set(fileId, {
-      storageNode: storageNodeAddress,
-      publishedAt: new Date().toISOString(),
-      topic: topic
-    });
-    
-    this.swarm.join(topic, { server: false, client: true });
-    
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Timeout: Could not find storage node'));
-      }, 5000);
-      
-      this.swarm.once('connection', (conn) => {
-        clearTimeout(timeout);
-        console.log('✅ Verified: Storage node is online and reachable!');
-        console.log('✅ File location successfully published to index!\n');
-        
-        conn.end();
-        resolve({
-          fileId,
-          location: storageNodeAddress,
-          topic: topic.toString('hex')
-        });
-      });
-    });
+  if (!filePath) {
+    console.error('Usage: node client-upload.js <file> [fileId]');
+    process.exit(1);
   }
 
-  getFileInfo(fileId) {
-    return this.publishedFiles.get(fileId);
-  }
+  const dht = { bootstrap: parseBootstrap(process.env.DHT_BOOTSTRAP), host: process.env.DHT_HOST };
+  const publisher = new StorageNode(dht);
+  const verifier = new DHTClient(dht);
 
-  async shutdown() {
-    console.log('\n👋 Shutting down publisher...');
-    await this.swarm.destroy();
-  }
-}
+  try {
+    console.log('📝 Publishing file to DHT index...');
+    const file = await publisher.publish(filePath, { fileId });
+    console.log(`🔑 File ID: ${file.fileId}`);
+    console.log(`📦 Topic (32 bytes): ${file.topic.substring(0, 20)}...`);
 
-// ========== USAGE ==========
+    const peers = await verifier.find(file.fileId);
+    if (peers.length === 0) {
+      throw new Error('Published file could not be found on the DHT');
+    }
+    console.log(`✅ Verified: ${peers.length} peer(s) announce this file`);
 
-async function main() {
-  const publisher = new IndexPublisher();
-  
-  try {
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    const result = await publisher.publishFileLocation(
-      'file-abc123',
-      '127.0.0.1:8080'
-    );
-    
-    console.log('📋 Publication Result:');
-    console.log(JSON.stringify(result, null, 2));
-    
-    console.log('\n💡 The file location is now indexed in the distributed network!');
-    console.log('💡 Any client can now query for "file-abc123" and find the storage node.\n');
-    
-    setTimeout(async () => {
-      await publisher.shutdown();
-      process.exit(0);
-    }, 3000);
-    
   } catch (error) {
     console.error('❌ Error:', error.message);
-    await publisher.shutdown();
+    await Promise.all([publisher.destroy(), verifier.destroy()]);
     process.exit(1);
   }
+
+  await verifier.destroy();
+  console.log('\n💡 Serving the file until Ctrl-C...\n');
+
+  process.on('SIGINT', async () => {
+    console.log('\n👋 Shutting down publisher...');
+    await publisher.destroy();
+    process.exit(0);
+  });
 }
 
-main();
+if (require.main === module) {
+  main();
+}
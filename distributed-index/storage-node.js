@@ -1,124 +1,45 @@
-const Hyperswarm = require('hyperswarm');
-const crypto = require('crypto');  // Node.js built-in crypto
-const b4a = require('b4a');
-const fs = require('fs');
+// Standalone storage node: announces every file in a directory on the DHT
+// and serves it to downloaders. Usage: node storage-node.js [dir]
+// Set DHT_BOOTSTRAP (and DHT_HOST) to use a private DHT.
 const path = require('path');
+const StorageNode = require('../src/sdk/storage-node');
+const { parseBootstrap } = require('../src/utils/dht-bootstrap');
 
-class StorageNode {
-  constructor(port = 8080) {
-    this.swarm = new Hyperswarm();
-    this.port = port;
-    this.storedFiles = new Map();
-    this.fileTopics = new Map();
-    
-    console.log('🗄️  Storage Node Initializing...');
-    console.log(`📍 Node Address: 127.0.0.1:${this.port}`);
-  }
-
-  async storeFile(fileId, filePath) {
-    console.log(`\n📁 Storing file: ${fileId}`);
-    
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+async function main() {
+  const dir = process.argv[2] || path.join(__dirname, 'files');
+  const storageNode = new StorageNode({ bootstrap: parseBootstrap(process.env.DHT_BOOTSTRAP), host: process.env.DHT_HOST });
 
-    this.storedFiles.set(fileId, filePath); // creates a mapping of fileId to filePath
-    
-    // Create 32-byte topic using SHA-256 // basically hashing the fileId
-    const topic = crypto.createHash('sha256')
-      .update(fileId)
-      .digest();
-    
-    this.fileTopics.set(fileId, topic);
-    
-    console.log(`File ID: ${fileId}`);
-    console.log(`Topic (32 bytes): ${topic.toString('hex').substring(0, 20)}...`);
-    console.log(`Local Path: ${filePath}`);
+  console.log('🗄️  Storage Node Initializing...');
+  console.log(`📁 Serving directory: ${path.resolve(dir)}`);
 
-    this.swarm.join(topic, { server: true, client: false });
-    await this.swarm.flush();
-    
-    console.log(`✅ File announced to network! Storage Node is ready to serve.`);
+  const files = await storageNode.serve(dir);
+  for (const file of files) {
+    console.log(`\n📁 Announced: ${file.fileName}`);
+    console.log(`   🔑 File ID: ${file.fileId}`);
+    console.log(`   📦 Topic: ${file.topic.substring(0, 20)}...`);
   }
 
-  startServer() {
-    this.swarm.on('connection', (conn, info) => {
-      console.log('\n🔗 Client connected! Processing request...');
-      
-      let requestData = '';
-      
-      conn.on('data', (data) => {
-        requestData += data.toString();
-        
-        if (requestData.includes('\n')) {
-          const fileId = requestData.trim();
-          console.log(`Client requested: ${fileId}`);
-          // checks if file exists in local storage
-          // if yes, sends file metadata and content in a json format to the client which requested it
-          if (this.storedFiles.has(fileId)) {
-            const filePath = this.storedFiles.get(fileId);
-            
-            try {
-              const fileContent = fs.readFileSync(filePath, 'utf-8');
-              const metadata = {
-                fileId: fileId,
-                fileName: path.basename(filePath),
-                size: fileContent.length,
-                content: fileContent
-              };
-              
-              conn.write(JSON.stringify(metadata));
-              console.log(`✅ Sent file to client: ${metadata.fileName} (${metadata.size} bytes)`);
-              
-            } catch (error) {
-              conn.write(JSON.stringify({ error: 'Failed to read file' }));
-              console.error('Error reading file:', error.message);
-            }
-          } else {
-            conn.write(JSON.stringify({ error: 'File not found' }));
-            console.log(`File not found: ${fileId}`);
-          }
-          
-          setTimeout(() => conn.end(), 100);
-        }
-      });
-      
-      conn.on('error', (err) => {
-        if (err.code !== 'ECONNRESET') {
-          console.error('Connection error:', err.message);
-        }
-      });
-    });
+  storageNode.on('sent', ({ fileId, bytes }) => {
+    console.log(`✅ Sent ${fileId} to a client (${bytes} bytes)`);
+  });
+  storageNode.on('requestError', (error) => {
+    console.error('❌ Request failed:', error.message);
+  });
 
-    console.log('\n🚀 Storage Node is running and listening for requests...\n');
-  }
+  console.log(`\n🚀 Storage Node is serving ${files.length} file(s). Press Ctrl-C to stop.\n`);
 
-  async shutdown() {
+  process.on('SIGINT', async () => {
     console.log('\n👋 Shutting down Storage Node...');
-    await this.swarm.destroy();
+    await storageNode.destroy();
     process.exit(0);
-  }
-}
-
-// ========== USAGE ==========
-
-const filesDir = path.join(__dirname, 'files');
-if (!fs.existsSync(filesDir)) {
-  fs.mkdirSync(filesDir);
+  });
 }
 
-const sampleFilePath = path.join(filesDir, 'hello-world.txt');
-fs.writeFileSync(sampleFilePath, 'Hello from the distributed file system! This is the actual file content stored on the storage node.');
-
-const storageNode = new StorageNode(8080);
-
-storageNode.storeFile('file-abc123', sampleFilePath)
-  .then(() => {
-    storageNode.startServer();
-  })
-  .catch(err => {
-    console.error('❌ Error:', err);
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Error:', err.message);
     process.exit(1);
   });
+}
 
-process.on('SIGINT', () => storageNode.shutdown());
+module.exports = StorageNode;
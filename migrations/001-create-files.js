@@ -0,0 +1,33 @@
+// The original schema: file metadata and the first, unpartitioned access
+// log. Keyspaces created before versioned migrations already have both.
+
+module.exports = {
+  description: 'Create "files" and "access_logs"',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.files (
+        file_id text PRIMARY KEY,
+        file_path text,
+        file_name text,
+        file_size bigint,
+        uploaded_at timestamp
+      )
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.access_logs (
+        log_id timeuuid PRIMARY KEY,
+        file_id text,
+        client_id text,
+        operation_type text,
+        timestamp timestamp
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.access_logs`);
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.files`);
+  }
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  description: 'Add "content_hash" to "files"',
+
+  // CREATE TABLE IF NOT EXISTS never added the column to older tables, so
+  // some keyspaces have it already and some do not.
+  async up(db) {
+    if (await db.columnExists('files', 'content_hash')) return;
+    await db.execute(`ALTER TABLE ${db.keyspace}.files ADD content_hash text`);
+  },
+
+  async down(db) {
+    if (!(await db.columnExists('files', 'content_hash'))) return;
+    await db.execute(`ALTER TABLE ${db.keyspace}.files DROP content_hash`);
+  }
+};
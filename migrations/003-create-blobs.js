@@ -0,0 +1,22 @@
+// Content-addressed blobs shared by every file with the same SHA-256,
+// reference counted so the bytes are removed with their last file.
+
+module.exports = {
+  description: 'Create "blobs"',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.blobs (
+        content_hash text PRIMARY KEY,
+        file_path text,
+        file_size bigint,
+        ref_count int,
+        created_at timestamp
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.blobs`);
+  }
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  description: 'Create "file_replicas" and "node_files"',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.file_replicas (
+        file_id text,
+        node_id text,
+        node_address text,
+        file_path text,
+        stored_at timestamp,
+        PRIMARY KEY (file_id, node_id)
+      )
+    `);
+
+    // Same rows keyed by node, so a node can find everything it holds.
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.node_files (
+        node_id text,
+        file_id text,
+        file_path text,
+        stored_at timestamp,
+        PRIMARY KEY (node_id, file_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.node_files`);
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.file_replicas`);
+  }
+};
@@ -0,0 +1,89 @@
+const cassandra = require('cassandra-driver');
+
+// Denormalized copies of "files" for GET /files, one per sort order, split
+// into buckets that sort in the same order as their rows. The bucket rules
+// are copied from db.js as they were when this migration was written, so
+// later changes there cannot change what it backfills.
+const INDEXES = {
+  uploadedAt: {
+    table: 'files_by_upload_date',
+    type: 'timestamp',
+    bucketOf: value => value.toISOString().substring(0, 7),
+    sortKey: row => row.uploaded_at || new Date(0)
+  },
+  name: {
+    table: 'files_by_name',
+    type: 'text',
+    bucketOf: value => Buffer.from(value).subarray(0, 1).toString('hex') || '00',
+    sortKey: row => (row.file_name || '').toLowerCase()
+  },
+  size: {
+    table: 'files_by_size',
+    type: 'bigint',
+    bucketOf: value => String(Math.floor(Math.log2(Number(value.toString()) + 1))).padStart(2, '0'),
+    sortKey: row => row.file_size || cassandra.types.Long.ZERO
+  }
+};
+
+module.exports = {
+  description: 'Create the file listing tables and index existing files',
+
+  async up(db) {
+    for (const index of Object.values(INDEXES)) {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS ${db.keyspace}.${index.table} (
+          bucket text,
+          sort_key ${index.type},
+          file_id text,
+          file_path text,
+          file_name text,
+          file_size bigint,
+          content_hash text,
+          uploaded_at timestamp,
+          PRIMARY KEY (bucket, sort_key, file_id)
+        )
+      `);
+    }
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.file_listing_buckets (
+        index_name text,
+        bucket text,
+        PRIMARY KEY (index_name, bucket)
+      )
+    `);
+
+    if (!(await db.tableExists('files'))) return;
+
+    const indexed = await db.eachRow(`SELECT * FROM ${db.keyspace}.files`, [], async (row) => {
+      const queries = [];
+      const uploadedAt = row.uploaded_at || new Date(0);
+
+      for (const [indexName, index] of Object.entries(INDEXES)) {
+        const sortKey = index.sortKey(row);
+        const bucket = index.bucketOf(sortKey);
+
+        queries.push({
+          query: `INSERT INTO ${db.keyspace}.${index.table} (bucket, sort_key, file_id, file_path, file_name, file_size, content_hash, uploaded_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          params: [bucket, sortKey, row.file_id, row.file_path, row.file_name, row.file_size, row.content_hash, uploadedAt]
+        });
+        queries.push({
+          query: `INSERT INTO ${db.keyspace}.file_listing_buckets (index_name, bucket) VALUES (?, ?)`,
+          params: [indexName, bucket]
+        });
+      }
+
+      await db.batch(queries);
+    });
+
+    if (indexed > 0) db.log(`📇 ${db.dryRun ? 'Would index' : 'Indexed'} ${indexed} existing file(s) for listing`);
+  },
+
+  async down(db) {
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.file_listing_buckets`);
+    for (const index of Object.values(INDEXES)) {
+      await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.${index.table}`);
+    }
+  }
+};
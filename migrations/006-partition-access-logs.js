@@ -0,0 +1,100 @@
+// Replaces access_logs, keyed by log_id alone, with tables partitioned by
+// file and day so logs can be paged per file and by time window. Every
+// entry is written under its file and under its day; access_log_days
+// records the days holding entries, per file and ('*' scope) overall.
+
+const ALL_FILES_SCOPE = '*';
+
+function logDay(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+module.exports = {
+  description: 'Partition access logs by file and day',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.access_logs_by_file (
+        file_id text,
+        day text,
+        log_id timeuuid,
+        client_id text,
+        operation_type text,
+        timestamp timestamp,
+        PRIMARY KEY ((file_id, day), log_id)
+      ) WITH CLUSTERING ORDER BY (log_id DESC)
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.access_logs_by_day (
+        day text,
+        log_id timeuuid,
+        file_id text,
+        client_id text,
+        operation_type text,
+        timestamp timestamp,
+        PRIMARY KEY (day, log_id)
+      ) WITH CLUSTERING ORDER BY (log_id DESC)
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.access_log_days (
+        scope text,
+        day text,
+        PRIMARY KEY (scope, day)
+      ) WITH CLUSTERING ORDER BY (day DESC)
+    `);
+
+    if (!(await db.tableExists('access_logs'))) return;
+
+    const copied = await db.eachRow(`SELECT * FROM ${db.keyspace}.access_logs`, [], async (row) => {
+      const timestamp = row.timestamp || row.log_id.getDate();
+      const day = logDay(timestamp);
+
+      await db.batch([
+        {
+          query: `INSERT INTO ${db.keyspace}.access_logs_by_file (file_id, day, log_id, client_id, operation_type, timestamp)
+                  VALUES (?, ?, ?, ?, ?, ?)`,
+          params: [row.file_id, day, row.log_id, row.client_id, row.operation_type, timestamp]
+        },
+        {
+          query: `INSERT INTO ${db.keyspace}.access_logs_by_day (day, log_id, file_id, client_id, operation_type, timestamp)
+                  VALUES (?, ?, ?, ?, ?, ?)`,
+          params: [day, row.log_id, row.file_id, row.client_id, row.operation_type, timestamp]
+        },
+        { query: `INSERT INTO ${db.keyspace}.access_log_days (scope, day) VALUES (?, ?)`, params: [row.file_id, day] },
+        { query: `INSERT INTO ${db.keyspace}.access_log_days (scope, day) VALUES (?, ?)`, params: [ALL_FILES_SCOPE, day] }
+      ]);
+    });
+
+    db.log(`📦 ${db.dryRun ? 'Would copy' : 'Copied'} ${copied} legacy access log entr${copied === 1 ? 'y' : 'ies'}`);
+    await db.execute(`DROP TABLE ${db.keyspace}.access_logs`);
+  },
+
+  async down(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.access_logs (
+        log_id timeuuid PRIMARY KEY,
+        file_id text,
+        client_id text,
+        operation_type text,
+        timestamp timestamp
+      )
+    `);
+
+    if (await db.tableExists('access_logs_by_day')) {
+      const copied = await db.eachRow(`SELECT * FROM ${db.keyspace}.access_logs_by_day`, [], async (row) => {
+        await db.batch([{
+          query: `INSERT INTO ${db.keyspace}.access_logs (log_id, file_id, client_id, operation_type, timestamp)
+                  VALUES (?, ?, ?, ?, ?)`,
+          params: [row.log_id, row.file_id, row.client_id, row.operation_type, row.timestamp]
+        }]);
+      });
+      db.log(`📦 ${db.dryRun ? 'Would copy' : 'Copied'} ${copied} access log entr${copied === 1 ? 'y' : 'ies'} back to access_logs`);
+    }
+
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.access_log_days`);
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.access_logs_by_day`);
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.access_logs_by_file`);
+  }
+};
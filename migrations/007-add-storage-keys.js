@@ -0,0 +1,59 @@
+const path = require('path');
+
+// Rows used to point at files by path; they now name a key in the blob
+// store instead. Every file so far was written flat into ./uploads, so the
+// key of an existing row is its file name, which the local blob store
+// still finds in the un-sharded layout.
+const TABLES = {
+  files: ['file_id'],
+  blobs: ['content_hash'],
+  file_replicas: ['file_id', 'node_id'],
+  node_files: ['node_id', 'file_id'],
+  files_by_upload_date: ['bucket', 'sort_key', 'file_id'],
+  files_by_name: ['bucket', 'sort_key', 'file_id'],
+  files_by_size: ['bucket', 'sort_key', 'file_id']
+};
+
+// Where releases before blob stores kept every file.
+const LEGACY_UPLOAD_DIR = 'uploads';
+
+async function copyColumn(db, table, from, to, convert) {
+  const keys = TABLES[table];
+  const where = keys.map(key => `${key} = ?`).join(' AND ');
+
+  return db.eachRow(`SELECT ${keys.join(', ')}, ${from}, ${to} FROM ${db.keyspace}.${table}`, [], async (row) => {
+    if (row[from] === null || row[to] !== null) return;
+
+    await db.batch([{
+      query: `UPDATE ${db.keyspace}.${table} SET ${to} = ? WHERE ${where}`,
+      params: [convert(row[from]), ...keys.map(key => row[key])]
+    }]);
+  });
+}
+
+module.exports = {
+  description: 'Store blob storage keys instead of file paths',
+
+  async up(db) {
+    for (const table of Object.keys(TABLES)) {
+      if (!(await db.columnExists(table, 'storage_key'))) {
+        await db.execute(`ALTER TABLE ${db.keyspace}.${table} ADD storage_key text`);
+      }
+      if (db.dryRun && !(await db.columnExists(table, 'storage_key'))) continue;
+
+      await copyColumn(db, table, 'file_path', 'storage_key', filePath => path.basename(filePath));
+    }
+  },
+
+  // Older releases read file_path, so rows written since the upgrade get
+  // one pointing into ./uploads. Blobs written since then sit in sharded
+  // directories and must be moved up into ./uploads before downgrading.
+  async down(db) {
+    for (const table of Object.keys(TABLES)) {
+      if (!(await db.columnExists(table, 'storage_key'))) continue;
+
+      await copyColumn(db, table, 'storage_key', 'file_path', key => `${LEGACY_UPLOAD_DIR}/${key}`);
+      await db.execute(`ALTER TABLE ${db.keyspace}.${table} DROP storage_key`);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+// Owner and visibility of each file, copied into the listing tables so
+// GET /files can tell which rows a caller may see without a second read.
+// Existing rows keep a null owner and visibility, which the server treats
+// as private to admins.
+const TABLES = ['files', 'files_by_upload_date', 'files_by_name', 'files_by_size'];
+
+const COLUMNS = {
+  owner_id: 'text',
+  visibility: 'text',
+  shared_with: 'set<text>'
+};
+
+module.exports = {
+  description: 'Add owner, visibility and sharing to files',
+
+  async up(db) {
+    for (const table of TABLES) {
+      for (const [column, type] of Object.entries(COLUMNS)) {
+        if (await db.columnExists(table, column)) continue;
+        await db.execute(`ALTER TABLE ${db.keyspace}.${table} ADD ${column} ${type}`);
+      }
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES) {
+      for (const column of Object.keys(COLUMNS)) {
+        if (!(await db.columnExists(table, column))) continue;
+        await db.execute(`ALTER TABLE ${db.keyspace}.${table} DROP ${column}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,22 @@
+// Download counts for signed retrieve URLs issued with a limit. Rows expire
+// with their URL through the TTL set when they are written.
+
+module.exports = {
+  description: 'Create "download_grants"',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.download_grants (
+        url_id text PRIMARY KEY,
+        file_id text,
+        max_downloads int,
+        downloads int,
+        expires_at timestamp
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.download_grants`);
+  }
+};
@@ -0,0 +1,21 @@
+// Encryption envelopes (JSON: key id, wrapped data key, ciphertext size and
+// hash) for files and the blobs they share. Null for plaintext blobs.
+const TABLES = ['files', 'blobs'];
+
+module.exports = {
+  description: 'Add encryption envelopes to files and blobs',
+
+  async up(db) {
+    for (const table of TABLES) {
+      if (await db.columnExists(table, 'encryption')) continue;
+      await db.execute(`ALTER TABLE ${db.keyspace}.${table} ADD encryption text`);
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES) {
+      if (!(await db.columnExists(table, 'encryption'))) continue;
+      await db.execute(`ALTER TABLE ${db.keyspace}.${table} DROP encryption`);
+    }
+  }
+};
@@ -0,0 +1,55 @@
+// Files and bytes stored per owner, which storage quotas are checked
+// against; the '*' scope holds the totals across all owners (Cassandra
+// rejects empty partition keys). Counter updates can't be repeated safely,
+// so the table is emptied before the existing files are counted into it.
+
+const ALL_OWNERS_SCOPE = '*';
+
+module.exports = {
+  description: 'Create "storage_usage" and count existing files',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${db.keyspace}.storage_usage (
+        scope text PRIMARY KEY,
+        files counter,
+        bytes counter
+      )
+    `);
+    if (!db.dryRun) await db.execute(`TRUNCATE ${db.keyspace}.storage_usage`);
+
+    if (!(await db.tableExists('files'))) return;
+    // A dry run from before 008 finds no owner_id yet; files then only
+    // count towards the total.
+    const owned = await db.columnExists('files', 'owner_id');
+
+    // scope -> { files, bytes }
+    const totals = new Map();
+    const count = (scope, bytes) => {
+      const total = totals.get(scope) || { files: 0, bytes: 0 };
+      total.files++;
+      total.bytes += bytes;
+      totals.set(scope, total);
+    };
+
+    const columns = owned ? 'owner_id, file_size' : 'file_size';
+    const counted = await db.eachRow(`SELECT ${columns} FROM ${db.keyspace}.files`, [], async (row) => {
+      const bytes = row.file_size ? Number(row.file_size.toString()) : 0;
+      if (row.owner_id) count(row.owner_id, bytes);
+      count(ALL_OWNERS_SCOPE, bytes);
+    });
+
+    for (const [scope, total] of totals) {
+      await db.execute(
+        `UPDATE ${db.keyspace}.storage_usage SET files = files + ?, bytes = bytes + ? WHERE scope = ?`,
+        [total.files, total.bytes, scope]
+      );
+    }
+
+    db.log(`📦 ${db.dryRun ? 'Would count' : 'Counted'} ${counted} existing file${counted === 1 ? '' : 's'} into storage usage`);
+  },
+
+  async down(db) {
+    await db.execute(`DROP TABLE IF EXISTS ${db.keyspace}.storage_usage`);
+  }
+};
@@ -0,0 +1,26 @@
+// Name, stored size and hash of each copy a node holds, so a node can
+// announce replicas of files it has no files row for (another node's
+// upload, with a per-node metadata store) after a restart.
+const COLUMNS = {
+  file_name: 'text',
+  file_size: 'bigint',
+  content_hash: 'text'
+};
+
+module.exports = {
+  description: 'Add file details to "node_files"',
+
+  async up(db) {
+    for (const [column, type] of Object.entries(COLUMNS)) {
+      if (await db.columnExists('node_files', column)) continue;
+      await db.execute(`ALTER TABLE ${db.keyspace}.node_files ADD ${column} ${type}`);
+    }
+  },
+
+  async down(db) {
+    for (const column of Object.keys(COLUMNS)) {
+      if (!(await db.columnExists('node_files', column))) continue;
+      await db.execute(`ALTER TABLE ${db.keyspace}.node_files DROP ${column}`);
+    }
+  }
+};
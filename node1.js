@@ -1,7 +1,10 @@
 const Hyperswarm = require('hyperswarm');
 const crypto = require('crypto');
+const { parseBootstrap, swarmOptions } = require('./src/utils/dht-bootstrap');
 
-const swarm1 = new Hyperswarm();
+// DHT_BOOTSTRAP (and DHT_HOST) switch to a private DHT, e.g. one from
+// "reslify bootstrap"
+const swarm1 = new Hyperswarm(swarmOptions({ bootstrap: parseBootstrap(process.env.DHT_BOOTSTRAP), host: process.env.DHT_HOST }));
 
 // Create a topic (32-byte key)
 const topic = crypto.createHash('sha256')
@@ -1,9 +1,11 @@
 const Hyperswarm = require('hyperswarm');
 const crypto = require('crypto');
+const { parseBootstrap, swarmOptions } = require('./src/utils/dht-bootstrap');
 
 // Wait a moment for Node 1 to be ready
 setTimeout(async () => {
-  const swarm2 = new Hyperswarm();
+  // Must use the same DHT as Node 1
+  const swarm2 = new Hyperswarm(swarmOptions({ bootstrap: parseBootstrap(process.env.DHT_BOOTSTRAP), host: process.env.DHT_HOST }));
 
   // Same topic as Node 1
   const topic = crypto.createHash('sha256')
@@ -1,99 +1,236 @@
+// Configuration is loaded before anything else is required: modules read
+// config/constants when they load, and flags must already be applied then.
+const { configure, ConfigError } = require('./src/config');
+
+let config;
+try {
+  config = configure({ argv: process.argv.slice(2) });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`\n❌ ${error.message}`);
+  console.error('📝 Settings come from defaults, a config file (--config, RESLIFY_CONFIG or ./reslify.config.json),');
+  console.error('   environment variables and --flags, see src/config/settings.js');
+  process.exit(1);
+}
+
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { PORT, UPLOAD_DIR } = require('./src/config/constants');
+const {
+  HOST,
+  PORT,
+  PUBLIC_URL,
+  UPLOAD_DIR,
+  UPLOAD_SESSION_GC_INTERVAL,
+  REPAIR_INTERVAL,
+  SERVER_ADDRESS,
+  DHT_BOOTSTRAP
+} = require('./src/config/constants');
+const { createMetadataStore, createBlobStore } = require('./src/stores');
 const DHTService = require('./src/services/dht.service');
+const UploadSessionService = require('./src/services/upload-session.service');
+const ReplicationService = require('./src/services/replication.service');
+const RepairService = require('./src/services/repair.service');
+const AuthService = require('./src/services/auth.service');
+const SignedUrlService = require('./src/services/signed-url.service');
+const EncryptionService = require('./src/services/encryption.service');
+const PeerAuthService = require('./src/services/peer-auth.service');
+const HealthService = require('./src/services/health.service');
+const QuotaService = require('./src/services/quota.service');
 const FileController = require('./src/controllers/file.controller');
+const UploadSessionController = require('./src/controllers/upload-session.controller');
+const AdminController = require('./src/controllers/admin.controller');
+const HealthController = require('./src/controllers/health.controller');
+const MetricsController = require('./src/controllers/metrics.controller');
+const UsageController = require('./src/controllers/usage.controller');
 const createFileRoutes = require('./src/routes/file.routes');
+const createUploadSessionRoutes = require('./src/routes/upload-session.routes');
+const createAdminRoutes = require('./src/routes/admin.routes');
+const createHealthRoutes = require('./src/routes/health.routes');
+const createMetricsRoutes = require('./src/routes/metrics.routes');
+const createUsageRoutes = require('./src/routes/usage.routes');
+const createUpload = require('./src/middleware/upload.middleware');
+const createAuthMiddleware = require('./src/middleware/auth.middleware');
+const createQuotaCheck = require('./src/middleware/quota.middleware');
+const recordRequestMetrics = require('./src/middleware/metrics.middleware');
+const assignRequestId = require('./src/middleware/request-id.middleware');
+const { storedCopyOf } = require('./src/utils/file-encryption');
+const { loadNodeKeyPair } = require('./src/utils/node-key');
+const { registry } = require('./src/utils/metrics');
+const { createLogger, bindToRequest } = require('./src/utils/logger');
 const { handleMulterErrors, handleGeneralErrors } = require('./src/middleware/error.middleware');
-const db = require('./db');
+
+const log = createLogger('server');
 
 if (!fs.existsSync(UPLOAD_DIR)) {
   fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-  console.log(`📁 Created uploads directory: ${UPLOAD_DIR}`);
+  log.info('Created uploads directory', { directory: UPLOAD_DIR });
 }
 
 const app = express();
-const dhtService = new DHTService();
-const fileController = new FileController(dhtService);
+const metadataStore = createMetadataStore();
+const blobStore = createBlobStore();
+const peerAuthService = new PeerAuthService(loadNodeKeyPair());
+const dhtService = new DHTService(blobStore, peerAuthService);
+const replicationService = new ReplicationService(dhtService, metadataStore, blobStore, peerAuthService);
+const signedUrlService = new SignedUrlService(metadataStore);
+const encryptionService = new EncryptionService(metadataStore);
+const quotaService = new QuotaService(metadataStore);
+const fileController = new FileController(
+  dhtService, replicationService, metadataStore, blobStore, signedUrlService, encryptionService, peerAuthService,
+  quotaService
+);
+const uploadSessionService = new UploadSessionService(blobStore, encryptionService, quotaService);
+const uploadSessionController = new UploadSessionController(uploadSessionService, fileController);
+const repairService = new RepairService(dhtService, replicationService, metadataStore, blobStore);
+const adminController = new AdminController(repairService, encryptionService, config);
+const healthController = new HealthController(new HealthService(metadataStore, blobStore, dhtService));
+const metricsController = new MetricsController(registry);
+const usageController = new UsageController(quotaService);
+const authService = new AuthService();
+const auth = createAuthMiddleware(authService);
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// First, so requests rejected by any later middleware are counted and
+// logged with their ID too
+app.use(assignRequestId);
+app.use(recordRequestMetrics);
+app.use(bindToRequest(express.json()));
+app.use(bindToRequest(express.urlencoded({ extended: true })));
+app.use(auth.authenticate);
 
-app.use('/', createFileRoutes(fileController));
+app.use('/', createHealthRoutes(healthController));
+app.use('/', createMetricsRoutes(metricsController));
+app.use('/', createFileRoutes(
+  fileController, createUpload(blobStore, encryptionService), auth, createQuotaCheck(quotaService)
+));
+app.use('/', createUploadSessionRoutes(uploadSessionController, auth));
+app.use('/', createUsageRoutes(usageController, auth));
+app.use('/', createAdminRoutes(adminController, auth));
 
 app.use(handleMulterErrors);
 app.use(handleGeneralErrors);
 
 async function rehydrateDHT() {
-  console.log('\n💧 Rehydrating DHT from Cassandra database...');
+  log.info('Rehydrating DHT', { metadataStore: metadataStore.name });
   
   try {
-    const files = await db.getAllFiles();
+    const files = await metadataStore.getAllFiles();
+    // Replicas received from other nodes are stored under this node's own
+    // key, not the uploader's key stored in the files table.
+    const localCopies = new Map(
+      (await metadataStore.getFilesForNode(replicationService.nodeId)).map(copy => [copy.fileId, copy])
+    );
     
-    if (files.length === 0) {
-      console.log('   ℹ️  No files in database to rehydrate');
+    if (files.length === 0 && localCopies.size === 0) {
+      log.info('No files in database to rehydrate');
       return;
     }
     
-    console.log(`   📦 Found ${files.length} file(s) in database`);
+    let announced = 0;
     
     for (const file of files) {
-      if (fs.existsSync(file.filePath)) {
+      const copy = localCopies.get(file.fileId);
+      localCopies.delete(file.fileId);
+      const storageKey = copy ? copy.storageKey : file.storageKey;
+      
+      if (storageKey && await blobStore.exists(storageKey)) {
+        const stored = storedCopyOf(file);
         await dhtService.announceFile(
           file.fileId,
-          file.filePath,
+          storageKey,
           file.fileName,
-          parseInt(file.fileSize)
+          stored.size,
+          stored.contentHash
         );
-        console.log(`   ✅ Rehydrated: ${file.fileName}`);
+        announced++;
+      } else {
+        log.warn('File missing from blob store', { fileId: file.fileId, fileName: file.fileName, blobStore: blobStore.name });
+      }
+    }
+
+    // What is left are replicas of files this node's metadata store has no
+    // row for: uploads to another node, when each node keeps its own store.
+    // They are announced with the details recorded when they arrived.
+    for (const copy of localCopies.values()) {
+      if (!copy.contentHash) {
+        log.warn('Replica has no recorded details, not announcing', { fileId: copy.fileId });
+      } else if (copy.storageKey && await blobStore.exists(copy.storageKey)) {
+        await dhtService.announceFile(copy.fileId, copy.storageKey, copy.fileName, copy.fileSize, copy.contentHash);
+        announced++;
       } else {
-        console.log(`   ⚠️  File missing on disk: ${file.fileName}`);
+        log.warn('Replica missing from blob store', { fileId: copy.fileId, blobStore: blobStore.name });
       }
     }
     
-    console.log(`   🎉 DHT rehydration complete!`);
+    log.info('DHT rehydration complete', { files: files.length, replicas: localCopies.size, announced });
     
   } catch (error) {
-    console.error('   ❌ Error during DHT rehydration:', error.message);
+    log.error('DHT rehydration failed', { error });
     // Don't throw - rehydration failure shouldn't prevent server startup
   }
 }
 
 async function startServer() {
   try {
-    // STEP 1: Initialize database FIRST
-    await db.initializeDatabase();
+    // STEP 1: Initialize the metadata store FIRST
+    await metadataStore.initialize();
     
-    // STEP 2: Then rehydrate DHT (after database is ready)
+    // STEP 2: Join the storage cluster so peers can push replicas to us
+    try {
+      await replicationService.start();
+    } catch (error) {
+      log.error('Could not join storage cluster', { error });
+      // Don't throw - this node still serves its own files without peers
+    }
+
+    // STEP 3: Then rehydrate DHT (after database is ready)
     await rehydrateDHT();
 
-    // STEP 3: Finally start Express server
-    const server = app.listen(PORT, () => {
-      console.log('\n' + '='.repeat(60));
-      console.log('🚀 DHT FILE SERVER WITH PERSISTENT STORAGE');
-      console.log('='.repeat(60));
-      console.log(`📍 Server running at: http://localhost:${PORT}`);
-      console.log(`📁 Upload directory: ${path.resolve(UPLOAD_DIR)}`);
-      console.log(`🌐 DHT network: Active and listening`);
-      console.log(`💾 Cassandra database: Connected and persistent`);
-      console.log(`✨ Storage type: PERSISTENT (survives restarts)`);
-      console.log('\n📚 Available Endpoints:');
-      console.log(`   POST http://localhost:${PORT}/upload           - Upload files`);
-      console.log(`   GET  http://localhost:${PORT}/retrieve/:fileId - Download files`);
-      console.log(`   GET  http://localhost:${PORT}/files            - List files`);
-      console.log(`   GET  http://localhost:${PORT}/logs             - View access logs`);
-      console.log(`   GET  http://localhost:${PORT}/health           - Health check`);
-      console.log('\n💡 Ready to accept file uploads and retrieve requests!');
-      console.log('='.repeat(60) + '\n');
+    // STEP 4: Clean up abandoned resumable uploads now and periodically
+    await uploadSessionService.sweepExpired();
+    uploadSessionService.startGarbageCollector(UPLOAD_SESSION_GC_INTERVAL);
+
+    // STEP 5: Keep replica counts up and damaged copies repaired in the background
+    repairService.start(REPAIR_INTERVAL);
+
+    // STEP 6: Finally start Express server
+    const server = app.listen(PORT, HOST, () => {
+      log.info('DHT file server started', {
+        url: PUBLIC_URL,
+        listen: `${HOST}:${PORT}`,
+        publicAddress: SERVER_ADDRESS,
+        configFile: config.file,
+        uploadDir: path.resolve(UPLOAD_DIR),
+        dhtBootstrap: DHT_BOOTSTRAP.length > 0 ? DHT_BOOTSTRAP : 'public',
+        nodeId: replicationService.nodeId,
+        dhtPeers: peerAuthService.openCluster ? 'all trusted' : `${peerAuthService.trustedPeers.size} trusted`,
+        metadataStore: metadataStore.name,
+        blobStore: blobStore.name,
+        authentication: authService.configured ? 'api keys / signed tokens' : 'none configured',
+        anonymous: authService.allowAnonymous,
+        encryptionAtRest: encryptionService.enabled ? encryptionService.currentKeyId : false
+      });
+      if (!authService.configured && !authService.allowAnonymous) {
+        log.warn('No AUTH_API_KEYS or AUTH_JWT_SECRET set: every authenticated endpoint will answer 401');
+      }
+      if (peerAuthService.openCluster) {
+        log.warn('DHT_TRUSTED_PEERS=*: any peer may push replicas to this node and download its files');
+      }
+      if (signedUrlService.ephemeral) {
+        log.warn('No SIGNED_URL_SECRET set: signed URLs stop working when this server restarts');
+      }
+      log.info('Ready to accept file uploads and retrieve requests');
     });
 
     global.serverInstance = server;
 
   } catch (error) {
-    console.error('\n❌ Failed to start server:', error.message);
-    console.error('📝 Make sure Cassandra is running: docker start my-cassandra');
-    console.error('📝 Wait 60 seconds after starting Cassandra before running server');
+    log.error('Failed to start server', {
+      error,
+      hint: metadataStore.name === 'cassandra'
+        ? 'Make sure Cassandra is running (docker start my-cassandra) and give it 60 seconds, or run without it: METADATA_STORE=embedded npm start'
+        : undefined
+    });
     process.exit(1);
   }
 }
@@ -101,27 +238,30 @@ async function startServer() {
 startServer();
 
 process.on('SIGINT', async () => {
-  console.log('\n\n🛑 Received shutdown signal...');
+  log.info('Received shutdown signal');
   
   if (global.serverInstance) {
     global.serverInstance.close(() => {
-      console.log('✅ Express server closed');
+      log.info('Express server closed');
     });
   }
   
+  uploadSessionService.stopGarbageCollector();
+  repairService.stop();
+  await replicationService.shutdown();
   await dhtService.shutdown();
-  await db.shutdown();
+  await metadataStore.shutdown();
   
-  console.log('👋 Server shutdown complete');
+  log.info('Server shutdown complete');
   process.exit(0);
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
+  log.error('Uncaught exception', { error });
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  log.error('Unhandled rejection', { error: reason });
   process.exit(1);
 });
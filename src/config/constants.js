@@ -1,8 +1,16 @@
+// Everything configurable is described in settings.js and loaded by
+// config/index.js (defaults, config file, environment, flags). What stays
+// here is fixed by the on-disk and wire formats.
+const { current } = require('./index');
+
+const { values } = current();
+
 module.exports = {
-  PORT: 3000,
-  UPLOAD_DIR: './uploads',
-  MAX_FILE_SIZE: 10 * 1024 * 1024,
-  get SERVER_ADDRESS() {
-    return `127.0.0.1:${this.PORT}`;
-  }
+  ...values,
+  // The address reported to other nodes and in X-Server-Address
+  SERVER_ADDRESS: values.PUBLIC_ADDRESS,
+  // Changing it would strand blobs already written under the old layout
+  BLOB_SHARD_DEPTH: 2,
+  ENCRYPTION_CHUNK_SIZE: 64 * 1024,
+  DHT_CHUNK_SIZE: 64 * 1024
 };
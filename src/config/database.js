@@ -0,0 +1,88 @@
+// Cassandra connection and keyspace settings, taken from the loaded
+// configuration (settings.js) so Docker and local runs can point at
+// different clusters.
+const { current } = require('./index');
+
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_]{0,47}$/;
+const DATACENTER_NAME = /^[A-Za-z0-9_.-]+$/;
+
+function parseFactor(value, name) {
+  const factor = Number(value);
+  if (!Number.isInteger(factor) || factor < 1) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return factor;
+}
+
+// "dc1:3,dc2:2" -> { dc1: 3, dc2: 2 }
+function parseDatacenters(value) {
+  const datacenters = {};
+
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, factor] = entry.split(':').map(part => part.trim());
+    if (!DATACENTER_NAME.test(name || '') || factor === undefined) {
+      throw new Error(`Invalid CASSANDRA_REPLICATION_DATACENTERS entry "${entry}", expected <datacenter>:<factor>`);
+    }
+    datacenters[name] = parseFactor(factor, `Replication factor for ${name}`);
+  }
+
+  if (Object.keys(datacenters).length === 0) {
+    throw new Error('CASSANDRA_REPLICATION_DATACENTERS lists no datacenters');
+  }
+  return datacenters;
+}
+
+/**
+ * Builds the keyspace replication map, e.g.
+ * { class: 'SimpleStrategy', replication_factor: 1 } or
+ * { class: 'NetworkTopologyStrategy', dc1: 3, dc2: 2 }.
+ *
+ * NetworkTopologyStrategy takes its datacenters from
+ * CASSANDRA_REPLICATION_DATACENTERS, or places CASSANDRA_REPLICATION_FACTOR
+ * copies in the local datacenter when that is unset.
+ */
+function loadReplication(settings, localDataCenter) {
+  const strategy = settings.CASSANDRA_REPLICATION_STRATEGY;
+  const factor = settings.CASSANDRA_REPLICATION_FACTOR;
+
+  if (strategy === 'SimpleStrategy') {
+    return { class: strategy, replication_factor: factor };
+  }
+
+  const datacenters = settings.CASSANDRA_REPLICATION_DATACENTERS
+    ? parseDatacenters(settings.CASSANDRA_REPLICATION_DATACENTERS)
+    : { [localDataCenter]: factor };
+  return { class: strategy, ...datacenters };
+}
+
+function loadDatabaseConfig(settings = current().values) {
+  const keyspace = settings.CASSANDRA_KEYSPACE;
+  if (!IDENTIFIER.test(keyspace)) {
+    throw new Error(`CASSANDRA_KEYSPACE "${keyspace}" is not a valid keyspace name`);
+  }
+
+  const localDataCenter = settings.CASSANDRA_LOCAL_DATACENTER;
+
+  return {
+    contactPoints: settings.CASSANDRA_CONTACT_POINTS,
+    localDataCenter,
+    keyspace,
+    replication: loadReplication(settings, localDataCenter),
+    // When false the server refuses to start with pending migrations
+    // instead of applying them; run "npm run migrate -- up" first.
+    autoMigrate: settings.CASSANDRA_AUTO_MIGRATE
+  };
+}
+
+// CQL map literal for a replication map: {'class': 'SimpleStrategy', ...}
+function replicationToCql(replication) {
+  const entries = Object.entries(replication).map(([key, value]) => `'${key}': ${
+    typeof value === 'number' ? value : `'${value}'`
+  }`);
+  return `{ ${entries.join(', ')} }`;
+}
+
+module.exports = {
+  loadDatabaseConfig,
+  replicationToCql
+};
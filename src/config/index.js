@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const SETTINGS = require('./settings');
+
+// Picked up from the working directory when no --config / RESLIFY_CONFIG is given
+const DEFAULT_CONFIG_FILE = 'reslify.config.json';
+const MASK = '********';
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+const ADDRESS_REGEX = /^(\[[0-9a-f:.]+\]|[^\s:/[\]]+):(\d{1,5})$/i;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+const BY_NAME = new Map(SETTINGS.map(setting => [setting.name, setting]));
+const BY_FLAG = new Map(SETTINGS.map(setting => [flagName(setting), setting]));
+
+// PUBLIC_ADDRESS -> public-address
+function flagName(setting) {
+  return setting.name.toLowerCase().replace(/_/g, '-');
+}
+
+function isAddress(value) {
+  const match = ADDRESS_REGEX.exec(value);
+  return Boolean(match) && Number(match[2]) >= 1 && Number(match[2]) <= 65535;
+}
+
+// "db=debug"
+function isModuleLevel(value, levels) {
+  const match = /^([\w-]+)\s*=\s*(\w+)$/.exec(value);
+  return Boolean(match) && levels.includes(match[2]);
+}
+
+// "alice=1073741824"
+function isOwnerQuota(value) {
+  return /^[^=\s]+\s*=\s*\d+$/.test(value);
+}
+
+/**
+ * Converts a raw value (a string from the environment or a flag, or any
+ * JSON value from the config file) to the setting's type. Throws a plain
+ * Error describing the problem.
+ */
+function coerce(setting, raw) {
+  switch (setting.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+      if (!Number.isSafeInteger(value)) throw new Error(`must be an integer, got "${raw}"`);
+      if (setting.min !== undefined && value < setting.min) throw new Error(`must be at least ${setting.min}, got ${value}`);
+      if (setting.max !== undefined && value > setting.max) throw new Error(`must be at most ${setting.max}, got ${value}`);
+      return value;
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return true;
+      if (['false', '0', 'no', 'off'].includes(text)) return false;
+      throw new Error(`must be true or false, got "${raw}"`);
+    }
+
+    case 'enum': {
+      const value = String(raw).trim();
+      if (!setting.values.includes(value)) throw new Error(`must be one of ${setting.values.join(', ')}, got "${raw}"`);
+      return value;
+    }
+
+    case 'list': {
+      if (!Array.isArray(raw) && typeof raw !== 'string') throw new Error('must be a list or a comma-separated string');
+      const items = (Array.isArray(raw) ? raw : raw.split(',')).map(item => String(item).trim()).filter(Boolean);
+      if (setting.item === 'address') {
+        const invalid = items.filter(item => !isAddress(item));
+        if (invalid.length > 0) throw new Error(`entries must be host:port, got "${invalid.join('", "')}"`);
+      }
+      if (setting.item === 'module-level') {
+        const invalid = items.filter(item => !isModuleLevel(item, setting.values));
+        if (invalid.length > 0) {
+          throw new Error(`entries must be module=level with a level of ${setting.values.join(', ')}, got "${invalid.join('", "')}"`);
+        }
+      }
+      if (setting.item === 'owner-quota') {
+        const invalid = items.filter(item => !isOwnerQuota(item));
+        if (invalid.length > 0) throw new Error(`entries must be owner=bytes, got "${invalid.join('", "')}"`);
+      }
+      return items;
+    }
+
+    default:
+      if (typeof raw !== 'string' && typeof raw !== 'number') throw new Error(`must be a string, got ${JSON.stringify(raw)}`);
+      return String(raw);
+  }
+}
+
+/**
+ * Splits server arguments into { configFile, values } where values maps
+ * setting names to raw strings. Accepts "--name value" and "--name=value";
+ * boolean settings also take a bare "--name" (true) or "--no-name".
+ */
+function parseFlags(argv, problems) {
+  const values = {};
+  let configFile;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/s.exec(arg);
+    if (!match) {
+      problems.push(`Unexpected argument "${arg}"`);
+      continue;
+    }
+
+    let [, name, value] = match;
+    const negated = name.startsWith('no-') && BY_FLAG.get(name.substring(3))?.type === 'boolean';
+    const setting = negated ? BY_FLAG.get(name.substring(3)) : BY_FLAG.get(name);
+
+    if (name !== 'config' && !setting) {
+      problems.push(`Unknown option --${name}`);
+      continue;
+    }
+
+    if (setting && setting.type === 'boolean' && value === undefined) {
+      value = negated ? 'false' : 'true';
+    } else if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        problems.push(`Option --${name} needs a value`);
+        continue;
+      }
+      i++;
+    }
+
+    if (name === 'config') configFile = value;
+    else values[setting.name] = value;
+  }
+
+  return { configFile, values };
+}
+
+function readConfigFile(file, problems) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    problems.push(`Config file ${file} could not be read: ${error.message}`);
+    return {};
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    problems.push(`Config file ${file} must hold a JSON object of settings`);
+    return {};
+  }
+
+  for (const name of Object.keys(parsed)) {
+    if (!BY_NAME.has(name)) {
+      problems.push(`Config file ${file} sets unknown setting "${name}"`);
+      delete parsed[name];
+    }
+  }
+  return parsed;
+}
+
+// Settings checked against each other once every layer is applied
+function checkRelations(values, problems) {
+  if (values.SIGNED_URL_DEFAULT_TTL > values.SIGNED_URL_MAX_TTL) {
+    problems.push('SIGNED_URL_DEFAULT_TTL must not exceed SIGNED_URL_MAX_TTL');
+  }
+  if (values.DHT_CAPABILITY_DEFAULT_TTL > values.DHT_CAPABILITY_MAX_TTL) {
+    problems.push('DHT_CAPABILITY_DEFAULT_TTL must not exceed DHT_CAPABILITY_MAX_TTL');
+  }
+  if (values.MAX_FILE_SIZE > values.MAX_RESUMABLE_FILE_SIZE) {
+    problems.push('MAX_FILE_SIZE must not exceed MAX_RESUMABLE_FILE_SIZE');
+  }
+  if (values.PUBLIC_ADDRESS && !isAddress(values.PUBLIC_ADDRESS)) {
+    problems.push(`PUBLIC_ADDRESS must be host:port, got "${values.PUBLIC_ADDRESS}"`);
+  }
+  if (values.PUBLIC_URL) {
+    let url = null;
+    try {
+      url = new URL(values.PUBLIC_URL);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`PUBLIC_URL must be an http(s) URL, got "${values.PUBLIC_URL}"`);
+    }
+  }
+}
+
+/**
+ * Builds the effective configuration from, in increasing precedence,
+ * the defaults in settings.js, a JSON config file (--config, RESLIFY_CONFIG
+ * or ./reslify.config.json), environment variables and command-line flags.
+ * Every problem found is reported at once in a ConfigError.
+ *
+ * Returns { values, sources, file } where sources tells, per setting,
+ * which layer its value came from.
+ */
+function loadConfig({ argv = [], env = process.env, cwd = process.cwd() } = {}) {
+  const problems = [];
+  const values = {};
+  const sources = {};
+  const flags = parseFlags(argv, problems);
+
+  const apply = (layer, raw, label) => {
+    for (const [name, value] of Object.entries(raw)) {
+      try {
+        values[name] = coerce(BY_NAME.get(name), value);
+        sources[name] = layer;
+      } catch (error) {
+        problems.push(`${name} (${label}) ${error.message}`);
+      }
+    }
+  };
+
+  for (const setting of SETTINGS) {
+    values[setting.name] = setting.default;
+    sources[setting.name] = 'default';
+  }
+
+  let file = flags.configFile || env.RESLIFY_CONFIG || null;
+  if (!file && fs.existsSync(path.join(cwd, DEFAULT_CONFIG_FILE))) {
+    file = DEFAULT_CONFIG_FILE;
+  }
+  if (file) {
+    file = path.resolve(cwd, file);
+    apply('file', readConfigFile(file, problems), `in ${path.basename(file)}`);
+  }
+
+  const fromEnv = {};
+  for (const setting of SETTINGS) {
+    // Empty variables count as unset, as compose files often leave them
+    if (env[setting.name] !== undefined && env[setting.name] !== '') fromEnv[setting.name] = env[setting.name];
+  }
+  apply('env', fromEnv, 'from the environment');
+  apply('flag', flags.values, 'from the command line');
+
+  checkRelations(values, problems);
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  if (!values.PUBLIC_ADDRESS) {
+    const host = WILDCARD_HOSTS.includes(values.HOST) ? '127.0.0.1' : values.HOST;
+    values.PUBLIC_ADDRESS = `${host.includes(':') ? `[${host}]` : host}:${values.PORT}`;
+    sources.PUBLIC_ADDRESS = 'derived';
+  }
+  if (!values.PUBLIC_URL) {
+    values.PUBLIC_URL = `http://${values.PUBLIC_ADDRESS}`;
+    sources.PUBLIC_URL = 'derived';
+  }
+  values.PUBLIC_URL = values.PUBLIC_URL.replace(/\/+$/, '');
+
+  return { values, sources, file };
+}
+
+let active = null;
+
+/**
+ * Loads the configuration the rest of the process will see. The server
+ * calls this with its arguments before requiring anything that reads
+ * config/constants; other entry points get defaults, file and environment.
+ */
+function configure(options) {
+  active = loadConfig(options);
+  return active;
+}
+
+function current() {
+  return active || configure();
+}
+
+// The effective configuration for GET /config, with secrets masked.
+function describeConfig(config = current()) {
+  const settings = {};
+
+  for (const setting of SETTINGS) {
+    const value = config.values[setting.name];
+    const hidden = setting.secret && value !== '' && value !== undefined;
+    settings[setting.name] = {
+      value: hidden ? MASK : value,
+      source: config.sources[setting.name],
+      ...(setting.secret ? { secret: true } : {}),
+      description: setting.description
+    };
+  }
+
+  return { file: config.file, settings };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  configure,
+  current,
+  describeConfig
+};
@@ -0,0 +1,162 @@
+// Every setting a node reads at startup. Each one can be given, from lowest
+// to highest precedence, by its default, under its name in the config file,
+// as an environment variable of the same name and as a --kebab-case flag
+// (PUBLIC_ADDRESS -> --public-address).
+//
+// Types: string, integer (min/max), boolean, enum (values), list (comma
+// separated or a JSON array; item: 'address' requires host:port entries,
+// item: 'module-level' "module=level" entries with a level from values).
+// Secrets are masked in GET /config.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MB = 1024 * 1024;
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const SETTINGS = [
+  // Network
+  { name: 'HOST', type: 'string', default: '0.0.0.0',
+    description: 'Interface the HTTP server binds to' },
+  { name: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535,
+    description: 'HTTP port' },
+  { name: 'PUBLIC_ADDRESS', type: 'string', default: '',
+    description: 'host:port other nodes and clients reach this node at (X-Server-Address, DHT announcements); defaults to HOST:PORT, or 127.0.0.1:PORT when HOST is a wildcard' },
+  { name: 'PUBLIC_URL', type: 'string', default: '',
+    description: 'Base URL used in retrieve and signed URLs; defaults to http://PUBLIC_ADDRESS' },
+
+  // Storage
+  { name: 'UPLOAD_DIR', type: 'string', default: './uploads',
+    description: 'Node-local working files: upload sessions, peer cache, node key' },
+  { name: 'METADATA_STORE', type: 'enum', values: ['cassandra', 'embedded'], default: 'cassandra',
+    description: 'Where file metadata lives; "embedded" keeps it in files under METADATA_DIR' },
+  { name: 'METADATA_DIR', type: 'string', default: './data',
+    description: 'Directory of the embedded metadata store' },
+  { name: 'BLOB_STORE', type: 'enum', values: ['local', 's3'], default: 'local',
+    description: 'Where file bytes live: sharded under BLOB_DIR, or S3' },
+  { name: 'BLOB_DIR', type: 'string', default: './uploads',
+    description: 'Root of the local blob store' },
+  { name: 'S3_ENDPOINT', type: 'string', default: 'https://s3.amazonaws.com',
+    description: 'S3 endpoint URL' },
+  { name: 'S3_REGION', type: 'string', default: 'us-east-1',
+    description: 'S3 region' },
+  { name: 'S3_BUCKET', type: 'string', default: 'reslify',
+    description: 'S3 bucket' },
+  { name: 'S3_PREFIX', type: 'string', default: '',
+    description: 'Key prefix inside the bucket' },
+  { name: 'S3_ACCESS_KEY_ID', type: 'string', default: '', secret: true,
+    description: 'S3 access key id' },
+  { name: 'S3_SECRET_ACCESS_KEY', type: 'string', default: '', secret: true,
+    description: 'S3 secret access key' },
+  { name: 'S3_FORCE_PATH_STYLE', type: 'boolean', default: true,
+    description: 'Use endpoint/bucket/key URLs (MinIO and most stand-ins)' },
+
+  // Cassandra
+  { name: 'CASSANDRA_CONTACT_POINTS', type: 'list', default: ['127.0.0.1'],
+    description: 'Cassandra hosts to connect to' },
+  { name: 'CASSANDRA_LOCAL_DATACENTER', type: 'string', default: 'datacenter1',
+    description: 'Datacenter the driver treats as local' },
+  { name: 'CASSANDRA_KEYSPACE', type: 'string', default: 'fs_metadata',
+    description: 'Keyspace holding the metadata tables' },
+  { name: 'CASSANDRA_REPLICATION_STRATEGY', type: 'enum', values: ['SimpleStrategy', 'NetworkTopologyStrategy'], default: 'SimpleStrategy',
+    description: 'Keyspace replication strategy' },
+  { name: 'CASSANDRA_REPLICATION_FACTOR', type: 'integer', default: 1, min: 1,
+    description: 'Copies kept by SimpleStrategy, or in the local datacenter by NetworkTopologyStrategy' },
+  { name: 'CASSANDRA_REPLICATION_DATACENTERS', type: 'string', default: '',
+    description: 'NetworkTopologyStrategy factors as "dc1:3,dc2:2"' },
+  { name: 'CASSANDRA_AUTO_MIGRATE', type: 'boolean', default: true,
+    description: 'Apply pending migrations at startup instead of refusing to start' },
+
+  // Authentication
+  { name: 'AUTH_API_KEYS', type: 'string', default: '', secret: true,
+    description: 'Comma-separated "user=key" API keys' },
+  { name: 'AUTH_JWT_SECRET', type: 'string', default: '', secret: true,
+    description: 'HS256 secret for "Authorization: Bearer" tokens' },
+  { name: 'AUTH_JWT_ISSUER', type: 'string', default: '',
+    description: 'Required "iss" of signed tokens' },
+  { name: 'AUTH_JWT_AUDIENCE', type: 'string', default: '',
+    description: 'Required "aud" of signed tokens' },
+  { name: 'AUTH_ADMIN_USERS', type: 'string', default: '',
+    description: 'Comma-separated user ids that may see every file, log and admin route' },
+  { name: 'AUTH_ALLOW_ANONYMOUS', type: 'boolean', default: false,
+    description: 'Let requests without credentials act as "anonymous"; for local development only' },
+  { name: 'DEFAULT_VISIBILITY', type: 'enum', values: ['private', 'shared', 'public'], default: 'private',
+    description: 'Visibility of uploads that do not ask for one' },
+  { name: 'SIGNED_URL_SECRET', type: 'string', default: '', secret: true,
+    description: 'HMAC key for signed retrieve URLs, shared between nodes; unset means a random per-process key' },
+  { name: 'SIGNED_URL_DEFAULT_TTL', type: 'integer', default: HOUR / SECOND, min: 1,
+    description: 'Signed URL lifetime in seconds when none is asked for' },
+  { name: 'SIGNED_URL_MAX_TTL', type: 'integer', default: 7 * DAY / SECOND, min: 1,
+    description: 'Longest signed URL lifetime in seconds' },
+
+  // Encryption at rest
+  { name: 'ENCRYPTION_KEYS', type: 'string', default: '', secret: true,
+    description: 'Comma-separated "keyId=<32-byte base64 key>" master keys' },
+  { name: 'ENCRYPTION_KEY_ID', type: 'string', default: '',
+    description: 'Master key new blobs are encrypted under; defaults to the last one listed' },
+
+  // Uploads
+  { name: 'MAX_FILE_SIZE', type: 'integer', default: 10 * MB, min: 1,
+    description: 'Largest single-request upload in bytes' },
+  { name: 'MAX_RESUMABLE_FILE_SIZE', type: 'integer', default: 5 * 1024 * MB, min: 1,
+    description: 'Largest resumable upload in bytes' },
+  { name: 'UPLOAD_SESSION_TTL', type: 'integer', default: DAY, min: 1,
+    description: 'Milliseconds an idle resumable upload is kept' },
+  { name: 'UPLOAD_SESSION_GC_INTERVAL', type: 'integer', default: 15 * MINUTE, min: 1,
+    description: 'Milliseconds between sweeps of expired upload sessions' },
+  { name: 'CONTENT_ADDRESSED_IDS', type: 'boolean', default: false,
+    description: 'Derive file ids from content hashes' },
+
+  // Quotas
+  { name: 'OWNER_QUOTA', type: 'integer', default: 0, min: 0,
+    description: 'Bytes each owner\'s files may take in total; 0 for no limit' },
+  { name: 'OWNER_QUOTAS', type: 'list', item: 'owner-quota', default: [],
+    description: 'Per-owner overrides of OWNER_QUOTA as "owner=bytes" (0 for no limit)' },
+  { name: 'GLOBAL_QUOTA', type: 'integer', default: 0, min: 0,
+    description: 'Bytes all files together may take; 0 for no limit' },
+
+  // Logging
+  { name: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info',
+    description: 'Least severe entries logged' },
+  { name: 'LOG_MODULE_LEVELS', type: 'list', item: 'module-level', values: LOG_LEVELS, default: [],
+    description: 'Per-module overrides of LOG_LEVEL as "module=level" (server, http, files, uploads, admin, db, store, migrations, dht, replication, repair, encryption)' },
+  { name: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json',
+    description: 'One JSON object per line, or readable text for development' },
+
+  // Health checks
+  { name: 'HEALTH_CHECK_TIMEOUT', type: 'integer', default: 3 * SECOND, min: 1,
+    description: 'Milliseconds a readiness check may take before its component counts as down' },
+  { name: 'HEALTH_MIN_FREE_SPACE', type: 'integer', default: 100 * MB, min: 0,
+    description: 'Free bytes UPLOAD_DIR needs for the node to report ready' },
+
+  // DHT and replication
+  { name: 'DHT_BOOTSTRAP', type: 'list', item: 'address', default: [],
+    description: 'host:port DHT bootstrap nodes; empty uses the public bootstrap servers' },
+  { name: 'DHT_HOST', type: 'string', default: '',
+    description: 'Interface the DHT socket binds to; 127.0.0.1 for clusters on one machine, empty for all' },
+  { name: 'CLUSTER_TOPIC', type: 'string', default: 'reslify-storage-cluster',
+    description: 'DHT topic storage nodes meet on' },
+  { name: 'DHT_TRUSTED_PEERS', type: 'string', default: '',
+    description: 'Comma-separated node ids trusted as cluster members; "*" trusts every peer' },
+  { name: 'DHT_CAPABILITY_DEFAULT_TTL', type: 'integer', default: HOUR / SECOND, min: 1,
+    description: 'Capability token lifetime in seconds when none is asked for' },
+  { name: 'DHT_CAPABILITY_MAX_TTL', type: 'integer', default: 7 * DAY / SECOND, min: 1,
+    description: 'Longest capability token lifetime in seconds' },
+  { name: 'REPLICATION_FACTOR', type: 'integer', default: 2, min: 1,
+    description: 'Copies of every file kept across the cluster' },
+  { name: 'REPLICATION_TIMEOUT', type: 'integer', default: 30 * SECOND, min: 1,
+    description: 'Milliseconds to wait for a peer to take a replica' },
+  { name: 'PEER_LOOKUP_TIMEOUT', type: 'integer', default: 5 * SECOND, min: 1,
+    description: 'Milliseconds to look for peers holding a file' },
+  { name: 'PEER_FETCH_TIMEOUT', type: 'integer', default: 15 * SECOND, min: 1,
+    description: 'Milliseconds to wait for a peer to send a file' },
+  { name: 'PEER_CACHE_ENABLED', type: 'boolean', default: true,
+    description: 'Keep copies of files fetched from peers' },
+  { name: 'REPAIR_INTERVAL', type: 'integer', default: 5 * MINUTE, min: 1,
+    description: 'Milliseconds between repair cycles' },
+  { name: 'REPAIR_VERIFY_HASHES', type: 'boolean', default: true,
+    description: 'Hash local copies during repair to catch corruption' }
+];
+
+module.exports = SETTINGS;
@@ -0,0 +1,79 @@
+const { describeConfig } = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('admin');
+
+class AdminController {
+  constructor(repairService, encryptionService, config) {
+    this.repairService = repairService;
+    this.encryptionService = encryptionService;
+    this.config = config;
+  }
+
+  // Effective settings with the layer each came from; secrets are masked
+  getConfig(req, res) {
+    res.json({
+      success: true,
+      config: describeConfig(this.config)
+    });
+  }
+
+  getRepairStatus(req, res) {
+    res.json({
+      success: true,
+      repair: this.repairService.getStatus()
+    });
+  }
+
+  runRepair(req, res) {
+    const alreadyRunning = this.repairService.getStatus().running;
+
+    // Cycles can take a while on large stores; progress is polled through
+    // GET /admin/repair rather than holding the request open.
+    this.repairService.runCycle().catch(error => {
+      log.error('Repair cycle failed', { error });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: alreadyRunning ? 'Repair cycle already in progress' : 'Repair cycle started',
+      repair: this.repairService.getStatus()
+    });
+  }
+
+  getEncryptionStatus(req, res) {
+    res.json({
+      success: true,
+      encryption: this.encryptionService.status()
+    });
+  }
+
+  // Only data keys are rewrapped, so this is a metadata pass and runs to
+  // completion within the request.
+  async rotateEncryptionKeys(req, res) {
+    if (!this.encryptionService.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Encryption disabled',
+        message: 'Encryption at rest is not enabled on this node (ENCRYPTION_KEYS is empty)'
+      });
+    }
+
+    try {
+      const rotation = await this.encryptionService.rotate();
+      res.status(rotation.failures.length > 0 ? 207 : 200).json({
+        success: rotation.failures.length === 0,
+        rotation
+      });
+    } catch (error) {
+      log.error('Key rotation failed', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Key rotation failed',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
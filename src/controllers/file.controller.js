@@ -1,22 +1,239 @@
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const fs = require('fs');
-const { PORT, SERVER_ADDRESS } = require('../config/constants');
+const path = require('path');
+const {
+  PUBLIC_URL,
+  UPLOAD_DIR,
+  SERVER_ADDRESS,
+  CONTENT_ADDRESSED_IDS,
+  REPLICATION_FACTOR,
+  PEER_CACHE_ENABLED
+} = require('../config/constants');
+const { version } = require('../../package.json');
 const { getMimeType } = require('../utils/mime-types');
-const db = require('../../db');
+const { sendFileWithRanges } = require('../utils/http-range');
+const { VISIBILITIES, AccessError, canRead, canManage, parseAccess } = require('../utils/file-access');
+const { ANONYMOUS_USER } = require('../services/auth.service');
+const { SignedUrlError } = require('../services/signed-url.service');
+const { storedCopyOf } = require('../utils/file-encryption');
+const { topicForFile } = require('../utils/transfer-protocol');
+const { metrics } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+const { PeerAuthError } = require('../services/peer-auth.service');
+const { QuotaError } = require('../services/quota.service');
+const { sendQuotaError } = require('../middleware/quota.middleware');
+
+const log = createLogger('files');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const CONTENT_HASH_REGEX = /^[0-9a-f]{64}$/i;
+const DISPOSITIONS = ['attachment', 'inline'];
+// Copies fetched from peers for files this node does not hold itself.
+const PEER_CACHE_DIR = path.join(UPLOAD_DIR, '.cache');
+
+function isValidFileId(fileId) {
+  return UUID_REGEX.test(fileId) || CONTENT_HASH_REGEX.test(fileId);
+}
+
+const LIST_SORTS = ['uploadedAt', 'name', 'size'];
+const LIST_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+function parseSize(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} must be an ISO 8601 date`);
+  return date;
+}
+
+// Turns GET /files query parameters into metadata store listFiles options, throwing
+// with a client-facing message when one is malformed.
+function parseListQuery(query) {
+  const filters = {
+    namePrefix: query.prefix || undefined,
+    mimeType: query.type || undefined,
+    minSize: parseSize(query.minSize, 'minSize'),
+    maxSize: parseSize(query.maxSize, 'maxSize'),
+    uploadedAfter: parseDate(query.uploadedAfter, 'uploadedAfter'),
+    uploadedBefore: parseDate(query.uploadedBefore, 'uploadedBefore')
+  };
+
+  if (filters.mimeType && !/^[\w.+-]+\/([\w.+-]+|\*)$/.test(filters.mimeType)) {
+    throw new Error('type must be a MIME type such as "image/png" or "image/*"');
+  }
+
+  // A name prefix is answered straight from the name index unless the
+  // caller asks for another order.
+  const sort = query.sort || (filters.namePrefix ? 'name' : 'uploadedAt');
+  if (!LIST_SORTS.includes(sort)) {
+    throw new Error(`sort must be one of: ${LIST_SORTS.join(', ')}`);
+  }
+
+  const order = query.order || (sort === 'uploadedAt' ? 'desc' : 'asc');
+  if (!LIST_ORDERS.includes(order)) {
+    throw new Error(`order must be one of: ${LIST_ORDERS.join(', ')}`);
+  }
+
+  return { sort, order, limit: parseLimit(query.limit), filters };
+}
+
+// Turns GET /logs and GET /files/:fileId/logs query parameters into
+// metadata store listAccessLogs options.
+function parseLogQuery(query) {
+  const options = {
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    operation: query.operation || undefined,
+    clientId: query.client || undefined,
+    limit: parseLimit(query.limit)
+  };
+
+  if (options.from && options.to && options.from > options.to) {
+    throw new Error('from must not be later than to');
+  }
+
+  return options;
+}
+
+function parseLimit(value) {
+  const limit = value === undefined ? DEFAULT_LIST_LIMIT : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+  }
+  return limit;
+}
+
+// Cursors are opaque to clients. They carry a fingerprint of the query
+// (`scope`) so a cursor can't be replayed against different filters.
+function queryFingerprint(scope) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(scope))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+function encodeCursor(next, scope) {
+  return Buffer.from(JSON.stringify({
+    b: next.bucket,
+    p: next.pageState,
+    q: queryFingerprint(scope)
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, scope) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('cursor is malformed');
+  }
+  if (!decoded || typeof decoded.b !== 'string' || decoded.q !== queryFingerprint(scope)) {
+    throw new Error('cursor does not belong to this query');
+  }
+  return { bucket: decoded.b, pageState: decoded.p === undefined ? null : decoded.p };
+}
+
+// The viewer is part of the scope, so one user's cursor can't be used by
+// another.
+function listingScope({ sort, order, filters, viewer }) {
+  return { sort, order, filters, viewer: viewer ? viewer.id : null };
+}
+
+function logScope({ fileId, from, to, operation, clientId }) {
+  return { fileId, from, to, operation, clientId };
+}
+
+// A copy of a file held as a plain local file (peer fetches and their cache).
+async function localFileSource(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  return {
+    filePath,
+    size: stats.size,
+    lastModified: stats.mtime,
+    openStream: (start, end) => fs.createReadStream(filePath, { start, end })
+  };
+}
+
+// Access logs record who made the request rather than where it came from.
+function principalId(req) {
+  return req.principal ? req.principal.id : ANONYMOUS_USER;
+}
+
+function describeAccess(file) {
+  return { ownerId: file.ownerId, visibility: file.visibility, sharedWith: file.sharedWith };
+}
+
+// "server" (encrypted at rest), "client" (end-to-end) or null. The
+// envelope itself, with its wrapped data key, never leaves the server.
+function encryptionMode(file) {
+  return file.encryption ? file.encryption.mode : null;
+}
+
+function withoutEnvelope({ encryption, ...file }) {
+  return file;
+}
+
+function sendNotFound(res, fileId) {
+  return res.status(404).json({
+    success: false,
+    error: 'File not found',
+    message: `File with ID "${fileId}" not found in database`,
+    hint: 'The file may have been deleted, never existed, or is not shared with you'
+  });
+}
+
+function sendSignedUrlError(res, error) {
+  return res.status(error.status).json({ success: false, error: error.error, message: error.message });
+}
+
+// A signed URL's download limit counts the GETs that start a download: a
+// 200, or a 206 sending the file's first byte. Further ranges, as media
+// players and resumed downloads send, continue a download already counted
+// and are served until the URL expires; a URL with nothing counted yet
+// counts its first ranged request wherever it starts. HEAD requests, 304s
+// and 416s send no content and are never counted.
+function countsAsDownload(req, status, ranges, recorded) {
+  if (req.method !== 'GET') return false;
+  return status === 200 || ranges.some(range => range.start === 0) || recorded.downloads === 0;
+}
+
+function wantsContentAddressing(req) {
+  const flag = req.query.contentAddressed;
+  if (flag === undefined) return CONTENT_ADDRESSED_IDS;
+  return flag === 'true' || flag === '1';
+}
 
 class FileController {
-  constructor(dhtService) {
+  constructor(
+    dhtService, replicationService, metadataStore, blobStore, signedUrlService, encryptionService, peerAuthService,
+    quotaService
+  ) {
     this.dhtService = dhtService;
+    this.replicationService = replicationService;
+    this.metadataStore = metadataStore;
+    this.blobStore = blobStore;
+    this.signedUrlService = signedUrlService;
+    this.encryptionService = encryptionService;
+    this.peerAuthService = peerAuthService;
+    this.quotaService = quotaService;
+    // fileId -> in-flight peer fetch, so concurrent requests share one download
+    this.peerFetches = new Map();
+    // fileId -> requests still streaming an uncached peer copy
+    this.peerCopyReaders = new Map();
   }
 
   async uploadFile(req, res) {
-    console.log('\n' + '='.repeat(60));
-    console.log('📥 NEW FILE UPLOAD REQUEST');
-    console.log('='.repeat(60));
-    
     try {
       if (!req.file) {
-        console.log('❌ No file provided in request');
+        log.info('Upload rejected: no file in request');
         return res.status(400).json({
           success: false,
           error: 'No file uploaded',
@@ -24,57 +241,45 @@ class FileController {
         });
       }
 
-      const fileId = uuidv4();
-      
-      console.log(`\n✅ File received successfully:`);
-      console.log(`   📄 Original Name: ${req.file.originalname}`);
-      console.log(`   💾 Saved As: ${req.file.filename}`);
-      console.log(`   📊 Size: ${req.file.size} bytes (${(req.file.size / 1024).toFixed(2)} KB)`);
-      console.log(`   📁 Location: ${req.file.path}`);
-      console.log(`   🔑 Generated File ID: ${fileId}`);
-
-      await db.storeFileMetadata(
-        fileId,
-        req.file.path,
-        req.file.originalname,
-        req.file.size
-      );
-
-      const dhtInfo = await this.dhtService.announceFile(
-        fileId,
-        req.file.path,
-        req.file.originalname,
-        req.file.size
-      );
-
-      const response = {
-        success: true,
-        fileId,
+      log.debug('File received', {
         fileName: req.file.originalname,
         size: req.file.size,
-        uploadedAt: new Date().toISOString(),
-        storage: {
-          database: 'cassandra',
-          persisted: true
-        },
-        dht: {
-          announced: true,
-          topic: dhtInfo.topic,
-          serverAddress: dhtInfo.serverAddress
-        },
-        retrieveUrl: `http://localhost:${PORT}/retrieve/${fileId}`,
-        message: 'File uploaded, stored in Cassandra, and announced to DHT network'
-      };
+        storageKey: req.file.storageKey,
+        blobStore: this.blobStore.name
+      });
 
-      console.log('\n✨ Upload complete! Sending response to client...');
-      console.log(`   🔗 Retrieve URL: ${response.retrieveUrl}`);
-      console.log(`   💾 Stored in Cassandra: YES`);
-      console.log('='.repeat(60) + '\n');
+      let access;
+      try {
+        access = parseAccess({ ...req.query, ...req.body });
+      } catch (error) {
+        await this.blobStore.delete(req.file.storageKey).catch(() => {});
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid access settings',
+          message: error.message
+        });
+      }
+
+      const response = await this.storeUploadedFile(req.file, {
+        contentAddressed: wantsContentAddressing(req),
+        principal: req.principal,
+        access
+      });
+
+      metrics.bytesUploaded.inc({ transport: 'http' }, req.file.size);
+
+      log.info('Upload complete', { fileId: response.fileId, size: req.file.size, duplicate: response.duplicate });
 
       res.status(200).json(response);
 
     } catch (error) {
-      console.error('\n❌ Upload error:', error);
+      if (error instanceof AccessError) {
+        return res.status(error.status).json({ success: false, error: error.error, message: error.message });
+      }
+      if (error instanceof QuotaError) {
+        return sendQuotaError(res, error);
+      }
+      log.error('Upload failed', { error });
       res.status(500).json({
         success: false,
         error: 'Upload failed',
@@ -83,94 +288,392 @@ class FileController {
     }
   }
 
+  /**
+   * Registers a file that is already in the blob store (from the upload
+   * middleware or a finalized upload session): dedupes its blob, stores the
+   * metadata and announces it to the DHT. The file is owned by `principal`
+   * with the visibility and sharing in `access` (see parseAccess), and
+   * must fit the owner's and the global quota, or the stored copy is
+   * discarded and a QuotaError thrown. Returns the upload response body.
+   */
+  async storeUploadedFile(file, { contentAddressed, principal, access }) {
+    const fileId = contentAddressed ? file.contentHash : uuidv4();
+    const ownership = { ownerId: principal.id, ...access };
+
+    log.debug('Storing uploaded file', { fileId, contentHash: file.contentHash, contentAddressed });
+
+    if (contentAddressed) {
+      const existing = await this.metadataStore.getFileMetadata(fileId);
+
+      if (existing) {
+        log.info('Identical content already stored, discarding new copy', { fileId });
+        await this.blobStore.delete(file.storageKey).catch(() => {});
+
+        // The id is the content hash, so it can't be given to a second owner.
+        if (!canRead(existing, principal)) {
+          throw new AccessError(409, 'File exists',
+            'Identical content is already stored under this content-addressed ID by another user');
+        }
+
+        return {
+          success: true,
+          fileId,
+          fileName: existing.fileName,
+          size: parseInt(existing.fileSize),
+          contentHash: existing.contentHash,
+          encryption: encryptionMode(existing),
+          uploadedAt: existing.uploadedAt,
+          duplicate: true,
+          retrieveUrl: `${PUBLIC_URL}/retrieve/${fileId}`,
+          message: 'Identical content already stored under this content-addressed ID'
+        };
+      }
+    }
+
+    // Checked again with the actual size: the upload middleware only had
+    // the request's length, and other uploads may have finished since.
+    try {
+      await this.quotaService.check(principal.id, file.size);
+    } catch (error) {
+      await this.blobStore.delete(file.storageKey).catch(() => {});
+      throw error;
+    }
+
+    const blob = await this.metadataStore.acquireBlob(file.contentHash, file.storageKey, file.size, file.encryption);
+    let storageKey = file.storageKey;
+    let encryption = file.encryption || null;
+
+    if (blob.deduplicated) {
+      if (await this.blobStore.exists(blob.storageKey)) {
+        await this.blobStore.delete(file.storageKey).catch(() => {});
+        storageKey = blob.storageKey;
+        // The reused copy is stored the way it was first written, which
+        // may differ from how this upload was.
+        encryption = blob.encryption;
+        log.info('Reusing stored copy of identical content', { fileId, storageKey });
+      } else {
+        // The shared copy went missing from the blob store; adopt this upload as its bytes.
+        await this.metadataStore.updateBlobKey(file.contentHash, file.storageKey);
+        if (encryption) await this.metadataStore.updateBlobEncryption(file.contentHash, encryption);
+        log.warn('Shared stored copy was missing, replaced with this upload', { fileId, storageKey });
+      }
+    }
+
+    try {
+      await this.metadataStore.storeFileMetadata(
+        fileId,
+        storageKey,
+        file.originalname,
+        file.size,
+        file.contentHash,
+        ownership,
+        encryption
+      );
+    } catch (error) {
+      await this.metadataStore.releaseBlob(file.contentHash).catch(() => {});
+      throw error;
+    }
+
+    // Peers are handed the stored bytes, ciphertext for encrypted files.
+    const stored = storedCopyOf({ fileSize: file.size, contentHash: file.contentHash, encryption });
+
+    const dhtInfo = await this.dhtService.announceFile(
+      fileId,
+      storageKey,
+      file.originalname,
+      stored.size,
+      stored.contentHash
+    );
+
+    const nodeId = this.replicationService.nodeId;
+    await this.metadataStore.addReplica(fileId, nodeId, SERVER_ADDRESS, storageKey);
+
+    const replication = await this.replicationService.replicateFile({
+      fileId,
+      storageKey,
+      fileName: file.originalname,
+      fileSize: stored.size,
+      contentHash: stored.contentHash
+    }, REPLICATION_FACTOR - 1, [nodeId]);
+
+    const replicas = [
+      { nodeId, nodeAddress: SERVER_ADDRESS, local: true },
+      ...replication.replicas.map(replica => ({ ...replica, local: false }))
+    ];
+
+    return {
+      success: true,
+      fileId,
+      fileName: file.originalname,
+      size: file.size,
+      contentHash: file.contentHash,
+      contentAddressed,
+      encryption: encryptionMode({ encryption }),
+      access: describeAccess(ownership),
+      uploadedAt: new Date().toISOString(),
+      storage: {
+        database: this.metadataStore.name,
+        blobStore: this.blobStore.name,
+        storageKey,
+        persisted: true,
+        deduplicated: blob.deduplicated,
+        blobReferences: blob.refCount
+      },
+      dht: {
+        announced: true,
+        topic: dhtInfo.topic,
+        serverAddress: dhtInfo.serverAddress
+      },
+      replication: {
+        factor: REPLICATION_FACTOR,
+        achieved: replicas.length,
+        complete: replicas.length >= REPLICATION_FACTOR,
+        replicas,
+        failures: replication.failures
+      },
+      retrieveUrl: `${PUBLIC_URL}/retrieve/${fileId}`,
+      message: `File uploaded, stored in ${this.metadataStore.name} metadata store, and announced to DHT network`
+    };
+  }
+
+  /**
+   * Finds a copy of the file to serve: this node's own copy in the blob
+   * store, a copy cached from an earlier peer fetch, or a fresh download
+   * from a peer holding the file's DHT topic. Resolves with
+   * { size, lastModified, openStream(start, end), servedFrom, servedBy }
+   * plus `filePath` for peer copies. The copy holds the stored bytes, so
+   * files encrypted at rest still need decrypting.
+   */
+  async locateFile(fileMetadata) {
+    const { fileId } = fileMetadata;
+    const announced = this.dhtService.activeTopics.get(fileId);
+    const localKeys = [announced && announced.storageKey, fileMetadata.storageKey].filter(Boolean);
+
+    for (const storageKey of localKeys) {
+      const stats = await this.blobStore.stat(storageKey);
+      if (stats) {
+        return {
+          size: stats.size,
+          lastModified: stats.lastModified,
+          openStream: (start, end) => this.blobStore.createReadStream(storageKey, { start, end }),
+          servedFrom: 'local',
+          servedBy: SERVER_ADDRESS
+        };
+      }
+    }
+
+    // Stop advertising a copy we can no longer serve; the repair loop
+    // re-announces it once the local copy is restored.
+    if (announced) {
+      log.warn('Announced copy is missing from the blob store, leaving its topic', { fileId });
+      await this.dhtService.unannounceFile(fileId);
+    }
+
+    const cachePath = path.join(PEER_CACHE_DIR, fileId);
+    if (fs.existsSync(cachePath) && !this.peerFetches.has(fileId)) {
+      return { ...(await localFileSource(cachePath)), servedFrom: 'cache', servedBy: SERVER_ADDRESS };
+    }
+
+    log.info('File missing locally, fetching from a peer', { fileId });
+    const header = await this.fetchFromPeer(fileMetadata, cachePath);
+    return { ...(await localFileSource(cachePath)), servedFrom: 'peer', servedBy: header.serverAddress };
+  }
+
+  fetchFromPeer(fileMetadata, cachePath) {
+    const { fileId } = fileMetadata;
+
+    if (!this.peerFetches.has(fileId)) {
+      const fetching = (async () => {
+        const partPath = `${cachePath}.part`;
+        await fs.promises.mkdir(PEER_CACHE_DIR, { recursive: true });
+
+        const stored = storedCopyOf(fileMetadata);
+        const header = await this.dhtService.fetchFromPeers(fileId, partPath, {
+          expectedHash: stored.contentHash
+        });
+
+        if (header.size !== stored.size) {
+          await fs.promises.unlink(partPath).catch(() => {});
+          throw new Error(`Peer served ${header.size} bytes, expected ${stored.size}`);
+        }
+
+        await fs.promises.rename(partPath, cachePath);
+        return header;
+      })().finally(() => this.peerFetches.delete(fileId));
+
+      this.peerFetches.set(fileId, fetching);
+    }
+
+    return this.peerFetches.get(fileId);
+  }
+
+  // With caching disabled, a peer copy is removed once the last request
+  // streaming it has finished.
+  releasePeerCopy(fileId, filePath) {
+    const readers = (this.peerCopyReaders.get(fileId) || 1) - 1;
+
+    if (readers > 0) {
+      this.peerCopyReaders.set(fileId, readers);
+      return;
+    }
+
+    this.peerCopyReaders.delete(fileId);
+    if (!this.peerFetches.has(fileId)) {
+      fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  // Fire-and-forget: access logging never fails the request. Stores
+  // report failures by rejecting or by resolving false.
+  recordAccess(fileId, clientId, operation) {
+    this.metadataStore.logAccess(fileId, clientId, operation).then(logged => {
+      if (logged === false) metrics.accessLogFailures.inc({ operation });
+    }, err => {
+      metrics.accessLogFailures.inc({ operation });
+      log.warn('Access logging failed (non-critical)', { fileId, operation, error: err });
+    });
+  }
+
   async retrieveFile(req, res) {
-    console.log('\n' + '='.repeat(60));
-    console.log('📥 NEW FILE RETRIEVE REQUEST');
-    console.log('='.repeat(60));
-    
     try {
       const fileId = req.params.fileId;
-      console.log(`\n🔍 Step 1: Extracting file ID from URL`);
-      console.log(`   🔑 Requested File ID: ${fileId}`);
       
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(fileId)) {
-        console.log('   ❌ Invalid file ID format');
+      if (!isValidFileId(fileId)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid file ID',
-          message: 'File ID must be a valid UUID v4'
+          message: 'File ID must be a valid UUID v4 or SHA-256 content hash'
         });
       }
 
-      console.log(`\n🔍 Step 2: Querying Cassandra database`);
-      
-      const fileMetadata = await db.getFileMetadata(fileId);
-      
-      if (!fileMetadata) {
-        console.log('   ❌ File not found in database');
-        
-        return res.status(404).json({
+      const disposition = req.query.disposition || 'attachment';
+      if (!DISPOSITIONS.includes(disposition)) {
+        return res.status(400).json({
           success: false,
-          error: 'File not found',
-          message: `File with ID "${fileId}" not found in database`,
-          hint: 'The file may have been deleted or never existed'
+          error: 'Invalid disposition',
+          message: `disposition must be one of: ${DISPOSITIONS.join(', ')}`
         });
       }
-      
-      console.log(`   ✅ File found in Cassandra database`);
-      console.log(`   📄 File Name: ${fileMetadata.fileName}`);
-      console.log(`   📁 File Path: ${fileMetadata.filePath}`);
 
-      console.log(`\n📂 Step 3: Verifying file on disk`);
+      // A valid signed URL grants access on its own, whoever is calling.
+      let grant = null;
+      let recorded = null;
+      if (req.query.sig !== undefined) {
+        try {
+          grant = this.signedUrlService.verify(fileId, req.query, req.ip);
+          recorded = await this.signedUrlService.checkAvailable(grant);
+        } catch (error) {
+          if (!(error instanceof SignedUrlError)) throw error;
+          log.info('Signed URL rejected', { fileId, reason: error.message });
+          return sendSignedUrlError(res, error);
+        }
+      }
+
+      const fileMetadata = await this.metadataStore.getFileMetadata(fileId);
       
-      if (!fs.existsSync(fileMetadata.filePath)) {
-        console.error('   ❌ File exists in database but not on disk!');
-        return res.status(500).json({
+      if (!fileMetadata || (!grant && !canRead(fileMetadata, req.principal))) {
+        log.debug('File not found or not readable by the caller', { fileId });
+        return sendNotFound(res, fileId);
+      }
+
+      let source;
+      try {
+        source = await this.locateFile(fileMetadata);
+      } catch (error) {
+        log.warn('File is missing locally and no peer could serve it', { fileId, error });
+        return res.status(503).json({
           success: false,
-          error: 'File system error',
-          message: 'File metadata exists but physical file is missing'
+          error: 'File unavailable',
+          message: `File is missing on this node and could not be fetched from a peer: ${error.message}`
         });
       }
 
-      // NEW: Log the access (fire-and-forget pattern)
-      console.log(`\n📝 Step 4: Logging access...`);
-      const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
-      
-      // Fire-and-forget: don't await, catch errors silently
-      db.logAccess(fileId, clientIp, 'read').catch(err => {
-        console.error('   ⚠️  Logging failed (non-critical):', err.message);
-      });
+      log.debug('Copy located', { fileId, servedFrom: source.servedFrom, servedBy: source.servedBy });
 
-      console.log(`\n📤 Step 5: Sending file to client`);
-      console.log(`   ✅ Initiating file download: ${fileMetadata.fileName}`);
-      console.log(`   👤 Client: ${clientIp}`);
-      
-      res.setHeader('Content-Type', getMimeType(fileMetadata.fileName));
-      res.setHeader('Content-Disposition', `attachment; filename="${fileMetadata.fileName}"`);
+      if (source.servedFrom !== 'local' && !PEER_CACHE_ENABLED) {
+        this.peerCopyReaders.set(fileId, (this.peerCopyReaders.get(fileId) || 0) + 1);
+        res.once('close', () => this.releasePeerCopy(fileId, source.filePath));
+      }
+
+      const encryption = encryptionMode(fileMetadata);
+      if (encryption === 'server') {
+        try {
+          source = this.encryptionService.decryptSource(source, fileMetadata);
+        } catch (error) {
+          log.error('Cannot decrypt file', { fileId, keyId: fileMetadata.encryption.keyId, error });
+          return res.status(500).json({
+            success: false,
+            error: 'Decryption failed',
+            message: error.message
+          });
+        }
+      }
+
+      res.setHeader('Content-Disposition', `${disposition}; filename="${fileMetadata.fileName}"`);
       res.setHeader('X-File-ID', fileId);
       res.setHeader('X-Server-Address', SERVER_ADDRESS);
-      res.setHeader('X-Storage-Type', 'cassandra');
-      
-      res.download(fileMetadata.filePath, fileMetadata.fileName, (err) => {
-        if (err) {
-          console.error('   ❌ Error sending file:', err.message);
-          if (!res.headersSent) {
-            res.status(500).json({
-              success: false,
-              error: 'Download failed',
-              message: err.message
-            });
-          }
-        } else {
-          console.log('   ✅ File sent successfully from persistent storage!');
-          console.log('='.repeat(60) + '\n');
+      res.setHeader('X-Storage-Type', this.metadataStore.name);
+      res.setHeader('X-Served-By', source.servedBy);
+      res.setHeader('X-Served-From', source.servedFrom);
+      // End-to-end encrypted files are sent as stored; only the client can
+      // decrypt them, and Digest covers the ciphertext.
+      if (encryption === 'client') res.setHeader('X-Encryption', 'client');
+
+      // A strong ETag from the content hash lets clients make conditional and
+      // If-Range requests, and Digest lets them verify the bytes. Files stored
+      // before hashing existed only get a weak validator from size and mtime.
+      let etag = `W/"${source.size.toString(16)}-${source.lastModified.getTime().toString(16)}"`;
+      if (fileMetadata.contentHash) {
+        etag = `"${fileMetadata.contentHash}"`;
+        res.setHeader('Digest', `sha-256=${Buffer.from(fileMetadata.contentHash, 'hex').toString('base64')}`);
+      }
+
+      // A limited URL's download is counted once the response is known to
+      // send content, and refused if the limit has been used up.
+      let refused = null;
+      const countDownload = async (status, ranges) => {
+        if (!recorded || !countsAsDownload(req, status, ranges, recorded)) return true;
+        try {
+          const used = await this.signedUrlService.consume(grant);
+          log.debug('Signed URL download counted', { fileId, downloads: used.downloads, maxDownloads: used.maxDownloads });
+          return true;
+        } catch (error) {
+          if (!(error instanceof SignedUrlError)) throw error;
+          refused = error;
+          return false;
+        }
+      };
+
+      const result = await sendFileWithRanges(req, res, {
+        openStream: source.openStream,
+        size: source.size,
+        mimeType: getMimeType(fileMetadata.fileName),
+        etag,
+        lastModified: source.lastModified,
+        beforeSend: countDownload
+      });
+
+      if (refused) {
+        log.info('Signed URL rejected', { fileId, reason: refused.message });
+        // The error must not be saved under the file's name or validators.
+        for (const header of ['Content-Disposition', 'ETag', 'Digest', 'Last-Modified', 'Accept-Ranges']) {
+          res.removeHeader(header);
         }
+        return sendSignedUrlError(res, refused);
+      }
+
+      this.recordAccess(fileId, principalId(req), grant ? 'signed-read' : 'read');
+
+      log.info('File sent', {
+        fileId,
+        bytes: result.bytes,
+        status: result.status,
+        servedFrom: source.servedFrom,
+        signedUrl: Boolean(grant)
       });
 
     } catch (error) {
-      console.error('\n❌ Retrieve error:', error);
-      console.log('='.repeat(60) + '\n');
+      log.error('Retrieve failed', { fileId: req.params.fileId, error });
       
       if (!res.headersSent) {
         res.status(500).json({
@@ -178,23 +681,360 @@ class FileController {
           error: 'Retrieval failed',
           message: error.message
         });
+      } else {
+        res.destroy(error);
       }
     }
   }
 
+  async deleteFile(req, res) {
+    try {
+      const fileId = req.params.fileId;
+
+      if (!isValidFileId(fileId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid file ID',
+          message: 'File ID must be a valid UUID v4 or SHA-256 content hash'
+        });
+      }
+
+      const fileMetadata = await this.metadataStore.getFileMetadata(fileId);
+
+      if (!fileMetadata || !canRead(fileMetadata, req.principal)) {
+        log.debug('File not found or not readable by the caller', { fileId });
+        return sendNotFound(res, fileId);
+      }
+
+      if (!canManage(fileMetadata, req.principal)) {
+        log.info('Delete refused: caller does not own the file', { fileId });
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Only the file\'s owner or an admin may delete it'
+        });
+      }
+
+      // Each step runs even if an earlier one failed, so a single
+      // broken component never leaves the other two half-cleaned.
+      const steps = {};
+
+      try {
+        const dhtInfo = await this.dhtService.unannounceFile(fileId);
+        steps.dht = { success: true, topic: dhtInfo.topic, wasAnnounced: dhtInfo.wasAnnounced };
+      } catch (error) {
+        log.error('Delete: failed to leave DHT topic', { fileId, error });
+        steps.dht = { success: false, message: error.message };
+      }
+
+      await fs.promises.unlink(path.join(PEER_CACHE_DIR, fileId)).catch(() => {});
+      try {
+        const blob = fileMetadata.contentHash
+          ? await this.metadataStore.releaseBlob(fileMetadata.contentHash)
+          : { tracked: false };
+
+        if (blob.tracked && !blob.removed) {
+          steps.disk = {
+            success: true,
+            removed: false,
+            message: `Stored copy still referenced by ${blob.refCount} other file(s)`
+          };
+        } else {
+          const storageKey = blob.storageKey || fileMetadata.storageKey;
+          if (await this.blobStore.delete(storageKey)) {
+            steps.disk = { success: true, removed: true };
+          } else {
+            log.warn('Delete: file was already missing from the blob store', { fileId, storageKey });
+            steps.disk = { success: true, removed: false, message: 'File was already missing from the blob store' };
+          }
+        }
+      } catch (error) {
+        log.error('Delete: failed to remove file from the blob store', { fileId, error });
+        steps.disk = { success: false, message: error.message };
+      }
+
+      try {
+        const replicas = await this.metadataStore.getReplicas(fileId);
+        const remote = replicas
+          .map(replica => replica.nodeId)
+          .filter(nodeId => nodeId !== this.replicationService.nodeId);
+        const result = await this.replicationService.dropReplicas(fileId, remote);
+        await this.metadataStore.deleteReplicas(fileId);
+
+        steps.replicas = {
+          success: result.failures.length === 0,
+          dropped: result.dropped,
+          failures: result.failures
+        };
+      } catch (error) {
+        log.error('Delete: failed to drop replicas', { fileId, error });
+        steps.replicas = { success: false, message: error.message };
+      }
+
+      try {
+        await this.metadataStore.deleteFileMetadata(fileId);
+        steps.database = { success: true };
+      } catch (error) {
+        log.error('Delete: failed to delete metadata', { fileId, error });
+        steps.database = { success: false, message: error.message };
+      }
+
+      this.recordAccess(fileId, principalId(req), 'delete');
+
+      const failed = Object.keys(steps).filter(step => !steps[step].success);
+
+      if (failed.length === 0) {
+        log.info('File deleted', { fileId, steps });
+        return res.status(200).json({
+          success: true,
+          fileId,
+          fileName: fileMetadata.fileName,
+          steps,
+          message: 'File removed from disk, replicas, metadata store and the DHT network'
+        });
+      }
+
+      log.warn('Delete incomplete', { fileId, failedSteps: failed });
+
+      res.status(failed.length === Object.keys(steps).length ? 500 : 207).json({
+        success: false,
+        fileId,
+        fileName: fileMetadata.fileName,
+        error: 'Delete incomplete',
+        failedSteps: failed,
+        steps,
+        message: `File could not be fully deleted (failed: ${failed.join(', ')})`
+      });
+
+    } catch (error) {
+      log.error('Delete failed', { fileId: req.params.fileId, error });
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: 'Delete failed',
+          message: error.message
+        });
+      }
+    }
+  }
+
+  // POST /files/:fileId/signed-urls { expiresIn, maxDownloads, ip }
+  async createSignedUrl(req, res) {
+    const fileId = req.params.fileId;
+
+    if (!isValidFileId(fileId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file ID',
+        message: 'File ID must be a valid UUID v4 or SHA-256 content hash'
+      });
+    }
+
+    try {
+      const fileMetadata = await this.metadataStore.getFileMetadata(fileId);
+
+      if (!fileMetadata || !canRead(fileMetadata, req.principal)) {
+        return sendNotFound(res, fileId);
+      }
+      if (!canManage(fileMetadata, req.principal)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Only the file\'s owner or an admin may issue signed URLs for it'
+        });
+      }
+
+      const body = req.body || {};
+      const signed = await this.signedUrlService.issue(fileId, {
+        expiresIn: body.expiresIn,
+        maxDownloads: body.maxDownloads,
+        ip: body.ip
+      });
+
+      const url = new URL(`${PUBLIC_URL}/retrieve/${fileId}`);
+      for (const [key, value] of Object.entries(signed.params)) url.searchParams.set(key, value);
+
+      log.info('Signed URL issued', {
+        fileId,
+        principal: principalId(req),
+        expiresAt: signed.expiresAt.toISOString(),
+        maxDownloads: signed.maxDownloads || undefined,
+        ip: signed.ip || undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        fileId,
+        url: url.toString(),
+        expiresAt: signed.expiresAt.toISOString(),
+        maxDownloads: signed.maxDownloads,
+        ip: signed.ip
+      });
+    } catch (error) {
+      if (error instanceof SignedUrlError) return sendSignedUrlError(res, error);
+      log.error('Issuing signed URL failed', { fileId, error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue signed URL',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /files/:fileId/capabilities { peer, expiresIn }
+   *
+   * Issues a capability token letting a DHT peer (optionally only the one
+   * with public key `peer`) download the file straight from the swarm.
+   * Anyone who may read the file may ask for one. Peers receive the stored
+   * bytes, so files encrypted at rest arrive encrypted.
+   */
+  async createCapability(req, res) {
+    const fileId = req.params.fileId;
+
+    if (!isValidFileId(fileId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file ID',
+        message: 'File ID must be a valid UUID v4 or SHA-256 content hash'
+      });
+    }
+
+    try {
+      const fileMetadata = await this.metadataStore.getFileMetadata(fileId);
+
+      if (!fileMetadata || !canRead(fileMetadata, req.principal)) {
+        return sendNotFound(res, fileId);
+      }
+
+      const body = req.body || {};
+      const capability = this.peerAuthService.issue(fileId, {
+        expiresIn: body.expiresIn,
+        peer: body.peer
+      });
+
+      log.info('DHT capability issued', { fileId, principal: principalId(req), peer: capability.peer || undefined });
+
+      this.recordAccess(fileId, principalId(req), 'capability');
+
+      res.status(201).json({
+        success: true,
+        fileId,
+        capability: capability.token,
+        topic: topicForFile(fileId).toString('hex'),
+        expiresAt: capability.expiresAt.toISOString(),
+        peer: capability.peer,
+        issuer: this.peerAuthService.nodeId,
+        encryption: encryptionMode(fileMetadata)
+      });
+    } catch (error) {
+      if (error instanceof PeerAuthError) {
+        return res.status(error.status).json({ success: false, error: error.error, message: error.message });
+      }
+      log.error('Issuing DHT capability failed', { fileId, error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue capability',
+        message: error.message
+      });
+    }
+  }
+
+  // PATCH /files/:fileId { visibility, sharedWith }
+  async updateFileAccess(req, res) {
+    const fileId = req.params.fileId;
+
+    if (!isValidFileId(fileId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file ID',
+        message: 'File ID must be a valid UUID v4 or SHA-256 content hash'
+      });
+    }
+
+    try {
+      const fileMetadata = await this.metadataStore.getFileMetadata(fileId);
+
+      if (!fileMetadata || !canRead(fileMetadata, req.principal)) {
+        return sendNotFound(res, fileId);
+      }
+      if (!canManage(fileMetadata, req.principal)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Only the file\'s owner or an admin may change who can access it'
+        });
+      }
+
+      let access;
+      try {
+        access = parseAccess(req.body || {}, fileMetadata);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid access settings',
+          message: error.message
+        });
+      }
+
+      if (!(await this.metadataStore.updateFileAccess(fileId, access))) {
+        return sendNotFound(res, fileId);
+      }
+
+      log.info('File access updated', {
+        fileId,
+        principal: principalId(req),
+        visibility: access.visibility,
+        sharedWith: access.sharedWith
+      });
+
+      res.json({
+        success: true,
+        fileId,
+        access: describeAccess({ ...fileMetadata, ...access })
+      });
+    } catch (error) {
+      log.error('Updating file access failed', { fileId, error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update file access',
+        message: error.message
+      });
+    }
+  }
+
   async listFiles(req, res) {
+    let options;
     try {
-      const files = await db.getAllFiles();
+      options = { ...parseListQuery(req.query), viewer: req.principal };
+      if (req.query.cursor) {
+        options.cursor = decodeCursor(req.query.cursor, listingScope(options));
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+
+    try {
+      const { files, next } = await this.metadataStore.listFiles(options);
       
       res.json({
         success: true,
         count: files.length,
+        limit: options.limit,
+        sort: options.sort,
+        order: options.order,
+        nextCursor: next ? encodeCursor(next, listingScope(options)) : null,
         serverAddress: SERVER_ADDRESS,
-        storage: 'cassandra',
-        files
+        storage: this.metadataStore.name,
+        files: files.map(withoutEnvelope)
       });
     } catch (error) {
-      console.error('Error listing files:', error);
+      log.error('Listing files failed', { error });
       res.status(500).json({
         success: false,
         error: 'Failed to list files',
@@ -203,20 +1043,82 @@ class FileController {
     }
   }
 
-  // NEW: Get access logs endpoint
+  // GET /logs and GET /files/:fileId/logs
   async getAccessLogs(req, res) {
+    const fileId = req.params.fileId || null;
+
+    if (fileId !== null && !isValidFileId(fileId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file ID',
+        message: 'File ID must be a valid UUID v4 or SHA-256 content hash'
+      });
+    }
+
+    let options;
+    try {
+      options = { ...parseLogQuery(req.query), fileId };
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+
+    // A file's log is for whoever manages the file; the global log shows
+    // non-admins only their own requests.
+    if (fileId !== null) {
+      let fileMetadata;
+      try {
+        fileMetadata = await this.metadataStore.getFileMetadata(fileId);
+      } catch (error) {
+        log.error('Getting access logs failed', { fileId, error });
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to get access logs',
+          message: error.message
+        });
+      }
+      if (!fileMetadata || !canManage(fileMetadata, req.principal)) {
+        return sendNotFound(res, fileId);
+      }
+    } else if (!req.principal.admin) {
+      if (options.clientId && options.clientId !== req.principal.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Only admins may view other users\' access logs'
+        });
+      }
+      options.clientId = req.principal.id;
+    }
+
+    try {
+      if (req.query.cursor) {
+        options.cursor = decodeCursor(req.query.cursor, logScope(options));
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+
     try {
-      const limit = parseInt(req.query.limit) || 100;
-      const logs = await db.getAllAccessLogs(limit);
+      const { logs, next } = await this.metadataStore.listAccessLogs(options);
       
       res.json({
         success: true,
+        fileId: fileId || undefined,
         count: logs.length,
-        limit,
+        limit: options.limit,
+        nextCursor: next ? encodeCursor(next, logScope(options)) : null,
         logs
       });
     } catch (error) {
-      console.error('Error getting access logs:', error);
+      log.error('Getting access logs failed', { fileId, error });
       res.status(500).json({
         success: false,
         error: 'Failed to get access logs',
@@ -225,36 +1127,54 @@ class FileController {
     }
   }
 
-  getHealth(req, res) {
-    res.json({
-      status: 'healthy',
-      uptime: process.uptime(),
-      storage: 'cassandra',
-      logging: 'enabled',
-      timestamp: new Date().toISOString()
-    });
-  }
-
   getInfo(req, res) {
     res.json({
       message: 'DHT File Upload & Retrieve Server with Access Logging',
-      version: '3.1.0',
+      version,
       storage: {
-        type: 'cassandra',
+        type: this.metadataStore.name,
+        blobStore: this.blobStore.name,
         persistent: true,
         description: 'Files survive server restarts'
       },
       features: {
         accessLogging: true,
         dhtRehydration: true,
-        persistentStorage: true
+        persistentStorage: true,
+        replicationFactor: REPLICATION_FACTOR,
+        contentHashing: 'sha-256',
+        rangeRequests: true,
+        resumableUploads: true,
+        backgroundRepair: true,
+        peerFallback: true,
+        peerCache: PEER_CACHE_ENABLED,
+        authentication: ['api-key', 'token'],
+        visibility: VISIBILITIES,
+        signedUrls: true,
+        dhtCapabilities: true,
+        quotas: true,
+        encryption: {
+          atRest: this.encryptionService.enabled ? 'aes-256-gcm' : false,
+          endToEnd: true
+        }
       },
       endpoints: {
-        upload: 'POST /upload - Upload a file and store in Cassandra',
-        retrieve: 'GET /retrieve/:fileId - Download a file by ID',
-        files: 'GET /files - List all stored files',
-        logs: 'GET /logs - View access logs',
-        health: 'GET /health - Server health check'
+        upload: 'POST /upload[?contentAddressed=true&visibility&sharedWith&encryption=client] - Upload a file and store its metadata',
+        resumableUpload: 'POST /uploads, PATCH|HEAD /uploads/:sessionId, POST /uploads/:sessionId/finalize - Resumable chunked upload',
+        retrieve: 'GET /retrieve/:fileId[?disposition=inline] - Download a file by ID (supports Range requests, falls back to DHT peers)',
+        signedUrl: 'POST /files/:fileId/signed-urls { expiresIn, maxDownloads, ip } - Issue an expiring signed retrieve URL',
+        capability: 'POST /files/:fileId/capabilities { peer, expiresIn } - Issue a token for downloading the file over the DHT',
+        files: 'GET /files[?limit&cursor&sort=uploadedAt|name|size&order&prefix&type&minSize&maxSize&uploadedAfter&uploadedBefore] - List stored files a page at a time',
+        delete: 'DELETE /files/:fileId - Delete a file from disk, the metadata store and the DHT',
+        share: 'PATCH /files/:fileId - Change a file\'s visibility (private|shared|public) and sharedWith users',
+        logs: 'GET /logs[?from&to&operation&client&limit&cursor] - View access logs, newest first (your own unless admin)',
+        fileLogs: 'GET /files/:fileId/logs[?from&to&operation&client&limit&cursor] - View one file\'s access logs',
+        health: 'GET /health/live, GET /health/ready - Liveness, and readiness of the metadata store, blob store, disk and DHT (503 when not ready)',
+        usage: 'GET /usage[?owner] - Files and bytes stored by you and in total, against the storage quotas (every owner\'s for admins)',
+        metrics: 'GET /metrics - Prometheus metrics: requests, latency, bytes over HTTP and DHT, swarm, Cassandra and access log failures',
+        config: 'GET /config - Effective configuration and where each setting came from, secrets masked (admin)',
+        repair: 'GET /admin/repair, POST /admin/repair/run - Repair loop status and manual trigger',
+        encryption: 'GET /admin/encryption, POST /admin/encryption/rotate - Encryption status and data key rotation'
       }
     });
   }
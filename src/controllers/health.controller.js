@@ -0,0 +1,18 @@
+class HealthController {
+  constructor(healthService) {
+    this.healthService = healthService;
+  }
+
+  getLiveness(req, res) {
+    res.json(this.healthService.liveness());
+  }
+
+  // 503 while any component is down, so load balancers and compose
+  // healthchecks hold traffic back until the node can serve it.
+  async getReadiness(req, res) {
+    const report = await this.healthService.readiness();
+    res.status(report.ready ? 200 : 503).json(report);
+  }
+}
+
+module.exports = HealthController;
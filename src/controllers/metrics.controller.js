@@ -0,0 +1,13 @@
+const { CONTENT_TYPE } = require('../utils/metrics');
+
+class MetricsController {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  getMetrics(req, res) {
+    res.set('Content-Type', CONTENT_TYPE).send(this.registry.render());
+  }
+}
+
+module.exports = MetricsController;
@@ -0,0 +1,182 @@
+const { UploadSessionError } = require('../services/upload-session.service');
+const { AccessError } = require('../utils/file-access');
+const { QuotaError } = require('../services/quota.service');
+const { sendQuotaError } = require('../middleware/quota.middleware');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('uploads');
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+function sendSessionError(res, error, fallback) {
+  if (error instanceof QuotaError) {
+    return sendQuotaError(res, error);
+  }
+  if (error instanceof UploadSessionError || error instanceof AccessError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.error,
+      message: error.message
+    });
+  }
+
+  log.error(fallback, { error });
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message
+  });
+}
+
+function setOffsetHeaders(res, session) {
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.size);
+  res.setHeader('Upload-Expires', new Date(session.expiresAt).toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+function describeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    fileName: session.fileName,
+    size: session.size,
+    offset: session.offset,
+    contentAddressed: session.contentAddressed,
+    visibility: session.visibility,
+    sharedWith: session.sharedWith,
+    encryption: session.encryption || null,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    uploadUrl: `/uploads/${session.sessionId}`
+  };
+}
+
+class UploadSessionController {
+  constructor(uploadSessionService, fileController) {
+    this.uploadSessionService = uploadSessionService;
+    this.fileController = fileController;
+  }
+
+  async createSession(req, res) {
+    try {
+      const body = req.body || {};
+      const session = await this.uploadSessionService.createSession({
+        fileName: body.fileName,
+        size: body.size,
+        contentAddressed: body.contentAddressed,
+        ownerId: req.principal.id,
+        visibility: body.visibility,
+        sharedWith: body.sharedWith,
+        encryption: body.encryption
+      });
+
+      setOffsetHeaders(res, session);
+      res.setHeader('Location', `/uploads/${session.sessionId}`);
+      res.status(201).json({ success: true, ...describeSession(session) });
+
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to create upload session');
+    }
+  }
+
+  async getOffset(req, res) {
+    try {
+      const session = await this.uploadSessionService.getSession(req.params.sessionId, req.principal.id);
+
+      if (!session) {
+        return res.status(404).end();
+      }
+
+      setOffsetHeaders(res, session);
+      res.status(200).end();
+
+    } catch (error) {
+      log.error('Reading upload session failed', { sessionId: req.params.sessionId, error });
+      res.status(500).end();
+    }
+  }
+
+  async getSession(req, res) {
+    try {
+      const session = await this.uploadSessionService.requireSession(req.params.sessionId, req.principal.id);
+
+      setOffsetHeaders(res, session);
+      res.json({ success: true, ...describeSession(session) });
+
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to read upload session');
+    }
+  }
+
+  async uploadChunk(req, res) {
+    try {
+      if (!req.is(CHUNK_CONTENT_TYPE)) {
+        return res.status(415).json({
+          success: false,
+          error: 'Unsupported media type',
+          message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`
+        });
+      }
+
+      const offsetHeader = req.get('Upload-Offset');
+      if (offsetHeader === undefined || !/^\d+$/.test(offsetHeader)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing offset',
+          message: 'Upload-Offset header must be a non-negative integer'
+        });
+      }
+
+      const session = await this.uploadSessionService.appendChunk(
+        req.params.sessionId,
+        req.principal.id,
+        Number(offsetHeader),
+        req
+      );
+
+      log.debug('Chunk stored', { sessionId: session.sessionId, offset: session.offset, size: session.size });
+
+      setOffsetHeaders(res, session);
+      res.status(204).end();
+
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to store chunk');
+    }
+  }
+
+  async finalizeSession(req, res) {
+    try {
+      const finalized = await this.uploadSessionService.finalize(req.params.sessionId, req.principal.id);
+      const { file, session } = finalized;
+
+      const response = await this.fileController.storeUploadedFile(file, {
+        contentAddressed: session.contentAddressed,
+        principal: req.principal,
+        access: { visibility: session.visibility, sharedWith: session.sharedWith }
+      });
+
+      log.info('Resumable upload complete', {
+        sessionId: session.sessionId,
+        fileId: response.fileId,
+        size: file.size,
+        duplicate: response.duplicate
+      });
+
+      res.status(200).json({ ...response, sessionId: session.sessionId });
+
+    } catch (error) {
+      sendSessionError(res, error, 'Upload failed');
+    }
+  }
+
+  async cancelSession(req, res) {
+    try {
+      await this.uploadSessionService.cancel(req.params.sessionId, req.principal.id);
+      res.status(204).end();
+
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to cancel upload session');
+    }
+  }
+}
+
+module.exports = UploadSessionController;
@@ -0,0 +1,40 @@
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('files');
+
+class UsageController {
+  constructor(quotaService) {
+    this.quotaService = quotaService;
+  }
+
+  // GET /usage[?owner] - the caller's usage and the total, against their
+  // quotas. Admins may name another owner and also get every owner's usage.
+  async getUsage(req, res) {
+    const { owner } = req.query;
+
+    if (owner !== undefined && !req.principal.admin && owner !== req.principal.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only admins may view another owner\'s usage'
+      });
+    }
+
+    try {
+      const report = await this.quotaService.report(owner || req.principal.id);
+      const owners = req.principal.admin ? await this.quotaService.listOwners() : undefined;
+
+      res.json({ success: true, ...report, owners });
+
+    } catch (error) {
+      log.error('Reading storage usage failed', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read usage',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = UsageController;
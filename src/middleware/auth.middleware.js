@@ -0,0 +1,49 @@
+const { AuthError } = require('../services/auth.service');
+
+const CHALLENGE = 'Bearer realm="reslify", ApiKey realm="reslify"';
+
+function sendAuthError(res, status, error, message) {
+  if (status === 401) res.setHeader('WWW-Authenticate', CHALLENGE);
+  res.status(status).json({ success: false, error, message });
+}
+
+/**
+ * Builds the auth middleware around an AuthService:
+ *   authenticate  sets req.principal (null for callers without
+ *                 credentials) and rejects invalid credentials;
+ *   requireUser   answers 401 unless a principal was found;
+ *   requireAdmin  answers 403 unless that principal is an admin.
+ */
+function createAuthMiddleware(authService) {
+  function authenticate(req, res, next) {
+    try {
+      req.principal = authService.authenticate(req);
+      next();
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return sendAuthError(res, error.status, error.error, error.message);
+      }
+      next(error);
+    }
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.principal) {
+      return sendAuthError(res, 401, 'Authentication required',
+        'Send an API key (X-API-Key) or a signed token (Authorization: Bearer)');
+    }
+    next();
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!req.principal) return requireUser(req, res, next);
+    if (!req.principal.admin) {
+      return sendAuthError(res, 403, 'Forbidden', 'This endpoint is restricted to admins');
+    }
+    next();
+  }
+
+  return { authenticate, requireUser, requireAdmin };
+}
+
+module.exports = createAuthMiddleware;
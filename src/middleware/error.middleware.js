@@ -1,4 +1,20 @@
 const multer = require('multer');
+const { MAX_FILE_SIZE } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('http');
+
+// 10485760 -> "10MB", 1536 -> "1.5KB"
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${Number(size.toFixed(1))}${units[unit]}`;
+}
 
 function handleMulterErrors(error, req, res, next) {
   if (error instanceof multer.MulterError) {
@@ -6,7 +22,7 @@ function handleMulterErrors(error, req, res, next) {
       return res.status(400).json({
         success: false,
         error: 'File too large',
-        message: 'File size exceeds 10MB limit'
+        message: `File size exceeds ${formatSize(MAX_FILE_SIZE)} limit`
       });
     }
     return res.status(400).json({
@@ -19,7 +35,7 @@ function handleMulterErrors(error, req, res, next) {
 }
 
 function handleGeneralErrors(error, req, res, next) {
-  console.error('Server error:', error);
+  log.error('Unhandled request error', { error, method: req.method, path: req.path });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -0,0 +1,52 @@
+const { metrics } = require('../utils/metrics');
+
+// Requests that matched no route share one label, so probing random paths
+// can't create unbounded series.
+const UNMATCHED_ROUTE = '<unmatched>';
+const DOWNLOAD_ROUTE = '/retrieve/:fileId';
+
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : UNMATCHED_ROUTE;
+}
+
+/**
+ * Counts and times every request by its route pattern (e.g.
+ * /files/:fileId) and status once the response is done, and counts the
+ * body bytes of downloads. 'close' also fires for aborted downloads, which
+ * count the bytes written before the client went away.
+ */
+function recordRequestMetrics(req, res, next) {
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+  let bodyBytes = 0;
+
+  const write = res.write;
+  const end = res.end;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bodyBytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, callback) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+  res.end = function (chunk, encoding, callback) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, callback);
+  };
+
+  res.once('close', () => {
+    const route = routeOf(req);
+    const labels = { method: req.method, route, status: res.statusCode };
+    endTimer(labels);
+    metrics.httpRequests.inc(labels);
+
+    if (route === DOWNLOAD_ROUTE && res.statusCode < 300 && req.method === 'GET') {
+      metrics.bytesServed.inc({ transport: 'http' }, bodyBytes);
+    }
+  });
+
+  next();
+}
+
+module.exports = recordRequestMetrics;
@@ -0,0 +1,35 @@
+const { QuotaError } = require('../services/quota.service');
+
+function sendQuotaError(res, error) {
+  res.status(error.status).json({
+    success: false,
+    error: error.error,
+    message: error.message,
+    usage: error.usage
+  });
+}
+
+/**
+ * Checks the caller's storage quotas before multer writes anything. The
+ * file's size is only known once the body is read, so Content-Length
+ * stands in for it; it includes the multipart envelope, so the check errs
+ * towards refusing. Requests without one are checked against current
+ * usage alone, and FileController checks the actual size again before the
+ * file is stored.
+ */
+function createQuotaCheck(quotaService) {
+  return function checkQuota(req, res, next) {
+    const declared = Number(req.get('Content-Length')) || 0;
+
+    quotaService.check(req.principal.id, declared).then(() => next(), (error) => {
+      if (!(error instanceof QuotaError)) return next(error);
+
+      // The body is left unread; closing the connection saves receiving it.
+      res.set('Connection', 'close');
+      sendQuotaError(res, error);
+    });
+  };
+}
+
+module.exports = createQuotaCheck;
+module.exports.sendQuotaError = sendQuotaError;
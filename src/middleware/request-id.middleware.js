@@ -0,0 +1,36 @@
+const { createLogger, requestIdFrom, runWithRequestId } = require('../utils/logger');
+
+const log = createLogger('http');
+const REQUEST_ID_HEADER = 'X-Request-ID';
+
+/**
+ * Gives each request an ID, taken from an incoming X-Request-ID (so a
+ * proxy's or client's ID carries through) or generated, returns it in the
+ * response's X-Request-ID and runs the rest of the chain with it, so every
+ * entry logged for the request carries it. Logs one entry per finished
+ * request.
+ */
+function assignRequestId(req, res, next) {
+  const requestId = requestIdFrom(req.get(REQUEST_ID_HEADER));
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  // 'close' fires outside the request's context, so the ID is passed
+  res.once('close', () => {
+    log.info('Request finished', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+      principal: req.principal ? req.principal.id : undefined,
+      aborted: !res.writableFinished || undefined
+    });
+  });
+
+  runWithRequestId(requestId, next);
+}
+
+module.exports = assignRequestId;
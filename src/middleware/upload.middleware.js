@@ -1,29 +1,69 @@
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const { UPLOAD_DIR, MAX_FILE_SIZE } = require('../config/constants');
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIR);
-  },
-  filename: (req, file, cb) => {
-    const uniqueId = uuidv4();
-    const timestamp = Date.now();
-    const sanitizedName = file.originalname.replace(/\s+/g, '-');
-    const uniqueFilename = `${timestamp}-${uniqueId}-${sanitizedName}`;
-    cb(null, uniqueFilename);
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: MAX_FILE_SIZE
-  },
-  fileFilter: (req, file, cb) => {
-    console.log(`\n📤 Receiving file upload: ${file.originalname}`);
-    cb(null, true);
-  }
-});
-
-module.exports = upload;
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { MAX_FILE_SIZE } = require('../config/constants');
+const { createStoredFileName } = require('../utils/file-names');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('uploads');
+
+// Streams each upload straight into the blob store under a fresh storage
+// key, computing its SHA-256 on the way. The file is described to the
+// controller as { storageKey, filename, size, contentHash, encryption }.
+//
+// With encryption at rest enabled the blob is stored encrypted, while size
+// and contentHash still describe the plaintext. Uploads made with
+// ?encryption=client are already encrypted by the client and stored as-is.
+function createBlobStorage(blobStore, encryptionService) {
+  return {
+    _handleFile(req, file, cb) {
+      const storageKey = createStoredFileName(file.originalname);
+      const clientEncrypted = req.query.encryption === 'client';
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      const hashingStream = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+
+      file.stream.on('error', (err) => hashingStream.destroy(err));
+      const source = file.stream.pipe(hashingStream);
+
+      const stored = !clientEncrypted && encryptionService && encryptionService.enabled
+        ? encryptionService.put(blobStore, storageKey, source)
+        : blobStore.put(storageKey, source).then(() => (clientEncrypted ? { mode: 'client' } : null));
+
+      stored
+        .then((encryption) => cb(null, {
+          storageKey,
+          filename: storageKey,
+          size,
+          contentHash: hash.digest('hex'),
+          encryption
+        }))
+        .catch(cb);
+    },
+
+    _removeFile(req, file, cb) {
+      blobStore.delete(file.storageKey).then(() => cb(null), cb);
+    }
+  };
+}
+
+function createUpload(blobStore, encryptionService) {
+  return multer({
+    storage: createBlobStorage(blobStore, encryptionService),
+    limits: {
+      fileSize: MAX_FILE_SIZE
+    },
+    fileFilter: (req, file, cb) => {
+      log.debug('Receiving file upload', { fileName: file.originalname });
+      cb(null, true);
+    }
+  });
+}
+
+module.exports = createUpload;
@@ -0,0 +1,15 @@
+const express = require('express');
+
+function createAdminRoutes(adminController, auth) {
+  const router = express.Router();
+
+  router.get('/config', auth.requireAdmin, (req, res) => adminController.getConfig(req, res));
+  router.get('/admin/repair', auth.requireAdmin, (req, res) => adminController.getRepairStatus(req, res));
+  router.post('/admin/repair/run', auth.requireAdmin, (req, res) => adminController.runRepair(req, res));
+  router.get('/admin/encryption', auth.requireAdmin, (req, res) => adminController.getEncryptionStatus(req, res));
+  router.post('/admin/encryption/rotate', auth.requireAdmin, (req, res) => adminController.rotateEncryptionKeys(req, res));
+
+  return router;
+}
+
+module.exports = createAdminRoutes;
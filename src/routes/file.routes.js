@@ -1,15 +1,24 @@
 const express = require('express');
-const upload = require('../middleware/upload.middleware');
+const { bindToRequest } = require('../utils/logger');
 
-function createFileRoutes(fileController) {
+// Retrieval and DHT capabilities stay open to callers without credentials
+// so public files and signed URLs work as plain links; the controller
+// decides what each caller may read. Quotas are checked before the upload
+// middleware writes the file.
+function createFileRoutes(fileController, upload, auth, checkQuota) {
   const router = express.Router();
+  const { requireUser } = auth;
 
   router.get('/', (req, res) => fileController.getInfo(req, res));
-  router.get('/health', (req, res) => fileController.getHealth(req, res));
-  router.get('/files', (req, res) => fileController.listFiles(req, res));
-  router.get('/logs', (req, res) => fileController.getAccessLogs(req, res));  // NEW
-  router.post('/upload', upload.single('file'), (req, res) => fileController.uploadFile(req, res));
+  router.get('/files', requireUser, (req, res) => fileController.listFiles(req, res));
+  router.get('/logs', requireUser, (req, res) => fileController.getAccessLogs(req, res));
+  router.post('/upload', requireUser, checkQuota, bindToRequest(upload.single('file')), (req, res) => fileController.uploadFile(req, res));
   router.get('/retrieve/:fileId', (req, res) => fileController.retrieveFile(req, res));
+  router.post('/files/:fileId/signed-urls', requireUser, (req, res) => fileController.createSignedUrl(req, res));
+  router.post('/files/:fileId/capabilities', (req, res) => fileController.createCapability(req, res));
+  router.patch('/files/:fileId', requireUser, (req, res) => fileController.updateFileAccess(req, res));
+  router.delete('/files/:fileId', requireUser, (req, res) => fileController.deleteFile(req, res));
+  router.get('/files/:fileId/logs', requireUser, (req, res) => fileController.getAccessLogs(req, res));
 
   return router;
 }
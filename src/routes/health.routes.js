@@ -0,0 +1,15 @@
+const express = require('express');
+
+// Open to everyone: probes carry no credentials.
+function createHealthRoutes(healthController) {
+  const router = express.Router();
+
+  router.get('/health/live', (req, res) => healthController.getLiveness(req, res));
+  router.get('/health/ready', (req, res) => healthController.getReadiness(req, res));
+  // Kept for existing checks; same report as /health/ready
+  router.get('/health', (req, res) => healthController.getReadiness(req, res));
+
+  return router;
+}
+
+module.exports = createHealthRoutes;
@@ -0,0 +1,13 @@
+const express = require('express');
+
+// Open like the health probes: scrapers carry no credentials, and the
+// metrics hold counts and timings, never file names or IDs.
+function createMetricsRoutes(metricsController) {
+  const router = express.Router();
+
+  router.get('/metrics', (req, res) => metricsController.getMetrics(req, res));
+
+  return router;
+}
+
+module.exports = createMetricsRoutes;
@@ -0,0 +1,17 @@
+const express = require('express');
+
+function createUploadSessionRoutes(uploadSessionController, auth) {
+  const router = express.Router();
+
+  router.use('/uploads', auth.requireUser);
+  router.post('/uploads', (req, res) => uploadSessionController.createSession(req, res));
+  router.head('/uploads/:sessionId', (req, res) => uploadSessionController.getOffset(req, res));
+  router.get('/uploads/:sessionId', (req, res) => uploadSessionController.getSession(req, res));
+  router.patch('/uploads/:sessionId', (req, res) => uploadSessionController.uploadChunk(req, res));
+  router.post('/uploads/:sessionId/finalize', (req, res) => uploadSessionController.finalizeSession(req, res));
+  router.delete('/uploads/:sessionId', (req, res) => uploadSessionController.cancelSession(req, res));
+
+  return router;
+}
+
+module.exports = createUploadSessionRoutes;
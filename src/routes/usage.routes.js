@@ -0,0 +1,11 @@
+const express = require('express');
+
+function createUsageRoutes(usageController, auth) {
+  const router = express.Router();
+
+  router.get('/usage', auth.requireUser, (req, res) => usageController.getUsage(req, res));
+
+  return router;
+}
+
+module.exports = createUsageRoutes;
@@ -0,0 +1,195 @@
+const Hyperswarm = require('hyperswarm');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  FRAME_TYPES,
+  FrameReader,
+  topicForFile,
+  encodeFrame,
+  receiveFile
+} = require('../utils/transfer-protocol');
+const { updateHashFromFile } = require('../utils/file-hash');
+const { DecryptionError, parseKey, decryptFile } = require('../utils/file-encryption');
+const ConnectionQueue = require('../utils/connection-queue');
+const { swarmOptions } = require('../utils/dht-bootstrap');
+
+const DEFAULT_TIMEOUT = 15 * 1000;
+
+/**
+ * Finds and downloads files over the DHT wire protocol, from either a
+ * Reslify server or a standalone StorageNode. Reslify servers only serve
+ * peers holding a capability token for the file (ReslifyClient#capability);
+ * tokens bound to a peer must name this client's `publicKey`.
+ * `bootstrap` (['host:port']) and `host` join a private DHT instead of the
+ * public one.
+ */
+class DHTClient {
+  constructor({ bootstrap, host } = {}) {
+    this.swarm = new Hyperswarm(swarmOptions({ bootstrap, host }));
+    // topic hex -> queue of connections opened for a download
+    this.pending = new Map();
+
+    this.swarm.on('connection', (conn, info) => {
+      conn.on('error', () => {});
+
+      const queue = info.topics
+        .map(topic => this.pending.get(topic.toString('hex')))
+        .find(Boolean);
+
+      if (!info.client || !queue) {
+        conn.destroy();
+        return;
+      }
+      queue.push(conn);
+    });
+  }
+
+  // Hex public key this client identifies itself with to peers.
+  get publicKey() {
+    return this.swarm.keyPair.publicKey.toString('hex');
+  }
+
+  /**
+   * Looks up the peers announcing the file. Resolves with
+   * [{ publicKey }] (hex) once the lookup completes or `timeout` passes.
+   */
+  async find(fileId, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const peers = new Set();
+    const query = this.swarm.dht.lookup(topicForFile(fileId));
+    const timer = setTimeout(() => query.destroy(), timeout);
+
+    try {
+      for await (const data of query) {
+        for (const peer of data.peers) {
+          peers.add(peer.publicKey.toString('hex'));
+        }
+      }
+    } catch (error) {
+      // A destroyed (timed out) lookup still leaves us with the peers found so far.
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return Array.from(peers, publicKey => ({ publicKey }));
+  }
+
+  /**
+   * Downloads the file into `saveDir`. Partial data is kept as
+   * "<fileId>.part" so a later call resumes where this one stopped, and the
+   * finished file is checked against the SHA-256 the peer reports. Pass
+   * `encryptionKey` to decrypt a file that was encrypted end-to-end, and
+   * `capability` when downloading from Reslify servers.
+   */
+  async download(fileId, { saveDir = '.', timeout = DEFAULT_TIMEOUT, encryptionKey, capability } = {}) {
+    const key = encryptionKey ? parseKey(encryptionKey, 'encryptionKey') : null;
+    const topic = topicForFile(fileId);
+    const topicKey = topic.toString('hex');
+
+    if (this.pending.has(topicKey)) {
+      throw new Error(`A download of ${fileId} is already in progress`);
+    }
+
+    await fs.promises.mkdir(saveDir, { recursive: true });
+
+    const queue = new ConnectionQueue();
+    this.pending.set(topicKey, queue);
+    this.swarm.join(topic, { server: false, client: true });
+
+    const partPath = path.join(saveDir, `${fileId}.part`);
+    const deadline = Date.now() + timeout;
+    const errors = [];
+
+    try {
+      while (Date.now() < deadline) {
+        const conn = await queue.next(deadline - Date.now());
+        if (!conn) break;
+
+        try {
+          return await this.downloadFrom(conn, fileId, saveDir, partPath, deadline - Date.now(), { key, capability });
+        } catch (error) {
+          // Every peer serves the same bytes, so another one won't help.
+          if (error instanceof DecryptionError) throw error;
+          errors.push(error.message);
+          // A part file the peer cannot resume from is useless; start over.
+          if (error.remote && error.remote.error === 'Invalid offset') {
+            await fs.promises.unlink(partPath).catch(() => {});
+          }
+        }
+      }
+    } finally {
+      this.pending.delete(topicKey);
+      queue.close();
+      await this.swarm.leave(topic).catch(() => {});
+    }
+
+    throw new Error(errors.length > 0
+      ? `No peer could serve ${fileId} (${errors.join('; ')})`
+      : `No peer holding ${fileId} was found`);
+  }
+
+  async downloadFrom(conn, fileId, saveDir, partPath, timeout, { key = null, capability } = {}) {
+    const reader = new FrameReader(conn);
+    const timer = setTimeout(() => conn.destroy(new Error('Timed out downloading from peer')), timeout);
+
+    try {
+      const resumedFrom = fs.existsSync(partPath) ? (await fs.promises.stat(partPath)).size : 0;
+      const hash = crypto.createHash('sha256');
+      if (resumedFrom > 0) await updateHashFromFile(hash, partPath);
+
+      conn.write(encodeFrame(FRAME_TYPES.REQUEST, {
+        fileId,
+        offset: resumedFrom,
+        topic: topicForFile(fileId).toString('hex'),
+        capability
+      }));
+      const { body: header } = await reader.expect(FRAME_TYPES.HEADER);
+
+      if (header.offset !== resumedFrom) {
+        throw new Error(`Peer resumed at ${header.offset}, expected ${resumedFrom}`);
+      }
+
+      const { contentHash } = await receiveFile(reader, header, {
+        destination: partPath,
+        offset: resumedFrom,
+        hash
+      });
+      conn.end();
+
+      const savedTo = path.join(saveDir, path.basename(header.fileName || '') || fileId);
+      if (key) {
+        try {
+          await decryptFile(partPath, savedTo, key);
+        } finally {
+          await fs.promises.unlink(partPath).catch(() => {});
+        }
+      } else {
+        await fs.promises.rename(partPath, savedTo);
+      }
+
+      return {
+        fileId,
+        fileName: header.fileName,
+        size: key ? (await fs.promises.stat(savedTo)).size : header.size,
+        contentHash,
+        verified: Boolean(header.contentHash),
+        decrypted: Boolean(key),
+        resumedFrom,
+        savedTo,
+        servedBy: header.serverAddress || conn.remotePublicKey.toString('hex')
+      };
+
+    } catch (error) {
+      conn.destroy();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async destroy() {
+    await this.swarm.destroy();
+  }
+}
+
+module.exports = DHTClient;
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { updateHashFromFile } = require('../utils/file-hash');
+const { parseKey, encryptFile, decryptFile } = require('../utils/file-encryption');
+
+const DEFAULT_SERVER = 'http://localhost:3000';
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 3;
+
+class ReslifyError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+async function readError(response) {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Not every failure (e.g. HEAD or a proxy error page) carries JSON.
+  }
+  return new ReslifyError(
+    response.status,
+    body.error || response.statusText,
+    body.message || `Request failed with HTTP ${response.status}`
+  );
+}
+
+function fileNameFromDisposition(header) {
+  const match = /filename="([^"]*)"/.exec(header || '');
+  return match ? path.basename(match[1]) : null;
+}
+
+// Digest: sha-256=<base64> -> hex, or null when the server sent none.
+function contentHashFromDigest(header) {
+  const match = /sha-256=([A-Za-z0-9+/=]+)/.exec(header || '');
+  return match ? Buffer.from(match[1], 'base64').toString('hex') : null;
+}
+
+async function fileBlob(filePath) {
+  if (fs.openAsBlob) return fs.openAsBlob(filePath);
+  return new Blob([await fs.promises.readFile(filePath)]);
+}
+
+/**
+ * Talks to a Reslify server over its HTTP API. Failed requests reject with
+ * a ReslifyError carrying the server's status and error fields.
+ *
+ * Requests authenticate with `apiKey` or a signed `token` when one is given.
+ *
+ * Methods taking an `encryptionKey` (32 bytes, or base64/hex text) encrypt
+ * end-to-end: files are encrypted before they leave this process and
+ * decrypted after download, so neither the server nor DHT peers see them.
+ */
+class ReslifyClient {
+  constructor(baseUrl = DEFAULT_SERVER, { apiKey, token } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.token = token;
+  }
+
+  authHeaders() {
+    if (this.apiKey) return { 'X-API-Key': this.apiKey };
+    if (this.token) return { Authorization: `Bearer ${this.token}` };
+    return {};
+  }
+
+  url(pathname, query = {}) {
+    const url = new URL(pathname, this.baseUrl + '/');
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    }
+    return url;
+  }
+
+  async request(method, pathname, { query, headers, body } = {}) {
+    const response = await fetch(this.url(pathname, query), {
+      method,
+      headers: { ...this.authHeaders(), ...headers },
+      body
+    });
+    if (!response.ok) throw await readError(response);
+    return response;
+  }
+
+  async json(method, pathname, options) {
+    const response = await this.request(method, pathname, options);
+    return response.json();
+  }
+
+  health() {
+    return this.json('GET', '/health');
+  }
+
+  /**
+   * Lists one page of files. `query` takes the GET /files parameters
+   * (limit, cursor, sort, order, prefix, type, minSize, maxSize,
+   * uploadedAfter, uploadedBefore); pass the response's nextCursor as
+   * `cursor` to fetch the following page.
+   */
+  list(query = {}) {
+    return this.json('GET', '/files', { query });
+  }
+
+  // Yields every matching file, following cursors page by page.
+  async *listAll(query = {}) {
+    let cursor;
+    do {
+      const page = await this.list({ ...query, cursor });
+      yield* page.files;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Lists access log entries newest first. `query` takes from, to,
+   * operation, client, limit and cursor, like GET /logs.
+   */
+  logs(query = {}) {
+    return this.json('GET', '/logs', { query });
+  }
+
+  fileLogs(fileId, query = {}) {
+    return this.json('GET', `/files/${encodeURIComponent(fileId)}/logs`, { query });
+  }
+
+  // Runs `send` on the file itself, or on an encrypted temporary copy of it
+  // when an encryptionKey is given.
+  async withUploadCopy(filePath, encryptionKey, send) {
+    if (!encryptionKey) return send(filePath);
+
+    const key = parseKey(encryptionKey, 'encryptionKey');
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'reslify-'));
+    const encryptedPath = path.join(dir, path.basename(filePath));
+
+    try {
+      await encryptFile(filePath, encryptedPath, key);
+      return await send(encryptedPath);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Uploads a file in one request. `visibility` (private, shared or public)
+   * and `sharedWith` (an array of user ids) set who may read it.
+   */
+  async upload(filePath, { contentAddressed, visibility, sharedWith, encryptionKey } = {}) {
+    return this.withUploadCopy(filePath, encryptionKey, async (uploadPath) => {
+      const form = new FormData();
+      form.append('file', await fileBlob(uploadPath), path.basename(filePath));
+
+      return this.json('POST', '/upload', {
+        query: {
+          contentAddressed,
+          visibility,
+          sharedWith: sharedWith && sharedWith.join(','),
+          encryption: encryptionKey ? 'client' : undefined
+        },
+        body: form
+      });
+    });
+  }
+
+  /**
+   * Uploads through a resumable session in `chunkSize` pieces. A chunk that
+   * fails is retried from the offset the server reports.
+   */
+  async uploadResumable(filePath, { contentAddressed, visibility, sharedWith, encryptionKey, chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    return this.withUploadCopy(filePath, encryptionKey, async (uploadPath) => {
+      const { size } = await fs.promises.stat(uploadPath);
+      const session = await this.json('POST', '/uploads', {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fileName: path.basename(filePath),
+          size,
+          contentAddressed,
+          visibility,
+          sharedWith,
+          encryption: encryptionKey ? 'client' : undefined
+        })
+      });
+
+      await this.sendChunks(session, uploadPath, size, chunkSize);
+      return this.json('POST', `${session.uploadUrl}/finalize`);
+    });
+  }
+
+  async sendChunks(session, filePath, size, chunkSize) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let offset = 0;
+    let retries = 0;
+
+    try {
+      while (offset < size) {
+        const length = Math.min(chunkSize, size - offset);
+        const { buffer } = await handle.read(Buffer.alloc(length), 0, length, offset);
+
+        try {
+          const response = await this.request('PATCH', session.uploadUrl, {
+            headers: {
+              'Content-Type': 'application/offset+octet-stream',
+              'Upload-Offset': String(offset)
+            },
+            body: buffer
+          });
+          offset = Number(response.headers.get('Upload-Offset'));
+          retries = 0;
+        } catch (error) {
+          if (++retries > MAX_CHUNK_RETRIES) throw error;
+          const response = await this.request('HEAD', session.uploadUrl);
+          offset = Number(response.headers.get('Upload-Offset'));
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Downloads a file into `saveDir`, resuming from "<fileId>.part" when an
+   * earlier attempt was interrupted. When the server sends a Digest the
+   * finished file is verified against it. End-to-end encrypted files are
+   * decrypted with `encryptionKey`, or saved encrypted without one.
+   */
+  async download(fileId, { saveDir = '.', encryptionKey } = {}) {
+    await fs.promises.mkdir(saveDir, { recursive: true });
+
+    const partPath = path.join(saveDir, `${fileId}.part`);
+    let resumedFrom = fs.existsSync(partPath) ? (await fs.promises.stat(partPath)).size : 0;
+
+    const response = await this.request('GET', `/retrieve/${encodeURIComponent(fileId)}`, {
+      headers: resumedFrom > 0 ? { Range: `bytes=${resumedFrom}-` } : {}
+    });
+
+    // Anything but a 206 for our range means the server sent the whole file.
+    if (response.status !== 206) resumedFrom = 0;
+
+    const hash = crypto.createHash('sha256');
+    if (resumedFrom > 0) await updateHashFromFile(hash, partPath);
+
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(
+      Readable.fromWeb(response.body),
+      hasher,
+      fs.createWriteStream(partPath, { flags: resumedFrom > 0 ? 'a' : 'w' })
+    );
+
+    const contentHash = hash.digest('hex');
+    const expectedHash = contentHashFromDigest(response.headers.get('Digest'));
+
+    if (expectedHash && expectedHash !== contentHash) {
+      await fs.promises.unlink(partPath).catch(() => {});
+      throw new Error(`Integrity check failed: expected SHA-256 ${expectedHash}, got ${contentHash}`);
+    }
+
+    const fileName = fileNameFromDisposition(response.headers.get('Content-Disposition')) || fileId;
+    const savedTo = path.join(saveDir, fileName);
+    const encrypted = response.headers.get('X-Encryption') === 'client';
+
+    if (encrypted && encryptionKey) {
+      try {
+        await decryptFile(partPath, savedTo, parseKey(encryptionKey, 'encryptionKey'));
+      } finally {
+        await fs.promises.unlink(partPath).catch(() => {});
+      }
+    } else {
+      await fs.promises.rename(partPath, savedTo);
+    }
+
+    return {
+      fileId,
+      fileName,
+      size: (await fs.promises.stat(savedTo)).size,
+      contentHash,
+      verified: Boolean(expectedHash),
+      encrypted: encrypted && !encryptionKey,
+      decrypted: encrypted && Boolean(encryptionKey),
+      resumedFrom,
+      savedTo,
+      servedBy: response.headers.get('X-Served-By') || response.headers.get('X-Server-Address')
+    };
+  }
+
+  /**
+   * Issues an expiring signed retrieve URL that works without credentials.
+   * `expiresIn` is in seconds; `maxDownloads` and `ip` restrict it further.
+   */
+  signUrl(fileId, { expiresIn, maxDownloads, ip } = {}) {
+    return this.json('POST', `/files/${encodeURIComponent(fileId)}/signed-urls`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ expiresIn, maxDownloads, ip })
+    });
+  }
+
+  /**
+   * Issues a capability token for downloading the file over the DHT with
+   * DHTClient#download. Pass the DHTClient's `publicKey` as `peer` to make
+   * the token useless to anyone else.
+   */
+  capability(fileId, { peer, expiresIn } = {}) {
+    return this.json('POST', `/files/${encodeURIComponent(fileId)}/capabilities`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ peer, expiresIn })
+    });
+  }
+
+  // Changes who may read a file; unset fields keep their current value.
+  share(fileId, { visibility, sharedWith } = {}) {
+    return this.json('PATCH', `/files/${encodeURIComponent(fileId)}`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ visibility, sharedWith })
+    });
+  }
+
+  async remove(fileId) {
+    return this.json('DELETE', `/files/${encodeURIComponent(fileId)}`);
+  }
+}
+
+module.exports = ReslifyClient;
+module.exports.ReslifyError = ReslifyError;
+module.exports.DEFAULT_SERVER = DEFAULT_SERVER;
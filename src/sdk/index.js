@@ -0,0 +1,10 @@
+const ReslifyClient = require('./http-client');
+const DHTClient = require('./dht-client');
+const StorageNode = require('./storage-node');
+
+module.exports = {
+  ReslifyClient,
+  ReslifyError: ReslifyClient.ReslifyError,
+  DHTClient,
+  StorageNode
+};
@@ -0,0 +1,134 @@
+const Hyperswarm = require('hyperswarm');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { getMimeType } = require('../utils/mime-types');
+const { hashFile } = require('../utils/file-hash');
+const {
+  FRAME_TYPES,
+  DEFAULT_CHUNK_SIZE,
+  FrameReader,
+  topicForFile,
+  streamFile,
+  sendError
+} = require('../utils/transfer-protocol');
+const { swarmOptions } = require('../utils/dht-bootstrap');
+
+/**
+ * A standalone storage node: announces local files on the DHT and serves
+ * them with the same protocol as DHTService, without Cassandra or HTTP.
+ *
+ * Emits 'sent' ({ fileId, bytes }) after each transfer and 'requestError'
+ * when a request fails. `bootstrap` (['host:port']) and `host` join a
+ * private DHT instead of the public one.
+ */
+class StorageNode extends EventEmitter {
+  constructor({ bootstrap, host } = {}) {
+    super();
+    this.swarm = new Hyperswarm(swarmOptions({ bootstrap, host }));
+    this.files = new Map();
+
+    this.swarm.on('connection', (conn) => {
+      conn.on('error', () => {});
+      this.handleConnection(conn).catch((error) => {
+        conn.destroy();
+        this.emit('requestError', error);
+      });
+    });
+  }
+
+  /**
+   * Announces a file. Its id defaults to the SHA-256 of its content, so the
+   * same bytes get the same id on every node.
+   */
+  async publish(filePath, { fileId } = {}) {
+    const stats = await fs.promises.stat(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`Not a regular file: ${filePath}`);
+    }
+
+    const contentHash = await hashFile(filePath);
+    const file = {
+      fileId: fileId || contentHash,
+      fileName: path.basename(filePath),
+      filePath,
+      size: stats.size,
+      contentHash
+    };
+
+    const topic = topicForFile(file.fileId);
+    this.files.set(file.fileId, file);
+    await this.swarm.join(topic, { server: true, client: false }).flushed();
+
+    return { ...file, topic: topic.toString('hex') };
+  }
+
+  async unpublish(fileId) {
+    this.files.delete(fileId);
+    await this.swarm.leave(topicForFile(fileId));
+  }
+
+  /**
+   * Publishes every regular file directly inside `dir`, skipping dotfiles.
+   */
+  async serve(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const published = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      published.push(await this.publish(path.join(dir, entry.name)));
+    }
+
+    return published;
+  }
+
+  async handleConnection(conn) {
+    const reader = new FrameReader(conn);
+    const { body: request } = await reader.expect(FRAME_TYPES.REQUEST);
+    const offset = Math.max(0, parseInt(request.offset) || 0);
+    const file = this.files.get(request.fileId);
+
+    if (!file) {
+      sendError(conn, 'File not found', `No file with ID: ${request.fileId}`);
+      conn.end();
+      return;
+    }
+
+    if (offset > file.size) {
+      sendError(conn, 'Invalid offset', `Offset ${offset} is beyond the end of the file (${file.size} bytes)`);
+      conn.end();
+      return;
+    }
+
+    const source = fs.createReadStream(file.filePath, { start: offset, highWaterMark: DEFAULT_CHUNK_SIZE });
+    try {
+      await new Promise((resolve, reject) => {
+        source.once('open', resolve);
+        source.once('error', reject);
+      });
+    } catch (error) {
+      sendError(conn, 'Failed to read file', error.message);
+      conn.end();
+      return;
+    }
+
+    const summary = await streamFile(conn, source, {
+      success: true,
+      fileId: file.fileId,
+      fileName: file.fileName,
+      size: file.size,
+      mimeType: getMimeType(file.fileName),
+      contentHash: file.contentHash
+    }, { offset });
+
+    conn.end();
+    this.emit('sent', { fileId: file.fileId, bytes: summary.bytes });
+  }
+
+  async destroy() {
+    await this.swarm.destroy();
+  }
+}
+
+module.exports = StorageNode;
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const {
+  AUTH_API_KEYS,
+  AUTH_JWT_SECRET,
+  AUTH_JWT_ISSUER,
+  AUTH_JWT_AUDIENCE,
+  AUTH_ADMIN_USERS,
+  AUTH_ALLOW_ANONYMOUS
+} = require('../config/constants');
+const { verifyToken, TokenError } = require('../utils/jwt');
+const { USER_ID_REGEX } = require('../utils/file-access');
+
+const ANONYMOUS_USER = 'anonymous';
+
+class AuthError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "alice=key1,bob=key2" -> [{ userId, hash }]. Only hashes are kept so keys
+// never sit in memory in the clear after startup.
+function parseApiKeys(value) {
+  return splitList(value).map((entry) => {
+    const separator = entry.indexOf('=');
+    const userId = entry.substring(0, separator).trim();
+    const key = entry.substring(separator + 1).trim();
+
+    if (separator <= 0 || !key) {
+      throw new Error(`AUTH_API_KEYS entry "${entry.substring(0, 16)}..." must look like "user=key"`);
+    }
+    if (!USER_ID_REGEX.test(userId)) {
+      throw new Error(`AUTH_API_KEYS user "${userId}" is not a valid user id`);
+    }
+    return { userId, hash: hashKey(key) };
+  });
+}
+
+/**
+ * Works out who is calling. Requests carry either an API key
+ * (X-API-Key: <key>, or Authorization: ApiKey <key>) or an HS256 signed
+ * token (Authorization: Bearer <jwt>) whose "sub" claim is the user id and
+ * whose optional "admin" claim grants admin rights.
+ *
+ * Principals look like { id, admin, method } where method is "api-key",
+ * "token" or "anonymous".
+ */
+class AuthService {
+  constructor({
+    apiKeys = AUTH_API_KEYS,
+    jwtSecret = AUTH_JWT_SECRET,
+    issuer = AUTH_JWT_ISSUER,
+    audience = AUTH_JWT_AUDIENCE,
+    adminUsers = AUTH_ADMIN_USERS,
+    allowAnonymous = AUTH_ALLOW_ANONYMOUS
+  } = {}) {
+    this.apiKeys = parseApiKeys(apiKeys);
+    this.jwtSecret = jwtSecret;
+    this.issuer = issuer || undefined;
+    this.audience = audience || undefined;
+    this.adminUsers = new Set(splitList(adminUsers));
+    this.allowAnonymous = allowAnonymous;
+  }
+
+  get configured() {
+    return this.apiKeys.length > 0 || Boolean(this.jwtSecret);
+  }
+
+  principal(id, method, admin = false) {
+    return { id, method, admin: admin || this.adminUsers.has(id) };
+  }
+
+  // Compares against every key so the time taken says nothing about
+  // which key (if any) matched.
+  authenticateApiKey(key) {
+    const hash = hashKey(key);
+    let userId = null;
+
+    for (const entry of this.apiKeys) {
+      if (crypto.timingSafeEqual(entry.hash, hash)) userId = entry.userId;
+    }
+
+    if (!userId) {
+      throw new AuthError(401, 'Invalid credentials', 'API key is not recognised');
+    }
+    return this.principal(userId, 'api-key');
+  }
+
+  authenticateToken(token) {
+    if (!this.jwtSecret) {
+      throw new AuthError(401, 'Invalid credentials', 'Signed tokens are not enabled on this server');
+    }
+
+    let claims;
+    try {
+      claims = verifyToken(token, this.jwtSecret, { issuer: this.issuer, audience: this.audience });
+    } catch (error) {
+      if (error instanceof TokenError) throw new AuthError(401, 'Invalid credentials', error.message);
+      throw error;
+    }
+
+    if (typeof claims.sub !== 'string' || !USER_ID_REGEX.test(claims.sub)) {
+      throw new AuthError(401, 'Invalid credentials', 'Token "sub" claim must be a user id');
+    }
+    return this.principal(claims.sub, 'token', claims.admin === true);
+  }
+
+  /**
+   * Returns the principal for the request's credentials, the anonymous
+   * principal when it has none and anonymous access is allowed, or null.
+   * Throws an AuthError (401) for credentials that are present but invalid.
+   */
+  authenticate(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) return this.authenticateApiKey(apiKey);
+
+    const authorization = req.get('Authorization');
+    if (authorization) {
+      const [scheme, credentials] = authorization.trim().split(/\s+/, 2);
+
+      if (/^bearer$/i.test(scheme) && credentials) return this.authenticateToken(credentials);
+      if (/^apikey$/i.test(scheme) && credentials) return this.authenticateApiKey(credentials);
+
+      throw new AuthError(401, 'Invalid credentials', 'Authorization must be "Bearer <token>" or "ApiKey <key>"');
+    }
+
+    return this.allowAnonymous ? this.principal(ANONYMOUS_USER, 'anonymous') : null;
+  }
+}
+
+module.exports = AuthService;
+module.exports.AuthError = AuthError;
+module.exports.ANONYMOUS_USER = ANONYMOUS_USER;
@@ -1,38 +1,68 @@
 const Hyperswarm = require('hyperswarm');
-const crypto = require('crypto');
 const fs = require('fs');
-const { SERVER_ADDRESS } = require('../config/constants');
+const { Readable } = require('stream');
+const {
+  SERVER_ADDRESS,
+  DHT_CHUNK_SIZE,
+  PEER_FETCH_TIMEOUT,
+  DHT_BOOTSTRAP,
+  DHT_HOST
+} = require('../config/constants');
 const { getMimeType } = require('../utils/mime-types');
+const {
+  FRAME_TYPES,
+  FrameReader,
+  topicForFile,
+  encodeFrame,
+  receiveFile,
+  streamFile,
+  sendError
+} = require('../utils/transfer-protocol');
+const ConnectionQueue = require('../utils/connection-queue');
+const { swarmOptions } = require('../utils/dht-bootstrap');
+const { registry, metrics } = require('../utils/metrics');
+const { createLogger, currentRequestId, requestIdFrom, runWithRequestId } = require('../utils/logger');
+const { PeerAuthError } = require('./peer-auth.service');
+
+const log = createLogger('dht');
 
 class DHTService {
-  constructor() {
-    this.swarm = new Hyperswarm();
+  constructor(blobStore, peerAuthService) {
+    this.blobStore = blobStore;
+    this.peerAuthService = peerAuthService;
+    // The replication service shares this swarm's DHT, so both use the
+    // configured bootstrap nodes (the public ones when none are set)
+    this.swarm = new Hyperswarm(swarmOptions({ bootstrap: DHT_BOOTSTRAP, host: DHT_HOST }));
     this.activeTopics = new Map();
+    // topic hex -> in-progress fetch waiting for client connections
+    this.pendingFetches = new Map();
+    // Announcements waiting for the DHT to confirm them, for readiness checks
+    this.flushState = { pending: 0, lastFlushedAt: null, lastError: null };
     this.setupConnectionHandler();
-    console.log('🌐 DHT Storage Node initialized');
+    registry.onCollect(() => {
+      const status = this.status();
+      metrics.swarmConnections.set(status.connections);
+      metrics.swarmPeers.set(status.peers);
+      metrics.announcedTopics.set(status.announcedTopics);
+    });
+    log.info('DHT storage node initialized', { bootstrap: DHT_BOOTSTRAP.length > 0 ? DHT_BOOTSTRAP : 'public' });
   }
 
-  async announceFile(fileId, filePath, fileName, fileSize) {
-    console.log(`\n📢 Announcing file to DHT network:`);
-    console.log(`   🔑 File ID: ${fileId}`);
-    console.log(`   📄 File Name: ${fileName}`);
-    
-    const topic = crypto.createHash('sha256').update(fileId).digest();
+  async announceFile(fileId, storageKey, fileName, fileSize, contentHash = null) {
+    const topic = topicForFile(fileId);
     
     this.activeTopics.set(fileId, {
       topic,
       fileName,
-      filePath,
+      storageKey,
+      contentHash,
       announcedAt: new Date().toISOString()
     });
     
-    console.log(`   📦 Topic: ${topic.toString('hex').substring(0, 20)}...`);
-    console.log(`   📍 Server Address: ${SERVER_ADDRESS}`);
-    
     this.swarm.join(topic, { server: true, client: false });
-    await this.swarm.flush();
+    await this.flush();
     
-    console.log(`   ✅ File successfully announced to DHT network!`);
+    log.debug('File announced', { fileId, fileName, topic: topic.toString('hex') });
     
     return {
       fileId,
@@ -42,71 +72,291 @@ class DHTService {
     };
   }
 
+  async unannounceFile(fileId) {
+    const fileInfo = this.activeTopics.get(fileId);
+    const topic = fileInfo
+      ? fileInfo.topic
+      : topicForFile(fileId);
+
+    await this.swarm.leave(topic);
+    this.activeTopics.delete(fileId);
+
+    log.debug('File unannounced', { fileId, topic: topic.toString('hex'), wasAnnounced: Boolean(fileInfo) });
+
+    return {
+      fileId,
+      topic: topic.toString('hex'),
+      wasAnnounced: Boolean(fileInfo)
+    };
+  }
+
   setupConnectionHandler() {
-    this.swarm.on('connection', (conn) => {
-      console.log('\n🔗 DHT Client connected! Processing download request...');
-      
-      let requestData = '';
+    this.swarm.on('connection', (conn, info) => {
+      // Connections we open only exist to fetch a file from a peer.
+      if (info.client) {
+        this.handleClientConnection(conn, info);
+        return;
+      }
+
+      const peer = info.publicKey.toString('hex');
+      log.debug('DHT client connected', { peer });
       
-      conn.on('data', (data) => {
-        requestData += data.toString();
-        
-        if (requestData.includes('\n')) {
-          const fileId = requestData.trim();
-          console.log(`   📥 Requested File ID: ${fileId}`);
-          
-          if (this.activeTopics.has(fileId)) {
-            const fileInfo = this.activeTopics.get(fileId);
-            
-            try {
-              const fileContent = fs.readFileSync(fileInfo.filePath);
-              
-              const response = {
-                success: true,
-                fileId,
-                fileName: fileInfo.fileName,
-                size: fileContent.length,
-                mimeType: getMimeType(fileInfo.fileName),
-                serverAddress: SERVER_ADDRESS,
-                content: fileContent.toString('base64')
-              };
-              
-              conn.write(JSON.stringify(response));
-              console.log(`   ✅ Sent file: ${fileInfo.fileName} (${fileContent.length} bytes)`);
-              
-            } catch (error) {
-              const errorResponse = {
-                success: false,
-                error: 'Failed to read file',
-                message: error.message
-              };
-              conn.write(JSON.stringify(errorResponse));
-              console.error(`   ❌ Error reading file:`, error.message);
-            }
-          } else {
-            const errorResponse = {
-              success: false,
-              error: 'File not found',
-              message: `No file with ID: ${fileId}`
-            };
-            conn.write(JSON.stringify(errorResponse));
-            console.log(`   ❌ File not found in DHT: ${fileId}`);
-          }
-          
-          setTimeout(() => conn.end(), 100);
-        }
+      this.handleConnection(conn, info).catch((error) => {
+        log.error('Handling DHT request failed', { peer, error });
+        conn.destroy();
       });
       
       conn.on('error', (err) => {
         if (err.code !== 'ECONNRESET') {
-          console.error('   ⚠️  Connection error:', err.message);
+          log.warn('DHT connection error', { peer, error: err });
         }
       });
     });
   }
 
+  async handleConnection(conn, info) {
+    const reader = new FrameReader(conn);
+    let request;
+
+    try {
+      ({ body: request } = await reader.expect(FRAME_TYPES.REQUEST));
+    } catch (error) {
+      if (!reader.ended) {
+        sendError(conn, 'Malformed request', error.message);
+        conn.end();
+      }
+      return;
+    }
+
+    // Entries for this transfer carry the requesting node's request ID
+    await runWithRequestId(requestIdFrom(request.requestId), async () => {
+      try {
+        this.authorizeRequest(request, info);
+      } catch (error) {
+        if (!(error instanceof PeerAuthError)) throw error;
+        log.warn('DHT request refused', { fileId: request.fileId, peer: info.publicKey.toString('hex'), reason: error.message });
+        sendError(conn, error.error, error.message);
+        conn.end();
+        return;
+      }
+
+      await this.handleFileRequest(conn, request);
+    });
+  }
+
+  /**
+   * Checks a REQUEST that arrived on a file topic connection. The request
+   * must name the topic the peer found us on, and it must be the file's
+   * own topic. Hyperswarm only records topics on connections it opened
+   * itself, so on incoming connections the request's claim is all there is;
+   * when the connection does carry topics, the file's must be among them.
+   * The peer must then be a cluster member or hold a capability token for
+   * the file. Throws a PeerAuthError otherwise.
+   */
+  authorizeRequest(request, info) {
+    const fileTopic = topicForFile(String(request.fileId)).toString('hex');
+    const connectionTopics = info.topics.map(topic => topic.toString('hex'));
+
+    if (request.topic !== fileTopic || (connectionTopics.length > 0 && !connectionTopics.includes(fileTopic))) {
+      throw new PeerAuthError(400, 'Wrong topic',
+        `File ${request.fileId} was not requested on its own topic`);
+    }
+
+    const via = this.peerAuthService.authorizeFileRequest(request.fileId, info.publicKey, request.capability);
+    log.debug('DHT peer allowed', { fileId: request.fileId, peer: info.publicKey.toString('hex'), via });
+  }
+
+  async handleFileRequest(conn, request) {
+    const { fileId } = request;
+    const offset = Math.max(0, parseInt(request.offset) || 0);
+    if (!this.activeTopics.has(fileId)) {
+      sendError(conn, 'File not found', `No file with ID: ${fileId}`);
+      log.info('DHT request for a file not announced here', { fileId });
+      conn.end();
+      return;
+    }
+
+    const fileInfo = this.activeTopics.get(fileId);
+
+    let size;
+    let source;
+    try {
+      const stats = await this.blobStore.stat(fileInfo.storageKey);
+      if (!stats) throw new Error(`Blob ${fileInfo.storageKey} is missing from the ${this.blobStore.name} blob store`);
+      size = stats.size;
+
+      if (offset > size) {
+        sendError(conn, 'Invalid offset', `Offset ${offset} is beyond the end of the file (${size} bytes)`);
+        conn.end();
+        return;
+      }
+
+      // An empty range can't be requested from every store; nothing is left to send.
+      source = offset === size
+        ? Readable.from([])
+        : await this.blobStore.createReadStream(fileInfo.storageKey, { start: offset });
+    } catch (error) {
+      sendError(conn, 'Failed to read file', error.message);
+      log.error('Reading file for DHT transfer failed', { fileId, error });
+      conn.end();
+      return;
+    }
+
+    try {
+      const summary = await streamFile(conn, source, {
+        success: true,
+        fileId,
+        fileName: fileInfo.fileName,
+        size,
+        mimeType: getMimeType(fileInfo.fileName),
+        contentHash: fileInfo.contentHash,
+        serverAddress: SERVER_ADDRESS
+      }, { offset, chunkSize: DHT_CHUNK_SIZE });
+      metrics.bytesServed.inc({ transport: 'dht' }, summary.bytes);
+
+      log.info('File sent over DHT', { fileId, offset, bytes: summary.bytes, chunks: summary.chunks });
+
+    } catch (error) {
+      log.warn('Streaming file over DHT failed', { fileId, offset, error });
+    }
+
+    conn.end();
+  }
+
+  handleClientConnection(conn, info) {
+    conn.on('error', () => {});
+
+    const queue = info.topics
+      .map(topic => this.pendingFetches.get(topic.toString('hex')))
+      .find(Boolean);
+
+    if (!queue) {
+      conn.destroy();
+      return;
+    }
+
+    queue.push(conn);
+  }
+
+  /**
+   * Joins the file's topic as a client and downloads the file to
+   * `destination` from the first peer that serves a complete copy.
+   * Copies whose hash differs from `expectedHash` are rejected.
+   * Resolves with the serving peer's header.
+   */
+  async fetchFromPeers(fileId, destination, { expectedHash = null, timeout = PEER_FETCH_TIMEOUT } = {}) {
+    const topic = topicForFile(fileId);
+    const topicKey = topic.toString('hex');
+
+    if (this.pendingFetches.has(topicKey)) {
+      throw new Error(`A peer fetch for ${fileId} is already in progress`);
+    }
+
+    log.debug('Looking for peers holding file', { fileId });
+
+    const queue = new ConnectionQueue();
+    this.pendingFetches.set(topicKey, queue);
+    this.swarm.join(topic, { server: false, client: true });
+
+    const deadline = Date.now() + timeout;
+    const errors = [];
+
+    try {
+      while (Date.now() < deadline) {
+        const conn = await queue.next(deadline - Date.now());
+        if (!conn) break;
+
+        try {
+          const header = await this.requestFile(conn, fileId, destination, deadline - Date.now());
+
+          if (expectedHash && header.contentHash !== expectedHash) {
+            throw new Error('Peer reported a different content hash');
+          }
+
+          log.info('File fetched from peer', { fileId, bytes: header.size, servedBy: header.serverAddress });
+          return header;
+
+        } catch (error) {
+          log.warn('Peer fetch failed', { fileId, error });
+          errors.push(error.message);
+          await fs.promises.unlink(destination).catch(() => {});
+        }
+      }
+    } finally {
+      this.pendingFetches.delete(topicKey);
+      queue.close();
+      await this.swarm.leave(topic).catch(() => {});
+    }
+
+    throw new Error(errors.length > 0
+      ? `No peer could serve the file (${errors.join('; ')})`
+      : 'No peer holding this file was found');
+  }
+
+  async requestFile(conn, fileId, destination, timeout) {
+    const reader = new FrameReader(conn);
+    const timer = setTimeout(() => conn.destroy(new Error('Timed out fetching from peer')), timeout);
+
+    // Holders see this swarm's key rather than the node id, so the request
+    // carries a capability for that key signed with the node key.
+    const { token } = this.peerAuthService.issue(fileId, {
+      peer: this.swarm.keyPair.publicKey,
+      expiresIn: Math.max(1, Math.ceil(timeout / 1000))
+    });
+
+    try {
+      conn.write(encodeFrame(FRAME_TYPES.REQUEST, {
+        fileId,
+        offset: 0,
+        topic: topicForFile(fileId).toString('hex'),
+        capability: token,
+        requestId: currentRequestId()
+      }));
+      const { body: header } = await reader.expect(FRAME_TYPES.HEADER);
+      const { bytes } = await receiveFile(reader, header, { destination });
+      metrics.bytesUploaded.inc({ transport: 'dht' }, bytes);
+      conn.end();
+      return header;
+
+    } catch (error) {
+      conn.destroy();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async flush() {
+    this.flushState.pending++;
+    try {
+      await this.swarm.flush();
+      this.flushState.lastFlushedAt = new Date().toISOString();
+      this.flushState.lastError = null;
+    } catch (error) {
+      this.flushState.lastError = error.message;
+      throw error;
+    } finally {
+      this.flushState.pending--;
+    }
+  }
+
+  // Snapshot of the swarm for health checks and monitoring.
+  status() {
+    const dht = this.swarm.dht;
+    return {
+      destroyed: this.swarm.destroyed || dht.destroyed,
+      online: dht.online,
+      bootstrapped: dht.bootstrapped,
+      dhtNodes: dht.destroyed ? 0 : dht.toArray().length,
+      connections: this.swarm.connections.size,
+      peers: this.swarm.peers.size,
+      announcedTopics: this.activeTopics.size,
+      flush: { ...this.flushState }
+    };
+  }
+
   async shutdown() {
-    console.log('\n👋 Shutting down DHT node...');
+    log.info('Shutting down DHT node');
     await this.swarm.destroy();
   }
 }
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const {
+  ENCRYPTION_KEYS,
+  ENCRYPTION_KEY_ID,
+  ENCRYPTION_CHUNK_SIZE
+} = require('../config/constants');
+const {
+  randomKey,
+  parseKey,
+  createEncryptStream,
+  createDecryptedRangeStream,
+  wrapKey,
+  unwrapKey
+} = require('../utils/file-encryption');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('encryption');
+const KEY_ID_REGEX = /^[\w.-]{1,64}$/;
+
+// "2024=<base64>,2025=<base64>" -> Map(keyId -> key)
+function parseMasterKeys(value) {
+  const keys = new Map();
+
+  for (const entry of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const keyId = entry.substring(0, separator).trim();
+
+    if (separator <= 0 || !KEY_ID_REGEX.test(keyId)) {
+      throw new Error(`ENCRYPTION_KEYS entries must look like "keyId=<base64 key>" (got "${entry.substring(0, 12)}...")`);
+    }
+    keys.set(keyId, parseKey(entry.substring(separator + 1), `ENCRYPTION_KEYS key "${keyId}"`));
+  }
+
+  return keys;
+}
+
+/**
+ * Encryption at rest. Every blob written while master keys are configured
+ * is encrypted with its own random data key, which is kept wrapped under
+ * the current master key in an envelope stored with the file's metadata:
+ *
+ *   { mode: 'server', keyId, wrappedKey, chunkSize, size, hash }
+ *
+ * where size and hash describe the stored ciphertext. Files encrypted by
+ * their client get { mode: 'client' }; the server never holds their keys.
+ *
+ * Rotation: add a new key to ENCRYPTION_KEYS, point ENCRYPTION_KEY_ID at it
+ * and run rotate(). Data keys are rewrapped; blobs are never re-encrypted,
+ * so once rotate() reports no failures the old key can be removed.
+ */
+class EncryptionService {
+  constructor(metadataStore, {
+    keys = ENCRYPTION_KEYS,
+    currentKeyId = ENCRYPTION_KEY_ID,
+    chunkSize = ENCRYPTION_CHUNK_SIZE
+  } = {}) {
+    this.metadataStore = metadataStore;
+    this.keys = parseMasterKeys(keys);
+    this.currentKeyId = currentKeyId || Array.from(this.keys.keys()).pop() || null;
+    this.chunkSize = chunkSize;
+
+    if (this.currentKeyId && !this.keys.has(this.currentKeyId)) {
+      throw new Error(`ENCRYPTION_KEY_ID "${this.currentKeyId}" is not listed in ENCRYPTION_KEYS`);
+    }
+  }
+
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  masterKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) throw new Error(`Encryption key "${keyId}" is not configured on this node`);
+    return key;
+  }
+
+  /**
+   * Encrypts `source` into the blob store under `storageKey`. Resolves with
+   * the envelope to store with the file.
+   */
+  async put(blobStore, storageKey, source) {
+    const dataKey = randomKey();
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const encrypted = source.pipe(createEncryptStream(dataKey, { chunkSize: this.chunkSize })).pipe(measure);
+    source.on('error', error => encrypted.destroy(error));
+
+    await blobStore.put(storageKey, encrypted);
+
+    return {
+      mode: 'server',
+      keyId: this.currentKeyId,
+      wrappedKey: wrapKey(dataKey, this.masterKey(this.currentKeyId)),
+      chunkSize: this.chunkSize,
+      size,
+      hash: hash.digest('hex')
+    };
+  }
+
+  /**
+   * Turns a located copy of a file encrypted at rest ({ size, openStream,
+   * ... } over the stored ciphertext) into one serving the plaintext.
+   */
+  decryptSource(source, file) {
+    const dataKey = unwrapKey(file.encryption.wrappedKey, this.masterKey(file.encryption.keyId));
+    const plainSize = parseInt(file.fileSize);
+
+    return {
+      ...source,
+      size: plainSize,
+      openStream: (start, end) => createDecryptedRangeStream(source.openStream, dataKey, plainSize, start, end)
+    };
+  }
+
+  // The same envelope with its data key wrapped under the current master key.
+  rewrap(encryption) {
+    const dataKey = unwrapKey(encryption.wrappedKey, this.masterKey(encryption.keyId));
+    return {
+      ...encryption,
+      keyId: this.currentKeyId,
+      wrappedKey: wrapKey(dataKey, this.masterKey(this.currentKeyId))
+    };
+  }
+
+  /**
+   * Rewraps every data key not yet under the current master key, in the
+   * files and the blobs they share. Resolves with
+   * { keyId, checked, rewrapped, failures: [{ fileId, message }] }.
+   */
+  async rotate() {
+    if (!this.enabled) {
+      throw new Error('Encryption at rest is not enabled (ENCRYPTION_KEYS is empty)');
+    }
+
+    const files = await this.metadataStore.getAllFiles();
+    const summary = { keyId: this.currentKeyId, checked: files.length, rewrapped: 0, failures: [] };
+
+    for (const file of files) {
+      const encryption = file.encryption;
+      if (!encryption || encryption.mode !== 'server' || encryption.keyId === this.currentKeyId) continue;
+
+      try {
+        const rewrapped = this.rewrap(encryption);
+        await this.metadataStore.updateFileEncryption(file.fileId, rewrapped);
+        if (file.contentHash) {
+          await this.metadataStore.updateBlobEncryption(file.contentHash, rewrapped);
+        }
+        summary.rewrapped++;
+      } catch (error) {
+        log.error('Rewrapping data key failed', { fileId: file.fileId, error });
+        summary.failures.push({ fileId: file.fileId, message: error.message });
+      }
+    }
+
+    log.info('Data keys rewrapped', {
+      keyId: summary.keyId,
+      checked: summary.checked,
+      rewrapped: summary.rewrapped,
+      failures: summary.failures.length
+    });
+    return summary;
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      currentKeyId: this.currentKeyId,
+      keyIds: Array.from(this.keys.keys()),
+      chunkSize: this.chunkSize
+    };
+  }
+}
+
+module.exports = EncryptionService;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  UPLOAD_DIR,
+  HEALTH_CHECK_TIMEOUT,
+  HEALTH_MIN_FREE_SPACE
+} = require('../config/constants');
+const { version } = require('../../package.json');
+
+// Component states; only "down" makes the node unready. A DHT that is
+// offline still leaves this node serving its own files over HTTP.
+const UP = 'up';
+const DEGRADED = 'degraded';
+const DOWN = 'down';
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Liveness and readiness for orchestrators. Liveness only says the process
+ * answers; readiness checks every component a request depends on:
+ *
+ *   metadata  the metadata store answers a test query
+ *   blobs     the blob store is reachable
+ *   disk      UPLOAD_DIR is writable and has HEALTH_MIN_FREE_SPACE free
+ *   dht       the swarm is running (peers, topics and flushes reported)
+ */
+class HealthService {
+  constructor(metadataStore, blobStore, dhtService) {
+    this.metadataStore = metadataStore;
+    this.blobStore = blobStore;
+    this.dhtService = dhtService;
+    this.version = version;
+  }
+
+  liveness() {
+    return {
+      status: 'alive',
+      version: this.version,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Resolves with { ready, status, components }; checks run in parallel.
+  async readiness() {
+    const [metadata, blobs, disk, dht] = await Promise.all([
+      this.runCheck('metadata', () => this.checkStore(this.metadataStore)),
+      this.runCheck('blobs', () => this.checkStore(this.blobStore)),
+      this.runCheck('disk', () => this.checkDisk()),
+      this.runCheck('dht', () => this.checkDHT())
+    ]);
+    const components = { metadata, blobs, disk, dht };
+    const ready = Object.values(components).every(component => component.status !== DOWN);
+
+    return {
+      ready,
+      status: ready ? 'ready' : 'not ready',
+      version: this.version,
+      uptime: process.uptime(),
+      components,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async runCheck(name, check) {
+    try {
+      return await withTimeout(check(), HEALTH_CHECK_TIMEOUT, name);
+    } catch (error) {
+      return { status: DOWN, message: error.message };
+    }
+  }
+
+  async checkStore(store) {
+    return { status: UP, backend: store.name, ...(await store.checkHealth()) };
+  }
+
+  async checkDisk() {
+    const probe = path.join(UPLOAD_DIR, `.health-${crypto.randomBytes(6).toString('hex')}`);
+    await fs.promises.writeFile(probe, 'ok');
+    await fs.promises.unlink(probe);
+
+    const stats = await fs.promises.statfs(UPLOAD_DIR);
+    const freeBytes = stats.bavail * stats.bsize;
+    const report = {
+      directory: path.resolve(UPLOAD_DIR),
+      writable: true,
+      freeBytes,
+      totalBytes: stats.blocks * stats.bsize,
+      minFreeBytes: HEALTH_MIN_FREE_SPACE
+    };
+
+    if (freeBytes < HEALTH_MIN_FREE_SPACE) {
+      return { status: DOWN, message: `Only ${freeBytes} bytes free in ${report.directory}`, ...report };
+    }
+    return { status: UP, ...report };
+  }
+
+  async checkDHT() {
+    const dht = this.dhtService.status();
+
+    if (dht.destroyed) {
+      return { status: DOWN, message: 'DHT swarm has been destroyed', ...dht };
+    }
+    if (!dht.online || dht.flush.lastError) {
+      return {
+        status: DEGRADED,
+        message: dht.online ? `Last announcement failed: ${dht.flush.lastError}` : 'DHT node is offline',
+        ...dht
+      };
+    }
+    return { status: UP, ...dht };
+  }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,361 @@
+const cassandra = require('cassandra-driver');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { replicationToCql } = require('../config/database');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('migrations');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+// A crashed runner's lock expires on its own after this long.
+const LOCK_TTL_SECONDS = 10 * 60;
+
+/**
+ * Loads the migrations in `dir`, sorted by version. Files are named
+ * "<version>-<name>.js" and export { description, up(db), down(db) }.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      description: migration.description || match[2],
+      up: migration.up,
+      down: migration.down
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+// system_schema returns replication factors as strings.
+function sameReplication(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => String(a[key]).replace(/^org\.apache\.cassandra\.locator\./, '') ===
+    String(b[key]).replace(/^org\.apache\.cassandra\.locator\./, ''));
+}
+
+/**
+ * Applies and rolls back the versioned migrations in migrations/ against
+ * one keyspace. Applied versions are recorded in schema_migrations, and a
+ * lightweight-transaction lock keeps two runners (e.g. two nodes starting
+ * at once) from migrating concurrently.
+ *
+ * With `dryRun` every schema change and write is printed instead of
+ * executed; reads still run so data copies can report their row counts.
+ */
+class MigrationService {
+  constructor({ contactPoints, localDataCenter, keyspace, replication }, { migrations } = {}) {
+    this.keyspace = keyspace;
+    this.replication = replication;
+    this.migrations = migrations || loadMigrations();
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.client = new cassandra.Client({ contactPoints, localDataCenter });
+  }
+
+  async connect() {
+    await this.client.connect();
+  }
+
+  async shutdown() {
+    await this.client.shutdown();
+  }
+
+  table(name) {
+    return `${this.keyspace}.${name}`;
+  }
+
+  async keyspaceReplication() {
+    const result = await this.client.execute(
+      'SELECT replication FROM system_schema.keyspaces WHERE keyspace_name = ?',
+      [this.keyspace],
+      { prepare: true }
+    );
+    return result.rows.length > 0 ? result.rows[0].replication : null;
+  }
+
+  async tableExists(table) {
+    const result = await this.client.execute(
+      'SELECT table_name FROM system_schema.tables WHERE keyspace_name = ? AND table_name = ?',
+      [this.keyspace, table],
+      { prepare: true }
+    );
+    return result.rows.length > 0;
+  }
+
+  async columnExists(table, column) {
+    const result = await this.client.execute(
+      'SELECT column_name FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ? AND column_name = ?',
+      [this.keyspace, table, column],
+      { prepare: true }
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Creates the keyspace with the configured replication if it is missing.
+   * An existing keyspace is never altered here, only reported when its
+   * replication differs; see updateKeyspace().
+   */
+  async ensureKeyspace({ dryRun = false } = {}) {
+    const current = await this.keyspaceReplication();
+
+    if (current) {
+      if (!sameReplication(current, this.replication)) {
+        log.warn('Keyspace replication differs from the configured one; run "npm run migrate -- keyspace" to apply it', {
+          keyspace: this.keyspace,
+          current: replicationToCql(current),
+          configured: replicationToCql(this.replication)
+        });
+      }
+      return { created: false };
+    }
+
+    const query = `CREATE KEYSPACE IF NOT EXISTS ${this.keyspace} WITH replication = ${replicationToCql(this.replication)}`;
+    if (dryRun) {
+      log.info('[dry-run]', { query });
+    } else {
+      await this.client.execute(query);
+      log.info('Keyspace created', { keyspace: this.keyspace, replication: replicationToCql(this.replication) });
+    }
+    return { created: true };
+  }
+
+  /**
+   * Alters the keyspace to the configured replication. Existing data is
+   * only moved to its new replicas by a repair, so a change is followed by
+   * a reminder to run one.
+   */
+  async updateKeyspace({ dryRun = false } = {}) {
+    const current = await this.keyspaceReplication();
+    if (!current) {
+      throw new Error(`Keyspace "${this.keyspace}" does not exist yet; run "migrate up" first`);
+    }
+
+    if (sameReplication(current, this.replication)) {
+      return { changed: false, replication: current };
+    }
+
+    const query = `ALTER KEYSPACE ${this.keyspace} WITH replication = ${replicationToCql(this.replication)}`;
+    if (dryRun) {
+      log.info('[dry-run]', { query });
+    } else {
+      await this.client.execute(query);
+    }
+    return { changed: true, previous: current, replication: this.replication };
+  }
+
+  async ensureMigrationTables() {
+    await this.client.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.table('schema_migrations')} (
+        version int PRIMARY KEY,
+        name text,
+        applied_at timestamp
+      )
+    `);
+    await this.client.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.table('schema_migration_lock')} (
+        id text PRIMARY KEY,
+        owner text,
+        acquired_at timestamp
+      )
+    `);
+  }
+
+  async appliedVersions() {
+    if (!(await this.tableExists('schema_migrations'))) return new Map();
+
+    const result = await this.client.execute(`SELECT * FROM ${this.table('schema_migrations')}`);
+    return new Map(result.rows.map(row => [row.version, { name: row.name, appliedAt: row.applied_at }]));
+  }
+
+  /**
+   * Lists every known migration with its state: 'applied', 'pending', or
+   * 'missing' for versions recorded in the keyspace but not found on disk
+   * (written by a newer release).
+   */
+  async status() {
+    const applied = await this.appliedVersions();
+    const entries = this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      state: applied.has(migration.version) ? 'applied' : 'pending',
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null
+    }));
+
+    for (const [version, row] of applied) {
+      if (!this.migrations.some(migration => migration.version === version)) {
+        entries.push({ version, name: row.name, description: null, state: 'missing', appliedAt: row.appliedAt });
+      }
+    }
+
+    return entries.sort((a, b) => a.version - b.version);
+  }
+
+  async pending() {
+    const applied = await this.appliedVersions();
+    return this.migrations.filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Applies pending migrations in version order, up to and including `to`
+   * when given. Resolves with the migrations that ran (or would run).
+   */
+  async up({ to = Infinity, dryRun = false } = {}) {
+    await this.ensureKeyspace({ dryRun });
+    const plan = (await this.pending()).filter(migration => migration.version <= to);
+
+    return this.run(plan, 'up', { dryRun });
+  }
+
+  /**
+   * Rolls back applied migrations newest first: the last `steps` of them
+   * (default 1), or every one above version `to`.
+   */
+  async down({ to, steps = 1, dryRun = false } = {}) {
+    const applied = await this.appliedVersions();
+    const unknown = [...applied.keys()].filter(version => !this.migrations.some(m => m.version === version));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot roll back: version(s) ${unknown.join(', ')} are applied but have no migration file`);
+    }
+
+    let plan = this.migrations.filter(migration => applied.has(migration.version)).reverse();
+    plan = to !== undefined
+      ? plan.filter(migration => migration.version > to)
+      : plan.slice(0, steps);
+
+    return this.run(plan, 'down', { dryRun });
+  }
+
+  async run(plan, direction, { dryRun }) {
+    if (plan.length === 0) return [];
+
+    if (!dryRun) {
+      await this.ensureMigrationTables();
+      await this.acquireLock();
+    }
+
+    try {
+      for (const migration of plan) {
+        log.info(`${dryRun ? '[dry-run] ' : ''}Migrating ${direction}`, {
+          migration: `${String(migration.version).padStart(3, '0')}-${migration.name}`,
+          description: migration.description
+        });
+
+        await migration[direction](this.context({ dryRun }));
+
+        if (dryRun) continue;
+        if (direction === 'up') {
+          await this.client.execute(
+            `INSERT INTO ${this.table('schema_migrations')} (version, name, applied_at) VALUES (?, ?, ?)`,
+            [migration.version, migration.name, new Date()],
+            { prepare: true }
+          );
+        } else {
+          await this.client.execute(
+            `DELETE FROM ${this.table('schema_migrations')} WHERE version = ?`,
+            [migration.version],
+            { prepare: true }
+          );
+        }
+      }
+    } finally {
+      if (!dryRun) await this.releaseLock();
+    }
+
+    return plan;
+  }
+
+  async acquireLock() {
+    const result = await this.client.execute(
+      `INSERT INTO ${this.table('schema_migration_lock')} (id, owner, acquired_at) VALUES ('lock', ?, ?)
+       IF NOT EXISTS USING TTL ${LOCK_TTL_SECONDS}`,
+      [this.owner, new Date()],
+      { prepare: true }
+    );
+
+    if (!result.wasApplied()) {
+      const holder = result.first();
+      throw new Error(`Migrations are locked by ${holder.owner} since ${holder.acquired_at.toISOString()}; ` +
+        `retry once it finishes (the lock expires after ${LOCK_TTL_SECONDS}s)`);
+    }
+  }
+
+  async releaseLock() {
+    await this.client.execute(
+      `DELETE FROM ${this.table('schema_migration_lock')} WHERE id = 'lock' IF owner = ?`,
+      [this.owner],
+      { prepare: true }
+    );
+  }
+
+  /**
+   * The object handed to a migration's up()/down(). The client is not
+   * bound to a keyspace, so queries name tables as `${db.keyspace}.files`.
+   *   execute(query, params)   schema change or write; printed on dry runs
+   *   eachRow(query, params, fn)  pages through a read, calling fn per row
+   *   batch(queries)           logged batch of writes; skipped on dry runs
+   *   tableExists(table), columnExists(table, column)
+   */
+  context({ dryRun }) {
+    const client = this.client;
+
+    return {
+      keyspace: this.keyspace,
+      dryRun,
+      tableExists: table => this.tableExists(table),
+      columnExists: (table, column) => this.columnExists(table, column),
+      log: message => log.info(message),
+
+      async execute(query, params = []) {
+        if (dryRun) {
+          log.info('[dry-run]', { query: query.replace(/\s+/g, ' ').trim() });
+          return null;
+        }
+        return client.execute(query, params, { prepare: params.length > 0 });
+      },
+
+      async eachRow(query, params, fn) {
+        const result = await client.execute(query, params, { prepare: true, fetchSize: 500 });
+        let count = 0;
+        for await (const row of result) {
+          await fn(row);
+          count++;
+        }
+        return count;
+      },
+
+      async batch(queries) {
+        if (dryRun) return null;
+        return client.batch(queries, { prepare: true });
+      }
+    };
+  }
+}
+
+module.exports = MigrationService;
+module.exports.loadMigrations = loadMigrations;
+module.exports.MIGRATIONS_DIR = MIGRATIONS_DIR;
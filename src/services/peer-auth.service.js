@@ -0,0 +1,173 @@
+const hypercoreCrypto = require('hypercore-crypto');
+const {
+  DHT_TRUSTED_PEERS,
+  DHT_CAPABILITY_DEFAULT_TTL,
+  DHT_CAPABILITY_MAX_TTL
+} = require('../config/constants');
+
+const TOKEN_VERSION = 1;
+const SIGNATURE_CONTEXT = 'reslify-capability\n';
+const PUBLIC_KEY_REGEX = /^[0-9a-f]{64}$/i;
+
+class PeerAuthError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function toHex(publicKey) {
+  return Buffer.isBuffer(publicKey) ? publicKey.toString('hex') : String(publicKey || '').toLowerCase();
+}
+
+// "ab12...,cd34..." -> Set of lowercase hex keys; "*" trusts everyone.
+function parseTrustedPeers(value) {
+  const peers = new Set();
+
+  for (const entry of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    if (entry !== '*' && !PUBLIC_KEY_REGEX.test(entry)) {
+      throw new Error(`DHT_TRUSTED_PEERS entries must be 64-character hex node ids or "*" (got "${entry.substring(0, 16)}...")`);
+    }
+    peers.add(entry.toLowerCase());
+  }
+
+  return peers;
+}
+
+function signedPayload(encoded) {
+  return Buffer.from(SIGNATURE_CONTEXT + encoded);
+}
+
+/**
+ * Decides which DHT peers may talk to this node. Peers are identified by
+ * the public key of their Noise handshake:
+ *
+ *  - Trusted peers (this node and the node ids in DHT_TRUSTED_PEERS) are
+ *    cluster members. They may push, drop and pull replicas, and request
+ *    any file this node serves.
+ *  - Anyone else needs a capability token for the file they request:
+ *
+ *      base64url(JSON { v, iss, fid, exp[, peer] }) . base64url(signature)
+ *
+ *    signed with the issuing node's key. Tokens from any trusted node are
+ *    accepted, and one carrying `peer` only works for that peer's key.
+ */
+class PeerAuthService {
+  constructor(keyPair, { trustedPeers = DHT_TRUSTED_PEERS } = {}) {
+    this.keyPair = keyPair;
+    this.nodeId = keyPair.publicKey.toString('hex');
+    this.trustedPeers = parseTrustedPeers(trustedPeers);
+  }
+
+  get openCluster() {
+    return this.trustedPeers.has('*');
+  }
+
+  isTrusted(publicKey) {
+    const key = toHex(publicKey);
+    return key === this.nodeId || this.openCluster || this.trustedPeers.has(key);
+  }
+
+  /**
+   * Issues a capability token for `fileId`, valid for `expiresIn` seconds
+   * and, when `peer` (a hex public key) is given, only for that peer.
+   * Returns { token, expiresAt, peer }.
+   */
+  issue(fileId, { expiresIn, peer } = {}) {
+    let ttl = DHT_CAPABILITY_DEFAULT_TTL;
+    if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+      ttl = Number(expiresIn);
+      if (!Number.isSafeInteger(ttl) || ttl < 1 || ttl > DHT_CAPABILITY_MAX_TTL) {
+        throw new PeerAuthError(400, 'Invalid capability request',
+          `expiresIn must be an integer between 1 and ${DHT_CAPABILITY_MAX_TTL}`);
+      }
+    }
+
+    const boundPeer = peer ? toHex(peer) : null;
+    if (boundPeer !== null && !PUBLIC_KEY_REGEX.test(boundPeer)) {
+      throw new PeerAuthError(400, 'Invalid capability request', 'peer must be a 64-character hex public key');
+    }
+
+    const claims = {
+      v: TOKEN_VERSION,
+      iss: this.nodeId,
+      fid: fileId,
+      exp: Math.floor(Date.now() / 1000) + ttl
+    };
+    if (boundPeer) claims.peer = boundPeer;
+
+    const encoded = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = hypercoreCrypto.sign(signedPayload(encoded), this.keyPair.secretKey);
+
+    return {
+      token: `${encoded}.${signature.toString('base64url')}`,
+      expiresAt: new Date(claims.exp * 1000),
+      peer: boundPeer
+    };
+  }
+
+  /**
+   * Checks a capability token presented by `peerKey` for `fileId`.
+   * Returns its claims or throws a PeerAuthError.
+   */
+  verifyCapability(token, fileId, peerKey) {
+    const [encoded, signature, extra] = String(token).split('.');
+    let claims;
+
+    try {
+      if (!encoded || !signature || extra !== undefined) throw new Error('malformed');
+      claims = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new PeerAuthError(403, 'Invalid capability', 'Capability token is malformed');
+    }
+
+    if (!claims || claims.v !== TOKEN_VERSION || !PUBLIC_KEY_REGEX.test(claims.iss || '')) {
+      throw new PeerAuthError(403, 'Invalid capability', 'Capability token is malformed');
+    }
+    if (!this.isTrusted(claims.iss)) {
+      throw new PeerAuthError(403, 'Invalid capability', 'Capability token was issued by a node this node does not trust');
+    }
+    if (!hypercoreCrypto.verify(signedPayload(encoded), Buffer.from(signature, 'base64url'), Buffer.from(claims.iss, 'hex'))) {
+      throw new PeerAuthError(403, 'Invalid capability', 'Capability token signature does not match');
+    }
+    if (claims.fid !== fileId) {
+      throw new PeerAuthError(403, 'Invalid capability', 'Capability token was issued for another file');
+    }
+    if (!Number.isSafeInteger(claims.exp) || claims.exp * 1000 <= Date.now()) {
+      throw new PeerAuthError(403, 'Capability expired', 'Capability token has expired');
+    }
+    if (claims.peer && claims.peer !== toHex(peerKey)) {
+      throw new PeerAuthError(403, 'Invalid capability', 'Capability token was issued to another peer');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Decides whether `peerKey` may download `fileId`. Returns how the peer
+   * was let in ('trusted' or 'capability'), or throws a PeerAuthError.
+   */
+  authorizeFileRequest(fileId, peerKey, token) {
+    if (this.isTrusted(peerKey)) return 'trusted';
+
+    if (!token) {
+      throw new PeerAuthError(403, 'Unauthorized peer',
+        `Peer ${toHex(peerKey).substring(0, 16)}... is not a cluster member and presented no capability token`);
+    }
+
+    this.verifyCapability(token, fileId, peerKey);
+    return 'capability';
+  }
+
+  status() {
+    return {
+      nodeId: this.nodeId,
+      openCluster: this.openCluster,
+      trustedPeers: Array.from(this.trustedPeers).filter(peer => peer !== '*')
+    };
+  }
+}
+
+module.exports = PeerAuthService;
+module.exports.PeerAuthError = PeerAuthError;
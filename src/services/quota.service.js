@@ -0,0 +1,107 @@
+const { OWNER_QUOTA, OWNER_QUOTAS, GLOBAL_QUOTA } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('uploads');
+
+class QuotaError extends Error {
+  constructor(status, error, message, usage) {
+    super(message);
+    this.status = status;
+    this.error = error;
+    this.usage = usage;
+  }
+}
+
+// ["alice=1073741824", ...] -> Map(owner -> bytes)
+function parseOwnerQuotas(entries) {
+  return new Map(entries.map((entry) => {
+    const separator = entry.indexOf('=');
+    return [entry.substring(0, separator).trim(), Number(entry.substring(separator + 1))];
+  }));
+}
+
+// A quota of 0 means no limit, reported as null.
+function describeUsage(usage, quota) {
+  return {
+    files: usage.files,
+    bytes: usage.bytes,
+    quota: quota > 0 ? quota : null,
+    available: quota > 0 ? Math.max(0, quota - usage.bytes) : null
+  };
+}
+
+/**
+ * Storage quotas. Each owner's files may take up to OWNER_QUOTA bytes (or
+ * the owner's OWNER_QUOTAS entry) and all files together GLOBAL_QUOTA
+ * bytes. Usage is what the metadata store counts as files are stored and
+ * deleted: the size of each file, so a file deduplicated against another
+ * still counts in full towards its owner.
+ */
+class QuotaService {
+  constructor(metadataStore, { ownerQuota = OWNER_QUOTA, ownerQuotas = OWNER_QUOTAS, globalQuota = GLOBAL_QUOTA } = {}) {
+    this.metadataStore = metadataStore;
+    this.ownerQuota = ownerQuota;
+    this.ownerQuotas = parseOwnerQuotas(ownerQuotas);
+    this.globalQuota = globalQuota;
+  }
+
+  quotaFor(ownerId) {
+    return this.ownerQuotas.has(ownerId) ? this.ownerQuotas.get(ownerId) : this.ownerQuota;
+  }
+
+  /**
+   * Throws a QuotaError when `bytes` more for `ownerId` would go over the
+   * owner's quota (413) or the global one (507). Its `usage` describes the
+   * quota that was hit.
+   */
+  async check(ownerId, bytes) {
+    const ownerQuota = this.quotaFor(ownerId);
+
+    if (ownerQuota > 0) {
+      const usage = await this.metadataStore.getUsage(ownerId);
+
+      if (usage.bytes + bytes > ownerQuota) {
+        log.info('Upload refused: owner quota exceeded', { ownerId, bytes, used: usage.bytes, quota: ownerQuota });
+        throw new QuotaError(413, 'Quota exceeded',
+          `Storing ${bytes} more bytes would exceed your ${ownerQuota} byte quota (${usage.bytes} bytes used)`,
+          { scope: 'owner', ownerId, requested: bytes, ...describeUsage(usage, ownerQuota) });
+      }
+    }
+
+    if (this.globalQuota > 0) {
+      const usage = await this.metadataStore.getUsage(null);
+
+      if (usage.bytes + bytes > this.globalQuota) {
+        log.warn('Upload refused: global quota exceeded', { ownerId, bytes, used: usage.bytes, quota: this.globalQuota });
+        throw new QuotaError(507, 'Insufficient storage',
+          `Storing ${bytes} more bytes would exceed the server's ${this.globalQuota} byte quota (${usage.bytes} bytes used)`,
+          { scope: 'global', requested: bytes, ...describeUsage(usage, this.globalQuota) });
+      }
+    }
+  }
+
+  // -> { owner: { ownerId, files, bytes, quota, available }, global: { ... } }
+  async report(ownerId) {
+    const [owner, global] = await Promise.all([
+      this.metadataStore.getUsage(ownerId),
+      this.metadataStore.getUsage(null)
+    ]);
+
+    return {
+      owner: { ownerId, ...describeUsage(owner, this.quotaFor(ownerId)) },
+      global: describeUsage(global, this.globalQuota)
+    };
+  }
+
+  // Every owner with files stored, largest first
+  async listOwners() {
+    const owners = await this.metadataStore.listUsage();
+
+    return owners
+      .sort((a, b) => b.bytes - a.bytes)
+      .map(usage => ({ ownerId: usage.ownerId, ...describeUsage(usage, this.quotaFor(usage.ownerId)) }));
+  }
+}
+
+module.exports = QuotaService;
+module.exports.QuotaError = QuotaError;
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const {
+  SERVER_ADDRESS,
+  REPLICATION_FACTOR,
+  REPAIR_VERIFY_HASHES
+} = require('../config/constants');
+const { hashStream } = require('../utils/file-hash');
+const { storedCopyOf } = require('../utils/file-encryption');
+const { createLogger, requestIdFrom, runWithRequestId } = require('../utils/logger');
+
+const log = createLogger('repair');
+
+const MAX_RECENT_FAILURES = 50;
+
+function emptyResult() {
+  return {
+    checked: 0,
+    healthy: 0,
+    restored: 0,
+    reannounced: 0,
+    replicated: 0,
+    underReplicated: 0,
+    skipped: 0,
+    failed: 0
+  };
+}
+
+/**
+ * Background repair loop. Each cycle walks every file this node holds and:
+ *   - pulls a fresh copy from a live holder when the local one is missing or
+ *     fails its hash check, then re-announces it;
+ *   - re-announces healthy copies that dropped out of the DHT;
+ *   - tops the file back up to REPLICATION_FACTOR when holders stop
+ *     answering pings.
+ *
+ * Only the live holder with the lowest node id re-replicates a file, so
+ * several nodes repairing the same file do not all push new copies.
+ */
+class RepairService {
+  constructor(dhtService, replicationService, metadataStore, blobStore) {
+    this.dhtService = dhtService;
+    this.replicationService = replicationService;
+    this.metadataStore = metadataStore;
+    this.blobStore = blobStore;
+    this.timer = null;
+    this.intervalMs = null;
+    this.currentCycle = null;
+    // storage key -> "size:mtime" of copies whose hash already checked out, so
+    // unchanged files are not re-read every cycle.
+    this.verifiedCopies = new Map();
+    this.status = {
+      cycles: 0,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      progress: null,
+      lastResult: null,
+      recentFailures: []
+    };
+  }
+
+  start(intervalMs) {
+    this.stop();
+    this.intervalMs = intervalMs;
+    this.timer = setInterval(() => {
+      // Each scheduled cycle gets its own ID, carried to the peers it touches
+      runWithRequestId(requestIdFrom(), () => this.runCycle()).catch(error => {
+        log.error('Repair cycle failed', { error });
+      });
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.currentCycle),
+      scheduled: Boolean(this.timer),
+      intervalMs: this.intervalMs,
+      replicationFactor: REPLICATION_FACTOR,
+      verifyHashes: REPAIR_VERIFY_HASHES,
+      ...this.status
+    };
+  }
+
+  /**
+   * Runs one repair pass. A call made while a pass is in progress joins it
+   * instead of starting a second one.
+   */
+  runCycle() {
+    if (!this.currentCycle) {
+      this.currentCycle = this.repairAll().finally(() => {
+        this.currentCycle = null;
+      });
+    }
+    return this.currentCycle;
+  }
+
+  async repairAll() {
+    const startedAt = Date.now();
+    const result = emptyResult();
+    const liveness = new Map();
+
+    this.status.lastStartedAt = new Date(startedAt).toISOString();
+    this.status.lastError = null;
+
+    log.debug('Starting repair cycle');
+
+    try {
+      const files = await this.metadataStore.getAllFiles();
+      this.status.progress = { total: files.length, checked: 0 };
+
+      for (const file of files) {
+        let outcome;
+        try {
+          outcome = await this.repairFile(file, liveness);
+        } catch (error) {
+          outcome = 'failed';
+          this.recordFailure(file, error);
+        }
+
+        result.checked++;
+        result[outcome]++;
+        this.status.progress.checked++;
+      }
+    } catch (error) {
+      this.status.lastError = error.message;
+      throw error;
+    } finally {
+      const finishedAt = Date.now();
+      this.status.cycles++;
+      this.status.progress = null;
+      this.status.lastResult = result;
+      this.status.lastFinishedAt = new Date(finishedAt).toISOString();
+      this.status.lastDurationMs = finishedAt - startedAt;
+
+      log.info('Repair cycle done', { ...result, durationMs: this.status.lastDurationMs });
+    }
+
+    return result;
+  }
+
+  /**
+   * Repairs a single file. Resolves with the name of the counter in the
+   * cycle result that the file should be tallied under.
+   */
+  async repairFile(file, liveness) {
+    const nodeId = this.replicationService.nodeId;
+    const replicas = await this.metadataStore.getReplicas(file.fileId);
+    let localCopy = replicas.find(replica => replica.nodeId === nodeId);
+
+    // Files uploaded before replica tracking have no rows at all; the
+    // uploading node adopts them once it finds the blob in its own store.
+    if (!localCopy && replicas.length === 0 && file.storageKey && await this.blobStore.exists(file.storageKey)) {
+      await this.metadataStore.addReplica(file.fileId, nodeId, SERVER_ADDRESS, file.storageKey);
+      localCopy = { nodeId, storageKey: file.storageKey };
+    }
+
+    if (!localCopy) {
+      return 'skipped';
+    }
+
+    const remoteHolders = replicas.filter(replica => replica.nodeId !== nodeId);
+    const liveHolders = [];
+    for (const holder of remoteHolders) {
+      if (await this.isAlive(holder.nodeId, liveness)) {
+        liveHolders.push(holder);
+      }
+    }
+
+    let outcome = 'healthy';
+
+    if (!(await this.isCopyHealthy(file, localCopy.storageKey))) {
+      await this.restoreLocalCopy(file, localCopy.storageKey, liveHolders);
+      outcome = 'restored';
+    }
+
+    const stored = storedCopyOf(file);
+
+    if (!this.dhtService.activeTopics.has(file.fileId)) {
+      await this.dhtService.announceFile(
+        file.fileId,
+        localCopy.storageKey,
+        file.fileName,
+        stored.size,
+        stored.contentHash
+      );
+      if (outcome === 'healthy') outcome = 'reannounced';
+    }
+
+    const liveCount = liveHolders.length + 1;
+    const coordinator = [nodeId, ...liveHolders.map(holder => holder.nodeId)].sort()[0];
+
+    if (liveCount < REPLICATION_FACTOR && coordinator === nodeId) {
+      const missing = REPLICATION_FACTOR - liveCount;
+      log.info('File is under-replicated', { fileId: file.fileId, liveCopies: liveCount, factor: REPLICATION_FACTOR });
+
+      const { replicas: placed, failures } = await this.replicationService.replicateFile({
+        fileId: file.fileId,
+        storageKey: localCopy.storageKey,
+        fileName: file.fileName,
+        fileSize: stored.size,
+        contentHash: stored.contentHash
+      }, missing, replicas.map(replica => replica.nodeId));
+
+      // Forget unreachable holders only once replacements are in place, so
+      // the replica count never drops below what is actually reachable.
+      const deadHolders = remoteHolders.filter(holder => !liveHolders.includes(holder));
+      for (const holder of deadHolders.slice(0, placed.length)) {
+        await this.metadataStore.removeReplica(file.fileId, holder.nodeId);
+      }
+
+      if (placed.length < missing) {
+        const reason = failures.length > 0
+          ? failures.map(failure => failure.message).join('; ')
+          : 'No eligible peers found';
+        this.recordFailure(file, new Error(`Placed ${placed.length} of ${missing} missing replica(s): ${reason}`));
+        return 'underReplicated';
+      }
+      if (outcome === 'healthy' || outcome === 'reannounced') outcome = 'replicated';
+    }
+
+    return outcome;
+  }
+
+  async isAlive(nodeId, liveness) {
+    if (!liveness.has(nodeId)) {
+      liveness.set(nodeId, await this.replicationService.ping(nodeId));
+    }
+    return liveness.get(nodeId);
+  }
+
+  async isCopyHealthy(file, storageKey) {
+    const stats = await this.blobStore.stat(storageKey);
+    const stored = storedCopyOf(file);
+
+    if (!stats || stats.size !== stored.size) return false;
+    if (!REPAIR_VERIFY_HASHES || !stored.contentHash) return true;
+
+    const fingerprint = `${stats.size}:${stats.lastModified.getTime()}`;
+    if (this.verifiedCopies.get(storageKey) === fingerprint) return true;
+
+    let contentHash;
+    try {
+      contentHash = await hashStream(await this.blobStore.createReadStream(storageKey));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (contentHash !== stored.contentHash) {
+      this.verifiedCopies.delete(storageKey);
+      return false;
+    }
+
+    this.verifiedCopies.set(storageKey, fingerprint);
+    return true;
+  }
+
+  /**
+   * Replaces a missing or corrupt local copy with one pulled from a live
+   * holder. The copy is staged locally and stored under the same key, so
+   * the keys recorded in the files, blobs and replica tables stay valid.
+   */
+  async restoreLocalCopy(file, storageKey, liveHolders) {
+    log.warn('Local copy is missing or corrupt', { fileId: file.fileId, storageKey });
+
+    if (this.dhtService.activeTopics.has(file.fileId)) {
+      await this.dhtService.unannounceFile(file.fileId);
+    }
+
+    if (liveHolders.length === 0) {
+      throw new Error('Local copy is damaged and no live holder is available');
+    }
+
+    const tempPath = await this.replicationService.stagingPath(`${storageKey}.repair`);
+    const errors = [];
+
+    for (const holder of liveHolders) {
+      try {
+        const header = await this.replicationService.pullFrom(holder.nodeId, file.fileId, tempPath);
+
+        const { contentHash } = storedCopyOf(file);
+        if (contentHash && header.contentHash !== contentHash) {
+          throw new Error('Holder reported a different content hash');
+        }
+
+        await this.blobStore.putFile(storageKey, tempPath);
+        this.verifiedCopies.delete(storageKey);
+        log.info('Local copy restored', { fileId: file.fileId, nodeId: holder.nodeId, nodeAddress: holder.nodeAddress });
+        return;
+
+      } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        errors.push(`${holder.nodeId.substring(0, 16)}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Could not restore local copy (${errors.join('; ')})`);
+  }
+
+  recordFailure(file, error) {
+    log.error('Repair failed', { fileId: file.fileId, fileName: file.fileName, error });
+
+    this.status.recentFailures.unshift({
+      fileId: file.fileId,
+      fileName: file.fileName,
+      message: error.message,
+      at: new Date().toISOString()
+    });
+    this.status.recentFailures.length = Math.min(this.status.recentFailures.length, MAX_RECENT_FAILURES);
+  }
+}
+
+module.exports = RepairService;
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  UPLOAD_DIR,
+  SERVER_ADDRESS,
+  CLUSTER_TOPIC,
+  REPLICATION_TIMEOUT,
+  PEER_LOOKUP_TIMEOUT
+} = require('../config/constants');
+const { createStoredFileName } = require('../utils/file-names');
+const {
+  FRAME_TYPES,
+  FrameReader,
+  encodeFrame,
+  receiveFile,
+  streamFile,
+  sendError
+} = require('../utils/transfer-protocol');
+const { metrics } = require('../utils/metrics');
+const { createLogger, currentRequestId, requestIdFrom, runWithRequestId } = require('../utils/logger');
+
+// Transfers land here before being handed to the blob store.
+const log = createLogger('replication');
+
+const INCOMING_DIR = path.join(UPLOAD_DIR, '.incoming');
+const ANNOUNCE_INTERVAL = 10 * 60 * 1000;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Cluster membership and replica transfer between storage nodes.
+ *
+ * Every node listens on the DHT under its own node key and announces that key
+ * on a shared cluster topic. Replicas are pushed over a direct connection to
+ * a peer's node key, so they never interfere with the per-file topic
+ * connections that DHTService serves downloads on.
+ */
+class ReplicationService {
+  constructor(dhtService, metadataStore, blobStore, peerAuthService) {
+    this.dhtService = dhtService;
+    this.metadataStore = metadataStore;
+    this.blobStore = blobStore;
+    this.peerAuthService = peerAuthService;
+    this.dht = dhtService.swarm.dht;
+    this.keyPair = peerAuthService.keyPair;
+    this.nodeId = this.keyPair.publicKey.toString('hex');
+    this.clusterTopic = crypto.createHash('sha256').update(CLUSTER_TOPIC).digest();
+    this.server = null;
+    this.announceTimer = null;
+  }
+
+  async start() {
+    this.server = this.dht.createServer((conn) => {
+      this.handleConnection(conn).catch((error) => {
+        log.error('Replication request failed', { peer: conn.remotePublicKey.toString('hex'), error });
+        conn.destroy();
+      });
+    });
+
+    await this.server.listen(this.keyPair);
+    await this.announce();
+
+    this.announceTimer = setInterval(() => {
+      this.announce().catch(error => {
+        log.warn('Cluster re-announce failed', { error });
+      });
+    }, ANNOUNCE_INTERVAL);
+    this.announceTimer.unref();
+
+    log.info('Joined storage cluster', { nodeId: this.nodeId });
+  }
+
+  async announce() {
+    await this.dht.announce(this.clusterTopic, this.keyPair, this.server.relayAddresses).finished();
+  }
+
+  /**
+   * Looks up the other storage nodes announced on the cluster topic.
+   * Resolves with [{ nodeId, publicKey }], excluding this node and nodes
+   * outside the trust list.
+   */
+  async findPeers() {
+    const peers = new Map();
+    const query = this.dht.lookup(this.clusterTopic);
+    const timer = setTimeout(() => query.destroy(), PEER_LOOKUP_TIMEOUT);
+
+    try {
+      for await (const data of query) {
+        for (const peer of data.peers) {
+          const nodeId = peer.publicKey.toString('hex');
+          if (nodeId !== this.nodeId && this.peerAuthService.isTrusted(peer.publicKey)) {
+            peers.set(nodeId, { nodeId, publicKey: peer.publicKey });
+          }
+        }
+      }
+    } catch (error) {
+      // A destroyed (timed out) lookup still leaves us with the peers found so far.
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return Array.from(peers.values());
+  }
+
+  /**
+   * Pushes a copy of the file to up to `copies` peers, skipping nodes in
+   * `excludeNodeIds`, and records each copy placed in this node's metadata
+   * store so deletes and repairs find it. Resolves with
+   * { replicas, failures }.
+   */
+  async replicateFile(file, copies, excludeNodeIds = []) {
+    if (copies <= 0) {
+      return { replicas: [], failures: [] };
+    }
+
+    const excluded = new Set(excludeNodeIds);
+    const candidates = (await this.findPeers())
+      .filter(peer => !excluded.has(peer.nodeId))
+      .sort(() => Math.random() - 0.5);
+
+    const replicas = [];
+    const failures = [];
+
+    // Walk the shuffled candidates until enough pushes succeed.
+    for (const peer of candidates) {
+      if (replicas.length >= copies) break;
+
+      try {
+        const ack = await withTimeout(
+          this.pushTo(peer, file),
+          REPLICATION_TIMEOUT,
+          `Timed out pushing to ${peer.nodeId.substring(0, 16)}`
+        );
+        await this.metadataStore.addReplica(file.fileId, ack.nodeId, ack.serverAddress, ack.storageKey || null, {
+          fileName: file.fileName,
+          fileSize: file.fileSize,
+          contentHash: file.contentHash
+        });
+        replicas.push({ nodeId: ack.nodeId, nodeAddress: ack.serverAddress });
+        log.info('Replica stored', { fileId: file.fileId, nodeId: ack.nodeId, nodeAddress: ack.serverAddress });
+      } catch (error) {
+        failures.push({ nodeId: peer.nodeId, message: error.message });
+        log.warn('Replica push failed', { fileId: file.fileId, nodeId: peer.nodeId, error });
+      }
+    }
+
+    if (replicas.length < copies) {
+      log.warn('Too few replicas placed', {
+        fileId: file.fileId,
+        placed: replicas.length,
+        wanted: copies,
+        peersFound: candidates.length
+      });
+    }
+
+    return { replicas, failures };
+  }
+
+  async pushTo(peer, file) {
+    const source = await this.blobStore.createReadStream(file.storageKey);
+    const conn = this.connect(peer.nodeId);
+    const reader = new FrameReader(conn);
+
+    try {
+      const summary = await streamFile(conn, source, {
+        fileId: file.fileId,
+        fileName: file.fileName,
+        size: file.fileSize,
+        contentHash: file.contentHash,
+        fromNodeId: this.nodeId,
+        requestId: currentRequestId()
+      }, { headerType: FRAME_TYPES.PUSH });
+      metrics.bytesServed.inc({ transport: 'dht' }, summary.bytes);
+
+      const { body } = await reader.expect(FRAME_TYPES.ACK);
+      conn.end();
+      return body;
+
+    } catch (error) {
+      source.destroy();
+      conn.destroy();
+      throw error;
+    }
+  }
+
+  // Connections to other nodes authenticate with this node's key, which is
+  // what their trust lists name.
+  connect(nodeId) {
+    return this.dht.connect(Buffer.from(nodeId, 'hex'), { keyPair: this.keyPair });
+  }
+
+  /**
+   * Asks each listed node to delete its copy of the file.
+   * Resolves with { dropped, failures } listing node ids.
+   */
+  async dropReplicas(fileId, nodeIds) {
+    const dropped = [];
+    const failures = [];
+
+    for (const nodeId of nodeIds) {
+      if (nodeId === this.nodeId) continue;
+
+      const conn = this.connect(nodeId);
+      const reader = new FrameReader(conn);
+
+      try {
+        conn.write(encodeFrame(FRAME_TYPES.DROP, { fileId, requestId: currentRequestId() }));
+        await withTimeout(reader.expect(FRAME_TYPES.ACK), REPLICATION_TIMEOUT, 'Timed out waiting for node');
+        conn.end();
+        dropped.push(nodeId);
+      } catch (error) {
+        conn.destroy();
+        failures.push({ nodeId, message: error.message });
+      }
+    }
+
+    return { dropped, failures };
+  }
+
+  /**
+   * Resolves true when the node answers a PING within the timeout.
+   */
+  async ping(nodeId, timeout = PEER_LOOKUP_TIMEOUT) {
+    const conn = this.connect(nodeId);
+    const reader = new FrameReader(conn);
+
+    try {
+      conn.write(encodeFrame(FRAME_TYPES.PING, {}));
+      await withTimeout(reader.expect(FRAME_TYPES.ACK), timeout, 'Timed out waiting for node');
+      conn.end();
+      return true;
+    } catch (error) {
+      conn.destroy();
+      return false;
+    }
+  }
+
+  /**
+   * A fresh local path for a transfer that will be handed to the blob store
+   * under `storageKey` once complete.
+   */
+  async stagingPath(storageKey) {
+    await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+    return path.join(INCOMING_DIR, storageKey);
+  }
+
+  /**
+   * Downloads a node's copy of the file to `destination`, verifying it
+   * against the content hash the holder reports. Resolves with the header.
+   */
+  async pullFrom(nodeId, fileId, destination) {
+    const conn = this.connect(nodeId);
+    const reader = new FrameReader(conn);
+
+    const transfer = async () => {
+      conn.write(encodeFrame(FRAME_TYPES.REQUEST, { fileId, offset: 0, requestId: currentRequestId() }));
+      const { body: header } = await reader.expect(FRAME_TYPES.HEADER);
+      const { bytes } = await receiveFile(reader, header, { destination });
+      metrics.bytesUploaded.inc({ transport: 'dht' }, bytes);
+      return header;
+    };
+
+    try {
+      const header = await withTimeout(transfer(), REPLICATION_TIMEOUT, 'Timed out pulling from node');
+      conn.end();
+      return header;
+    } catch (error) {
+      conn.destroy();
+      throw error;
+    }
+  }
+
+  async handleConnection(conn) {
+    const reader = new FrameReader(conn);
+
+    // Only cluster members may use the node key connection at all.
+    if (!this.peerAuthService.isTrusted(conn.remotePublicKey)) {
+      const peer = conn.remotePublicKey.toString('hex');
+      log.warn('Refused replication connection from untrusted node', { peer });
+      sendError(conn, 'Unauthorized peer', `Node ${peer} is not in this node's trust list (DHT_TRUSTED_PEERS)`);
+      conn.end();
+      return;
+    }
+
+    const { type, body } = await reader.expect(
+      FRAME_TYPES.PUSH,
+      FRAME_TYPES.DROP,
+      FRAME_TYPES.REQUEST,
+      FRAME_TYPES.PING
+    );
+
+    // Entries for this exchange carry the sending node's request ID
+    await runWithRequestId(requestIdFrom(body.requestId), async () => {
+      if (type === FRAME_TYPES.PUSH) {
+        await this.receiveReplica(conn, reader, body);
+      } else if (type === FRAME_TYPES.DROP) {
+        await this.dropLocalReplica(conn, body);
+      } else if (type === FRAME_TYPES.REQUEST) {
+        await this.dhtService.handleFileRequest(conn, body);
+      } else {
+        conn.write(encodeFrame(FRAME_TYPES.ACK, { success: true, nodeId: this.nodeId }));
+        conn.end();
+      }
+    });
+  }
+
+  async receiveReplica(conn, reader, header) {
+    log.debug('Receiving replica', { fileId: header.fileId, fileName: header.fileName, from: header.fromNodeId });
+
+    if (!header.contentHash) {
+      sendError(conn, 'Missing content hash', 'Replicas must carry a SHA-256 content hash');
+      conn.end();
+      return;
+    }
+
+    if (this.dhtService.activeTopics.has(header.fileId)) {
+      log.info('Replica already held by this node', { fileId: header.fileId });
+      let frame;
+      while ((frame = await reader.next()) && frame.type !== FRAME_TYPES.END) {
+        // Drain the pushed chunks; the local copy is already announced.
+      }
+      conn.write(encodeFrame(FRAME_TYPES.ACK, {
+        success: true,
+        fileId: header.fileId,
+        nodeId: this.nodeId,
+        serverAddress: SERVER_ADDRESS,
+        storageKey: this.dhtService.activeTopics.get(header.fileId).storageKey,
+        alreadyStored: true
+      }));
+      conn.end();
+      return;
+    }
+
+    const storageKey = createStoredFileName(header.fileName);
+    const destination = await this.stagingPath(storageKey);
+
+    try {
+      const { bytes } = await receiveFile(reader, header, { destination });
+      metrics.bytesUploaded.inc({ transport: 'dht' }, bytes);
+      await this.blobStore.putFile(storageKey, destination);
+
+      await this.metadataStore.addReplica(header.fileId, this.nodeId, SERVER_ADDRESS, storageKey, {
+        fileName: header.fileName,
+        fileSize: header.size,
+        contentHash: header.contentHash
+      });
+      await this.dhtService.announceFile(
+        header.fileId,
+        storageKey,
+        header.fileName,
+        header.size,
+        header.contentHash
+      );
+
+    } catch (error) {
+      await fs.promises.unlink(destination).catch(() => {});
+      await this.blobStore.delete(storageKey).catch(() => {});
+      sendError(conn, 'Replication failed', error.message);
+      conn.end();
+      throw error;
+    }
+
+    conn.write(encodeFrame(FRAME_TYPES.ACK, {
+      success: true,
+      fileId: header.fileId,
+      nodeId: this.nodeId,
+      serverAddress: SERVER_ADDRESS,
+      storageKey
+    }));
+    conn.end();
+    log.info('Replica received', { fileId: header.fileId, from: header.fromNodeId });
+  }
+
+  async dropLocalReplica(conn, { fileId }) {
+    log.info('Dropping replica', { fileId });
+
+    const fileInfo = this.dhtService.activeTopics.get(fileId);
+    await this.dhtService.unannounceFile(fileId);
+
+    if (fileInfo) {
+      await this.blobStore.delete(fileInfo.storageKey).catch(() => {});
+    }
+    await this.metadataStore.removeReplica(fileId, this.nodeId);
+
+    conn.write(encodeFrame(FRAME_TYPES.ACK, { success: true, fileId, nodeId: this.nodeId }));
+    conn.end();
+  }
+
+  async shutdown() {
+    if (this.announceTimer) {
+      clearInterval(this.announceTimer);
+      this.announceTimer = null;
+    }
+    if (this.server) {
+      await this.dht.unannounce(this.clusterTopic, this.keyPair).catch(() => {});
+      await this.server.close();
+    }
+  }
+}
+
+module.exports = ReplicationService;
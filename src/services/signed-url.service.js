@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const net = require('net');
+const {
+  SIGNED_URL_SECRET,
+  SIGNED_URL_DEFAULT_TTL,
+  SIGNED_URL_MAX_TTL
+} = require('../config/constants');
+
+const SIGNATURE_VERSION = 'v1';
+
+class SignedUrlError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Requests from IPv4 clients on a dual-stack socket arrive as ::ffff:a.b.c.d.
+function normalizeIp(ip) {
+  const value = String(ip || '');
+  return value.startsWith('::ffff:') && net.isIPv4(value.substring(7)) ? value.substring(7) : value;
+}
+
+function parsePositiveInteger(value, name, max) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number < 1 || (max !== undefined && number > max)) {
+    throw new SignedUrlError(400, 'Invalid signed URL request',
+      `${name} must be an integer between 1 and ${max === undefined ? Number.MAX_SAFE_INTEGER : max}`);
+  }
+  return number;
+}
+
+/**
+ * Issues and checks HMAC-signed retrieve URLs:
+ *
+ *   /retrieve/<fileId>?expires=<unix seconds>&id=<url id>[&max=<n>][&ip=<addr>]&sig=<hmac>
+ *
+ * The signature covers every parameter, so none can be changed without
+ * invalidating it. URLs with a download limit are recorded in the metadata
+ * store as a download grant whose use count is checked on each download.
+ *
+ * Without SIGNED_URL_SECRET a random secret is used, so URLs stop working
+ * when the server restarts and are only accepted by the node that issued them.
+ */
+class SignedUrlService {
+  constructor(metadataStore, { secret = SIGNED_URL_SECRET } = {}) {
+    this.metadataStore = metadataStore;
+    this.ephemeral = !secret;
+    this.secret = secret || crypto.randomBytes(32);
+  }
+
+  signature(fileId, { expires, id, max, ip }) {
+    const payload = [SIGNATURE_VERSION, fileId, expires, id, max || '', ip || ''].join('\n');
+    return crypto.createHmac('sha256', this.secret).update(payload).digest();
+  }
+
+  /**
+   * Returns the query parameters of a new signed URL for `fileId`.
+   * `expiresIn` is in seconds; `maxDownloads` and `ip` are optional.
+   */
+  async issue(fileId, { expiresIn, maxDownloads, ip } = {}) {
+    const ttl = expiresIn === undefined || expiresIn === ''
+      ? SIGNED_URL_DEFAULT_TTL
+      : parsePositiveInteger(expiresIn, 'expiresIn', SIGNED_URL_MAX_TTL);
+    const max = maxDownloads === undefined || maxDownloads === '' || maxDownloads === null
+      ? null
+      : parsePositiveInteger(maxDownloads, 'maxDownloads');
+
+    let allowedIp = null;
+    if (ip !== undefined && ip !== '' && ip !== null) {
+      allowedIp = normalizeIp(ip);
+      if (!net.isIP(allowedIp)) {
+        throw new SignedUrlError(400, 'Invalid signed URL request', `"${ip}" is not an IP address`);
+      }
+    }
+
+    const params = {
+      expires: String(Math.floor(Date.now() / 1000) + ttl),
+      id: crypto.randomBytes(12).toString('base64url')
+    };
+    if (max !== null) params.max = String(max);
+    if (allowedIp) params.ip = allowedIp;
+
+    const expiresAt = new Date(Number(params.expires) * 1000);
+    if (max !== null) {
+      await this.metadataStore.createDownloadGrant(params.id, fileId, max, expiresAt);
+    }
+
+    params.sig = this.signature(fileId, params).toString('base64url');
+    return { params, expiresAt, maxDownloads: max, ip: allowedIp };
+  }
+
+  /**
+   * Checks a retrieve request's signed URL parameters. Returns
+   * { id, expiresAt, maxDownloads, ip } or throws a SignedUrlError: 403 for
+   * a bad signature or a request from another address, 410 once expired.
+   */
+  verify(fileId, query, clientIp) {
+    const { expires, id, max, ip, sig } = query;
+
+    if (typeof sig !== 'string' || typeof expires !== 'string' || typeof id !== 'string' ||
+        !/^\d+$/.test(expires) || (max !== undefined && !/^\d+$/.test(max))) {
+      throw new SignedUrlError(403, 'Invalid signature', 'Signed URL is malformed');
+    }
+
+    const expected = this.signature(fileId, { expires, id, max, ip });
+    const actual = Buffer.from(sig, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new SignedUrlError(403, 'Invalid signature',
+        this.ephemeral
+          ? 'Signed URL signature does not match (URLs from before a restart or from another node are not accepted)'
+          : 'Signed URL signature does not match');
+    }
+
+    const expiresAt = new Date(Number(expires) * 1000);
+    if (expiresAt.getTime() <= Date.now()) {
+      throw new SignedUrlError(410, 'Link expired', `Signed URL expired at ${expiresAt.toISOString()}`);
+    }
+
+    if (ip && normalizeIp(clientIp) !== ip) {
+      throw new SignedUrlError(403, 'Address not allowed', 'Signed URL is restricted to another IP address');
+    }
+
+    return { id, expiresAt, maxDownloads: max ? Number(max) : null, ip: ip || null };
+  }
+
+  /**
+   * Looks up a verified URL's download count without counting anything.
+   * Resolves with the recorded grant ({ downloads, maxDownloads, ... }), or
+   * null for a URL without a limit. Throws a 410 SignedUrlError when the
+   * store no longer knows a limited URL.
+   */
+  async checkAvailable(grant) {
+    if (grant.maxDownloads === null) return null;
+
+    const recorded = await this.metadataStore.getDownloadGrant(grant.id);
+    if (!recorded) {
+      throw new SignedUrlError(410, 'Download limit reached',
+        `Signed URL allowed ${grant.maxDownloads} download(s) and has been used up`);
+    }
+    return recorded;
+  }
+
+  /**
+   * Counts one download against a verified URL's limit. Throws a 410
+   * SignedUrlError once the limit has been used up.
+   */
+  async consume(grant) {
+    if (grant.maxDownloads === null) return null;
+
+    const result = await this.metadataStore.useDownloadGrant(grant.id);
+    if (!result || !result.allowed) {
+      throw new SignedUrlError(410, 'Download limit reached',
+        `Signed URL allowed ${grant.maxDownloads} download(s) and has been used up`);
+    }
+    return result;
+  }
+}
+
+module.exports = SignedUrlService;
+module.exports.SignedUrlError = SignedUrlError;
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const {
+  UPLOAD_DIR,
+  MAX_RESUMABLE_FILE_SIZE,
+  UPLOAD_SESSION_TTL,
+  CONTENT_ADDRESSED_IDS
+} = require('../config/constants');
+const { createStoredFileName } = require('../utils/file-names');
+const { hashFile } = require('../utils/file-hash');
+const { parseAccess } = require('../utils/file-access');
+const { metrics } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('uploads');
+
+const SESSION_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+class UploadSessionError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Resumable uploads. Each session is a "<id>.json" descriptor plus a
+ * "<id>.part" file under UPLOAD_DIR/.sessions, so sessions survive restarts.
+ * The size of the .part file is the authoritative upload offset.
+ *
+ * Sessions belong to the user who created them: methods taking an ownerId
+ * treat another user's session as not found.
+ */
+class UploadSessionService {
+  constructor(blobStore, encryptionService = null, quotaService = null) {
+    this.blobStore = blobStore;
+    this.encryptionService = encryptionService;
+    this.quotaService = quotaService;
+    this.sessionDir = path.join(UPLOAD_DIR, '.sessions');
+    this.activeWrites = new Set();
+    this.gcTimer = null;
+  }
+
+  metaPath(sessionId) {
+    return path.join(this.sessionDir, `${sessionId}.json`);
+  }
+
+  partPath(sessionId) {
+    return path.join(this.sessionDir, `${sessionId}.part`);
+  }
+
+  async writeMeta(session) {
+    const { offset, ...meta } = session;
+    await fs.promises.writeFile(this.metaPath(session.sessionId), JSON.stringify(meta, null, 2));
+  }
+
+  async createSession({ fileName, size, contentAddressed, ownerId, visibility, sharedWith, encryption }) {
+    const declaredSize = Number(size);
+
+    if (!fileName || typeof fileName !== 'string') {
+      throw new UploadSessionError(400, 'Invalid session', 'fileName is required');
+    }
+    if (!Number.isSafeInteger(declaredSize) || declaredSize < 0) {
+      throw new UploadSessionError(400, 'Invalid session', 'size must be a non-negative integer');
+    }
+    if (declaredSize > MAX_RESUMABLE_FILE_SIZE) {
+      throw new UploadSessionError(413, 'File too large',
+        `Declared size exceeds the ${MAX_RESUMABLE_FILE_SIZE} byte limit for resumable uploads`);
+    }
+
+    if (encryption !== undefined && encryption !== null && encryption !== 'client') {
+      throw new UploadSessionError(400, 'Invalid session', 'encryption must be "client" when given');
+    }
+
+    let access;
+    try {
+      access = parseAccess({ visibility, sharedWith });
+    } catch (error) {
+      throw new UploadSessionError(400, 'Invalid session', error.message);
+    }
+
+    // The declared size is checked up front so no chunk is accepted for an
+    // upload that could not be stored; finalizing checks again.
+    if (this.quotaService) {
+      await this.quotaService.check(ownerId, declaredSize);
+    }
+
+    await fs.promises.mkdir(this.sessionDir, { recursive: true });
+
+    const now = Date.now();
+    const session = {
+      sessionId: uuidv4(),
+      fileName: path.basename(fileName),
+      size: declaredSize,
+      contentAddressed: contentAddressed === undefined
+        ? CONTENT_ADDRESSED_IDS
+        : contentAddressed === true || contentAddressed === 'true',
+      ownerId,
+      visibility: access.visibility,
+      sharedWith: access.sharedWith,
+      encryption: encryption || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + UPLOAD_SESSION_TTL).toISOString()
+    };
+
+    await fs.promises.writeFile(this.partPath(session.sessionId), Buffer.alloc(0));
+    await this.writeMeta(session);
+
+    log.info('Upload session created', { sessionId: session.sessionId, size: declaredSize });
+    return { ...session, offset: 0 };
+  }
+
+  async getSession(sessionId, ownerId) {
+    if (!SESSION_ID_REGEX.test(sessionId)) return null;
+
+    let meta;
+    let stats;
+    try {
+      meta = JSON.parse(await fs.promises.readFile(this.metaPath(sessionId), 'utf8'));
+      stats = await fs.promises.stat(this.partPath(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (Date.parse(meta.expiresAt) <= Date.now()) {
+      await this.removeSession(sessionId);
+      return null;
+    }
+    if (ownerId !== undefined && meta.ownerId !== ownerId) return null;
+
+    return { ...meta, offset: stats.size };
+  }
+
+  async requireSession(sessionId, ownerId) {
+    const session = await this.getSession(sessionId, ownerId);
+    if (!session) {
+      throw new UploadSessionError(404, 'Session not found',
+        `Upload session "${sessionId}" does not exist or has expired`);
+    }
+    return session;
+  }
+
+  async appendChunk(sessionId, ownerId, offset, source) {
+    // Claim the session before the first await so two concurrent PATCH
+    // requests can never both append to the same .part file.
+    if (this.activeWrites.has(sessionId)) {
+      throw new UploadSessionError(409, 'Upload in progress',
+        'Another request is already writing to this session');
+    }
+    this.activeWrites.add(sessionId);
+
+    try {
+      const session = await this.requireSession(sessionId, ownerId);
+
+      if (!Number.isSafeInteger(offset) || offset !== session.offset) {
+        throw new UploadSessionError(409, 'Offset mismatch',
+          `Upload-Offset must equal the current offset (${session.offset})`);
+      }
+
+      const remaining = session.size - offset;
+      let received = 0;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > remaining) {
+            return callback(new UploadSessionError(413, 'Chunk too large',
+              `Chunk exceeds the declared upload size by ${received - remaining} bytes`));
+          }
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(source, limiter, fs.createWriteStream(this.partPath(sessionId), { flags: 'a' }));
+      } catch (error) {
+        // An oversized chunk is discarded entirely; an interrupted one keeps
+        // whatever reached disk so the client can resume from the new offset.
+        if (error instanceof UploadSessionError) {
+          await fs.promises.truncate(this.partPath(sessionId), offset);
+        }
+        throw error;
+      }
+
+      metrics.bytesUploaded.inc({ transport: 'http' }, received);
+      session.offset = offset + received;
+      session.expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL).toISOString();
+      await this.writeMeta(session);
+
+      return session;
+    } finally {
+      this.activeWrites.delete(sessionId);
+    }
+  }
+
+  /**
+   * Moves a complete upload into the blob store, encrypting it when
+   * encryption at rest is enabled, and returns a file description like the
+   * upload middleware's
+   * ({ originalname, filename, storageKey, size, contentHash, encryption }).
+   */
+  async finalize(sessionId, ownerId) {
+    if (this.activeWrites.has(sessionId)) {
+      throw new UploadSessionError(409, 'Upload in progress',
+        'A chunk is still being written to this session');
+    }
+    this.activeWrites.add(sessionId);
+
+    try {
+      const session = await this.requireSession(sessionId, ownerId);
+
+      if (session.offset !== session.size) {
+        throw new UploadSessionError(409, 'Upload incomplete',
+          `Received ${session.offset} of ${session.size} bytes`);
+      }
+
+      const contentHash = await hashFile(this.partPath(sessionId));
+
+      const storageKey = createStoredFileName(session.fileName);
+
+      let encryption = null;
+      if (session.encryption === 'client') {
+        encryption = { mode: 'client' };
+        await this.blobStore.putFile(storageKey, this.partPath(sessionId));
+      } else if (this.encryptionService && this.encryptionService.enabled) {
+        encryption = await this.encryptionService.put(
+          this.blobStore, storageKey, fs.createReadStream(this.partPath(sessionId)));
+        await fs.promises.unlink(this.partPath(sessionId)).catch(() => {});
+      } else {
+        await this.blobStore.putFile(storageKey, this.partPath(sessionId));
+      }
+      await fs.promises.unlink(this.metaPath(sessionId)).catch(() => {});
+
+      log.debug('Upload session moved to the blob store', { sessionId, storageKey, blobStore: this.blobStore.name });
+
+      return {
+        session,
+        file: {
+          originalname: session.fileName,
+          filename: storageKey,
+          storageKey,
+          size: session.size,
+          contentHash,
+          encryption
+        }
+      };
+    } finally {
+      this.activeWrites.delete(sessionId);
+    }
+  }
+
+  async removeSession(sessionId) {
+    await fs.promises.unlink(this.partPath(sessionId)).catch(() => {});
+    await fs.promises.unlink(this.metaPath(sessionId)).catch(() => {});
+  }
+
+  async cancel(sessionId, ownerId) {
+    await this.requireSession(sessionId, ownerId);
+
+    if (this.activeWrites.has(sessionId)) {
+      throw new UploadSessionError(409, 'Upload in progress',
+        'A chunk is still being written to this session');
+    }
+
+    await this.removeSession(sessionId);
+    log.info('Upload session cancelled', { sessionId });
+  }
+
+  async sweepExpired() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.sessionDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const sessionIds = new Set(entries.map(entry => path.parse(entry).name));
+    let removed = 0;
+
+    for (const sessionId of sessionIds) {
+      if (this.activeWrites.has(sessionId)) continue;
+
+      let expired;
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(this.metaPath(sessionId), 'utf8'));
+        expired = Date.parse(meta.expiresAt) <= Date.now();
+      } catch (error) {
+        // A .part without a readable descriptor can never be resumed; give
+        // it a full TTL in case its session is still being created.
+        const stats = await fs.promises.stat(this.partPath(sessionId)).catch(() => null);
+        expired = !stats || stats.mtimeMs + UPLOAD_SESSION_TTL <= Date.now();
+      }
+
+      if (expired) {
+        await this.removeSession(sessionId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      log.info('Removed abandoned upload sessions', { removed });
+    }
+    return removed;
+  }
+
+  startGarbageCollector(intervalMs) {
+    this.stopGarbageCollector();
+    this.gcTimer = setInterval(() => {
+      this.sweepExpired().catch(error => {
+        log.error('Upload session cleanup failed', { error });
+      });
+    }, intervalMs);
+    this.gcTimer.unref();
+  }
+
+  stopGarbageCollector() {
+    if (this.gcTimer) {
+      clearInterval(this.gcTimer);
+      this.gcTimer = null;
+    }
+  }
+}
+
+module.exports = UploadSessionService;
+module.exports.UploadSessionError = UploadSessionError;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+
+/**
+ * Where file bytes are kept, addressed by storage key rather than by path
+ * so the metadata stays valid when the backing directory or bucket moves.
+ * Keys are flat names such as "<timestamp>-<uuid>-<name>" (see
+ * createStoredFileName) and never contain a "/".
+ *
+ * Stored blobs are reported as { key, size, lastModified }.
+ */
+class BlobStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  async checkHealth() {
+    throw this.notImplemented('checkHealth');
+  }
+
+  // Stores everything read from `source`; `size` may be given when known.
+  // Resolves with { key, size }.
+  async put(key, source, { size } = {}) {
+    throw this.notImplemented('put');
+  }
+
+  // Stores a local file, which the store may move into place instead of
+  // copying. The file no longer exists at `filePath` once this resolves.
+  async putFile(key, filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    const stored = await this.put(key, fs.createReadStream(filePath), { size });
+    await fs.promises.unlink(filePath).catch(() => {});
+    return stored;
+  }
+
+  /**
+   * Resolves with a readable stream over the blob, or over bytes
+   * `start`..`end` (inclusive) when given. Rejects with an error whose code
+   * is 'ENOENT' when the blob does not exist.
+   */
+  async createReadStream(key, { start, end } = {}) {
+    throw this.notImplemented('createReadStream');
+  }
+
+  // Resolves with { key, size, lastModified }, or null when missing.
+  async stat(key) {
+    throw this.notImplemented('stat');
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  // Resolves true when the blob was removed, false when it did not exist.
+  async delete(key) {
+    throw this.notImplemented('delete');
+  }
+}
+
+function blobNotFound(key) {
+  const error = new Error(`Blob not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+function validateKey(key) {
+  if (typeof key !== 'string' || !key || key === '.' || key === '..' || /[/\\\0]/.test(key)) {
+    throw new Error(`Invalid storage key: ${JSON.stringify(key)}`);
+  }
+  return key;
+}
+
+module.exports = BlobStore;
+module.exports.blobNotFound = blobNotFound;
+module.exports.validateKey = validateKey;
@@ -0,0 +1,123 @@
+const MetadataStore = require('./metadata-store');
+
+/**
+ * The Cassandra-backed store: a thin wrapper over db.js. The module is
+ * loaded on construction, so servers using another store never create a
+ * Cassandra client.
+ */
+class CassandraMetadataStore extends MetadataStore {
+  constructor() {
+    super('cassandra');
+    this.db = require('../../db');
+  }
+
+  initialize() {
+    return this.db.initializeDatabase();
+  }
+
+  shutdown() {
+    return this.db.shutdown();
+  }
+
+  checkHealth() {
+    return this.db.checkHealth();
+  }
+
+  storeFileMetadata(fileId, storageKey, fileName, fileSize, contentHash, access, encryption) {
+    return this.db.storeFileMetadata(fileId, storageKey, fileName, fileSize, contentHash, access, encryption);
+  }
+
+  getFileMetadata(fileId) {
+    return this.db.getFileMetadata(fileId);
+  }
+
+  getAllFiles() {
+    return this.db.getAllFiles();
+  }
+
+  listFiles(options) {
+    return this.db.listFiles(options);
+  }
+
+  updateFileAccess(fileId, access) {
+    return this.db.updateFileAccess(fileId, access);
+  }
+
+  updateFileEncryption(fileId, encryption) {
+    return this.db.updateFileEncryption(fileId, encryption);
+  }
+
+  deleteFileMetadata(fileId) {
+    return this.db.deleteFileMetadata(fileId);
+  }
+
+  fileExists(fileId) {
+    return this.db.fileExists(fileId);
+  }
+
+  getUsage(ownerId) {
+    return this.db.getUsage(ownerId);
+  }
+
+  listUsage() {
+    return this.db.listUsage();
+  }
+
+  logAccess(fileId, clientId, operationType) {
+    return this.db.logAccess(fileId, clientId, operationType);
+  }
+
+  listAccessLogs(options) {
+    return this.db.listAccessLogs(options);
+  }
+
+  acquireBlob(contentHash, storageKey, fileSize, encryption) {
+    return this.db.acquireBlob(contentHash, storageKey, fileSize, encryption);
+  }
+
+  releaseBlob(contentHash) {
+    return this.db.releaseBlob(contentHash);
+  }
+
+  updateBlobKey(contentHash, storageKey) {
+    return this.db.updateBlobKey(contentHash, storageKey);
+  }
+
+  updateBlobEncryption(contentHash, encryption) {
+    return this.db.updateBlobEncryption(contentHash, encryption);
+  }
+
+  createDownloadGrant(urlId, fileId, maxDownloads, expiresAt) {
+    return this.db.createDownloadGrant(urlId, fileId, maxDownloads, expiresAt);
+  }
+
+  getDownloadGrant(urlId) {
+    return this.db.getDownloadGrant(urlId);
+  }
+
+  useDownloadGrant(urlId) {
+    return this.db.useDownloadGrant(urlId);
+  }
+
+  addReplica(fileId, nodeId, nodeAddress, storageKey, details) {
+    return this.db.addReplica(fileId, nodeId, nodeAddress, storageKey, details);
+  }
+
+  getReplicas(fileId) {
+    return this.db.getReplicas(fileId);
+  }
+
+  getFilesForNode(nodeId) {
+    return this.db.getFilesForNode(nodeId);
+  }
+
+  removeReplica(fileId, nodeId) {
+    return this.db.removeReplica(fileId, nodeId);
+  }
+
+  deleteReplicas(fileId) {
+    return this.db.deleteReplicas(fileId);
+  }
+}
+
+module.exports = CassandraMetadataStore;
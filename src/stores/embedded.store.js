@@ -0,0 +1,551 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MetadataStore = require('./metadata-store');
+const { getMimeType } = require('../utils/mime-types');
+const { matchesListingFilters } = require('../utils/listing-filters');
+const { canList } = require('../utils/file-access');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('store');
+
+const SNAPSHOT_FILE = 'metadata.json';
+const ACCESS_LOG_FILE = 'access-log.jsonl';
+const SNAPSHOT_VERSION = 2;
+// Usage key for the totals across all owners
+const ALL_OWNERS_SCOPE = '*';
+
+// Sort keys for listFiles, compared together with the file id so files
+// with equal keys still have a stable order for cursors.
+const SORT_KEYS = {
+  uploadedAt: file => file.uploadedAt.getTime(),
+  name: file => file.fileName.toLowerCase(),
+  size: file => Number(file.fileSize)
+};
+
+function compareKeys([keyA, idA], [keyB, idB]) {
+  if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+  if (idA !== idB) return idA < idB ? -1 : 1;
+  return 0;
+}
+
+function toFile(record) {
+  return {
+    fileId: record.fileId,
+    storageKey: record.storageKey,
+    fileName: record.fileName,
+    fileSize: record.fileSize,
+    mimeType: getMimeType(record.fileName || ''),
+    contentHash: record.contentHash || null,
+    ownerId: record.ownerId || null,
+    visibility: record.visibility || 'private',
+    sharedWith: record.sharedWith || [],
+    encryption: record.encryption || null,
+    uploadedAt: new Date(record.uploadedAt)
+  };
+}
+
+// Version 1 recorded paths under ./uploads; the blob store key of each is
+// its file name.
+function upgradeSnapshotV1(snapshot) {
+  const withKey = ({ filePath, ...record }) => ({
+    ...record,
+    storageKey: filePath ? path.basename(filePath) : null
+  });
+  const mapValues = (object, fn) => Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, fn(value)]));
+
+  return {
+    version: SNAPSHOT_VERSION,
+    files: mapValues(snapshot.files, withKey),
+    blobs: mapValues(snapshot.blobs, withKey),
+    replicas: mapValues(snapshot.replicas, byNode => mapValues(byNode, withKey))
+  };
+}
+
+function toLogEntry(record) {
+  return { ...record, timestamp: new Date(record.timestamp) };
+}
+
+/**
+ * A metadata store kept in plain files, for development and CI runs
+ * without Cassandra. Files, blobs and replicas live in memory and are
+ * rewritten to metadata.json after every change; access log entries are
+ * appended to access-log.jsonl. Storage usage is counted from the files
+ * in memory rather than stored.
+ *
+ * Only one server process may use a directory at a time.
+ */
+class EmbeddedMetadataStore extends MetadataStore {
+  constructor({ dir }) {
+    super('embedded');
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    this.accessLogPath = path.join(dir, ACCESS_LOG_FILE);
+    this.files = new Map();
+    this.blobs = new Map();
+    // fileId -> Map(nodeId -> replica)
+    this.replicas = new Map();
+    // urlId -> { fileId, maxDownloads, downloads, expiresAt }
+    this.downloadGrants = new Map();
+    // owner (or ALL_OWNERS_SCOPE) -> { files, bytes }, derived from the files
+    this.usage = new Map();
+    this.accessLogs = [];
+    this.writes = Promise.resolve();
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    await this.loadSnapshot();
+    await this.loadAccessLogs();
+
+    log.info('Embedded metadata store loaded', {
+      directory: path.resolve(this.dir),
+      files: this.files.size,
+      accessLogEntries: this.accessLogs.length
+    });
+    return true;
+  }
+
+  async loadSnapshot() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.promises.readFile(this.snapshotPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Could not read ${this.snapshotPath}: ${error.message}`);
+    }
+
+    if (snapshot.version === 1) {
+      snapshot = upgradeSnapshotV1(snapshot);
+    } else if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`${this.snapshotPath} has unsupported version ${snapshot.version}`);
+    }
+
+    this.files = new Map(Object.entries(snapshot.files || {}));
+    this.blobs = new Map(Object.entries(snapshot.blobs || {}));
+    this.replicas = new Map(Object.entries(snapshot.replicas || {})
+      .map(([fileId, byNode]) => [fileId, new Map(Object.entries(byNode))]));
+    this.downloadGrants = new Map(Object.entries(snapshot.downloadGrants || {}));
+
+    for (const record of this.files.values()) this.countUsage(record, 1);
+  }
+
+  async loadAccessLogs() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.accessLogPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.accessLogs.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash mid-append; the rest are still good.
+      }
+    }
+  }
+
+  // Writes are queued so snapshots land on disk in the order they were
+  // taken; each goes to a temporary file first so a crash never leaves a
+  // half-written metadata.json behind.
+  persist() {
+    const snapshot = JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      files: Object.fromEntries(this.files),
+      blobs: Object.fromEntries(this.blobs),
+      replicas: Object.fromEntries(Array.from(this.replicas, ([fileId, byNode]) => [fileId, Object.fromEntries(byNode)])),
+      downloadGrants: Object.fromEntries(this.downloadGrants)
+    });
+
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      const tempPath = `${this.snapshotPath}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, this.snapshotPath);
+    });
+    return this.writes;
+  }
+
+  async shutdown() {
+    await this.writes.catch(() => {});
+    log.info('Embedded metadata store closed');
+  }
+
+  async checkHealth() {
+    const startedAt = Date.now();
+    await fs.promises.access(this.dir, fs.constants.R_OK | fs.constants.W_OK);
+    await this.writes;
+
+    return {
+      latencyMs: Date.now() - startedAt,
+      directory: path.resolve(this.dir),
+      files: this.files.size
+    };
+  }
+
+  // ========== FILES ==========
+
+  async storeFileMetadata(fileId, storageKey, fileName, fileSize, contentHash = null, access = {}, encryption = null) {
+    if (this.files.has(fileId)) this.countUsage(this.files.get(fileId), -1);
+
+    const record = {
+      fileId,
+      storageKey,
+      fileName,
+      fileSize: String(fileSize),
+      contentHash,
+      ownerId: access.ownerId || null,
+      visibility: access.visibility || 'private',
+      sharedWith: access.sharedWith || [],
+      encryption,
+      uploadedAt: new Date().toISOString()
+    };
+    this.files.set(fileId, record);
+    this.countUsage(record, 1);
+    await this.persist();
+
+    log.debug('File metadata stored', { fileId, fileName });
+    return true;
+  }
+
+  async getFileMetadata(fileId) {
+    const record = this.files.get(fileId);
+    return record ? toFile(record) : null;
+  }
+
+  async getAllFiles() {
+    return Array.from(this.files.values(), toFile);
+  }
+
+  /**
+   * Lists one page of files like MetadataStore#listFiles. The cursor holds
+   * the sort key and id of the last file returned, so files added or
+   * removed between pages never shift the next page.
+   */
+  async listFiles({ sort = 'uploadedAt', order = 'desc', limit = 100, cursor = null, filters = {}, viewer } = {}) {
+    const sortKey = SORT_KEYS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+    const keyOf = file => [sortKey(file), file.fileId];
+
+    let files = Array.from(this.files.values(), toFile)
+      .filter(file => (viewer === undefined || canList(file, viewer)) && matchesListingFilters(file, filters))
+      .sort((a, b) => direction * compareKeys(keyOf(a), keyOf(b)));
+
+    if (cursor && Array.isArray(cursor.pageState)) {
+      files = files.filter(file => direction * compareKeys(keyOf(file), cursor.pageState) > 0);
+    }
+
+    const page = files.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      files: page,
+      next: files.length > limit ? { bucket: sort, pageState: keyOf(last) } : null
+    };
+  }
+
+  async updateFileAccess(fileId, { visibility, sharedWith }) {
+    const record = this.files.get(fileId);
+    if (!record) return false;
+
+    record.visibility = visibility;
+    record.sharedWith = sharedWith;
+    await this.persist();
+
+    log.debug('File access updated', { fileId, visibility });
+    return true;
+  }
+
+  async updateFileEncryption(fileId, encryption) {
+    const record = this.files.get(fileId);
+    if (!record) return false;
+
+    record.encryption = encryption;
+    await this.persist();
+    return true;
+  }
+
+  async deleteFileMetadata(fileId) {
+    if (this.files.has(fileId)) this.countUsage(this.files.get(fileId), -1);
+    this.files.delete(fileId);
+    await this.persist();
+    return true;
+  }
+
+  async fileExists(fileId) {
+    return this.files.has(fileId);
+  }
+
+  // ========== STORAGE USAGE ==========
+
+  // Adds (sign 1) or removes (sign -1) a file from its owner's and the
+  // overall totals.
+  countUsage(record, sign) {
+    const scopes = record.ownerId ? [record.ownerId, ALL_OWNERS_SCOPE] : [ALL_OWNERS_SCOPE];
+    for (const scope of scopes) {
+      const usage = this.usage.get(scope) || { files: 0, bytes: 0 };
+      usage.files += sign;
+      usage.bytes += sign * Number(record.fileSize);
+      this.usage.set(scope, usage);
+    }
+  }
+
+  async getUsage(ownerId = null) {
+    const usage = this.usage.get(ownerId || ALL_OWNERS_SCOPE);
+    return usage ? { ...usage } : { files: 0, bytes: 0 };
+  }
+
+  async listUsage() {
+    return Array.from(this.usage, ([ownerId, usage]) => ({ ownerId, ...usage }))
+      .filter(usage => usage.ownerId !== ALL_OWNERS_SCOPE && (usage.files > 0 || usage.bytes > 0));
+  }
+
+  // ========== ACCESS LOGS ==========
+
+  async logAccess(fileId, clientId, operationType) {
+    const entry = {
+      logId: crypto.randomUUID(),
+      fileId,
+      clientId,
+      operationType,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      this.accessLogs.push(entry);
+      await fs.promises.appendFile(this.accessLogPath, JSON.stringify(entry) + '\n');
+
+      log.debug('Access logged', { fileId, operation: operationType, clientId });
+      return true;
+
+    } catch (error) {
+      log.warn('Logging access failed', { fileId, operation: operationType, error });
+      return false;
+    }
+  }
+
+  /**
+   * Lists access logs like MetadataStore#listAccessLogs. Entries are only
+   * ever appended, so the cursor is simply the position to continue
+   * reading back from.
+   */
+  async listAccessLogs({ fileId = null, from, to, operation, clientId, limit = 100, cursor = null } = {}) {
+    let position = cursor && Number.isInteger(cursor.pageState)
+      ? Math.min(cursor.pageState, this.accessLogs.length - 1)
+      : this.accessLogs.length - 1;
+    const logs = [];
+
+    for (; position >= 0 && logs.length < limit; position--) {
+      const entry = toLogEntry(this.accessLogs[position]);
+
+      if (from && entry.timestamp < from) {
+        position = -1;
+        break;
+      }
+      if (to && entry.timestamp > to) continue;
+      if (fileId !== null && entry.fileId !== fileId) continue;
+      if (operation && entry.operationType !== operation) continue;
+      if (clientId && entry.clientId !== clientId) continue;
+
+      logs.push(entry);
+    }
+
+    return {
+      logs,
+      next: position >= 0 ? { bucket: 'log', pageState: position } : null
+    };
+  }
+
+  // ========== BLOBS ==========
+
+  async acquireBlob(contentHash, storageKey, fileSize, encryption = null) {
+    const blob = this.blobs.get(contentHash);
+
+    if (!blob) {
+      this.blobs.set(contentHash, {
+        storageKey,
+        fileSize: String(fileSize),
+        refCount: 1,
+        encryption,
+        createdAt: new Date().toISOString()
+      });
+      await this.persist();
+
+      log.debug('New blob stored', { contentHash });
+      return { contentHash, storageKey, refCount: 1, encryption, deduplicated: false };
+    }
+
+    blob.refCount++;
+    await this.persist();
+
+    log.debug('Blob reused', { contentHash, refCount: blob.refCount });
+    return {
+      contentHash,
+      storageKey: blob.storageKey,
+      refCount: blob.refCount,
+      encryption: blob.encryption || null,
+      deduplicated: true
+    };
+  }
+
+  async releaseBlob(contentHash) {
+    const blob = this.blobs.get(contentHash);
+
+    if (!blob) {
+      return { contentHash, tracked: false, storageKey: null, refCount: 0, removed: false };
+    }
+
+    const remaining = Math.max(0, blob.refCount - 1);
+    if (remaining === 0) {
+      this.blobs.delete(contentHash);
+    } else {
+      blob.refCount = remaining;
+    }
+    await this.persist();
+
+    log.debug('Blob released', { contentHash, refCount: remaining });
+    return { contentHash, tracked: true, storageKey: blob.storageKey, refCount: remaining, removed: remaining === 0 };
+  }
+
+  async updateBlobKey(contentHash, storageKey) {
+    const blob = this.blobs.get(contentHash);
+    if (!blob) return false;
+
+    blob.storageKey = storageKey;
+    await this.persist();
+    return true;
+  }
+
+  async updateBlobEncryption(contentHash, encryption) {
+    const blob = this.blobs.get(contentHash);
+    if (!blob) return false;
+
+    blob.encryption = encryption;
+    await this.persist();
+    return true;
+  }
+
+  // ========== DOWNLOAD GRANTS ==========
+
+  async createDownloadGrant(urlId, fileId, maxDownloads, expiresAt) {
+    // Expired grants are dropped here, the embedded stand-in for a TTL.
+    const now = Date.now();
+    for (const [id, grant] of this.downloadGrants) {
+      if (Date.parse(grant.expiresAt) <= now) this.downloadGrants.delete(id);
+    }
+
+    this.downloadGrants.set(urlId, {
+      fileId,
+      maxDownloads,
+      downloads: 0,
+      expiresAt: expiresAt.toISOString()
+    });
+    await this.persist();
+    return true;
+  }
+
+  async getDownloadGrant(urlId) {
+    const grant = this.downloadGrants.get(urlId);
+    if (!grant || Date.parse(grant.expiresAt) <= Date.now()) return null;
+
+    return {
+      fileId: grant.fileId,
+      maxDownloads: grant.maxDownloads,
+      downloads: grant.downloads,
+      expiresAt: new Date(grant.expiresAt)
+    };
+  }
+
+  async useDownloadGrant(urlId) {
+    const grant = this.downloadGrants.get(urlId);
+    if (!grant || Date.parse(grant.expiresAt) <= Date.now()) return null;
+
+    if (grant.downloads >= grant.maxDownloads) {
+      return { allowed: false, downloads: grant.downloads, maxDownloads: grant.maxDownloads };
+    }
+
+    grant.downloads++;
+    await this.persist();
+    return { allowed: true, downloads: grant.downloads, maxDownloads: grant.maxDownloads };
+  }
+
+  // ========== REPLICAS ==========
+
+  async addReplica(fileId, nodeId, nodeAddress, storageKey, details = null) {
+    if (!this.replicas.has(fileId)) this.replicas.set(fileId, new Map());
+
+    const previous = this.replicas.get(fileId).get(nodeId) || {};
+    this.replicas.get(fileId).set(nodeId, {
+      nodeAddress,
+      storageKey,
+      fileName: details ? details.fileName : previous.fileName,
+      fileSize: details ? String(details.fileSize) : previous.fileSize,
+      contentHash: details ? details.contentHash : previous.contentHash,
+      storedAt: new Date().toISOString()
+    });
+    await this.persist();
+
+    log.debug('Replica recorded', { fileId, nodeId });
+    return true;
+  }
+
+  async getReplicas(fileId) {
+    const byNode = this.replicas.get(fileId) || new Map();
+
+    return Array.from(byNode, ([nodeId, replica]) => ({
+      fileId,
+      nodeId,
+      nodeAddress: replica.nodeAddress,
+      storageKey: replica.storageKey,
+      storedAt: new Date(replica.storedAt)
+    }));
+  }
+
+  async getFilesForNode(nodeId) {
+    const files = [];
+
+    for (const [fileId, byNode] of this.replicas) {
+      if (byNode.has(nodeId)) {
+        const replica = byNode.get(nodeId);
+        files.push({
+          fileId,
+          storageKey: replica.storageKey,
+          fileName: replica.fileName || null,
+          fileSize: replica.fileSize || null,
+          contentHash: replica.contentHash || null
+        });
+      }
+    }
+
+    return files;
+  }
+
+  async removeReplica(fileId, nodeId) {
+    const byNode = this.replicas.get(fileId);
+
+    if (byNode) {
+      byNode.delete(nodeId);
+      if (byNode.size === 0) this.replicas.delete(fileId);
+      await this.persist();
+    }
+
+    return true;
+  }
+
+  async deleteReplicas(fileId) {
+    const count = this.replicas.has(fileId) ? this.replicas.get(fileId).size : 0;
+
+    if (count > 0) {
+      this.replicas.delete(fileId);
+      await this.persist();
+    }
+
+    return count;
+  }
+}
+
+module.exports = EmbeddedMetadataStore;
@@ -0,0 +1,72 @@
+const path = require('path');
+const {
+  METADATA_STORE,
+  METADATA_DIR,
+  UPLOAD_DIR,
+  BLOB_STORE,
+  BLOB_DIR,
+  BLOB_SHARD_DEPTH,
+  S3_ENDPOINT,
+  S3_REGION,
+  S3_BUCKET,
+  S3_PREFIX,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE
+} = require('../config/constants');
+const CassandraMetadataStore = require('./cassandra.store');
+const EmbeddedMetadataStore = require('./embedded.store');
+const LocalBlobStore = require('./local-blob.store');
+const S3BlobStore = require('./s3-blob.store');
+
+const METADATA_STORES = {
+  cassandra: () => new CassandraMetadataStore(),
+  embedded: () => new EmbeddedMetadataStore({ dir: METADATA_DIR })
+};
+
+const BLOB_STORES = {
+  local: () => new LocalBlobStore({ root: BLOB_DIR, shardDepth: BLOB_SHARD_DEPTH }),
+  s3: () => new S3BlobStore({
+    endpoint: S3_ENDPOINT,
+    region: S3_REGION,
+    bucket: S3_BUCKET,
+    prefix: S3_PREFIX,
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY,
+    forcePathStyle: S3_FORCE_PATH_STYLE,
+    stagingDir: path.join(UPLOAD_DIR, '.staging')
+  })
+};
+
+function create(stores, kind, setting, name) {
+  if (!stores[name]) {
+    throw new Error(`Unknown ${kind} "${name}" in ${setting}, expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return stores[name]();
+}
+
+/**
+ * Creates the metadata store named by METADATA_STORE ("cassandra" or
+ * "embedded").
+ */
+function createMetadataStore(name = METADATA_STORE) {
+  return create(METADATA_STORES, 'metadata store', 'METADATA_STORE', name);
+}
+
+/**
+ * Creates the blob store named by BLOB_STORE ("local" or "s3").
+ */
+function createBlobStore(name = BLOB_STORE) {
+  return create(BLOB_STORES, 'blob store', 'BLOB_STORE', name);
+}
+
+module.exports = {
+  createMetadataStore,
+  createBlobStore,
+  MetadataStore: require('./metadata-store'),
+  BlobStore: require('./blob-store'),
+  CassandraMetadataStore,
+  EmbeddedMetadataStore,
+  LocalBlobStore,
+  S3BlobStore
+};
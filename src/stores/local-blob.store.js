@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const BlobStore = require('./blob-store');
+const { blobNotFound, validateKey } = BlobStore;
+
+/**
+ * Blobs on the local disk under `root`, spread over `shardDepth` levels of
+ * two-hex-digit directories taken from the SHA-256 of the key, so no
+ * directory grows past a few thousand entries:
+ *
+ *   <root>/3f/a2/<key>
+ *
+ * Files written before sharding sit directly in `root` and are still found
+ * there.
+ */
+class LocalBlobStore extends BlobStore {
+  constructor({ root, shardDepth = 2 }) {
+    super('local');
+    this.root = root;
+    this.shardDepth = shardDepth;
+  }
+
+  shardedPath(key) {
+    const digest = crypto.createHash('sha256').update(validateKey(key)).digest('hex');
+    const shards = [];
+    for (let level = 0; level < this.shardDepth; level++) {
+      shards.push(digest.substring(level * 2, level * 2 + 2));
+    }
+    return path.join(this.root, ...shards, key);
+  }
+
+  // The sharded path, or the pre-sharding flat path when only that exists.
+  async resolve(key) {
+    const sharded = this.shardedPath(key);
+    if (fs.existsSync(sharded)) return sharded;
+
+    const flat = path.join(this.root, key);
+    return fs.existsSync(flat) ? flat : sharded;
+  }
+
+  async checkHealth() {
+    const startedAt = Date.now();
+    await fs.promises.mkdir(this.root, { recursive: true });
+    await fs.promises.access(this.root, fs.constants.R_OK | fs.constants.W_OK);
+    return { latencyMs: Date.now() - startedAt, root: path.resolve(this.root) };
+  }
+
+  // Written beside the target and renamed over it, so readers never see a
+  // half-written blob.
+  async put(key, source) {
+    const target = this.shardedPath(key);
+    const tempPath = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await pipeline(source, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, target);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(target);
+    return { key, size };
+  }
+
+  async putFile(key, filePath) {
+    const target = this.shardedPath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.promises.rename(filePath, target);
+    } catch (error) {
+      // Staging and blob directories on different filesystems.
+      if (error.code !== 'EXDEV') throw error;
+      return super.putFile(key, filePath);
+    }
+
+    const { size } = await fs.promises.stat(target);
+    return { key, size };
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    const filePath = await this.resolve(key);
+    const stream = fs.createReadStream(filePath, { start, end });
+
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', reject);
+    }).catch((error) => {
+      throw error.code === 'ENOENT' ? blobNotFound(key) : error;
+    });
+
+    return stream;
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(await this.resolve(key));
+      return { key, size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(await this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalBlobStore;
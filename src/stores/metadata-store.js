@@ -0,0 +1,179 @@
+/**
+ * Where file metadata, blob reference counts, replica locations and access
+ * logs are kept. Controllers and services receive a store instead of
+ * talking to a database directly, so the server can run against Cassandra
+ * or, without any database, the embedded file-backed store.
+ *
+ * Files are returned as
+ *   { fileId, storageKey, fileName, fileSize (string), mimeType, contentHash,
+ *     ownerId, visibility, sharedWith (array), encryption, uploadedAt (Date) }
+ * where visibility is "private", "shared" or "public" (see utils/file-access)
+ * and encryption is the envelope described in EncryptionService, or null.
+ * and access log entries as
+ *   { logId, fileId, clientId, operationType, timestamp (Date) }.
+ *
+ * Paged listings resolve with a `next` value ({ bucket, pageState }, both
+ * JSON-serializable) that is passed back as `cursor` for the following page,
+ * or null after the last page.
+ */
+class MetadataStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // ===== Lifecycle and health =====
+
+  async initialize() {
+    throw this.notImplemented('initialize');
+  }
+
+  async shutdown() {
+    throw this.notImplemented('shutdown');
+  }
+
+  // Resolves with backend details ({ latencyMs, ... }); rejects when the
+  // store cannot serve requests.
+  async checkHealth() {
+    throw this.notImplemented('checkHealth');
+  }
+
+  // ===== Files =====
+
+  // `access` is { ownerId, visibility, sharedWith }.
+  async storeFileMetadata(fileId, storageKey, fileName, fileSize, contentHash, access, encryption) {
+    throw this.notImplemented('storeFileMetadata');
+  }
+
+  async getFileMetadata(fileId) {
+    throw this.notImplemented('getFileMetadata');
+  }
+
+  async getAllFiles() {
+    throw this.notImplemented('getAllFiles');
+  }
+
+  // { sort, order, limit, cursor, filters, viewer } -> { files, next }
+  // A `viewer` principal (null for anonymous) limits the page to files it
+  // may list; without one every file is listed.
+  async listFiles(options) {
+    throw this.notImplemented('listFiles');
+  }
+
+  // Resolves false when the file does not exist.
+  async updateFileAccess(fileId, { visibility, sharedWith }) {
+    throw this.notImplemented('updateFileAccess');
+  }
+
+  // Resolves false when the file does not exist.
+  async updateFileEncryption(fileId, encryption) {
+    throw this.notImplemented('updateFileEncryption');
+  }
+
+  async deleteFileMetadata(fileId) {
+    throw this.notImplemented('deleteFileMetadata');
+  }
+
+  async fileExists(fileId) {
+    throw this.notImplemented('fileExists');
+  }
+
+  // ===== Storage usage =====
+  //
+  // Kept up to date by storeFileMetadata and deleteFileMetadata; a file
+  // counts its plaintext size towards its owner and towards the total.
+
+  // -> { files, bytes } stored by the owner, or by everyone when ownerId
+  // is null
+  async getUsage(ownerId) {
+    throw this.notImplemented('getUsage');
+  }
+
+  // -> [{ ownerId, files, bytes }] for every owner with files stored
+  async listUsage() {
+    throw this.notImplemented('listUsage');
+  }
+
+  // ===== Access logs =====
+
+  async logAccess(fileId, clientId, operationType) {
+    throw this.notImplemented('logAccess');
+  }
+
+  // { fileId, from, to, operation, clientId, limit, cursor } -> { logs, next }
+  async listAccessLogs(options) {
+    throw this.notImplemented('listAccessLogs');
+  }
+
+  // ===== Blobs (content-addressed copies shared between files) =====
+
+  // -> { contentHash, storageKey, refCount, encryption, deduplicated }
+  // A blob that already exists keeps its own key and encryption envelope.
+  async acquireBlob(contentHash, storageKey, fileSize, encryption) {
+    throw this.notImplemented('acquireBlob');
+  }
+
+  // -> { contentHash, tracked, storageKey, refCount, removed }
+  async releaseBlob(contentHash) {
+    throw this.notImplemented('releaseBlob');
+  }
+
+  async updateBlobKey(contentHash, storageKey) {
+    throw this.notImplemented('updateBlobKey');
+  }
+
+  async updateBlobEncryption(contentHash, encryption) {
+    throw this.notImplemented('updateBlobEncryption');
+  }
+
+  // ===== Download grants (signed URLs with a download limit) =====
+
+  async createDownloadGrant(urlId, fileId, maxDownloads, expiresAt) {
+    throw this.notImplemented('createDownloadGrant');
+  }
+
+  // -> { fileId, maxDownloads, downloads, expiresAt (Date) }, or null for
+  // an unknown or expired grant. Reads only; nothing is counted.
+  async getDownloadGrant(urlId) {
+    throw this.notImplemented('getDownloadGrant');
+  }
+
+  // Counts one download. -> { allowed, downloads, maxDownloads }, where
+  // allowed is false once the limit was already reached, or null for an
+  // unknown or expired grant.
+  async useDownloadGrant(urlId) {
+    throw this.notImplemented('useDownloadGrant');
+  }
+
+  // ===== Replicas =====
+
+  // `details` ({ fileName, fileSize, contentHash } of the stored copy) are
+  // kept for getFilesForNode when given.
+  async addReplica(fileId, nodeId, nodeAddress, storageKey, details) {
+    throw this.notImplemented('addReplica');
+  }
+
+  // -> [{ fileId, nodeId, nodeAddress, storageKey, storedAt }]
+  async getReplicas(fileId) {
+    throw this.notImplemented('getReplicas');
+  }
+
+  // -> [{ fileId, storageKey, fileName, fileSize, contentHash }], details
+  // null where none were recorded
+  async getFilesForNode(nodeId) {
+    throw this.notImplemented('getFilesForNode');
+  }
+
+  async removeReplica(fileId, nodeId) {
+    throw this.notImplemented('removeReplica');
+  }
+
+  async deleteReplicas(fileId) {
+    throw this.notImplemented('deleteReplicas');
+  }
+}
+
+module.exports = MetadataStore;
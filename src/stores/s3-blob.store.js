@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const BlobStore = require('./blob-store');
+const { blobNotFound, validateKey } = BlobStore;
+
+const SERVICE = 's3';
+// Bodies are streamed, so their hash is not part of the signature.
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 requires; encodeURIComponent leaves !'()* alone.
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+async function s3Error(response, operation) {
+  const body = await readBody(response).catch(() => '');
+  const code = /<Code>([^<]*)<\/Code>/.exec(body);
+  const message = /<Message>([^<]*)<\/Message>/.exec(body);
+  const error = new Error(`S3 ${operation} failed with HTTP ${response.statusCode}` +
+    (code ? `: ${code[1]}${message ? ` (${message[1]})` : ''}` : ''));
+  error.status = response.statusCode;
+  return error;
+}
+
+/**
+ * Blobs in an S3-compatible bucket (AWS S3, MinIO, Ceph RGW, ...), spoken to
+ * directly over HTTP with Signature Version 4 so no SDK is needed. Each key
+ * is stored as the object "<prefix><key>".
+ */
+class S3BlobStore extends BlobStore {
+  constructor({ endpoint, region, bucket, prefix = '', accessKeyId, secretAccessKey, forcePathStyle = true, stagingDir }) {
+    super('s3');
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('S3 blob store needs S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.stagingDir = stagingDir || os.tmpdir();
+    this.agent = this.endpoint.protocol === 'https:'
+      ? new https.Agent({ keepAlive: true })
+      : new http.Agent({ keepAlive: true });
+  }
+
+  // Host and path for an object key, or for the bucket itself when null.
+  location(key) {
+    const objectPath = key === null
+      ? ''
+      : '/' + (this.prefix + key).split('/').map(encodeRfc3986).join('/');
+
+    if (this.forcePathStyle) {
+      return { host: this.endpoint.host, pathname: `/${encodeRfc3986(this.bucket)}${objectPath}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, pathname: objectPath || '/' };
+  }
+
+  sign(method, host, pathname, headers) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.substring(0, 8);
+    const scope = `${date}/${this.region}/${SERVICE}/aws4_request`;
+
+    const signed = {
+      host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).sort();
+    const signedHeaders = names.join(';');
+    const canonicalHeaders = names.map(name => `${name}:${signed[name]}\n`).join('');
+    const canonicalRequest = [method, pathname, '', canonicalHeaders, signedHeaders, UNSIGNED_PAYLOAD].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), SERVICE), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+      ...headers,
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Sends one signed request. `body` may be a Buffer or a readable stream.
+   * Resolves with the response once its headers arrive.
+   */
+  request(method, key, { headers = {}, body = null } = {}) {
+    const { host, pathname } = this.location(key);
+    const transport = this.endpoint.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port || undefined,
+        method,
+        path: pathname,
+        headers: this.sign(method, host, pathname, headers),
+        agent: this.agent
+      }, resolve);
+
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        pipeline(body, req).catch(reject);
+      } else {
+        req.end(body || undefined);
+      }
+    });
+  }
+
+  async checkHealth() {
+    const startedAt = Date.now();
+    const response = await this.request('HEAD', null);
+    response.resume();
+    if (response.statusCode !== 200) {
+      throw new Error(`Bucket "${this.bucket}" answered HTTP ${response.statusCode}`);
+    }
+    return { latencyMs: Date.now() - startedAt, endpoint: this.endpoint.origin, bucket: this.bucket };
+  }
+
+  /**
+   * PUT needs a Content-Length, so a stream of unknown size is spooled to
+   * a local file first.
+   */
+  async put(key, source, { size } = {}) {
+    validateKey(key);
+
+    if (size === undefined) {
+      const spoolPath = path.join(this.stagingDir, `s3-${crypto.randomBytes(8).toString('hex')}.spool`);
+      await fs.promises.mkdir(this.stagingDir, { recursive: true });
+      try {
+        await pipeline(source, fs.createWriteStream(spoolPath));
+        return await this.putFile(key, spoolPath);
+      } finally {
+        await fs.promises.unlink(spoolPath).catch(() => {});
+      }
+    }
+
+    const response = await this.request('PUT', key, {
+      headers: { 'content-length': String(size), 'content-type': 'application/octet-stream' },
+      body: source
+    });
+    if (response.statusCode !== 200) throw await s3Error(response, 'PUT');
+    response.resume();
+
+    return { key, size };
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    validateKey(key);
+
+    const headers = {};
+    if (start !== undefined || end !== undefined) {
+      headers.range = `bytes=${start || 0}-${end === undefined ? '' : end}`;
+    }
+
+    const response = await this.request('GET', key, { headers });
+    if (response.statusCode === 404) {
+      response.resume();
+      throw blobNotFound(key);
+    }
+    if (response.statusCode !== 200 && response.statusCode !== 206) {
+      throw await s3Error(response, 'GET');
+    }
+    return response;
+  }
+
+  async stat(key) {
+    validateKey(key);
+
+    const response = await this.request('HEAD', key);
+    response.resume();
+
+    if (response.statusCode === 404) return null;
+    if (response.statusCode !== 200) {
+      throw new Error(`S3 HEAD failed with HTTP ${response.statusCode}`);
+    }
+
+    return {
+      key,
+      size: parseInt(response.headers['content-length'], 10),
+      lastModified: new Date(response.headers['last-modified'] || Date.now())
+    };
+  }
+
+  // S3 answers DELETE with 204 whether or not the object existed, so the
+  // object is looked up first to report which it was.
+  async delete(key) {
+    if (!(await this.stat(key))) return false;
+
+    const response = await this.request('DELETE', key);
+    if (response.statusCode !== 204 && response.statusCode !== 200) {
+      throw await s3Error(response, 'DELETE');
+    }
+    response.resume();
+    return true;
+  }
+}
+
+module.exports = S3BlobStore;
@@ -0,0 +1,52 @@
+/**
+ * Hands swarm connections opened for one topic to the code waiting on them,
+ * one at a time, so a failed peer can be skipped in favour of the next.
+ */
+class ConnectionQueue {
+  constructor() {
+    this.connections = [];
+    this.notify = null;
+    this.closed = false;
+  }
+
+  push(conn) {
+    if (this.closed) {
+      conn.destroy();
+      return;
+    }
+    this.connections.push(conn);
+    if (this.notify) this.notify();
+  }
+
+  // Resolves with the next connection, or null if none arrives within `ms`.
+  next(ms) {
+    if (this.connections.length > 0) {
+      return Promise.resolve(this.connections.shift());
+    }
+    if (this.closed || ms <= 0) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.notify = null;
+        resolve(null);
+      }, ms);
+
+      this.notify = () => {
+        clearTimeout(timer);
+        this.notify = null;
+        resolve(this.connections.shift() || null);
+      };
+    });
+  }
+
+  close() {
+    this.closed = true;
+    this.connections.forEach(conn => conn.destroy());
+    this.connections = [];
+    if (this.notify) this.notify();
+  }
+}
+
+module.exports = ConnectionQueue;
@@ -0,0 +1,64 @@
+const HyperDHT = require('hyperdht');
+const createTestnet = require('hyperdht/testnet');
+
+// Port of the first node of a local bootstrap network, as hyperdht's own
+// bootstrap servers use
+const DEFAULT_BOOTSTRAP_PORT = 49737;
+const DEFAULT_BOOTSTRAP_NODES = 3;
+const ADDRESS_REGEX = /^[^\s:/]+:(\d{1,5})$/;
+
+// "10.0.0.2:49737, 10.0.0.3:49737" -> ['10.0.0.2:49737', '10.0.0.3:49737']
+function parseBootstrap(value) {
+  const nodes = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(node => String(node).trim())
+    .filter(Boolean);
+
+  for (const node of nodes) {
+    const match = ADDRESS_REGEX.exec(node);
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 65535) {
+      throw new Error(`DHT bootstrap nodes must be host:port (got "${node}")`);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Hyperswarm options for a private DHT. With no bootstrap nodes the swarm
+ * joins the public network through hyperdht's default bootstrap servers.
+ * `host` binds the DHT socket to one interface; nodes sharing a machine
+ * (a local cluster, CI) need 127.0.0.1 to reach each other.
+ */
+function swarmOptions({ bootstrap = [], host = '' } = {}) {
+  if (!host) return bootstrap.length > 0 ? { bootstrap } : {};
+
+  // Hyperswarm destroys the DHT it was given along with itself
+  return { dht: new HyperDHT({ bootstrap: bootstrap.length > 0 ? bootstrap : undefined, host }) };
+}
+
+/**
+ * Starts a self-contained DHT of `nodes` persistent nodes, the first one
+ * listening on host:port, in this process (hyperdht's testnet setup). Any
+ * node or client given `bootstrap` joins it instead of the public network.
+ * Resolves with { bootstrap: ['host:port'], size, destroy() }.
+ */
+async function startBootstrapNetwork({
+  host = '127.0.0.1',
+  port = DEFAULT_BOOTSTRAP_PORT,
+  nodes = DEFAULT_BOOTSTRAP_NODES
+} = {}) {
+  const testnet = await createTestnet(nodes, { host, port });
+
+  return {
+    bootstrap: testnet.bootstrap.map(node => `${node.host}:${node.port}`),
+    size: testnet.nodes.length,
+    destroy: () => testnet.destroy()
+  };
+}
+
+module.exports = {
+  DEFAULT_BOOTSTRAP_PORT,
+  DEFAULT_BOOTSTRAP_NODES,
+  parseBootstrap,
+  swarmOptions,
+  startBootstrapNetwork
+};
@@ -0,0 +1,83 @@
+const { DEFAULT_VISIBILITY } = require('../config/constants');
+
+// Who may do what with a file. `principal` is the authenticated caller
+// ({ id, admin, ... }, see AuthService) or null; files carry ownerId,
+// visibility and sharedWith as returned by a metadata store.
+//
+//   private  the owner only
+//   shared   the owner and every user listed in sharedWith
+//   public   anyone holding the file's link may download it; it is still
+//            only listed for the owner and sharedWith users
+//
+// Admins may do everything. Files stored before ownership existed have no
+// owner and are only reachable by admins.
+
+const VISIBILITIES = ['private', 'shared', 'public'];
+const USER_ID_REGEX = /^[\w.@-]{1,128}$/;
+
+// A request the caller is not allowed to make, answered with `status`.
+class AccessError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function isOwner(file, principal) {
+  return Boolean(principal && file.ownerId && file.ownerId === principal.id);
+}
+
+function isSharedWith(file, principal) {
+  return Boolean(principal && file.visibility !== 'private' && (file.sharedWith || []).includes(principal.id));
+}
+
+// Listed by GET /files and readable through any endpoint.
+function canList(file, principal) {
+  if (principal && principal.admin) return true;
+  return isOwner(file, principal) || isSharedWith(file, principal);
+}
+
+function canRead(file, principal) {
+  return file.visibility === 'public' || canList(file, principal);
+}
+
+// Changing visibility, deleting and reading the file's access logs.
+function canManage(file, principal) {
+  if (principal && principal.admin) return true;
+  return isOwner(file, principal);
+}
+
+/**
+ * Validates the visibility and sharedWith a caller asked for, given as
+ * request fields: sharedWith may be an array or a comma-separated string.
+ * Unset fields fall back to `current` (the file's present settings) or the
+ * defaults. Throws with a client-facing message when either is invalid.
+ */
+function parseAccess({ visibility, sharedWith } = {}, current = {}) {
+  const parsed = {
+    visibility: visibility === undefined || visibility === ''
+      ? current.visibility || DEFAULT_VISIBILITY
+      : visibility,
+    sharedWith: current.sharedWith || []
+  };
+
+  if (!VISIBILITIES.includes(parsed.visibility)) {
+    throw new Error(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+
+  if (sharedWith !== undefined) {
+    const users = (Array.isArray(sharedWith) ? sharedWith : String(sharedWith).split(','))
+      .map(user => String(user).trim())
+      .filter(Boolean);
+
+    const invalid = users.find(user => !USER_ID_REGEX.test(user));
+    if (invalid) throw new Error(`"${invalid}" is not a valid user id`);
+
+    parsed.sharedWith = Array.from(new Set(users)).sort();
+  }
+
+  return parsed;
+}
+
+module.exports = { VISIBILITIES, USER_ID_REGEX, AccessError, canList, canRead, canManage, parseAccess };
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const hypercoreCrypto = require('hypercore-crypto');
+
+// Encrypted files use a chunked AES-256-GCM container so any byte range can
+// be decrypted without reading the whole file:
+//
+//   header   "RSE1" | uint32 chunk size | 16-byte salt
+//   chunks   AES-256-GCM(plaintext chunk) | 16-byte tag, repeated
+//
+// Chunk i is sealed with nonce salt[0..8] | uint32 i and the header plus a
+// "last chunk" flag as additional data, so chunks can't be reordered,
+// dropped or cut off unnoticed. An empty file is a header and one empty
+// final chunk.
+//
+// Files encrypted at rest use a random data key per blob. Files encrypted
+// end-to-end by a client use a key derived from the client's own key and
+// the salt, so the server never sees it.
+
+const MAGIC = Buffer.from('RSE1');
+const SALT_SIZE = 16;
+const HEADER_SIZE = MAGIC.length + 4 + SALT_SIZE;
+const TAG_SIZE = 16;
+const IV_SIZE = 12;
+const KEY_SIZE = 32;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const E2E_KEY_INFO = 'reslify-e2e-file-key';
+const WRAP_AAD = Buffer.from('reslify-data-key');
+
+class DecryptionError extends Error {}
+
+function randomKey() {
+  return hypercoreCrypto.randomBytes(KEY_SIZE);
+}
+
+// Keys are written as 32 bytes of base64, base64url or hex.
+function parseKey(value, name = 'key') {
+  if (Buffer.isBuffer(value) && value.length === KEY_SIZE) return value;
+
+  const text = String(value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(text)
+    ? Buffer.from(text, 'hex')
+    : Buffer.from(text, text.includes('-') || text.includes('_') ? 'base64url' : 'base64');
+
+  if (key.length !== KEY_SIZE) {
+    throw new Error(`${name} must be ${KEY_SIZE} bytes, given as base64 or hex`);
+  }
+  return key;
+}
+
+function chunkCount(plainSize, chunkSize) {
+  return Math.max(1, Math.ceil(plainSize / chunkSize));
+}
+
+function encryptedSize(plainSize, chunkSize = DEFAULT_CHUNK_SIZE) {
+  return HEADER_SIZE + plainSize + chunkCount(plainSize, chunkSize) * TAG_SIZE;
+}
+
+function encodeHeader(chunkSize, salt) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header.writeUInt32BE(chunkSize, MAGIC.length);
+  salt.copy(header, MAGIC.length + 4);
+  return header;
+}
+
+function parseHeader(header) {
+  if (header.length < HEADER_SIZE || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new DecryptionError('Data is not in the encrypted file format');
+  }
+
+  const chunkSize = header.readUInt32BE(MAGIC.length);
+  if (chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new DecryptionError(`Encrypted file has an invalid chunk size (${chunkSize})`);
+  }
+
+  return {
+    header: header.subarray(0, HEADER_SIZE),
+    chunkSize,
+    salt: header.subarray(MAGIC.length + 4, HEADER_SIZE)
+  };
+}
+
+function chunkNonce(salt, index) {
+  const nonce = Buffer.alloc(IV_SIZE);
+  salt.copy(nonce, 0, 0, IV_SIZE - 4);
+  nonce.writeUInt32BE(index, IV_SIZE - 4);
+  return nonce;
+}
+
+function chunkAad(header, final) {
+  return Buffer.concat([header, Buffer.from([final ? 1 : 0])]);
+}
+
+// `key` is the file key itself, or a function deriving it from the salt.
+function fileKeyFor(key, salt) {
+  return typeof key === 'function' ? key(salt) : key;
+}
+
+// End-to-end keys: every file gets its own key derived from the client's.
+function e2eKey(clientKey) {
+  return salt => Buffer.from(crypto.hkdfSync('sha256', clientKey, salt, E2E_KEY_INFO, KEY_SIZE));
+}
+
+function sealChunk(fileKey, salt, header, index, plaintext, final) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', fileKey, chunkNonce(salt, index));
+  cipher.setAAD(chunkAad(header, final));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(fileKey, salt, header, index, sealed, final) {
+  if (sealed.length < TAG_SIZE) {
+    throw new DecryptionError('Encrypted file is truncated');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, chunkNonce(salt, index));
+  decipher.setAAD(chunkAad(header, final));
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_SIZE)), decipher.final()]);
+  } catch (error) {
+    throw new DecryptionError(`Chunk ${index} failed to decrypt: wrong key or corrupted data`);
+  }
+}
+
+/**
+ * A Transform turning plaintext into the encrypted container. The last
+ * chunk is held back until the input ends so it can be marked final.
+ */
+function createEncryptStream(key, { chunkSize = DEFAULT_CHUNK_SIZE, salt = hypercoreCrypto.randomBytes(SALT_SIZE) } = {}) {
+  const header = encodeHeader(chunkSize, salt);
+  const fileKey = fileKeyFor(key, salt);
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  let started = false;
+
+  const start = (stream) => {
+    if (!started) stream.push(header);
+    started = true;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      start(this);
+      pending = pending.length === 0 ? chunk : Buffer.concat([pending, chunk]);
+
+      while (pending.length > chunkSize) {
+        this.push(sealChunk(fileKey, salt, header, index++, pending.subarray(0, chunkSize), false));
+        pending = pending.subarray(chunkSize);
+      }
+      callback();
+    },
+
+    flush(callback) {
+      start(this);
+      this.push(sealChunk(fileKey, salt, header, index++, pending, true));
+      callback();
+    }
+  });
+}
+
+/**
+ * A Transform turning a whole encrypted container back into plaintext.
+ * Fails with a DecryptionError on a wrong key, tampering or truncation.
+ */
+function createDecryptStream(key) {
+  let parsed = null;
+  let fileKey;
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = pending.length === 0 ? chunk : Buffer.concat([pending, chunk]);
+
+        if (!parsed) {
+          if (pending.length < HEADER_SIZE) return callback();
+          parsed = parseHeader(pending);
+          fileKey = fileKeyFor(key, parsed.salt);
+          pending = pending.subarray(HEADER_SIZE);
+        }
+
+        const sealedSize = parsed.chunkSize + TAG_SIZE;
+        while (pending.length > sealedSize) {
+          this.push(openChunk(fileKey, parsed.salt, parsed.header, index++, pending.subarray(0, sealedSize), false));
+          pending = pending.subarray(sealedSize);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        if (!parsed) throw new DecryptionError('Encrypted file is truncated');
+        this.push(openChunk(fileKey, parsed.salt, parsed.header, index, pending, true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decrypts plaintext bytes start..end (inclusive) of a container holding
+ * `plainSize` bytes, reading only the chunks covering them.
+ * `openStored(start, end)` returns (or resolves with) a stream over that
+ * inclusive range of the stored bytes.
+ */
+function createDecryptedRangeStream(openStored, key, plainSize, start, end) {
+  return Readable.from((async function* () {
+    if (end < start) return;
+
+    const { header, chunkSize, salt } = parseHeader(await readAll(await openStored(0, HEADER_SIZE - 1)));
+    const fileKey = fileKeyFor(key, salt);
+    const sealedSize = chunkSize + TAG_SIZE;
+    const lastIndex = chunkCount(plainSize, chunkSize) - 1;
+    const first = Math.floor(start / chunkSize);
+    const last = Math.floor(end / chunkSize);
+
+    const stored = await openStored(
+      HEADER_SIZE + first * sealedSize,
+      Math.min(HEADER_SIZE + (last + 1) * sealedSize, encryptedSize(plainSize, chunkSize)) - 1
+    );
+
+    let pending = Buffer.alloc(0);
+    let index = first;
+
+    const open = (sealed) => {
+      const plaintext = openChunk(fileKey, salt, header, index, sealed, index === lastIndex);
+      const offset = index * chunkSize;
+      index++;
+      return plaintext.subarray(Math.max(0, start - offset), Math.min(plaintext.length, end - offset + 1));
+    };
+
+    for await (const chunk of stored) {
+      pending = pending.length === 0 ? chunk : Buffer.concat([pending, chunk]);
+      while (pending.length >= sealedSize && index <= last) {
+        yield open(pending.subarray(0, sealedSize));
+        pending = pending.subarray(sealedSize);
+      }
+    }
+
+    if (index <= last) yield open(pending);
+  })());
+}
+
+// Whole-file end-to-end encryption with a client's key, for the SDK and CLI.
+// A failed decryption leaves no partial output behind.
+async function encryptFile(sourcePath, targetPath, clientKey) {
+  await pipeline(fs.createReadStream(sourcePath), createEncryptStream(e2eKey(clientKey)), fs.createWriteStream(targetPath));
+}
+
+async function decryptFile(sourcePath, targetPath, clientKey) {
+  try {
+    await pipeline(fs.createReadStream(sourcePath), createDecryptStream(e2eKey(clientKey)), fs.createWriteStream(targetPath));
+  } catch (error) {
+    await fs.promises.unlink(targetPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Data keys are stored wrapped (AES-256-GCM) under a master key:
+// base64(iv | ciphertext | tag).
+function wrapKey(dataKey, masterKey) {
+  const iv = hypercoreCrypto.randomBytes(IV_SIZE);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  cipher.setAAD(WRAP_AAD);
+  return Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]).toString('base64');
+}
+
+function unwrapKey(wrapped, masterKey) {
+  const data = Buffer.from(wrapped, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, data.subarray(0, IV_SIZE));
+  decipher.setAAD(WRAP_AAD);
+  decipher.setAuthTag(data.subarray(data.length - TAG_SIZE));
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(IV_SIZE, data.length - TAG_SIZE)), decipher.final()]);
+  } catch (error) {
+    throw new DecryptionError('Data key could not be unwrapped: the master key does not match');
+  }
+}
+
+/**
+ * The bytes a node actually holds and moves over the DHT: for files
+ * encrypted at rest that is the ciphertext, whose size and SHA-256 are
+ * kept in the encryption envelope. Resolves to { size, contentHash }.
+ */
+function storedCopyOf(file) {
+  const encryption = file.encryption;
+  if (encryption && encryption.mode === 'server') {
+    return { size: encryption.size, contentHash: encryption.hash };
+  }
+  return { size: parseInt(file.fileSize), contentHash: file.contentHash };
+}
+
+module.exports = {
+  HEADER_SIZE,
+  DEFAULT_CHUNK_SIZE,
+  DecryptionError,
+  randomKey,
+  parseKey,
+  encryptedSize,
+  parseHeader,
+  e2eKey,
+  createEncryptStream,
+  createDecryptStream,
+  createDecryptedRangeStream,
+  encryptFile,
+  decryptFile,
+  wrapKey,
+  unwrapKey,
+  storedCopyOf
+};
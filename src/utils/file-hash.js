@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Streams the file through SHA-256 so large files never sit in memory.
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await updateHashFromFile(hash, filePath);
+  return hash.digest('hex');
+}
+
+// Same for any readable stream, e.g. a blob read from the blob store.
+async function hashStream(stream) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(stream, async function (source) {
+    for await (const chunk of source) hash.update(chunk);
+  });
+  return hash.digest('hex');
+}
+
+// Feeds the file's bytes into an existing hash, e.g. to seed the digest of
+// a download that resumes from a partial file.
+async function updateHashFromFile(hash, filePath) {
+  await pipeline(fs.createReadStream(filePath), async function (source) {
+    for await (const chunk of source) hash.update(chunk);
+  });
+  return hash;
+}
+
+module.exports = { hashFile, hashStream, updateHashFromFile };
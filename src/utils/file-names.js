@@ -0,0 +1,14 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// "<timestamp>-<uuid>-<original name with whitespace dashed>", so stored
+// copies never collide even when users upload files with the same name.
+// Any directory part is dropped so a name can never escape UPLOAD_DIR.
+function createStoredFileName(originalName) {
+  const uniqueId = uuidv4();
+  const timestamp = Date.now();
+  const sanitizedName = path.basename(originalName.replace(/\\/g, '/')).replace(/\s+/g, '-');
+  return `${timestamp}-${uniqueId}-${sanitizedName}`;
+}
+
+module.exports = { createStoredFileName };
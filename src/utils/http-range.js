@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// If-Range requires a strong validator: either the exact (strong) ETag or an
+// HTTP date no older than the file's Last-Modified.
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) {
+    return Boolean(etag) && !etag.startsWith('W/') && ifRange.trim() === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+}
+
+function contentRange(start, end, size) {
+  return `bytes ${start}-${end}/${size}`;
+}
+
+function multipartHeader(boundary, mimeType, range, size, first) {
+  return (first ? '' : '\r\n') +
+    `--${boundary}\r\n` +
+    `Content-Type: ${mimeType}\r\n` +
+    `Content-Range: ${contentRange(range.start, range.end, size)}\r\n\r\n`;
+}
+
+async function streamRange(openStream, start, end, res) {
+  await pipeline(await openStream(start, end), res, { end: false });
+}
+
+/**
+ * Sends a file honouring Range / If-Range. Answers 200 with the whole file,
+ * 206 with a single range or a multipart/byteranges body, 304 for fresh
+ * conditional requests and 416 for unsatisfiable ranges. Bytes are read
+ * through `openStream(start, end)`, which returns (or resolves with) a
+ * readable stream over that inclusive range.
+ * `beforeSend(status, ranges)`, when given, is awaited once a 200 or 206
+ * has been chosen and before anything about it is written; `ranges` is
+ * null for a 200 and the ranges to send for a 206. When it resolves false
+ * nothing is sent, the response is left to the caller and this resolves
+ * with null.
+ * Resolves with { status, bytes } once the response has been written.
+ */
+async function sendFileWithRanges(req, res, { openStream, size, mimeType, etag, lastModified, beforeSend }) {
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  if (etag) res.setHeader('ETag', etag);
+
+  if (req.fresh) {
+    res.status(304).end();
+    return { status: 304, bytes: 0 };
+  }
+
+  const headOnly = req.method === 'HEAD';
+  const ranges = ifRangeMatches(req, etag, lastModified)
+    ? req.range(size, { combine: true })
+    : undefined;
+
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).json({
+      success: false,
+      error: 'Range not satisfiable',
+      message: `Requested range is outside the file (${size} bytes)`
+    });
+    return { status: 416, bytes: 0 };
+  }
+
+  // Malformed or non-byte ranges are ignored, as RFC 9110 allows.
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes') {
+    if (beforeSend && !(await beforeSend(200, null))) return null;
+    res.status(200);
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', size);
+    if (headOnly || size === 0) {
+      res.end();
+      return { status: 200, bytes: 0 };
+    }
+    await streamRange(openStream, 0, size - 1, res);
+    res.end();
+    return { status: 200, bytes: size };
+  }
+
+  if (beforeSend && !(await beforeSend(206, ranges))) return null;
+  res.status(206);
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Range', contentRange(start, end, size));
+    res.setHeader('Content-Length', end - start + 1);
+    if (headOnly) {
+      res.end();
+      return { status: 206, bytes: 0 };
+    }
+    await streamRange(openStream, start, end, res);
+    res.end();
+    return { status: 206, bytes: end - start + 1 };
+  }
+
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const closing = `\r\n--${boundary}--\r\n`;
+  const headers = ranges.map((range, i) => multipartHeader(boundary, mimeType, range, size, i === 0));
+  const payloadBytes = ranges.reduce((total, range) => total + range.end - range.start + 1, 0);
+  const contentLength = headers.reduce((total, header) => total + Buffer.byteLength(header), 0) +
+    payloadBytes + Buffer.byteLength(closing);
+
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', contentLength);
+
+  if (headOnly) {
+    res.end();
+    return { status: 206, bytes: 0 };
+  }
+
+  for (let i = 0; i < ranges.length; i++) {
+    res.write(headers[i]);
+    await streamRange(openStream, ranges[i].start, ranges[i].end, res);
+  }
+  res.end(closing);
+
+  return { status: 206, bytes: payloadBytes };
+}
+
+module.exports = { sendFileWithRanges };
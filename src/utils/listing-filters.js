@@ -0,0 +1,24 @@
+// Filters accepted by GET /files, applied to a file as returned by a
+// metadata store. `filters` holds namePrefix, mimeType ("image/png" or
+// "image/*"), minSize, maxSize, uploadedAfter and uploadedBefore.
+function matchesListingFilters(file, filters) {
+  if (filters.namePrefix && !file.fileName.toLowerCase().startsWith(filters.namePrefix.toLowerCase())) {
+    return false;
+  }
+  if (filters.mimeType) {
+    const matches = filters.mimeType.endsWith('/*')
+      ? file.mimeType.startsWith(filters.mimeType.slice(0, -1))
+      : file.mimeType === filters.mimeType;
+    if (!matches) return false;
+  }
+
+  const size = Number(file.fileSize);
+  if (filters.minSize !== undefined && size < filters.minSize) return false;
+  if (filters.maxSize !== undefined && size > filters.maxSize) return false;
+  if (filters.uploadedAfter && file.uploadedAt < filters.uploadedAfter) return false;
+  if (filters.uploadedBefore && file.uploadedAt >= filters.uploadedBefore) return false;
+
+  return true;
+}
+
+module.exports = { matchesListingFilters };
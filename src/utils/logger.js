@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { current } = require('../config');
+
+// Lowest to highest; a module logs entries at or above its level.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+// IDs from callers and peers end up in every log entry, so only plain
+// tokens are kept
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+// Holds { requestId } for the HTTP request or DHT transfer being handled,
+// so every entry logged on its behalf carries the ID without it being
+// passed down each call.
+const requestContext = new AsyncLocalStorage();
+
+let settings = null;
+
+// Read once, on first use: the server configures before requiring modules
+// that log, other entry points get defaults, file and environment.
+function loggingSettings() {
+  if (!settings) {
+    const { LOG_LEVEL, LOG_MODULE_LEVELS, LOG_FORMAT } = current().values;
+    settings = {
+      level: LOG_LEVEL,
+      modules: new Map(LOG_MODULE_LEVELS.map(entry => entry.split('=').map(part => part.trim()))),
+      format: LOG_FORMAT
+    };
+  }
+  return settings;
+}
+
+// The caller's ID when it is a plain token, a fresh one otherwise
+function requestIdFrom(incoming) {
+  return typeof incoming === 'string' && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : undefined;
+}
+
+/**
+ * Wraps callback-style middleware (body parsers, multer) so `next` runs in
+ * the request's context: their callbacks fire from stream events, which
+ * would otherwise lose it.
+ */
+function bindToRequest(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+function serialize(value, level) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(level === 'error' ? { stack: value.stack } : {})
+    };
+  }
+  return value;
+}
+
+// 12:00:00.123 INFO  files: File stored fileId=... size=5000 [request 3f2a...]
+function formatPretty({ time, level, module, message, requestId, ...fields }) {
+  const details = Object.entries(fields).map(([name, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${name}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return [
+    time.substring(11, 23),
+    level.toUpperCase().padEnd(5),
+    `${module}:`,
+    message,
+    ...details,
+    ...(requestId ? [`[request ${requestId}]`] : [])
+  ].join(' ');
+}
+
+/**
+ * Leveled logger for one module. Entries are written one per line, as JSON
+ * ({ time, level, module, message, requestId, ...fields }) or, with
+ * LOG_FORMAT=pretty, as readable text; warnings and errors go to stderr.
+ */
+class Logger {
+  constructor(module, fields = {}) {
+    this.module = module;
+    this.fields = fields;
+  }
+
+  // Same module, with `fields` added to every entry
+  child(fields) {
+    return new Logger(this.module, { ...this.fields, ...fields });
+  }
+
+  enabled(level) {
+    const { level: defaultLevel, modules } = loggingSettings();
+    return LEVELS[level] >= LEVELS[modules.get(this.module) || defaultLevel];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, module: this.module, message };
+    const requestId = currentRequestId();
+    if (requestId) entry.requestId = requestId;
+    for (const [name, value] of Object.entries({ ...this.fields, ...fields })) {
+      if (value !== undefined) entry[name] = serialize(value, level);
+    }
+
+    const line = loggingSettings().format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  }
+}
+
+function createLogger(module) {
+  return new Logger(module);
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  createLogger,
+  requestIdFrom,
+  runWithRequestId,
+  currentRequestId,
+  bindToRequest
+};
@@ -0,0 +1,221 @@
+// A small Prometheus registry: counters, gauges and histograms rendered in
+// the text exposition format (version 0.0.4) for GET /metrics.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('http');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; spans fast metadata lookups up to multi-second transfers
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // label key -> { labels, ...state }
+    this.series = new Map();
+  }
+
+  // Only declared labels are kept, in declaration order, so the same
+  // combination always maps to one series.
+  seriesFor(labels) {
+    const picked = {};
+    for (const name of this.labelNames) picked[name] = labels[name] === undefined ? '' : labels[name];
+
+    const key = JSON.stringify(picked);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: picked, ...this.initialState() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`Counter ${this.name} can only go up`);
+    this.seriesFor(labels).value += amount;
+  }
+
+  samples() {
+    return Array.from(this.series.values(), series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.seriesFor(labels).value = value;
+  }
+
+  samples() {
+    return Array.from(this.series.values(), series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts timing; the returned function records the seconds elapsed,
+   * with `extraLabels` (known only at the end, e.g. a status) merged in.
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  samples() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    // Run before every scrape, for gauges read from live state
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  render() {
+    for (const collector of this.collectors) {
+      try {
+        collector();
+      } catch (error) {
+        log.warn('Metrics collector failed', { error });
+      }
+    }
+    return Array.from(this.metrics.values(), metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+// The process-wide registry and the metrics the server reports.
+const registry = new Registry();
+
+const metrics = {
+  httpRequests: registry.counter('reslify_http_requests_total',
+    'HTTP requests by method, route and status', ['method', 'route', 'status']),
+  httpRequestDuration: registry.histogram('reslify_http_request_duration_seconds',
+    'HTTP request latency by method, route and status', ['method', 'route', 'status']),
+  bytesUploaded: registry.counter('reslify_bytes_uploaded_total',
+    'File bytes received: client uploads over http, replicas and peer copies over dht', ['transport']),
+  bytesServed: registry.counter('reslify_bytes_served_total',
+    'File bytes sent: downloads over http, file requests and replica pushes over dht', ['transport']),
+  swarmConnections: registry.gauge('reslify_swarm_connections',
+    'Open Hyperswarm connections'),
+  swarmPeers: registry.gauge('reslify_swarm_peers',
+    'Peers known to the swarm'),
+  announcedTopics: registry.gauge('reslify_dht_announced_topics',
+    'File topics this node announces on the DHT'),
+  cassandraQueryDuration: registry.histogram('reslify_cassandra_query_duration_seconds',
+    'Cassandra query latency by statement kind and table', ['operation', 'table']),
+  cassandraQueryErrors: registry.counter('reslify_cassandra_query_errors_total',
+    'Cassandra queries that failed, by statement kind and table', ['operation', 'table']),
+  accessLogFailures: registry.counter('reslify_access_log_failures_total',
+    'Access log entries that could not be written', ['operation'])
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  metrics
+};
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const hypercoreCrypto = require('hypercore-crypto');
+const { UPLOAD_DIR } = require('../config/constants');
+
+const NODE_KEY_FILE = '.node-key';
+
+// The node key lives next to the files it vouches for, so a node keeps
+// its identity (and its replica records stay valid) across restarts.
+// Tools setting up nodes pass the node's UPLOAD_DIR to learn its id.
+function loadNodeKeyPair(dir = UPLOAD_DIR) {
+  const keyFile = path.join(dir, NODE_KEY_FILE);
+  let seed;
+
+  if (fs.existsSync(keyFile)) {
+    seed = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'hex');
+  } else {
+    seed = crypto.randomBytes(32);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(keyFile, seed.toString('hex'), { mode: 0o600 });
+  }
+
+  return hypercoreCrypto.keyPair(seed);
+}
+
+module.exports = { loadNodeKeyPair };
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Every frame on the wire is: [type: 1 byte][payload length: 4 bytes BE][payload]
+//
+//   REQUEST  client -> server   JSON { fileId, offset, topic, capability }
+//   HEADER   server -> client   JSON { success, fileId, fileName, size, offset, chunkSize, ... }
+//   CHUNK    server -> client   [offset: 8 bytes BE][sha256: 32 bytes][data]
+//   END      server -> client   JSON { chunks, bytes }
+//   ERROR    server -> client   JSON { success: false, error, message }
+//
+// Storage nodes replicate to each other with the same CHUNK/END framing:
+//
+//   PUSH     sender -> replica  JSON { fileId, fileName, size, contentHash, ... }, then CHUNK... END
+//   ACK      replica -> sender  JSON { success: true, nodeId, serverAddress, storageKey, ... }
+//   DROP     sender -> replica  JSON { fileId }, answered with ACK or ERROR
+//   PING     any -> node        JSON {}, answered with ACK (liveness check)
+//
+// Node-to-node connections also accept REQUEST, so repairs can pull a copy
+// straight from a known holder.
+//
+// On file topic connections, `topic` is the hex topic the client found the
+// server on and `capability` a token granting access to the file (see
+// PeerAuthService). Node-to-node connections are authenticated by the node
+// key instead. Peers that are refused get an ERROR frame.
+//
+// REQUEST, PUSH and DROP may also carry the sender's `requestId`; the
+// receiving node logs the exchange under it, so one HTTP request can be
+// followed across every node it touched.
+const FRAME_TYPES = {
+  REQUEST: 0x01,
+  HEADER: 0x02,
+  CHUNK: 0x03,
+  END: 0x04,
+  ERROR: 0x05,
+  PUSH: 0x06,
+  ACK: 0x07,
+  DROP: 0x08,
+  PING: 0x09
+};
+
+const FRAME_HEADER_SIZE = 5;
+const CHUNK_OFFSET_SIZE = 8;
+const CHUNK_CHECKSUM_SIZE = 32;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+
+// Files are found on the DHT under the SHA-256 of their id.
+function topicForFile(fileId) {
+  return crypto.createHash('sha256').update(fileId).digest();
+}
+
+function encodeFrame(type, payload) {
+  const body = Buffer.isBuffer(payload)
+    ? payload
+    : Buffer.from(JSON.stringify(payload));
+
+  const header = Buffer.alloc(FRAME_HEADER_SIZE);
+  header.writeUInt8(type, 0);
+  header.writeUInt32BE(body.length, 1);
+
+  return Buffer.concat([header, body]);
+}
+
+function checksum(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+function encodeChunk(offset, data) {
+  const prefix = Buffer.alloc(CHUNK_OFFSET_SIZE);
+  prefix.writeBigUInt64BE(BigInt(offset), 0);
+  return encodeFrame(FRAME_TYPES.CHUNK, Buffer.concat([prefix, checksum(data), data]));
+}
+
+function decodeChunk(payload) {
+  if (payload.length < CHUNK_OFFSET_SIZE + CHUNK_CHECKSUM_SIZE) {
+    throw new Error('Chunk frame is too short');
+  }
+
+  const offset = Number(payload.readBigUInt64BE(0));
+  const expected = payload.subarray(CHUNK_OFFSET_SIZE, CHUNK_OFFSET_SIZE + CHUNK_CHECKSUM_SIZE);
+  const data = payload.subarray(CHUNK_OFFSET_SIZE + CHUNK_CHECKSUM_SIZE);
+
+  if (!checksum(data).equals(expected)) {
+    throw new Error(`Checksum mismatch for chunk at offset ${offset}`);
+  }
+
+  return { offset, data };
+}
+
+/**
+ * Reassembles frames from an arbitrarily split byte stream.
+ * push() returns every frame completed by the new data as { type, payload }.
+ */
+class FrameDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(data) {
+    this.buffer = this.buffer.length === 0 ? data : Buffer.concat([this.buffer, data]);
+    const frames = [];
+
+    while (this.buffer.length >= FRAME_HEADER_SIZE) {
+      const type = this.buffer.readUInt8(0);
+      const length = this.buffer.readUInt32BE(1);
+
+      if (length > MAX_FRAME_SIZE) {
+        throw new Error(`Frame of ${length} bytes exceeds the ${MAX_FRAME_SIZE} byte limit`);
+      }
+
+      if (this.buffer.length < FRAME_HEADER_SIZE + length) {
+        break;
+      }
+
+      const payload = this.buffer.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+      this.buffer = this.buffer.subarray(FRAME_HEADER_SIZE + length);
+      frames.push({ type, payload });
+    }
+
+    return frames;
+  }
+}
+
+function parseJsonPayload(payload) {
+  return JSON.parse(payload.toString());
+}
+
+const MAX_QUEUED_FRAMES = 16;
+
+/**
+ * Pull-style frame reader over a connection: `await reader.next()` resolves
+ * with the next frame, or null once the remote side has ended. The
+ * connection is paused while too many frames are waiting to be consumed.
+ */
+class FrameReader {
+  constructor(conn) {
+    this.conn = conn;
+    this.decoder = new FrameDecoder();
+    this.frames = [];
+    this.waiting = null;
+    this.ended = false;
+    this.error = null;
+
+    conn.on('data', (data) => {
+      try {
+        this.frames.push(...this.decoder.push(data));
+      } catch (error) {
+        this.fail(error);
+        return;
+      }
+      if (this.frames.length >= MAX_QUEUED_FRAMES) conn.pause();
+      this.wake();
+    });
+
+    conn.on('end', () => {
+      this.ended = true;
+      this.wake();
+    });
+
+    conn.on('close', () => {
+      this.ended = true;
+      this.wake();
+    });
+
+    conn.on('error', (error) => this.fail(error));
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.wake();
+  }
+
+  wake() {
+    if (!this.waiting) return;
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve();
+  }
+
+  async next() {
+    while (this.frames.length === 0) {
+      if (this.error) throw this.error;
+      if (this.ended) return null;
+      await new Promise(resolve => { this.waiting = { resolve }; });
+    }
+
+    const frame = this.frames.shift();
+    if (this.frames.length < MAX_QUEUED_FRAMES / 2) this.conn.resume();
+    return frame;
+  }
+
+  /**
+   * Resolves with the parsed JSON of the next frame, which must be one of
+   * `types`. ERROR frames reject with the remote message.
+   */
+  async expect(...types) {
+    const frame = await this.next();
+
+    if (!frame) {
+      throw new Error('Connection closed before a response was received');
+    }
+    if (frame.type === FRAME_TYPES.ERROR) {
+      const response = parseJsonPayload(frame.payload);
+      const error = new Error(response.message || response.error);
+      error.remote = response;
+      throw error;
+    }
+    if (!types.includes(frame.type)) {
+      throw new Error(`Unexpected frame type 0x${frame.type.toString(16)}`);
+    }
+
+    return { type: frame.type, body: parseJsonPayload(frame.payload) };
+  }
+}
+
+/**
+ * Reads CHUNK frames up to END from `reader` and writes them to
+ * `destination` (appending when `offset` > 0). Checks chunk order, the total
+ * size against `header.size` and, when the header has a contentHash, the
+ * SHA-256 of the whole file; `hash` may be pre-seeded with the bytes already
+ * on disk. A file failing the size or integrity check is deleted.
+ * Resolves with { bytes, contentHash }.
+ */
+async function receiveFile(reader, header, { destination, offset = 0, hash } = {}) {
+  const digest = hash || crypto.createHash('sha256');
+  const output = fs.createWriteStream(destination, { flags: offset ? 'a' : 'w' });
+  let expectedOffset = offset;
+
+  const closeOutput = () => new Promise((resolve, reject) => {
+    output.once('error', reject);
+    output.end(resolve);
+  });
+
+  try {
+    while (true) {
+      const frame = await reader.next();
+
+      if (!frame) {
+        throw new Error(`Connection closed after ${expectedOffset} of ${header.size} bytes`);
+      }
+
+      if (frame.type === FRAME_TYPES.ERROR) {
+        const response = parseJsonPayload(frame.payload);
+        throw new Error(response.message || response.error);
+      }
+
+      if (frame.type === FRAME_TYPES.END) break;
+
+      if (frame.type !== FRAME_TYPES.CHUNK) {
+        throw new Error(`Unexpected frame type 0x${frame.type.toString(16)} during transfer`);
+      }
+
+      const chunk = decodeChunk(frame.payload);
+
+      if (chunk.offset !== expectedOffset) {
+        throw new Error(`Out-of-order chunk: got offset ${chunk.offset}, expected ${expectedOffset}`);
+      }
+
+      expectedOffset += chunk.data.length;
+      digest.update(chunk.data);
+
+      if (!output.write(chunk.data)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+  } catch (error) {
+    await closeOutput().catch(() => {});
+    throw error;
+  }
+
+  await closeOutput();
+
+  if (expectedOffset !== header.size) {
+    await fs.promises.unlink(destination).catch(() => {});
+    throw new Error(`Incomplete transfer: received ${expectedOffset} of ${header.size} bytes`);
+  }
+
+  const contentHash = digest.digest('hex');
+
+  if (header.contentHash && contentHash !== header.contentHash) {
+    await fs.promises.unlink(destination).catch(() => {});
+    throw new Error(`Integrity check failed: expected SHA-256 ${header.contentHash}, got ${contentHash}`);
+  }
+
+  return { bytes: expectedOffset - offset, contentHash };
+}
+
+/**
+ * Streams a file over an open connection as HEADER (or options.headerType),
+ * CHUNK... and END frames, respecting backpressure. `source` is a readable
+ * stream positioned at `options.offset` (e.g. from BlobStore#createReadStream)
+ * and is split into chunks of at most `options.chunkSize` bytes. Resolves
+ * with { chunks, bytes } once the END frame has been written.
+ */
+function streamFile(conn, source, header, options = {}) {
+  const offset = options.offset || 0;
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const headerType = options.headerType || FRAME_TYPES.HEADER;
+
+  return new Promise((resolve, reject) => {
+    let position = offset;
+    let chunks = 0;
+
+    const onClose = () => {
+      source.destroy();
+      reject(new Error('Connection closed before the transfer completed'));
+    };
+
+    conn.write(encodeFrame(headerType, { ...header, offset, chunkSize }));
+
+    source.on('data', (data) => {
+      // Any full write means waiting for 'drain', not only the last one.
+      let flushed = true;
+      for (let start = 0; start < data.length; start += chunkSize) {
+        const piece = data.subarray(start, start + chunkSize);
+        flushed = conn.write(encodeChunk(position, piece)) && flushed;
+        position += piece.length;
+        chunks++;
+      }
+
+      if (!flushed) {
+        source.pause();
+        conn.once('drain', () => source.resume());
+      }
+    });
+
+    source.on('end', () => {
+      conn.removeListener('close', onClose);
+      const summary = { chunks, bytes: position - offset };
+      conn.write(encodeFrame(FRAME_TYPES.END, summary));
+      resolve(summary);
+    });
+
+    source.on('error', (error) => {
+      conn.removeListener('close', onClose);
+      reject(error);
+    });
+
+    conn.once('close', onClose);
+  });
+}
+
+function sendError(conn, error, message) {
+  conn.write(encodeFrame(FRAME_TYPES.ERROR, { success: false, error, message }));
+}
+
+module.exports = {
+  FRAME_TYPES,
+  DEFAULT_CHUNK_SIZE,
+  topicForFile,
+  encodeFrame,
+  encodeChunk,
+  decodeChunk,
+  FrameDecoder,
+  FrameReader,
+  parseJsonPayload,
+  receiveFile,
+  streamFile,
+  sendError
+};
@@ -1,17 +1,21 @@
-const db = require('./db');
+// Runs against the store named by METADATA_STORE, so
+// `METADATA_STORE=embedded node test-db.js` needs no Cassandra.
+const { createMetadataStore } = require('./src/stores');
+
+const db = createMetadataStore();
 
 async function testDatabase() {
-  console.log('🧪 Testing Cassandra Database Module\n');
+  console.log(`🧪 Testing ${db.name} metadata store\n`);
 
   try {
-    // Initialize database
-    await db.initializeDatabase();
+    // Initialize the store
+    await db.initialize();
 
     // Test 1: Store a file
     console.log('\n📝 TEST 1: Storing file metadata...');
     await db.storeFileMetadata(
       'test-file-123',
-      '/uploads/test.txt',
+      'test.txt',
       'test.txt',
       1024
     );
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AuthService = require('../src/services/auth.service');
+const { AuthError } = AuthService;
+const createAuthMiddleware = require('../src/middleware/auth.middleware');
+const { signToken } = require('../src/utils/jwt');
+
+const SECRET = 'test-secret';
+
+function service(options = {}) {
+  return new AuthService({
+    apiKeys: 'alice=alice-key, root=root-key',
+    jwtSecret: SECRET,
+    issuer: '',
+    audience: '',
+    adminUsers: 'root',
+    allowAnonymous: false,
+    ...options
+  });
+}
+
+// Just enough of an express request for authenticate().
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function rejectsWith(message) {
+  return (error) => {
+    assert.ok(error instanceof AuthError, `expected an AuthError, got ${error}`);
+    assert.equal(error.status, 401);
+    assert.equal(error.error, 'Invalid credentials');
+    assert.match(error.message, message);
+    return true;
+  };
+}
+
+test('accepts API keys in X-API-Key or an ApiKey authorization', () => {
+  const auth = service();
+
+  assert.deepEqual(auth.authenticate(request({ 'X-API-Key': 'alice-key' })), { id: 'alice', method: 'api-key', admin: false });
+  assert.deepEqual(auth.authenticate(request({ Authorization: 'ApiKey root-key' })), { id: 'root', method: 'api-key', admin: true });
+  assert.throws(() => auth.authenticate(request({ 'X-API-Key': 'guess' })), rejectsWith(/not recognised/));
+});
+
+test('accepts signed tokens naming a user in sub', () => {
+  const auth = service();
+
+  const token = signToken({ sub: 'bob', admin: true }, SECRET, { expiresIn: 60 });
+  assert.deepEqual(auth.authenticate(request({ Authorization: `Bearer ${token}` })), { id: 'bob', method: 'token', admin: true });
+
+  const expired = signToken({ sub: 'bob', exp: 1 }, SECRET);
+  assert.throws(() => auth.authenticate(request({ Authorization: `Bearer ${expired}` })), rejectsWith(/expired/));
+  const nobody = signToken({ sub: 'not a user' }, SECRET);
+  assert.throws(() => auth.authenticate(request({ Authorization: `Bearer ${nobody}` })), rejectsWith(/"sub" claim/));
+  assert.throws(() => service({ jwtSecret: '' }).authenticate(request({ Authorization: `Bearer ${token}` })),
+    rejectsWith(/not enabled/));
+});
+
+test('checks the configured issuer and audience', () => {
+  const auth = service({ issuer: 'reslify', audience: 'api' });
+
+  const token = signToken({ sub: 'bob', iss: 'reslify', aud: 'api' }, SECRET);
+  assert.equal(auth.authenticate(request({ Authorization: `Bearer ${token}` })).id, 'bob');
+  const foreign = signToken({ sub: 'bob', iss: 'elsewhere', aud: 'api' }, SECRET);
+  assert.throws(() => auth.authenticate(request({ Authorization: `Bearer ${foreign}` })), rejectsWith(/issuer/));
+});
+
+test('treats callers without credentials as anonymous only when allowed', () => {
+  assert.equal(service().authenticate(request()), null);
+  assert.deepEqual(service({ allowAnonymous: true }).authenticate(request()), { id: 'anonymous', method: 'anonymous', admin: false });
+  assert.throws(() => service().authenticate(request({ Authorization: 'Basic YWxpY2U6cHc=' })), rejectsWith(/must be "Bearer/));
+});
+
+test('refuses malformed API key settings', () => {
+  assert.throws(() => service({ apiKeys: 'alice' }), /must look like "user=key"/);
+  assert.throws(() => service({ apiKeys: 'not a user=key' }), /is not a valid user id/);
+  assert.equal(service({ apiKeys: '', jwtSecret: '' }).configured, false);
+});
+
+test('middleware sets the principal and answers 401 and 403', () => {
+  const { authenticate, requireUser, requireAdmin } = createAuthMiddleware(service());
+  const run = (middleware, req) => {
+    const res = response();
+    let nextCalled = false;
+    middleware(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+  };
+
+  const req = request({ 'X-API-Key': 'alice-key' });
+  assert.equal(run(authenticate, req).nextCalled, true);
+  assert.equal(req.principal.id, 'alice');
+  assert.equal(run(requireUser, req).nextCalled, true);
+
+  const forbidden = run(requireAdmin, req).res;
+  assert.equal(forbidden.statusCode, 403);
+  assert.deepEqual(forbidden.body, { success: false, error: 'Forbidden', message: 'This endpoint is restricted to admins' });
+
+  const anonymous = request();
+  run(authenticate, anonymous);
+  const unauthenticated = run(requireAdmin, anonymous).res;
+  assert.equal(unauthenticated.statusCode, 401);
+  assert.equal(unauthenticated.body.error, 'Authentication required');
+  assert.match(unauthenticated.headers['WWW-Authenticate'], /Bearer realm="reslify", ApiKey realm="reslify"/);
+
+  const invalid = run(authenticate, request({ 'X-API-Key': 'guess' }));
+  assert.equal(invalid.nextCalled, false);
+  assert.equal(invalid.res.statusCode, 401);
+  assert.equal(invalid.res.body.error, 'Invalid credentials');
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, describeConfig } = require('../src/config');
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+});
+
+after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function load(options = {}) {
+  return loadConfig({ argv: [], env: {}, cwd: dir, ...options });
+}
+
+function problemsOf(options) {
+  try {
+    load(options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, `expected a ConfigError, got ${error}`);
+    return error.problems;
+  }
+  assert.fail('expected the configuration to be refused');
+}
+
+test('starts from the defaults and derives the public address from them', () => {
+  const { values, sources, file } = load();
+
+  assert.equal(values.PORT, 3000);
+  assert.equal(values.REPLICATION_FACTOR, 2);
+  assert.equal(values.PUBLIC_ADDRESS, '127.0.0.1:3000');
+  assert.equal(values.PUBLIC_URL, 'http://127.0.0.1:3000');
+  assert.equal(sources.PORT, 'default');
+  assert.equal(sources.PUBLIC_ADDRESS, 'derived');
+  assert.equal(file, null);
+});
+
+test('layers the config file, environment and flags in that order', async () => {
+  const configFile = path.join(dir, 'node.json');
+  await fs.promises.writeFile(configFile, JSON.stringify({ PORT: 4000, HOST: '10.0.0.5', DHT_BOOTSTRAP: ['boot-1:49737'] }));
+
+  const { values, sources, file } = load({
+    argv: ['--config', configFile, '--port=5000', '--no-peer-cache-enabled', '--public-url', 'https://files.example.com/'],
+    env: { PORT: '4500', REPLICATION_FACTOR: '3', CLUSTER_TOPIC: '' }
+  });
+
+  assert.equal(file, configFile);
+  assert.equal(values.PORT, 5000);
+  assert.equal(values.HOST, '10.0.0.5');
+  assert.equal(values.REPLICATION_FACTOR, 3);
+  assert.equal(values.CLUSTER_TOPIC, 'reslify-storage-cluster');
+  assert.equal(values.PEER_CACHE_ENABLED, false);
+  assert.deepEqual(values.DHT_BOOTSTRAP, ['boot-1:49737']);
+  assert.equal(values.PUBLIC_ADDRESS, '10.0.0.5:5000');
+  assert.equal(values.PUBLIC_URL, 'https://files.example.com');
+  assert.deepEqual([sources.PORT, sources.HOST, sources.REPLICATION_FACTOR, sources.CLUSTER_TOPIC],
+    ['flag', 'file', 'env', 'default']);
+});
+
+test('picks up reslify.config.json from the working directory', async () => {
+  const cwd = await fs.promises.mkdtemp(path.join(dir, 'cwd-'));
+  await fs.promises.writeFile(path.join(cwd, 'reslify.config.json'), JSON.stringify({ METADATA_STORE: 'embedded' }));
+
+  const { values, file } = load({ cwd });
+
+  assert.equal(values.METADATA_STORE, 'embedded');
+  assert.equal(file, path.join(cwd, 'reslify.config.json'));
+});
+
+test('reports every problem at once', async () => {
+  const configFile = path.join(dir, 'bad.json');
+  await fs.promises.writeFile(configFile, JSON.stringify({ PORTT: 1, MAX_FILE_SIZE: 'big' }));
+
+  const problems = problemsOf({
+    argv: ['--config', configFile, '--replication-factor', '0', '--colour', 'stray', '--dht-bootstrap=boot-1'],
+    env: { METADATA_STORE: 'sqlite', AUTH_ALLOW_ANONYMOUS: 'maybe', SIGNED_URL_DEFAULT_TTL: '999999999' }
+  });
+
+  assert.deepEqual(problems, [
+    'Unknown option --colour',
+    'Unexpected argument "stray"',
+    `Config file ${configFile} sets unknown setting "PORTT"`,
+    'MAX_FILE_SIZE (in bad.json) must be an integer, got "big"',
+    'METADATA_STORE (from the environment) must be one of cassandra, embedded, got "sqlite"',
+    'AUTH_ALLOW_ANONYMOUS (from the environment) must be true or false, got "maybe"',
+    'REPLICATION_FACTOR (from the command line) must be at least 1, got 0',
+    'DHT_BOOTSTRAP (from the command line) entries must be host:port, got "boot-1"',
+    'SIGNED_URL_DEFAULT_TTL must not exceed SIGNED_URL_MAX_TTL'
+  ]);
+});
+
+test('refuses malformed public addresses and URLs', () => {
+  assert.deepEqual(problemsOf({ env: { PUBLIC_ADDRESS: 'node-1', PUBLIC_URL: 'ftp://node-1' } }), [
+    'PUBLIC_ADDRESS must be host:port, got "node-1"',
+    'PUBLIC_URL must be an http(s) URL, got "ftp://node-1"'
+  ]);
+});
+
+test('describes settings with their source and masks secrets', () => {
+  const { settings } = describeConfig(load({ env: { AUTH_API_KEYS: 'alice=secret', PORT: '8080' } }));
+
+  assert.deepEqual(settings.AUTH_API_KEYS, {
+    value: '********',
+    source: 'env',
+    secret: true,
+    description: 'Comma-separated "user=key" API keys'
+  });
+  assert.equal(settings.AUTH_JWT_SECRET.value, '');
+  assert.equal(settings.PORT.value, 8080);
+  assert.equal(settings.PORT.source, 'env');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConnectionQueue = require('../src/utils/connection-queue');
+
+function connection(name) {
+  return { name, destroyed: false, destroy() { this.destroyed = true; } };
+}
+
+test('hands out queued connections in arrival order', async () => {
+  const queue = new ConnectionQueue();
+  queue.push(connection('a'));
+  queue.push(connection('b'));
+
+  assert.equal((await queue.next(10)).name, 'a');
+  assert.equal((await queue.next(10)).name, 'b');
+});
+
+test('waits for a connection that arrives later', async () => {
+  const queue = new ConnectionQueue();
+
+  const waiting = queue.next(1000);
+  queue.push(connection('late'));
+
+  assert.equal((await waiting).name, 'late');
+});
+
+test('resolves null once the wait runs out', async () => {
+  const queue = new ConnectionQueue();
+
+  assert.equal(await queue.next(5), null);
+  assert.equal(await queue.next(0), null);
+});
+
+test('destroys queued and late connections once closed', async () => {
+  const queue = new ConnectionQueue();
+  const queued = connection('queued');
+  queue.push(queued);
+
+  const waiting = new ConnectionQueue();
+  const pending = waiting.next(1000);
+  waiting.close();
+  assert.equal(await pending, null);
+
+  queue.close();
+  const late = connection('late');
+  queue.push(late);
+
+  assert.equal(queued.destroyed, true);
+  assert.equal(late.destroyed, true);
+  assert.equal(await queue.next(1000), null);
+});
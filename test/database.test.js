@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { loadConfig } = require('../src/config');
+const { loadDatabaseConfig, replicationToCql } = require('../src/config/database');
+
+// The database settings a node started with `env` would use.
+function fromEnv(env) {
+  return loadDatabaseConfig(loadConfig({ env, cwd: os.tmpdir() }).values);
+}
+
+test('defaults to a local single-copy keyspace', () => {
+  assert.deepEqual(fromEnv({}), {
+    contactPoints: ['127.0.0.1'],
+    localDataCenter: 'datacenter1',
+    keyspace: 'fs_metadata',
+    replication: { class: 'SimpleStrategy', replication_factor: 1 },
+    autoMigrate: true
+  });
+});
+
+test('reads the cluster, keyspace and replication from the environment', () => {
+  const config = fromEnv({
+    CASSANDRA_CONTACT_POINTS: 'cassandra-1, cassandra-2',
+    CASSANDRA_LOCAL_DATACENTER: 'dc1',
+    CASSANDRA_KEYSPACE: 'files_eu',
+    CASSANDRA_REPLICATION_STRATEGY: 'NetworkTopologyStrategy',
+    CASSANDRA_REPLICATION_DATACENTERS: 'dc1:3, dc2:2',
+    CASSANDRA_AUTO_MIGRATE: 'false'
+  });
+
+  assert.deepEqual(config.contactPoints, ['cassandra-1', 'cassandra-2']);
+  assert.equal(config.keyspace, 'files_eu');
+  assert.deepEqual(config.replication, { class: 'NetworkTopologyStrategy', dc1: 3, dc2: 2 });
+  assert.equal(config.autoMigrate, false);
+});
+
+test('places NetworkTopologyStrategy copies in the local datacenter by default', () => {
+  const config = fromEnv({
+    CASSANDRA_LOCAL_DATACENTER: 'eu-west',
+    CASSANDRA_REPLICATION_STRATEGY: 'NetworkTopologyStrategy',
+    CASSANDRA_REPLICATION_FACTOR: '3'
+  });
+
+  assert.deepEqual(config.replication, { class: 'NetworkTopologyStrategy', 'eu-west': 3 });
+});
+
+test('refuses invalid settings', () => {
+  assert.throws(() => fromEnv({ CASSANDRA_KEYSPACE: 'files; DROP' }), /not a valid keyspace name/);
+  assert.throws(() => fromEnv({ CASSANDRA_REPLICATION_STRATEGY: 'LocalStrategy' }), /must be one of/);
+  assert.throws(() => fromEnv({ CASSANDRA_REPLICATION_FACTOR: '0' }), /must be at least 1/);
+  assert.throws(() => fromEnv({
+    CASSANDRA_REPLICATION_STRATEGY: 'NetworkTopologyStrategy',
+    CASSANDRA_REPLICATION_DATACENTERS: 'dc1'
+  }), /expected <datacenter>:<factor>/);
+});
+
+test('writes replication maps as CQL', () => {
+  assert.equal(replicationToCql({ class: 'NetworkTopologyStrategy', dc1: 3 }),
+    "{ 'class': 'NetworkTopologyStrategy', 'dc1': 3 }");
+});
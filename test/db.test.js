@@ -0,0 +1,274 @@
+const { describe, test, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const db = require('../db');
+const { FakeCassandra } = require('./support/fake-cassandra');
+
+let cassandra;
+
+after(() => {
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  cassandra = new FakeCassandra();
+  mock.method(db.client, 'execute', cassandra.execute);
+  mock.method(db.client, 'batch', cassandra.batch);
+});
+
+// Stores a file uploaded at `uploadedAt`, bypassing the clock.
+async function store(fileName, fileSize, uploadedAt) {
+  const fileId = crypto.randomUUID();
+  mock.timers.enable({ apis: ['Date'], now: new Date(uploadedAt) });
+  try {
+    await db.storeFileMetadata(fileId, `uploads/${fileId}`, fileName, fileSize);
+  } finally {
+    mock.timers.reset();
+  }
+  return fileId;
+}
+
+// Follows cursors to the end, returning the file names of every page.
+async function pages(options) {
+  const result = [];
+  let cursor = null;
+  do {
+    const page = await db.listFiles({ ...options, cursor });
+    result.push(page.files.map(file => file.fileName));
+    cursor = page.next;
+  } while (cursor);
+  return result;
+}
+
+describe('listFiles', () => {
+  beforeEach(async () => {
+    await store('beta.png', 300, '2026-01-15T00:00:00Z');
+    await store('alpha.txt', 10, '2026-02-01T00:00:00Z');
+    await store('gamma.png', 5000, '2026-02-20T00:00:00Z');
+    await store('delta.jpg', 70, '2026-03-03T00:00:00Z');
+    await store('alpine.txt', 1, '2026-03-04T00:00:00Z');
+  });
+
+  test('pages through the newest files first across month buckets', async () => {
+    assert.deepEqual(await pages({ limit: 2 }), [
+      ['alpine.txt', 'delta.jpg'],
+      ['gamma.png', 'alpha.txt'],
+      ['beta.png']
+    ]);
+  });
+
+  test('lists by name and narrows a prefix to its range', async () => {
+    assert.deepEqual((await pages({ sort: 'name', order: 'asc', limit: 10 })).flat(),
+      ['alpha.txt', 'alpine.txt', 'beta.png', 'delta.jpg', 'gamma.png']);
+    assert.deepEqual((await pages({ sort: 'name', order: 'desc', limit: 10, filters: { namePrefix: 'AL' } })).flat(),
+      ['alpine.txt', 'alpha.txt']);
+  });
+
+  test('fetches whole batches and resumes part-way through one', async () => {
+    for (let i = 0; i < 6; i++) await store(`march-${i}.txt`, 1, `2026-03-1${i}T00:00:00Z`);
+    cassandra.executed = [];
+
+    const listed = await pages({ limit: 5, filters: { mimeType: 'text/plain' } });
+
+    assert.deepEqual(listed, [
+      ['march-5.txt', 'march-4.txt', 'march-3.txt', 'march-2.txt', 'march-1.txt'],
+      ['march-0.txt', 'alpine.txt', 'alpha.txt']
+    ]);
+    const fetchSizes = cassandra.executed.filter(({ query }) => query.includes('files_by_upload_date'))
+      .map(({ options }) => options.fetchSize);
+    assert.ok(fetchSizes.every(fetchSize => fetchSize === 100), String(fetchSizes));
+  });
+
+  test('lists names starting with any character in byte order', async () => {
+    for (const name of ['~tmp', 'Zed', '.env', 'abc', '0a', '-x']) await store(name, 1, '2026-04-01T00:00:00Z');
+    const sorted = ['-x', '.env', '0a', 'abc', 'alpha.txt', 'alpine.txt', 'beta.png', 'delta.jpg', 'gamma.png', 'Zed', '~tmp'];
+
+    assert.deepEqual((await pages({ sort: 'name', order: 'asc', limit: 3 })).flat(), sorted);
+    assert.deepEqual((await pages({ sort: 'name', order: 'desc', limit: 3 })).flat(), [...sorted].reverse());
+    assert.deepEqual((await pages({ sort: 'name', order: 'asc', filters: { namePrefix: '.' } })).flat(), ['.env']);
+  });
+
+  test('lists by size within a size range', async () => {
+    assert.deepEqual((await pages({ sort: 'size', order: 'asc', limit: 2, filters: { minSize: 10, maxSize: 300 } })).flat(),
+      ['alpha.txt', 'delta.jpg', 'beta.png']);
+  });
+
+  test('filters by MIME type and upload date', async () => {
+    assert.deepEqual((await pages({ limit: 10, filters: { mimeType: 'image/*' } })).flat(),
+      ['delta.jpg', 'gamma.png', 'beta.png']);
+    assert.deepEqual((await pages({ limit: 10, filters: { mimeType: 'image/png', uploadedAfter: new Date('2026-02-01T00:00:00Z') } })).flat(),
+      ['gamma.png']);
+    assert.deepEqual((await pages({
+      order: 'asc',
+      limit: 10,
+      filters: { uploadedAfter: new Date('2026-02-01T00:00:00Z'), uploadedBefore: new Date('2026-03-04T00:00:00Z') }
+    })).flat(), ['alpha.txt', 'gamma.png', 'delta.jpg']);
+  });
+});
+
+describe('listing rows', () => {
+  test('move with a file that is stored again', async () => {
+    const fileId = await store('old.txt', 1, '2026-01-01T00:00:00Z');
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T00:00:00Z') });
+    try {
+      await db.storeFileMetadata(fileId, `uploads/${fileId}`, 'new.txt', 2048);
+    } finally {
+      mock.timers.reset();
+    }
+
+    for (const sort of ['uploadedAt', 'name', 'size']) {
+      const { files } = await db.listFiles({ sort, limit: 10 });
+      assert.deepEqual(files.map(file => [file.fileId, file.fileName]), [[fileId, 'new.txt']]);
+    }
+  });
+
+  test('go away with the file', async () => {
+    const fileId = await store('gone.txt', 1, '2026-01-01T00:00:00Z');
+    const kept = await store('kept.txt', 1, '2026-01-01T00:00:00Z');
+
+    await db.deleteFileMetadata(fileId);
+
+    for (const sort of ['uploadedAt', 'name', 'size']) {
+      assert.deepEqual((await db.listFiles({ sort, limit: 10 })).files.map(file => file.fileId), [kept]);
+    }
+  });
+
+  test('carry the access settings a viewer is listed by', async () => {
+    const bob = { id: 'bob', admin: false };
+    const fileId = crypto.randomUUID();
+    await db.storeFileMetadata(fileId, fileId, 'plan.txt', 1, null, { ownerId: 'alice', visibility: 'private', sharedWith: [] });
+    await store('legacy.txt', 1, '2026-01-01T00:00:00Z');
+
+    assert.deepEqual((await db.listFiles({ viewer: bob })).files, []);
+    assert.deepEqual((await db.listFiles({ viewer: { id: 'alice', admin: false } })).files.map(file => file.fileId), [fileId]);
+    assert.equal((await db.listFiles({ viewer: { id: 'root', admin: true } })).files.length, 2);
+
+    assert.equal(await db.updateFileAccess(fileId, { visibility: 'shared', sharedWith: ['bob'] }), true);
+    assert.equal(await db.updateFileAccess(crypto.randomUUID(), { visibility: 'public', sharedWith: [] }), false);
+
+    for (const sort of ['uploadedAt', 'name', 'size']) {
+      const { files } = await db.listFiles({ sort, viewer: bob });
+      assert.deepEqual(files.map(file => [file.fileId, file.visibility, file.sharedWith]), [[fileId, 'shared', ['bob']]]);
+    }
+    assert.equal((await db.getFileMetadata(fileId)).visibility, 'shared');
+  });
+});
+
+describe('storage usage', () => {
+  beforeEach(async () => {
+    await cassandra.execute('CREATE TABLE storage_usage (scope text PRIMARY KEY, files counter, bytes counter)');
+  });
+
+  test('follows files as they are stored, replaced and deleted', async () => {
+    const fileId = crypto.randomUUID();
+    await db.storeFileMetadata(fileId, fileId, 'a.txt', 100, null, { ownerId: 'alice' });
+    await db.storeFileMetadata(crypto.randomUUID(), 'b', 'b.txt', 20, null, { ownerId: 'bob' });
+    await store('legacy.txt', 5, '2026-01-01T00:00:00Z');
+
+    assert.deepEqual(await db.getUsage('alice'), { files: 1, bytes: 100 });
+    assert.deepEqual(await db.getUsage(null), { files: 3, bytes: 125 });
+
+    await db.storeFileMetadata(fileId, fileId, 'a.txt', 40, null, { ownerId: 'alice' });
+    assert.deepEqual(await db.getUsage('alice'), { files: 1, bytes: 40 });
+
+    await db.deleteFileMetadata(fileId);
+    assert.deepEqual(await db.getUsage('alice'), { files: 0, bytes: 0 });
+    assert.deepEqual(await db.getUsage('carol'), { files: 0, bytes: 0 });
+    assert.deepEqual(await db.getUsage(null), { files: 2, bytes: 25 });
+    assert.deepEqual(await db.listUsage(), [{ ownerId: 'bob', files: 1, bytes: 20 }]);
+  });
+
+  test('keeps files and usage in step when either write fails', async () => {
+    const failing = counter => async (queries, options = {}) => {
+      if (Boolean(options.counter) === counter) throw new Error('write timed out');
+      return cassandra.batch(queries, options);
+    };
+
+    db.client.batch.mock.mockImplementation(failing(true));
+    await assert.rejects(db.storeFileMetadata('f1', 'f1', 'a.txt', 100, null, { ownerId: 'alice' }), /write timed out/);
+    assert.deepEqual(cassandra.rows('files'), []);
+
+    db.client.batch.mock.mockImplementation(failing(false));
+    await assert.rejects(db.storeFileMetadata('f1', 'f1', 'a.txt', 100, null, { ownerId: 'alice' }), /write timed out/);
+    assert.deepEqual(await db.getUsage('alice'), { files: 0, bytes: 0 });
+    assert.deepEqual(await db.getUsage(null), { files: 0, bytes: 0 });
+  });
+});
+
+describe('replicas', () => {
+  test('keep the details of copies recorded with them', async () => {
+    const hash = 'c'.repeat(64);
+    await db.addReplica('f1', 'node-a', '10.0.0.1:3000', 'f1-key', { fileName: 'theirs.txt', fileSize: 7, contentHash: hash });
+    await db.addReplica('f1', 'node-a', '10.0.0.1:3000', 'f1-key');
+    await db.addReplica('f2', 'node-a', '10.0.0.1:3000', 'f2-key');
+
+    assert.deepEqual((await db.getFilesForNode('node-a')).sort((a, b) => a.fileId.localeCompare(b.fileId)), [
+      { fileId: 'f1', storageKey: 'f1-key', fileName: 'theirs.txt', fileSize: '7', contentHash: hash },
+      { fileId: 'f2', storageKey: 'f2-key', fileName: null, fileSize: null, contentHash: null }
+    ]);
+    assert.deepEqual((await db.getReplicas('f1')).map(replica => replica.nodeAddress), ['10.0.0.1:3000']);
+  });
+});
+
+describe('listAccessLogs', () => {
+  const FILE_A = crypto.randomUUID();
+  const FILE_B = crypto.randomUUID();
+
+  async function logAt(time, fileId, clientId, operationType = 'DOWNLOAD') {
+    mock.timers.enable({ apis: ['Date'], now: new Date(time) });
+    try {
+      await db.logAccess(fileId, clientId, operationType);
+    } finally {
+      mock.timers.reset();
+    }
+  }
+
+  // Follows cursors to the end, returning the client ids of every page.
+  async function logPages(options) {
+    const result = [];
+    let cursor = null;
+    do {
+      const page = await db.listAccessLogs({ ...options, cursor });
+      result.push(page.logs.map(log => log.clientId));
+      cursor = page.next;
+    } while (cursor);
+    return result;
+  }
+
+  beforeEach(async () => {
+    await logAt('2026-04-01T08:00:00Z', FILE_A, 'one');
+    await logAt('2026-04-01T09:00:00Z', FILE_B, 'two', 'UPLOAD');
+    await logAt('2026-04-02T10:00:00Z', FILE_A, 'three');
+    await logAt('2026-04-03T11:00:00Z', FILE_A, 'four', 'DELETE');
+  });
+
+  test('pages through every file newest first across days', async () => {
+    assert.deepEqual(await logPages({ limit: 3 }), [['four', 'three', 'two'], ['one']]);
+  });
+
+  test('lists the entries of one file', async () => {
+    const { logs } = await db.listAccessLogs({ fileId: FILE_A });
+
+    assert.deepEqual(logs.map(log => log.clientId), ['four', 'three', 'one']);
+    assert.deepEqual(logs.map(log => log.fileId), [FILE_A, FILE_A, FILE_A]);
+    assert.deepEqual(logs[0].timestamp, new Date('2026-04-03T11:00:00Z'));
+  });
+
+  test('narrows to a time window', async () => {
+    assert.deepEqual((await logPages({ from: new Date('2026-04-01T08:30:00Z'), to: new Date('2026-04-02T10:00:00Z') })).flat(),
+      ['three', 'two']);
+  });
+
+  test('indexes the days across all files under a non-empty scope', () => {
+    const scopes = cassandra.rows('access_log_days').map(row => row.scope);
+
+    assert.ok(scopes.every(scope => scope !== ''));
+    assert.deepEqual(cassandra.rows('access_log_days').filter(row => row.scope === '*').map(row => row.day),
+      ['2026-04-03', '2026-04-02', '2026-04-01']);
+  });
+
+  test('filters by operation and client', async () => {
+    assert.deepEqual((await logPages({ operation: 'DOWNLOAD' })).flat(), ['three', 'one']);
+    assert.deepEqual((await logPages({ fileId: FILE_A, clientId: 'four' })).flat(), ['four']);
+  });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseBootstrap, swarmOptions, startBootstrapNetwork } = require('../src/utils/dht-bootstrap');
+const { loadNodeKeyPair } = require('../src/utils/node-key');
+
+test('parses bootstrap lists from strings and arrays', () => {
+  assert.deepEqual(parseBootstrap(' 10.0.0.2:49737, boot.local:1 ,'), ['10.0.0.2:49737', 'boot.local:1']);
+  assert.deepEqual(parseBootstrap(['10.0.0.2:49737']), ['10.0.0.2:49737']);
+  assert.deepEqual(parseBootstrap(''), []);
+  assert.throws(() => parseBootstrap('10.0.0.2'), /must be host:port \(got "10.0.0.2"\)/);
+  assert.throws(() => parseBootstrap('10.0.0.2:70000'), /must be host:port/);
+});
+
+test('joins the public network unless given bootstrap nodes', () => {
+  assert.deepEqual(swarmOptions(), {});
+  assert.deepEqual(swarmOptions({ bootstrap: ['127.0.0.1:49737'] }), { bootstrap: ['127.0.0.1:49737'] });
+});
+
+test('starts a local bootstrap network that a bound DHT can join', async () => {
+  const network = await startBootstrapNetwork({ port: 0, nodes: 2 });
+  const { dht } = swarmOptions({ bootstrap: network.bootstrap, host: '127.0.0.1' });
+
+  try {
+    assert.equal(network.size, 2);
+    assert.match(network.bootstrap[0], /^127\.0\.0\.1:\d+$/);
+    await dht.ready();
+    assert.equal(dht.host, '127.0.0.1');
+  } finally {
+    await dht.destroy();
+    await network.destroy();
+  }
+});
+
+test('keeps a node key in the given directory across restarts', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-key-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const first = loadNodeKeyPair(path.join(dir, 'node-1'));
+  const again = loadNodeKeyPair(path.join(dir, 'node-1'));
+  const other = loadNodeKeyPair(path.join(dir, 'node-2'));
+
+  assert.deepEqual(again.publicKey, first.publicKey);
+  assert.notDeepEqual(other.publicKey, first.publicKey);
+  assert.equal((await fs.promises.stat(path.join(dir, 'node-1', '.node-key'))).mode & 0o777, 0o600);
+});
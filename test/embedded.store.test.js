@@ -0,0 +1,182 @@
+const { test, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMetadataStore, EmbeddedMetadataStore } = require('../src/stores');
+
+const HASH = 'c'.repeat(64);
+
+let dir;
+let store;
+
+async function reopen() {
+  await store.shutdown();
+  store = new EmbeddedMetadataStore({ dir });
+  await store.initialize();
+  return store;
+}
+
+// Stores a file uploaded at `uploadedAt`, bypassing the clock.
+async function storeAt(uploadedAt, fileId, fileName, fileSize) {
+  mock.timers.enable({ apis: ['Date'], now: new Date(uploadedAt) });
+  try {
+    await store.storeFileMetadata(fileId, fileId, fileName, fileSize);
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  if (dir) await fs.promises.rm(dir, { recursive: true, force: true });
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'embedded-store-test-'));
+  store = new EmbeddedMetadataStore({ dir });
+  await store.initialize();
+});
+
+test('keeps files, blobs and replicas across restarts', async () => {
+  await store.storeFileMetadata('f1', 'f1-key', 'notes.txt', 5, HASH);
+  await store.acquireBlob(HASH, 'f1-key', 5);
+  await store.addReplica('f1', 'node-a', '127.0.0.1:3000', 'f1-key');
+  await store.addReplica('f2', 'node-a', '127.0.0.1:3000', 'f2-key', { fileName: 'theirs.txt', fileSize: 7, contentHash: HASH });
+  await store.addReplica('f2', 'node-a', '127.0.0.1:3000', 'f2-key');
+
+  await reopen();
+
+  const file = await store.getFileMetadata('f1');
+  assert.equal(file.fileName, 'notes.txt');
+  assert.equal(file.fileSize, '5');
+  assert.equal(file.mimeType, 'text/plain');
+  assert.ok(file.uploadedAt instanceof Date);
+  assert.deepEqual((await store.getReplicas('f1')).map(replica => replica.nodeId), ['node-a']);
+  assert.deepEqual(await store.getFilesForNode('node-a'), [
+    { fileId: 'f1', storageKey: 'f1-key', fileName: null, fileSize: null, contentHash: null },
+    { fileId: 'f2', storageKey: 'f2-key', fileName: 'theirs.txt', fileSize: '7', contentHash: HASH }
+  ]);
+  assert.equal((await store.acquireBlob(HASH, 'other-key', 5)).deduplicated, true);
+  assert.equal(await store.fileExists('f1'), true);
+  assert.equal(await store.getFileMetadata('missing'), null);
+});
+
+test('counts blob references down to removal', async () => {
+  await store.acquireBlob(HASH, 'a-key', 5);
+  const shared = await store.acquireBlob(HASH, 'b-key', 5);
+  assert.deepEqual(shared, { contentHash: HASH, storageKey: 'a-key', encryption: null, refCount: 2, deduplicated: true });
+
+  assert.equal((await store.releaseBlob(HASH)).removed, false);
+  assert.deepEqual(await store.releaseBlob(HASH), { contentHash: HASH, tracked: true, storageKey: 'a-key', refCount: 0, removed: true });
+  assert.equal((await store.releaseBlob(HASH)).tracked, false);
+  assert.equal(await store.updateBlobKey(HASH, 'c-key'), false);
+});
+
+test('pages files with cursors that survive changes between pages', async () => {
+  await storeAt('2026-01-01T00:00:00Z', 'f1', 'b.png', 300);
+  await storeAt('2026-01-02T00:00:00Z', 'f2', 'a.txt', 10);
+  await storeAt('2026-01-03T00:00:00Z', 'f3', 'c.jpg', 70);
+
+  const first = await store.listFiles({ limit: 2 });
+  assert.deepEqual(first.files.map(file => file.fileId), ['f3', 'f2']);
+
+  await storeAt('2026-01-04T00:00:00Z', 'f4', 'd.txt', 1);
+  await store.deleteFileMetadata('f3');
+
+  const second = await store.listFiles({ limit: 2, cursor: JSON.parse(JSON.stringify(first.next)) });
+  assert.deepEqual(second.files.map(file => file.fileId), ['f1']);
+  assert.equal(second.next, null);
+
+  const bySize = await store.listFiles({ sort: 'size', order: 'asc', filters: { mimeType: 'text/*' } });
+  assert.deepEqual(bySize.files.map(file => file.fileId), ['f4', 'f2']);
+});
+
+test('lists files only to viewers allowed to see them and updates access', async () => {
+  await store.storeFileMetadata('f1', 'f1', 'plan.txt', 1, null, { ownerId: 'alice', visibility: 'private', sharedWith: [] });
+  const bob = { id: 'bob', admin: false };
+
+  assert.deepEqual((await store.listFiles({ viewer: bob })).files, []);
+  assert.deepEqual((await store.listFiles({ viewer: null })).files, []);
+  assert.equal((await store.listFiles()).files.length, 1);
+
+  assert.equal(await store.updateFileAccess('f1', { visibility: 'shared', sharedWith: ['bob'] }), true);
+  assert.equal(await store.updateFileAccess('missing', { visibility: 'public', sharedWith: [] }), false);
+  await reopen();
+
+  const [file] = (await store.listFiles({ viewer: bob })).files;
+  assert.deepEqual([file.ownerId, file.visibility, file.sharedWith], ['alice', 'shared', ['bob']]);
+});
+
+test('pages access logs newest first and stops at the window start', async () => {
+  const times = ['2026-04-01T08:00:00Z', '2026-04-01T09:00:00Z', '2026-04-02T10:00:00Z', '2026-04-03T11:00:00Z'];
+  for (const [i, time] of times.entries()) {
+    mock.timers.enable({ apis: ['Date'], now: new Date(time) });
+    try {
+      await store.logAccess(i % 2 === 0 ? 'f1' : 'f2', `client-${i}`, i === 3 ? 'DELETE' : 'DOWNLOAD');
+    } finally {
+      mock.timers.reset();
+    }
+  }
+
+  const first = await store.listAccessLogs({ limit: 2 });
+  assert.deepEqual(first.logs.map(log => log.clientId), ['client-3', 'client-2']);
+  const second = await store.listAccessLogs({ limit: 2, cursor: first.next });
+  assert.deepEqual(second.logs.map(log => log.clientId), ['client-1', 'client-0']);
+
+  const windowed = await store.listAccessLogs({ from: new Date('2026-04-01T08:30:00Z'), to: new Date('2026-04-02T12:00:00Z') });
+  assert.deepEqual(windowed.logs.map(log => log.clientId), ['client-2', 'client-1']);
+  assert.equal(windowed.next, null);
+
+  const filtered = await store.listAccessLogs({ fileId: 'f1', operation: 'DOWNLOAD' });
+  assert.deepEqual(filtered.logs.map(log => log.clientId), ['client-2', 'client-0']);
+
+  await reopen();
+  assert.equal((await store.listAccessLogs()).logs.length, 4);
+});
+
+test('skips an access log line cut short by a crash', async () => {
+  await store.logAccess('f1', 'client', 'DOWNLOAD');
+  await fs.promises.appendFile(path.join(dir, 'access-log.jsonl'), '{"logId":"cut');
+
+  await reopen();
+
+  assert.equal((await store.listAccessLogs()).logs.length, 1);
+});
+
+test('upgrades a version 1 snapshot from file paths to storage keys', async () => {
+  await fs.promises.writeFile(path.join(dir, 'metadata.json'), JSON.stringify({
+    version: 1,
+    files: { f1: { fileId: 'f1', filePath: 'uploads/123-abc-notes.txt', fileName: 'notes.txt', fileSize: '5', uploadedAt: '2026-01-01T00:00:00.000Z' } },
+    blobs: { [HASH]: { contentHash: HASH, filePath: 'uploads/123-abc-notes.txt', fileSize: '5', refCount: 1 } },
+    replicas: { f1: { 'node-a': { nodeId: 'node-a', nodeAddress: '127.0.0.1:3000', filePath: 'uploads/123-abc-notes.txt', storedAt: '2026-01-01T00:00:00.000Z' } } }
+  }));
+
+  await reopen();
+
+  assert.equal((await store.getFileMetadata('f1')).storageKey, '123-abc-notes.txt');
+  assert.equal((await store.releaseBlob(HASH)).storageKey, '123-abc-notes.txt');
+  assert.deepEqual(await store.getFilesForNode('node-a'), [
+    { fileId: 'f1', storageKey: '123-abc-notes.txt', fileName: null, fileSize: null, contentHash: null }
+  ]);
+});
+
+test('refuses a snapshot from an unknown version', async () => {
+  await fs.promises.writeFile(path.join(dir, 'metadata.json'), JSON.stringify({ version: 99 }));
+
+  await assert.rejects(new EmbeddedMetadataStore({ dir }).initialize(), /unsupported version 99/);
+});
+
+test('reports its directory as healthy', async () => {
+  await store.storeFileMetadata('f1', 'f1-key', 'a.txt', 1);
+
+  const health = await store.checkHealth();
+
+  assert.equal(health.directory, path.resolve(dir));
+  assert.equal(health.files, 1);
+});
+
+test('creates stores by name', () => {
+  assert.equal(createMetadataStore('embedded').name, 'embedded');
+  assert.throws(() => createMetadataStore('sqlite'), /Unknown metadata store "sqlite" in METADATA_STORE, expected one of: cassandra, embedded/);
+});
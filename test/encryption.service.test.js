@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const EmbeddedMetadataStore = require('../src/stores/embedded.store');
+const LocalBlobStore = require('../src/stores/local-blob.store');
+const EncryptionService = require('../src/services/encryption.service');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+const PLAINTEXT = Buffer.from('the quick brown fox jumps over the lazy dog, twice over');
+
+let dir;
+let store;
+let blobStore;
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function service(keys, currentKeyId) {
+  return new EncryptionService(store, { keys, currentKeyId, chunkSize: 16 });
+}
+
+// A located copy of a stored blob, as the file controller builds one.
+async function storedSource(storageKey) {
+  const { size } = await blobStore.stat(storageKey);
+  return { size, openStream: (start, end) => blobStore.createReadStream(storageKey, { start, end }) };
+}
+
+beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'encryption-service-test-'));
+  store = new EmbeddedMetadataStore({ dir: path.join(dir, 'metadata') });
+  await store.initialize();
+  blobStore = new LocalBlobStore({ root: path.join(dir, 'blobs') });
+});
+
+afterEach(async () => {
+  await store.shutdown();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('is disabled without master keys and defaults to the last one listed', () => {
+  assert.equal(service('').enabled, false);
+  assert.deepEqual(service(`old=${OLD_KEY},new=${NEW_KEY}`).status(),
+    { enabled: true, currentKeyId: 'new', keyIds: ['old', 'new'], chunkSize: 16 });
+});
+
+test('refuses malformed key lists and an unlisted current key', () => {
+  assert.throws(() => service('just-a-key'), /must look like "keyId=<base64 key>"/);
+  assert.throws(() => service(`old=${OLD_KEY}`, 'new'), /ENCRYPTION_KEY_ID "new" is not listed/);
+});
+
+test('stores ciphertext and serves any range of the plaintext', async () => {
+  const encryption = service(`old=${OLD_KEY}`);
+
+  const envelope = await encryption.put(blobStore, 'f1-key', Readable.from([PLAINTEXT]));
+
+  const stored = await collect(await blobStore.createReadStream('f1-key'));
+  assert.equal(envelope.mode, 'server');
+  assert.equal(envelope.keyId, 'old');
+  assert.equal(envelope.size, stored.length);
+  assert.equal(envelope.hash, crypto.createHash('sha256').update(stored).digest('hex'));
+  assert.equal(stored.includes(PLAINTEXT.subarray(0, 16)), false);
+
+  const file = { fileSize: String(PLAINTEXT.length), encryption: envelope };
+  const source = encryption.decryptSource(await storedSource('f1-key'), file);
+  assert.equal(source.size, PLAINTEXT.length);
+  assert.deepEqual(await collect(await source.openStream(10, 40)), PLAINTEXT.subarray(10, 41));
+});
+
+test('rewraps data keys under the current master key without touching blobs', async () => {
+  const envelope = await service(`old=${OLD_KEY}`).put(blobStore, 'f1-key', Readable.from([PLAINTEXT]));
+  await store.storeFileMetadata('f1', 'f1-key', 'fox.txt', PLAINTEXT.length, 'a'.repeat(64), undefined, envelope);
+  await store.acquireBlob('a'.repeat(64), 'f1-key', PLAINTEXT.length, envelope);
+  await store.storeFileMetadata('f2', 'f2-key', 'plain.txt', 1);
+  const before = await collect(await blobStore.createReadStream('f1-key'));
+
+  const rotated = service(`old=${OLD_KEY},new=${NEW_KEY}`);
+  const summary = await rotated.rotate();
+
+  assert.deepEqual(summary, { keyId: 'new', checked: 2, rewrapped: 1, failures: [] });
+  const file = await store.getFileMetadata('f1');
+  assert.equal(file.encryption.keyId, 'new');
+  assert.equal((await store.acquireBlob('a'.repeat(64), 'other-key', PLAINTEXT.length)).encryption.keyId, 'new');
+  assert.deepEqual(await collect(await blobStore.createReadStream('f1-key')), before);
+
+  const withoutOld = service(`new=${NEW_KEY}`);
+  const source = withoutOld.decryptSource(await storedSource('f1-key'), file);
+  assert.deepEqual(await collect(await source.openStream(0, PLAINTEXT.length - 1)), PLAINTEXT);
+  assert.equal((await withoutOld.rotate()).rewrapped, 0);
+});
+
+test('reports files whose master key is missing', async () => {
+  const envelope = await service(`old=${OLD_KEY}`).put(blobStore, 'f1-key', Readable.from([PLAINTEXT]));
+  await store.storeFileMetadata('f1', 'f1-key', 'fox.txt', PLAINTEXT.length, null, undefined, envelope);
+
+  const summary = await service(`new=${NEW_KEY}`).rotate();
+
+  assert.deepEqual(summary.failures, [{ fileId: 'f1', message: 'Encryption key "old" is not configured on this node' }]);
+  await assert.rejects(service('').rotate(), /Encryption at rest is not enabled/);
+});
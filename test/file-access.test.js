@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canList, canRead, canManage, parseAccess } = require('../src/utils/file-access');
+
+const ALICE = { id: 'alice', admin: false };
+const BOB = { id: 'bob', admin: false };
+const CAROL = { id: 'carol', admin: false };
+const ROOT = { id: 'root', admin: true };
+
+function file(visibility, sharedWith = []) {
+  return { ownerId: 'alice', visibility, sharedWith };
+}
+
+test('keeps private files to their owner and admins', () => {
+  const secret = file('private', ['bob']);
+
+  for (const check of [canList, canRead, canManage]) {
+    assert.equal(check(secret, ALICE), true);
+    assert.equal(check(secret, ROOT), true);
+    assert.equal(check(secret, BOB), false, 'sharedWith is ignored while private');
+    assert.equal(check(secret, null), false);
+  }
+});
+
+test('lets sharedWith users list and read shared files but not manage them', () => {
+  const shared = file('shared', ['bob']);
+
+  assert.equal(canList(shared, BOB), true);
+  assert.equal(canRead(shared, BOB), true);
+  assert.equal(canManage(shared, BOB), false);
+  assert.equal(canRead(shared, CAROL), false);
+});
+
+test('lets anyone read public files but lists them only for the owner and sharedWith users', () => {
+  const published = file('public', ['bob']);
+
+  assert.equal(canRead(published, null), true);
+  assert.equal(canRead(published, CAROL), true);
+  assert.equal(canList(published, CAROL), false);
+  assert.equal(canList(published, BOB), true);
+  assert.equal(canManage(published, CAROL), false);
+});
+
+test('leaves files without an owner to admins', () => {
+  const legacy = { ownerId: null, visibility: 'private', sharedWith: [] };
+
+  assert.equal(canRead(legacy, ROOT), true);
+  assert.equal(canRead(legacy, ALICE), false);
+  assert.equal(canManage(legacy, { id: null, admin: false }), false);
+});
+
+test('parses visibility and sharedWith, falling back to the current settings', () => {
+  assert.deepEqual(parseAccess(), { visibility: 'private', sharedWith: [] });
+  assert.deepEqual(parseAccess({ visibility: 'shared', sharedWith: ' carol, bob ,,bob' }),
+    { visibility: 'shared', sharedWith: ['bob', 'carol'] });
+  assert.deepEqual(parseAccess({ sharedWith: ['dave'] }, { visibility: 'shared', sharedWith: ['bob'] }),
+    { visibility: 'shared', sharedWith: ['dave'] });
+  assert.deepEqual(parseAccess({ visibility: '' }, { visibility: 'public', sharedWith: ['bob'] }),
+    { visibility: 'public', sharedWith: ['bob'] });
+  assert.deepEqual(parseAccess({ sharedWith: '' }, { visibility: 'shared', sharedWith: ['bob'] }),
+    { visibility: 'shared', sharedWith: [] });
+});
+
+test('refuses unknown visibilities and invalid user ids', () => {
+  assert.throws(() => parseAccess({ visibility: 'everyone' }), /visibility must be one of: private, shared, public/);
+  assert.throws(() => parseAccess({ sharedWith: 'bob,not a user' }), /"not a user" is not a valid user id/);
+  assert.throws(() => parseAccess({ sharedWith: ['x'.repeat(129)] }), /is not a valid user id/);
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+  HEADER_SIZE,
+  DecryptionError,
+  randomKey,
+  parseKey,
+  encryptedSize,
+  e2eKey,
+  createEncryptStream,
+  createDecryptStream,
+  createDecryptedRangeStream,
+  wrapKey,
+  unwrapKey,
+  storedCopyOf
+} = require('../src/utils/file-encryption');
+
+const CHUNK_SIZE = 16;
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function encrypt(key, plaintext, options = { chunkSize: CHUNK_SIZE }) {
+  return collect(Readable.from([plaintext]).pipe(createEncryptStream(key, options)));
+}
+
+function decrypt(key, sealed) {
+  return collect(Readable.from([sealed]).pipe(createDecryptStream(key)));
+}
+
+// openStored(start, end) over a buffer holding the container
+function storedRange(sealed) {
+  return (start, end) => Readable.from([sealed.subarray(start, end + 1)]);
+}
+
+test('encrypts to the advertised size and decrypts back', async () => {
+  const key = randomKey();
+
+  for (const size of [0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 5 * CHUNK_SIZE]) {
+    const plaintext = crypto.randomBytes(size);
+    const sealed = await encrypt(key, plaintext);
+
+    assert.equal(sealed.length, encryptedSize(size, CHUNK_SIZE), `size ${size}`);
+    assert.deepEqual(await decrypt(key, sealed), plaintext, `size ${size}`);
+  }
+});
+
+test('decrypts any byte range from the chunks covering it', async () => {
+  const key = randomKey();
+  const plaintext = crypto.randomBytes(5 * CHUNK_SIZE + 7);
+  const sealed = await encrypt(key, plaintext);
+  const ranges = [
+    [0, 0],
+    [0, plaintext.length - 1],
+    [3, 12],
+    [CHUNK_SIZE - 1, CHUNK_SIZE],
+    [CHUNK_SIZE, 2 * CHUNK_SIZE - 1],
+    [2 * CHUNK_SIZE + 5, 4 * CHUNK_SIZE + 2],
+    [plaintext.length - 3, plaintext.length - 1]
+  ];
+
+  for (const [start, end] of ranges) {
+    const range = await collect(createDecryptedRangeStream(storedRange(sealed), key, plaintext.length, start, end));
+    assert.deepEqual(range, plaintext.subarray(start, end + 1), `bytes ${start}-${end}`);
+  }
+});
+
+test('reads only the stored bytes of the chunks a range needs', async () => {
+  const key = randomKey();
+  const plaintext = crypto.randomBytes(4 * CHUNK_SIZE);
+  const sealed = await encrypt(key, plaintext);
+  const reads = [];
+  const openStored = (start, end) => {
+    reads.push([start, end]);
+    return storedRange(sealed)(start, end);
+  };
+
+  await collect(createDecryptedRangeStream(openStored, key, plaintext.length, 2 * CHUNK_SIZE + 1, 2 * CHUNK_SIZE + 3));
+
+  const sealedSize = CHUNK_SIZE + 16;
+  assert.deepEqual(reads, [
+    [0, HEADER_SIZE - 1],
+    [HEADER_SIZE + 2 * sealedSize, HEADER_SIZE + 3 * sealedSize - 1]
+  ]);
+});
+
+test('rejects a wrong key, tampering and truncation', async () => {
+  const key = randomKey();
+  const plaintext = crypto.randomBytes(3 * CHUNK_SIZE);
+  const sealed = await encrypt(key, plaintext);
+
+  await assert.rejects(decrypt(randomKey(), sealed), DecryptionError);
+
+  const tampered = Buffer.from(sealed);
+  tampered[HEADER_SIZE + 2] ^= 1;
+  await assert.rejects(decrypt(key, tampered), DecryptionError);
+
+  // Dropping the final chunk leaves a non-final chunk last.
+  await assert.rejects(decrypt(key, sealed.subarray(0, sealed.length - (CHUNK_SIZE + 16))), DecryptionError);
+});
+
+test('derives end-to-end file keys from the client key and salt', async () => {
+  const clientKey = randomKey();
+  const plaintext = Buffer.from('end-to-end');
+
+  const sealed = await encrypt(e2eKey(clientKey), plaintext);
+  assert.deepEqual(await decrypt(e2eKey(clientKey), sealed), plaintext);
+  await assert.rejects(decrypt(e2eKey(randomKey()), sealed), DecryptionError);
+});
+
+test('wraps data keys under a master key', () => {
+  const master = randomKey();
+  const dataKey = randomKey();
+  const wrapped = wrapKey(dataKey, master);
+
+  assert.deepEqual(unwrapKey(wrapped, master), dataKey);
+  assert.throws(() => unwrapKey(wrapped, randomKey()), DecryptionError);
+});
+
+test('parses keys given as hex or base64', () => {
+  const key = randomKey();
+
+  assert.deepEqual(parseKey(key.toString('hex')), key);
+  assert.deepEqual(parseKey(key.toString('base64')), key);
+  assert.throws(() => parseKey('c2hvcnQ='), /must be 32 bytes/);
+});
+
+test('describes the stored copy of files encrypted at rest by their ciphertext', () => {
+  assert.deepEqual(storedCopyOf({ fileSize: '10', contentHash: 'plain' }), { size: 10, contentHash: 'plain' });
+  assert.deepEqual(
+    storedCopyOf({ fileSize: '10', contentHash: 'plain', encryption: { mode: 'server', size: 62, hash: 'sealed' } }),
+    { size: 62, contentHash: 'sealed' }
+  );
+});
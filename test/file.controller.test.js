@@ -0,0 +1,994 @@
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const hypercoreCrypto = require('hypercore-crypto');
+
+// The peer cache lives under ./uploads, so run from a scratch directory.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-controller-test-'));
+process.chdir(dir);
+
+const MetadataStore = require('../src/stores/metadata-store');
+const LocalBlobStore = require('../src/stores/local-blob.store');
+const createUpload = require('../src/middleware/upload.middleware');
+const AuthService = require('../src/services/auth.service');
+const createAuthMiddleware = require('../src/middleware/auth.middleware');
+const SignedUrlService = require('../src/services/signed-url.service');
+const EncryptionService = require('../src/services/encryption.service');
+const PeerAuthService = require('../src/services/peer-auth.service');
+const QuotaService = require('../src/services/quota.service');
+const createQuotaCheck = require('../src/middleware/quota.middleware');
+const FileController = require('../src/controllers/file.controller');
+const createFileRoutes = require('../src/routes/file.routes');
+
+// Every method starts out unimplemented; the ones the controller needs are
+// mocked in before().
+const metadataStore = new MetadataStore('test');
+const blobStore = new LocalBlobStore({ root: path.join(dir, 'blobs') });
+// Encryption at rest is switched on only by the tests that cover it.
+const encryptionService = new EncryptionService(metadataStore, {
+  keys: `k1=${crypto.randomBytes(32).toString('base64')}`,
+  chunkSize: 4
+});
+let encryptAtRest = false;
+const peerAuthService = new PeerAuthService(hypercoreCrypto.keyPair(), { trustedPeers: '' });
+// Unlimited unless a quota test sets a limit.
+const quotaService = new QuotaService(metadataStore, { ownerQuota: 0, ownerQuotas: [], globalQuota: 0 });
+
+const FILE_ID = '0b6f3c3e-5d6a-4c1e-9a2b-3f4e5d6c7b8a';
+
+const NODE_ID = 'a'.repeat(64);
+const PEER_ID = 'b'.repeat(64);
+
+// fileId -> metadata, contentHash -> { storageKey, refCount },
+// fileId -> [replica] and urlId -> grant, standing in for the files, blobs,
+// replica and download grant tables
+const files = new Map();
+const blobs = new Map();
+const replicas = new Map();
+const grants = new Map();
+let server;
+let baseUrl;
+let dhtService;
+let replicationService;
+
+before(async () => {
+  mock.method(metadataStore, 'storeFileMetadata', async (fileId, storageKey, fileName, fileSize, contentHash = null, access = {}, encryption = null) => {
+    files.set(fileId, {
+      fileId,
+      storageKey,
+      fileName,
+      fileSize: String(fileSize),
+      contentHash,
+      ownerId: access.ownerId || null,
+      visibility: access.visibility || 'private',
+      sharedWith: access.sharedWith || [],
+      encryption,
+      uploadedAt: new Date()
+    });
+    return true;
+  });
+  mock.method(metadataStore, 'updateFileAccess', async (fileId, access) => {
+    if (!files.has(fileId)) return false;
+    Object.assign(files.get(fileId), access);
+    return true;
+  });
+  mock.method(metadataStore, 'getFileMetadata', async fileId => files.get(fileId) || null);
+  mock.method(metadataStore, 'deleteFileMetadata', async (fileId) => {
+    files.delete(fileId);
+    return true;
+  });
+  mock.method(metadataStore, 'getUsage', async (ownerId) => {
+    const counted = [...files.values()].filter(file => ownerId === null || file.ownerId === ownerId);
+    return { files: counted.length, bytes: counted.reduce((total, file) => total + Number(file.fileSize), 0) };
+  });
+  mock.method(metadataStore, 'logAccess', async () => {});
+  mock.method(metadataStore, 'acquireBlob', async (contentHash, storageKey, fileSize, encryption = null) => {
+    const blob = blobs.get(contentHash);
+    if (!blob) {
+      blobs.set(contentHash, { storageKey, encryption, refCount: 1 });
+      return { contentHash, storageKey, encryption, refCount: 1, deduplicated: false };
+    }
+    blob.refCount++;
+    return { contentHash, storageKey: blob.storageKey, encryption: blob.encryption, refCount: blob.refCount, deduplicated: true };
+  });
+  mock.method(metadataStore, 'releaseBlob', async (contentHash) => {
+    const blob = blobs.get(contentHash);
+    if (!blob) return { contentHash, tracked: false, storageKey: null, refCount: 0, removed: false };
+    blob.refCount--;
+    if (blob.refCount === 0) blobs.delete(contentHash);
+    return { contentHash, tracked: true, storageKey: blob.storageKey, refCount: blob.refCount, removed: blob.refCount === 0 };
+  });
+  mock.method(metadataStore, 'updateBlobKey', async (contentHash, storageKey) => {
+    blobs.get(contentHash).storageKey = storageKey;
+    return true;
+  });
+  mock.method(metadataStore, 'updateBlobEncryption', async (contentHash, encryption) => {
+    blobs.get(contentHash).encryption = encryption;
+    return true;
+  });
+
+  mock.method(metadataStore, 'addReplica', async (fileId, nodeId, nodeAddress, storageKey) => {
+    replicas.set(fileId, [...(replicas.get(fileId) || []), { fileId, nodeId, nodeAddress, storageKey }]);
+    return true;
+  });
+  mock.method(metadataStore, 'getReplicas', async fileId => replicas.get(fileId) || []);
+  mock.method(metadataStore, 'deleteReplicas', async (fileId) => {
+    replicas.delete(fileId);
+    return true;
+  });
+
+  mock.method(metadataStore, 'createDownloadGrant', async (urlId, fileId, maxDownloads) => {
+    grants.set(urlId, { fileId, maxDownloads, downloads: 0 });
+    return true;
+  });
+  mock.method(metadataStore, 'getDownloadGrant', async urlId => (grants.has(urlId) ? { ...grants.get(urlId) } : null));
+  mock.method(metadataStore, 'useDownloadGrant', async (urlId) => {
+    const grant = grants.get(urlId);
+    if (!grant) return null;
+    if (grant.downloads >= grant.maxDownloads) return { allowed: false, ...grant };
+    grant.downloads++;
+    return { allowed: true, ...grant };
+  });
+
+  dhtService = {
+    activeTopics: new Map(),
+    async announceFile(fileId, storageKey, fileName) {
+      this.activeTopics.set(fileId, { storageKey, fileName });
+      return { fileId, fileName, topic: 'topic' };
+    },
+    async unannounceFile(fileId) {
+      const wasAnnounced = this.activeTopics.delete(fileId);
+      return { fileId, topic: 'topic', wasAnnounced };
+    },
+    async fetchFromPeers() {
+      throw new Error('No peer found serving this file');
+    }
+  };
+
+  // One peer that accepts every replica pushed to it
+  replicationService = {
+    nodeId: NODE_ID,
+    async replicateFile(file, copies) {
+      const placed = copies > 0 ? [{ nodeId: PEER_ID, nodeAddress: '127.0.0.1:3001' }] : [];
+      for (const replica of placed) await metadataStore.addReplica(file.fileId, replica.nodeId, replica.nodeAddress, null);
+      return { replicas: placed, failures: [] };
+    },
+    async dropReplicas(fileId, nodeIds) {
+      return { dropped: nodeIds, failures: [] };
+    }
+  };
+
+  // Requests without credentials act as the anonymous user, who owns what
+  // it uploads; the access control tests sign in with these keys.
+  const auth = createAuthMiddleware(new AuthService({
+    apiKeys: 'alice=alice-key,bob=bob-key,root=root-key',
+    adminUsers: 'root',
+    allowAnonymous: true
+  }));
+
+  const app = express();
+  const signedUrlService = new SignedUrlService(metadataStore, { secret: 'test-secret' });
+  const controller = new FileController(
+    dhtService, replicationService, metadataStore, blobStore, signedUrlService, encryptionService, peerAuthService, quotaService
+  );
+  mock.getter(encryptionService, 'enabled', () => encryptAtRest);
+  app.use(express.json());
+  app.use(auth.authenticate);
+  app.use(createFileRoutes(controller, createUpload(blobStore, encryptionService), auth, createQuotaCheck(quotaService)));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+  process.chdir(os.tmpdir());
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  encryptAtRest = false;
+  quotaService.ownerQuota = 0;
+  quotaService.globalQuota = 0;
+  files.clear();
+  blobs.clear();
+  replicas.clear();
+  grants.clear();
+  dhtService.activeTopics.clear();
+  await fs.promises.rm('uploads', { recursive: true, force: true });
+  await fs.promises.rm(blobStore.root, { recursive: true, force: true });
+});
+
+// Storage keys of every blob in the store.
+async function storedKeys() {
+  const entries = await fs.promises.readdir(blobStore.root, { recursive: true, withFileTypes: true }).catch(() => []);
+  return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+}
+
+function upload(content, fileName = 'hello.txt', query = '', headers = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), fileName);
+  return fetch(`${baseUrl}/upload${query}`, { method: 'POST', body: form, headers });
+}
+
+function as(user) {
+  return { 'X-API-Key': `${user}-key` };
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+describe('POST /upload', () => {
+  test('stores the SHA-256 of the upload', async () => {
+    const res = await upload('hello');
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.contentHash, sha256('hello'));
+    assert.equal(body.contentAddressed, false);
+    assert.equal(files.get(body.fileId).contentHash, sha256('hello'));
+  });
+
+  test('records the local copy and the replicas pushed to peers', async () => {
+    const body = await (await upload('hello')).json();
+
+    assert.deepEqual(body.replication.replicas.map(replica => [replica.nodeId, replica.local]),
+      [[NODE_ID, true], [PEER_ID, false]]);
+    assert.equal(body.replication.achieved, 2);
+    assert.deepEqual(replicas.get(body.fileId).map(replica => replica.nodeId), [NODE_ID, PEER_ID]);
+  });
+
+  test('uses the content hash as the file id when asked to', async () => {
+    const body = await (await upload('hello', 'a.txt', '?contentAddressed=true')).json();
+
+    assert.equal(body.fileId, sha256('hello'));
+    assert.equal(body.contentAddressed, true);
+  });
+
+  test('keeps one copy of identical content-addressed uploads', async () => {
+    const first = await (await upload('same', 'first.txt', '?contentAddressed=true')).json();
+    const second = await (await upload('same', 'second.txt', '?contentAddressed=true')).json();
+
+    assert.equal(second.fileId, first.fileId);
+    assert.equal(second.duplicate, true);
+    assert.equal(second.fileName, 'first.txt');
+    assert.equal((await storedKeys()).length, 1);
+  });
+
+  test('shares the stored copy of identical uploads under separate ids', async () => {
+    const first = await (await upload('same', 'first.txt')).json();
+    const second = await (await upload('same', 'second.txt')).json();
+
+    assert.notEqual(second.fileId, first.fileId);
+    assert.deepEqual(first.storage, {
+      database: 'test',
+      persisted: true,
+      deduplicated: false,
+      blobReferences: 1,
+      blobStore: 'local',
+      storageKey: files.get(first.fileId).storageKey
+    });
+    assert.equal(second.storage.deduplicated, true);
+    assert.equal(second.storage.blobReferences, 2);
+    assert.equal(files.get(second.fileId).storageKey, files.get(first.fileId).storageKey);
+    assert.equal((await storedKeys()).length, 1);
+  });
+
+  test('adopts a new upload when the shared copy went missing', async () => {
+    const first = await (await upload('same')).json();
+    await blobStore.delete(files.get(first.fileId).storageKey);
+
+    const second = await (await upload('same')).json();
+
+    assert.equal(second.storage.deduplicated, true);
+    assert.equal(blobs.get(sha256('same')).storageKey, files.get(second.fileId).storageKey);
+    assert.equal(await (await fetch(`${baseUrl}/retrieve/${second.fileId}`)).text(), 'same');
+  });
+});
+
+describe('quotas', () => {
+  test('refuses uploads over the owner quota with 413 and keeps nothing', async () => {
+    quotaService.ownerQuota = 1000;
+    await upload('x'.repeat(600), 'big.txt', '', as('alice'));
+
+    const res = await upload('y'.repeat(600), 'more.txt', '', as('alice'));
+    const body = await res.json();
+
+    assert.equal(res.status, 413);
+    assert.equal(body.error, 'Quota exceeded');
+    assert.deepEqual([body.usage.scope, body.usage.ownerId, body.usage.bytes], ['owner', 'alice', 600]);
+    assert.equal(files.size, 1);
+    assert.equal((await storedKeys()).length, 1);
+
+    assert.equal((await upload('z'.repeat(600), 'other.txt', '', as('bob'))).status, 200);
+  });
+
+  test('rechecks the stored size when the request had no length to check', async () => {
+    quotaService.ownerQuota = 10;
+    const checked = [];
+    mock.method(quotaService, 'check', async function (ownerId, bytes) {
+      checked.push(bytes);
+      // Let the request through, as one without a Content-Length would be.
+      if (checked.length === 1) return;
+      return QuotaService.prototype.check.call(this, ownerId, bytes);
+    });
+
+    try {
+      const res = await upload('x'.repeat(11), 'big.txt', '', as('alice'));
+
+      assert.equal(res.status, 413);
+      assert.equal(checked[1], 11);
+      assert.equal(files.size, 0);
+      assert.deepEqual(await storedKeys(), []);
+    } finally {
+      quotaService.check.mock.restore();
+    }
+  });
+
+  test('refuses uploads over the global quota with 507', async () => {
+    quotaService.globalQuota = 1000;
+    await upload('x'.repeat(600), 'big.txt', '', as('alice'));
+
+    const res = await upload('y'.repeat(600), 'more.txt', '', as('bob'));
+    const body = await res.json();
+
+    assert.equal(res.status, 507);
+    assert.equal(body.error, 'Insufficient storage');
+    assert.deepEqual([body.usage.scope, body.usage.bytes, body.usage.quota], ['global', 600, 1000]);
+  });
+});
+
+describe('GET /retrieve/:fileId', () => {
+  test('sends the bytes with a strong ETag and a SHA-256 Digest', async () => {
+    const { fileId } = await (await upload('hello')).json();
+
+    const res = await fetch(`${baseUrl}/retrieve/${fileId}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'hello');
+    assert.equal(res.headers.get('etag'), `"${sha256('hello')}"`);
+    assert.equal(res.headers.get('digest'), `sha-256=${crypto.createHash('sha256').update('hello').digest('base64')}`);
+  });
+
+  test('serves byte ranges', async () => {
+    const { fileId } = await (await upload('0123456789')).json();
+
+    const res = await fetch(`${baseUrl}/retrieve/${fileId}`, { headers: { Range: 'bytes=2-4' } });
+
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 2-4/10');
+    assert.equal(await res.text(), '234');
+  });
+
+  test('sends inline or attachment disposition', async () => {
+    const { fileId } = await (await upload('hello', 'clip.mp4')).json();
+
+    const attachment = await fetch(`${baseUrl}/retrieve/${fileId}`);
+    assert.equal(attachment.headers.get('content-disposition'), 'attachment; filename="clip.mp4"');
+    await attachment.arrayBuffer();
+
+    const inline = await fetch(`${baseUrl}/retrieve/${fileId}?disposition=inline`);
+    assert.equal(inline.headers.get('content-disposition'), 'inline; filename="clip.mp4"');
+    await inline.arrayBuffer();
+
+    const invalid = await fetch(`${baseUrl}/retrieve/${fileId}?disposition=embed`);
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'Invalid disposition');
+  });
+
+  test('accepts content hashes as file ids', async () => {
+    const { fileId } = await (await upload('hello', 'a.txt', '?contentAddressed=true')).json();
+
+    assert.equal(await (await fetch(`${baseUrl}/retrieve/${fileId}`)).text(), 'hello');
+  });
+
+  describe('when the bytes are missing on this node', () => {
+    // A peer holding the file, writing it wherever the controller asks.
+    function servedByPeer(t, content) {
+      return t.mock.method(dhtService, 'fetchFromPeers', async (fileId, destination, { expectedHash }) => {
+        assert.equal(expectedHash, sha256(content));
+        await fs.promises.writeFile(destination, content);
+        return { size: Buffer.byteLength(content), contentHash: sha256(content), serverAddress: '127.0.0.1:3001' };
+      });
+    }
+
+    async function uploadRemote(content) {
+      const { fileId } = await (await upload(content)).json();
+      await blobStore.delete(files.get(fileId).storageKey);
+      return fileId;
+    }
+
+    test('fetches a copy from a peer and caches it', async (t) => {
+      const fileId = await uploadRemote('hello');
+      const peerFetch = servedByPeer(t, 'hello');
+
+      const first = await fetch(`${baseUrl}/retrieve/${fileId}`);
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('x-served-from'), 'peer');
+      assert.equal(first.headers.get('x-served-by'), '127.0.0.1:3001');
+      assert.equal(await first.text(), 'hello');
+      assert.equal(dhtService.activeTopics.has(fileId), false);
+
+      const second = await fetch(`${baseUrl}/retrieve/${fileId}`, { headers: { Range: 'bytes=1-2' } });
+      assert.equal(second.headers.get('x-served-from'), 'cache');
+      assert.equal(await second.text(), 'el');
+      assert.equal(peerFetch.mock.callCount(), 1);
+    });
+
+    test('shares one peer fetch between concurrent requests', async (t) => {
+      const fileId = await uploadRemote('hello');
+      const peerFetch = servedByPeer(t, 'hello');
+
+      const bodies = await Promise.all([1, 2, 3].map(async () => (await fetch(`${baseUrl}/retrieve/${fileId}`)).text()));
+
+      assert.deepEqual(bodies, ['hello', 'hello', 'hello']);
+      assert.equal(peerFetch.mock.callCount(), 1);
+    });
+
+    test('refuses a peer copy of the wrong size', async (t) => {
+      const fileId = await uploadRemote('hello');
+      t.mock.method(dhtService, 'fetchFromPeers', async (id, destination) => {
+        await fs.promises.writeFile(destination, 'hello!');
+        return { size: 6, serverAddress: '127.0.0.1:3001' };
+      });
+
+      const res = await fetch(`${baseUrl}/retrieve/${fileId}`);
+
+      assert.equal(res.status, 503);
+      assert.match((await res.json()).message, /Peer served 6 bytes, expected 5/);
+      assert.deepEqual(await fs.promises.readdir('uploads/.cache'), []);
+    });
+
+    test('answers 503 when no peer serves the file', async () => {
+      const fileId = await uploadRemote('hello');
+
+      const res = await fetch(`${baseUrl}/retrieve/${fileId}`);
+
+      assert.equal(res.status, 503);
+      assert.equal((await res.json()).error, 'File unavailable');
+    });
+  });
+
+  test('answers 400 for ids that are neither UUIDs nor content hashes', async () => {
+    const res = await fetch(`${baseUrl}/retrieve/${'a'.repeat(63)}`);
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Invalid file ID');
+  });
+});
+
+describe('GET /files', () => {
+  test('turns query parameters into listing options and hands back an opaque cursor', async (t) => {
+    const listFiles = t.mock.method(metadataStore, 'listFiles', async () => ({ files: [], next: { bucket: 'a', pageState: '0a' } }));
+
+    const first = await (await fetch(`${baseUrl}/files?prefix=Rep&limit=5&minSize=10`)).json();
+
+    assert.deepEqual(listFiles.mock.calls[0].arguments[0], {
+      sort: 'name',
+      order: 'asc',
+      limit: 5,
+      filters: {
+        namePrefix: 'Rep',
+        mimeType: undefined,
+        minSize: 10,
+        maxSize: undefined,
+        uploadedAfter: undefined,
+        uploadedBefore: undefined
+      },
+      viewer: { id: 'anonymous', method: 'anonymous', admin: false }
+    });
+    assert.equal(typeof first.nextCursor, 'string');
+
+    await fetch(`${baseUrl}/files?prefix=Rep&limit=5&minSize=10&cursor=${first.nextCursor}`);
+    assert.deepEqual(listFiles.mock.calls[1].arguments[0].cursor, { bucket: 'a', pageState: '0a' });
+  });
+
+  test('ends with a null cursor', async (t) => {
+    t.mock.method(metadataStore, 'listFiles', async () => ({ files: [{ fileId: FILE_ID }], next: null }));
+
+    const body = await (await fetch(`${baseUrl}/files`)).json();
+
+    assert.equal(body.count, 1);
+    assert.equal(body.sort, 'uploadedAt');
+    assert.equal(body.order, 'desc');
+    assert.equal(body.nextCursor, null);
+  });
+
+  test('refuses a cursor from a different query', async (t) => {
+    t.mock.method(metadataStore, 'listFiles', async () => ({ files: [], next: { bucket: 'a', pageState: null } }));
+    const { nextCursor } = await (await fetch(`${baseUrl}/files?sort=size`)).json();
+
+    const res = await fetch(`${baseUrl}/files?sort=name&cursor=${nextCursor}`);
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'cursor does not belong to this query');
+  });
+
+  test('answers 400 for malformed parameters', async () => {
+    for (const query of ['limit=0', 'limit=1001', 'sort=owner', 'order=up', 'minSize=-1', 'uploadedAfter=soon', 'type=png', 'cursor=%7B']) {
+      const res = await fetch(`${baseUrl}/files?${query}`);
+      assert.equal(res.status, 400, query);
+      assert.equal((await res.json()).error, 'Invalid query');
+    }
+  });
+});
+
+describe('GET /logs', () => {
+  test('pages through the logs of one file within a window', async (t) => {
+    const listAccessLogs = t.mock.method(metadataStore, 'listAccessLogs', async () => ({ logs: [], next: { bucket: '2026-04-01', pageState: null } }));
+    files.set(FILE_ID, { fileId: FILE_ID, fileName: 'hello.txt', ownerId: 'anonymous', visibility: 'private' });
+    const query = `from=2026-04-01T00:00:00Z&to=2026-04-02T00:00:00Z&operation=DOWNLOAD&client=1.2.3.4&limit=10`;
+
+    const first = await (await fetch(`${baseUrl}/files/${FILE_ID}/logs?${query}`)).json();
+    assert.equal(first.fileId, FILE_ID);
+    assert.deepEqual(listAccessLogs.mock.calls[0].arguments[0], {
+      fileId: FILE_ID,
+      from: new Date('2026-04-01T00:00:00Z'),
+      to: new Date('2026-04-02T00:00:00Z'),
+      operation: 'DOWNLOAD',
+      clientId: '1.2.3.4',
+      limit: 10
+    });
+
+    await fetch(`${baseUrl}/files/${FILE_ID}/logs?${query}&cursor=${first.nextCursor}`);
+    assert.deepEqual(listAccessLogs.mock.calls[1].arguments[0].cursor, { bucket: '2026-04-01', pageState: null });
+
+    const elsewhere = await fetch(`${baseUrl}/logs?${query}&cursor=${first.nextCursor}`, { headers: { 'X-API-Key': 'root-key' } });
+    assert.equal(elsewhere.status, 400);
+    assert.equal((await elsewhere.json()).message, 'cursor does not belong to this query');
+  });
+
+  test('lists every file when no file is given', async (t) => {
+    const listAccessLogs = t.mock.method(metadataStore, 'listAccessLogs', async () => ({ logs: [], next: null }));
+
+    const body = await (await fetch(`${baseUrl}/logs`)).json();
+
+    assert.equal(listAccessLogs.mock.calls[0].arguments[0].fileId, null);
+    assert.equal(body.nextCursor, null);
+  });
+
+  test('answers 400 for a bad file id or window', async () => {
+    assert.equal((await fetch(`${baseUrl}/files/nope/logs`)).status, 400);
+
+    const backwards = await fetch(`${baseUrl}/logs?from=2026-04-02&to=2026-04-01`);
+    assert.equal(backwards.status, 400);
+    assert.equal((await backwards.json()).message, 'from must not be later than to');
+  });
+});
+
+describe('DELETE /files/:fileId', () => {
+  async function storedFile() {
+    const storageKey = `${FILE_ID}.txt`;
+    await blobStore.put(storageKey, Readable.from(['hello']));
+    files.set(FILE_ID, { fileId: FILE_ID, fileName: 'hello.txt', storageKey, ownerId: 'anonymous', visibility: 'private' });
+    return storageKey;
+  }
+
+  function remove(fileId = FILE_ID) {
+    return fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' });
+  }
+
+  test('removes the bytes, the metadata and the DHT announcement', async (t) => {
+    const storageKey = await storedFile();
+    const unannounce = t.mock.method(dhtService, 'unannounceFile');
+    const logAccess = t.mock.method(metadataStore, 'logAccess');
+
+    const res = await remove();
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(Object.keys(body.steps).sort(), ['database', 'dht', 'disk', 'replicas']);
+    assert.equal(body.steps.disk.removed, true);
+    assert.equal(await blobStore.exists(storageKey), false);
+    assert.equal(files.has(FILE_ID), false);
+    assert.deepEqual(unannounce.mock.calls.map(call => call.arguments), [[FILE_ID]]);
+    assert.equal(logAccess.mock.calls[0].arguments[2], 'delete');
+  });
+
+  test('drops the copies held by other nodes', async (t) => {
+    const { fileId } = await (await upload('hello')).json();
+    const drop = t.mock.method(replicationService, 'dropReplicas');
+
+    const body = await (await remove(fileId)).json();
+
+    assert.deepEqual(drop.mock.calls.map(call => call.arguments), [[fileId, [PEER_ID]]]);
+    assert.deepEqual(body.steps.replicas, { success: true, dropped: [PEER_ID], failures: [] });
+    assert.equal(replicas.has(fileId), false);
+  });
+
+  test('treats bytes already missing from the blob store as removed', async () => {
+    await blobStore.delete(await storedFile());
+
+    const body = await (await remove()).json();
+
+    assert.equal(body.success, true);
+    assert.equal(body.steps.disk.removed, false);
+  });
+
+  test('runs every step and answers 207 when only some of them fail', async (t) => {
+    const storageKey = await storedFile();
+    t.mock.method(dhtService, 'unannounceFile', async () => { throw new Error('swarm closed'); });
+
+    const res = await remove();
+    const body = await res.json();
+
+    assert.equal(res.status, 207);
+    assert.equal(body.error, 'Delete incomplete');
+    assert.deepEqual(body.failedSteps, ['dht']);
+    assert.equal(body.steps.dht.message, 'swarm closed');
+    assert.equal(await blobStore.exists(storageKey), false);
+    assert.equal(files.has(FILE_ID), false);
+  });
+
+  test('answers 500 when every step fails', async (t) => {
+    files.set(FILE_ID, { fileId: FILE_ID, fileName: 'x', storageKey: `${FILE_ID}.txt`, ownerId: 'anonymous' });
+    t.mock.method(blobStore, 'delete', async () => { throw new Error('disk unmounted'); });
+    t.mock.method(metadataStore, 'deleteFileMetadata', async () => { throw new Error('Cassandra unavailable'); });
+    t.mock.method(dhtService, 'unannounceFile', async () => { throw new Error('swarm closed'); });
+    t.mock.method(replicationService, 'dropReplicas', async () => { throw new Error('no peers'); });
+
+    const res = await remove();
+
+    assert.equal(res.status, 500);
+    assert.deepEqual((await res.json()).failedSteps, ['dht', 'disk', 'replicas', 'database']);
+  });
+
+  test('keeps a shared copy until its last file is deleted', async () => {
+    const first = await (await upload('same')).json();
+    const second = await (await upload('same')).json();
+
+    const kept = await (await remove(first.fileId)).json();
+    assert.equal(kept.steps.disk.removed, false);
+    assert.match(kept.steps.disk.message, /still referenced by 1 other file/);
+    assert.equal(await (await fetch(`${baseUrl}/retrieve/${second.fileId}`)).text(), 'same');
+
+    const removed = await (await remove(second.fileId)).json();
+    assert.equal(removed.steps.disk.removed, true);
+    assert.deepEqual(await storedKeys(), []);
+    assert.equal(blobs.size, 0);
+  });
+
+  test('answers 404 for unknown files', async () => {
+    const res = await remove();
+
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'File not found');
+  });
+
+  test('answers 400 for ids that are not UUIDs', async () => {
+    const res = await remove('not-a-uuid');
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Invalid file ID');
+  });
+});
+
+describe('access control', () => {
+  async function uploadAs(user, query = '') {
+    return (await (await upload('secret', 'secret.txt', query, as(user))).json()).fileId;
+  }
+
+  function share(fileId, user, body) {
+    return fetch(`${baseUrl}/files/${fileId}`, {
+      method: 'PATCH',
+      headers: { ...as(user), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('keeps private files to their owner and admins', async () => {
+    const fileId = await uploadAs('alice');
+    assert.deepEqual(files.get(fileId).ownerId, 'alice');
+
+    assert.equal((await fetch(`${baseUrl}/retrieve/${fileId}`, { headers: as('alice') })).status, 200);
+    assert.equal((await fetch(`${baseUrl}/retrieve/${fileId}`, { headers: as('root') })).status, 200);
+
+    const other = await fetch(`${baseUrl}/retrieve/${fileId}`, { headers: as('bob') });
+    assert.equal(other.status, 404);
+    assert.match((await other.json()).hint, /not shared with you/);
+    assert.equal((await fetch(`${baseUrl}/retrieve/${fileId}`)).status, 404);
+  });
+
+  test('lets users a file is shared with read it but not manage it', async () => {
+    const fileId = await uploadAs('alice', '?visibility=shared&sharedWith=bob,carol');
+
+    assert.deepEqual(files.get(fileId).sharedWith, ['bob', 'carol']);
+    assert.equal(await (await fetch(`${baseUrl}/retrieve/${fileId}`, { headers: as('bob') })).text(), 'secret');
+
+    const res = await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE', headers: as('bob') });
+    assert.equal(res.status, 403);
+    assert.equal((await share(fileId, 'bob', { visibility: 'public' })).status, 403);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}/logs`, { headers: as('bob') })).status, 404);
+    assert.equal(files.has(fileId), true);
+  });
+
+  test('serves public files to callers without credentials', async () => {
+    const fileId = await uploadAs('alice');
+
+    const res = await share(fileId, 'alice', { visibility: 'public' });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).access, { ownerId: 'alice', visibility: 'public', sharedWith: [] });
+
+    assert.equal(await (await fetch(`${baseUrl}/retrieve/${fileId}`)).text(), 'secret');
+  });
+
+  test('refuses invalid access settings', async () => {
+    const fileId = await uploadAs('alice');
+
+    const res = await share(fileId, 'alice', { visibility: 'everyone' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'visibility must be one of: private, shared, public');
+
+    const rejected = await upload('x', 'x.txt', '?sharedWith=bad%20user', as('alice'));
+    assert.equal(rejected.status, 400);
+    assert.equal((await rejected.json()).message, '"bad user" is not a valid user id');
+    assert.deepEqual(await storedKeys(), [files.get(fileId).storageKey]);
+  });
+
+  test('will not hand a content-addressed file to a second owner', async () => {
+    await uploadAs('alice', '?contentAddressed=true');
+
+    const res = await upload('secret', 'mine.txt', '?contentAddressed=true', as('bob'));
+
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).error, 'File exists');
+  });
+
+  test('shows users only their own access log', async (t) => {
+    const listAccessLogs = t.mock.method(metadataStore, 'listAccessLogs', async () => ({ logs: [], next: null }));
+
+    await fetch(`${baseUrl}/logs`, { headers: as('bob') });
+    assert.equal(listAccessLogs.mock.calls[0].arguments[0].clientId, 'bob');
+
+    const res = await fetch(`${baseUrl}/logs?client=alice`, { headers: as('bob') });
+    assert.equal(res.status, 403);
+
+    await fetch(`${baseUrl}/logs?client=alice`, { headers: as('root') });
+    assert.equal(listAccessLogs.mock.calls[1].arguments[0].clientId, 'alice');
+  });
+
+  test('binds listing cursors to the user who got them', async (t) => {
+    t.mock.method(metadataStore, 'listFiles', async () => ({ files: [], next: { bucket: 'a', pageState: null } }));
+    const { nextCursor } = await (await fetch(`${baseUrl}/files`, { headers: as('alice') })).json();
+
+    const res = await fetch(`${baseUrl}/files?cursor=${nextCursor}`, { headers: as('bob') });
+
+    assert.equal(res.status, 400);
+  });
+
+  test('answers 401 with a challenge for unknown API keys', async () => {
+    const res = await fetch(`${baseUrl}/files`, { headers: as('mallory') });
+
+    assert.equal(res.status, 401);
+    assert.match(res.headers.get('www-authenticate'), /^Bearer realm="reslify"/);
+    assert.equal((await res.json()).error, 'Invalid credentials');
+  });
+});
+
+describe('signed URLs', () => {
+  async function signedUrl(fileId, options = {}, user = 'alice') {
+    const res = await fetch(`${baseUrl}/files/${fileId}/signed-urls`, {
+      method: 'POST',
+      headers: { ...as(user), 'Content-Type': 'application/json' },
+      body: JSON.stringify(options)
+    });
+    return { res, body: await res.json() };
+  }
+
+  // The issued URL names this server's configured port; keep its path and query.
+  function local(url) {
+    const { pathname, search } = new URL(url);
+    return `${baseUrl}${pathname}${search}`;
+  }
+
+  async function privateFile() {
+    return (await (await upload('secret', 'secret.txt', '', as('alice'))).json()).fileId;
+  }
+
+  test('lets anyone holding the URL download a private file', async () => {
+    const fileId = await privateFile();
+
+    const { res, body } = await signedUrl(fileId, { expiresIn: 60 });
+    assert.equal(res.status, 201);
+    assert.equal(body.maxDownloads, null);
+
+    const download = await fetch(local(body.url));
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), 'secret');
+    assert.equal((await fetch(`${baseUrl}/retrieve/${fileId}`)).status, 404);
+  });
+
+  test('refuses URLs that were tampered with', async () => {
+    const fileId = await privateFile();
+    const { body } = await signedUrl(fileId, { expiresIn: 60 });
+
+    const url = new URL(local(body.url));
+    url.searchParams.set('expires', String(Number(url.searchParams.get('expires')) + 3600));
+    const res = await fetch(url);
+
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error, 'Invalid signature');
+  });
+
+  test('answers 410 once the download limit is used up', async () => {
+    const fileId = await privateFile();
+    const { body } = await signedUrl(fileId, { maxDownloads: 1 });
+
+    assert.equal(await (await fetch(local(body.url))).text(), 'secret');
+
+    const res = await fetch(local(body.url));
+    assert.equal(res.status, 410);
+    assert.equal((await res.json()).error, 'Download limit reached');
+  });
+
+  function downloadsOf(url) {
+    return grants.get(new URL(url).searchParams.get('id')).downloads;
+  }
+
+  test('counts a ranged playback as one download', async () => {
+    const fileId = await privateFile();
+    const { body } = await signedUrl(fileId, { maxDownloads: 1 });
+    const play = range => fetch(local(body.url), { headers: { Range: range } });
+
+    assert.equal((await fetch(local(body.url), { method: 'HEAD' })).status, 200);
+    assert.equal(await (await play('bytes=0-1')).text(), 'se');
+    assert.equal(await (await play('bytes=2-')).text(), 'cret');
+    assert.equal(await (await play('bytes=4-5')).text(), 'et');
+    assert.equal(downloadsOf(body.url), 1);
+
+    const again = await play('bytes=0-');
+    assert.equal(again.status, 410);
+    assert.equal((await again.json()).error, 'Download limit reached');
+    assert.equal(again.headers.get('content-disposition'), null);
+    assert.equal((await fetch(local(body.url))).status, 410);
+    assert.equal(downloadsOf(body.url), 1);
+  });
+
+  test('counts a first range that skips the start', async () => {
+    const fileId = await privateFile();
+    const { body } = await signedUrl(fileId, { maxDownloads: 1 });
+
+    assert.equal(await (await fetch(local(body.url), { headers: { Range: 'bytes=1-' } })).text(), 'ecret');
+    assert.equal(downloadsOf(body.url), 1);
+    assert.equal((await fetch(local(body.url), { headers: { Range: 'bytes=1-,0-0' } })).status, 410);
+  });
+
+  test('never counts revalidations or unsatisfiable ranges', async () => {
+    const fileId = await privateFile();
+    const { body } = await signedUrl(fileId, { maxDownloads: 1 });
+
+    const unsatisfiable = await fetch(local(body.url), { headers: { Range: 'bytes=100-' } });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(downloadsOf(body.url), 0);
+
+    const first = await fetch(local(body.url));
+    assert.equal(await first.text(), 'secret');
+    // fetch() would add Cache-Control: no-cache, which rules out a 304.
+    const revalidated = await new Promise((resolve, reject) => {
+      http.get(local(body.url), { headers: { 'If-None-Match': first.headers.get('etag') } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(revalidated, 304);
+    assert.equal(downloadsOf(body.url), 1);
+  });
+
+  test('lets only the owner or an admin issue URLs', async () => {
+    const fileId = await privateFile();
+    await fetch(`${baseUrl}/files/${fileId}`, {
+      method: 'PATCH',
+      headers: { ...as('alice'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ visibility: 'shared', sharedWith: ['bob'] })
+    });
+
+    assert.equal((await signedUrl(fileId, {}, 'bob')).res.status, 403);
+    assert.equal((await signedUrl(fileId, {}, 'root')).res.status, 201);
+
+    const { res, body } = await signedUrl(fileId, { expiresIn: 0 });
+    assert.equal(res.status, 400);
+    assert.equal(body.error, 'Invalid signed URL request');
+  });
+});
+
+describe('encryption', () => {
+  async function storedBytes() {
+    const [key] = await storedKeys();
+    return fs.promises.readFile(await blobStore.resolve(key));
+  }
+
+  test('stores ciphertext at rest and serves the plaintext, ranges included', async () => {
+    encryptAtRest = true;
+
+    const res = await upload('0123456789');
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.encryption, 'server');
+    assert.equal(body.contentHash, sha256('0123456789'));
+    assert.equal((await storedBytes()).includes('0123'), false);
+    assert.equal(files.get(body.fileId).encryption.keyId, 'k1');
+
+    const whole = await fetch(`${baseUrl}/retrieve/${body.fileId}`);
+    assert.equal(await whole.text(), '0123456789');
+    assert.equal(whole.headers.get('etag'), `"${sha256('0123456789')}"`);
+
+    const ranged = await fetch(`${baseUrl}/retrieve/${body.fileId}`, { headers: { Range: 'bytes=3-8' } });
+    assert.equal(ranged.status, 206);
+    assert.equal(await ranged.text(), '345678');
+  });
+
+  test('reuses a stored copy the way it was first written', async () => {
+    const first = await (await upload('same bytes')).json();
+    encryptAtRest = true;
+
+    const second = await (await upload('same bytes')).json();
+
+    assert.equal(second.encryption, null);
+    assert.equal(files.get(second.fileId).encryption, null);
+    assert.deepEqual(await storedKeys(), [files.get(first.fileId).storageKey]);
+    assert.equal(await (await fetch(`${baseUrl}/retrieve/${second.fileId}`)).text(), 'same bytes');
+  });
+
+  test('stores and sends end-to-end encrypted uploads as they are', async (t) => {
+    encryptAtRest = true;
+    const sealed = crypto.randomBytes(40);
+
+    const body = await (await upload(sealed, 'sealed.bin', '?encryption=client')).json();
+
+    assert.equal(body.encryption, 'client');
+    assert.deepEqual(await storedBytes(), sealed);
+    t.mock.method(metadataStore, 'listFiles', async () => ({ files: [...files.values()], next: null }));
+    const [listed] = (await (await fetch(`${baseUrl}/files`)).json()).files;
+    assert.equal(listed.fileId, body.fileId);
+    assert.equal('encryption' in listed, false);
+
+    const res = await fetch(`${baseUrl}/retrieve/${body.fileId}`);
+    assert.equal(res.headers.get('x-encryption'), 'client');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), sealed);
+  });
+});
+
+describe('DHT capabilities', () => {
+  function capability(fileId, body = {}, user = 'alice') {
+    return fetch(`${baseUrl}/files/${fileId}/capabilities`, {
+      method: 'POST',
+      headers: { ...as(user), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('issues a token the swarm accepts for the file', async () => {
+    const { fileId } = await (await upload('secret', 'secret.txt', '', as('alice'))).json();
+    const peer = hypercoreCrypto.keyPair().publicKey;
+
+    const res = await capability(fileId, { peer: peer.toString('hex'), expiresIn: 60 });
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(body.issuer, peerAuthService.nodeId);
+    assert.equal(body.peer, peer.toString('hex'));
+    assert.equal(peerAuthService.verifyCapability(body.capability, fileId, peer).fid, fileId);
+  });
+
+  test('hides files the caller may not read and refuses bad lifetimes', async () => {
+    const { fileId } = await (await upload('secret', 'secret.txt', '', as('alice'))).json();
+
+    assert.equal((await capability(fileId, {}, 'bob')).status, 404);
+
+    const res = await capability(fileId, { expiresIn: -1 });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Invalid capability request');
+  });
+});
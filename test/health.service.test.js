@@ -0,0 +1,122 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// The disk check writes under ./uploads, so run from a scratch directory.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+process.chdir(dir);
+
+const HealthService = require('../src/services/health.service');
+const HealthController = require('../src/controllers/health.controller');
+const createHealthRoutes = require('../src/routes/health.routes');
+
+const ONLINE_DHT = {
+  destroyed: false,
+  online: true,
+  bootstrapped: true,
+  dhtNodes: 12,
+  connections: 1,
+  peers: 1,
+  announcedTopics: 3,
+  flush: { pending: 0, lastFlushedAt: null, lastError: null }
+};
+
+let metadataStore;
+let blobStore;
+let dht;
+let service;
+let server;
+let baseUrl;
+
+function store(name, checkHealth) {
+  return { name, checkHealth };
+}
+
+before(async () => {
+  const app = express();
+  app.use(createHealthRoutes(new HealthController({
+    liveness: () => service.liveness(),
+    readiness: () => service.readiness()
+  })));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  process.chdir(os.tmpdir());
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.mkdir('uploads', { recursive: true });
+  metadataStore = store('embedded', async () => ({ files: 2 }));
+  blobStore = store('local', async () => ({ root: 'uploads' }));
+  dht = { ...ONLINE_DHT, flush: { ...ONLINE_DHT.flush } };
+  service = new HealthService(metadataStore, blobStore, { status: () => dht });
+});
+
+test('reports every component up and leaves no probe file behind', async () => {
+  const report = await service.readiness();
+
+  assert.equal(report.ready, true);
+  assert.equal(report.status, 'ready');
+  assert.deepEqual(report.components.metadata, { status: 'up', backend: 'embedded', files: 2 });
+  assert.deepEqual(report.components.blobs, { status: 'up', backend: 'local', root: 'uploads' });
+  assert.equal(report.components.disk.status, 'up');
+  assert.equal(report.components.disk.writable, true);
+  assert.equal(report.components.dht.dhtNodes, 12);
+  assert.deepEqual(await fs.promises.readdir('uploads'), []);
+});
+
+test('stays ready with a degraded DHT', async () => {
+  dht.online = false;
+  let report = await service.readiness();
+  assert.equal(report.ready, true);
+  assert.deepEqual([report.components.dht.status, report.components.dht.message], ['degraded', 'DHT node is offline']);
+
+  dht.online = true;
+  dht.flush.lastError = 'timed out';
+  report = await service.readiness();
+  assert.equal(report.components.dht.message, 'Last announcement failed: timed out');
+});
+
+test('is not ready while a component is down', async () => {
+  metadataStore.checkHealth = async () => { throw new Error('All host(s) tried for query failed'); };
+  dht.destroyed = true;
+
+  const report = await service.readiness();
+
+  assert.equal(report.ready, false);
+  assert.deepEqual(report.components.metadata, { status: 'down', message: 'All host(s) tried for query failed' });
+  assert.equal(report.components.dht.status, 'down');
+  assert.equal(report.components.blobs.status, 'up');
+});
+
+test('counts a missing upload directory as a down disk', async () => {
+  await fs.promises.rm('uploads', { recursive: true, force: true });
+
+  const { components } = await service.readiness();
+
+  assert.equal(components.disk.status, 'down');
+  assert.match(components.disk.message, /ENOENT/);
+});
+
+test('answers probes over HTTP, with 503 until ready', async () => {
+  const live = await fetch(`${baseUrl}/health/live`);
+  assert.equal(live.status, 200);
+  assert.equal((await live.json()).status, 'alive');
+
+  assert.equal((await fetch(`${baseUrl}/health/ready`)).status, 200);
+
+  blobStore.checkHealth = async () => { throw new Error('bucket missing'); };
+  const ready = await fetch(`${baseUrl}/health/ready`);
+  assert.equal(ready.status, 503);
+  assert.equal((await ready.json()).status, 'not ready');
+  assert.equal((await fetch(`${baseUrl}/health`)).status, 503);
+});
@@ -0,0 +1,175 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ReslifyClient = require('../src/sdk/http-client');
+const { ReslifyError } = ReslifyClient;
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const DIGEST = `sha-256=${crypto.createHash('sha256').update(CONTENT).digest('base64')}`;
+const FILE_ID = '3b241101-e2bb-4255-8caf-4136c566a962';
+
+let dir;
+let server;
+let client;
+let requests;
+// Lets a test change what the server sends back
+let retrieve;
+let uploaded;
+let failNextPatch;
+
+// Just enough of the server's HTTP API for the client.
+function handle(req, res) {
+  requests.push({ method: req.method, url: req.url, headers: req.headers });
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && url.pathname === `/retrieve/${FILE_ID}`) {
+    return retrieve(req, res);
+  }
+
+  if (req.method === 'GET' && url.pathname === '/files') {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ success: false, error: 'Forbidden', message: 'Nope' }));
+  }
+
+  if (req.method === 'POST' && url.pathname === '/uploads') {
+    uploaded = Buffer.alloc(0);
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ success: true, uploadUrl: '/uploads/session' }));
+  }
+
+  if (req.method === 'HEAD' && url.pathname === '/uploads/session') {
+    res.writeHead(200, { 'Upload-Offset': String(uploaded.length) });
+    return res.end();
+  }
+
+  if (req.method === 'PATCH' && url.pathname === '/uploads/session') {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (failNextPatch) {
+        failNextPatch = false;
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ success: false, error: 'Upload failed', message: 'Disk full' }));
+      }
+      assert.equal(Number(req.headers['upload-offset']), uploaded.length);
+      uploaded = Buffer.concat([uploaded, ...chunks]);
+      res.writeHead(204, { 'Upload-Offset': String(uploaded.length) });
+      res.end();
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/uploads/session/finalize') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ success: true, size: uploaded.length }));
+  }
+
+  res.writeHead(404);
+  res.end();
+}
+
+function serveContent(req, res) {
+  const headers = {
+    'Content-Disposition': 'attachment; filename="../notes.txt"',
+    Digest: DIGEST,
+    'X-Served-By': '127.0.0.1:3001'
+  };
+  const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+
+  if (range) {
+    res.writeHead(206, headers);
+    return res.end(CONTENT.subarray(Number(range[1])));
+  }
+  res.writeHead(200, headers);
+  res.end(CONTENT);
+}
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'http-client-test-'));
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  client = new ReslifyClient(`http://127.0.0.1:${server.address().port}/`);
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.mkdir(dir);
+  requests = [];
+  retrieve = serveContent;
+  failNextPatch = false;
+});
+
+test('downloads and verifies a file against its Digest', async () => {
+  const result = await client.download(FILE_ID, { saveDir: dir });
+
+  assert.equal(result.fileName, 'notes.txt');
+  assert.equal(result.savedTo, path.join(dir, 'notes.txt'));
+  assert.equal(result.verified, true);
+  assert.equal(result.resumedFrom, 0);
+  assert.equal(result.servedBy, '127.0.0.1:3001');
+  assert.deepEqual(await fs.promises.readFile(result.savedTo), CONTENT);
+});
+
+test('resumes a download from the partial file', async () => {
+  await fs.promises.writeFile(path.join(dir, `${FILE_ID}.part`), CONTENT.subarray(0, 8));
+
+  const result = await client.download(FILE_ID, { saveDir: dir });
+
+  assert.equal(requests[0].headers.range, 'bytes=8-');
+  assert.equal(result.resumedFrom, 8);
+  assert.equal(result.verified, true);
+  assert.deepEqual(await fs.promises.readFile(result.savedTo), CONTENT);
+});
+
+test('starts over when the server ignores the range', async () => {
+  await fs.promises.writeFile(path.join(dir, `${FILE_ID}.part`), 'stale');
+  retrieve = (req, res) => serveContent({ headers: {} }, res);
+
+  const result = await client.download(FILE_ID, { saveDir: dir });
+
+  assert.equal(result.resumedFrom, 0);
+  assert.deepEqual(await fs.promises.readFile(result.savedTo), CONTENT);
+});
+
+test('discards a download that does not match its Digest', async () => {
+  retrieve = (req, res) => {
+    res.writeHead(200, { Digest: DIGEST });
+    res.end('tampered');
+  };
+
+  await assert.rejects(client.download(FILE_ID, { saveDir: dir }), /Integrity check failed/);
+  assert.deepEqual(await fs.promises.readdir(dir), []);
+});
+
+test('rejects with the server error fields', async () => {
+  await assert.rejects(client.list(), (error) => {
+    assert.ok(error instanceof ReslifyError);
+    assert.equal(error.status, 403);
+    assert.equal(error.error, 'Forbidden');
+    assert.equal(error.message, 'Nope');
+    return true;
+  });
+});
+
+test('uploads in chunks and retries a failed chunk from the server offset', async () => {
+  const filePath = path.join(dir, 'upload.bin');
+  await fs.promises.writeFile(filePath, CONTENT);
+  failNextPatch = true;
+
+  const result = await client.uploadResumable(filePath, { chunkSize: 8 });
+
+  assert.equal(result.size, CONTENT.length);
+  assert.deepEqual(uploaded, CONTENT);
+  assert.equal(requests.filter(req => req.method === 'HEAD').length, 1);
+  assert.deepEqual(requests.filter(req => req.method === 'PATCH').map(req => req.headers['upload-offset']),
+    ['0', '0', '8', '16']);
+});
@@ -0,0 +1,175 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const express = require('express');
+const { sendFileWithRanges } = require('../src/utils/http-range');
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const ETAG = '"content-hash"';
+const LAST_MODIFIED = new Date('2026-01-01T00:00:00Z');
+
+let server;
+let baseUrl;
+let decisions = [];
+
+before(async () => {
+  const app = express();
+  const options = {
+    openStream: (start, end) => Readable.from([CONTENT.subarray(start, end + 1)]),
+    size: CONTENT.length,
+    mimeType: 'text/plain',
+    etag: ETAG,
+    lastModified: LAST_MODIFIED
+  };
+  app.get('/file', (req, res) => sendFileWithRanges(req, res, options));
+  app.get('/weak', (req, res) => sendFileWithRanges(req, res, { ...options, etag: 'W/"14-1"' }));
+  // Sends only while ?allow is set, recording what beforeSend was asked.
+  app.get('/guarded', async (req, res) => {
+    const result = await sendFileWithRanges(req, res, {
+      ...options,
+      beforeSend: async (status, ranges) => {
+        decisions.push([status, ranges && ranges.map(({ start, end }) => [start, end])]);
+        return req.query.allow !== undefined;
+      }
+    });
+    if (result === null) res.status(410).json({ success: false });
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/file`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function get(headers = {}, method = 'GET', url = baseUrl) {
+  return fetch(url, { method, headers });
+}
+
+test('sends the whole file without a Range header', async () => {
+  const res = await get();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('accept-ranges'), 'bytes');
+  assert.equal(res.headers.get('content-length'), String(CONTENT.length));
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), CONTENT);
+});
+
+test('sends a single range with 206 and Content-Range', async () => {
+  const res = await get({ Range: 'bytes=5-9' });
+
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-range'), `bytes 5-9/${CONTENT.length}`);
+  assert.equal(await res.text(), '56789');
+});
+
+test('resolves open-ended and suffix ranges', async () => {
+  assert.equal(await (await get({ Range: 'bytes=15-' })).text(), 'fghij');
+  assert.equal(await (await get({ Range: 'bytes=-3' })).text(), 'hij');
+});
+
+test('clamps a range running past the end of the file', async () => {
+  const res = await get({ Range: 'bytes=18-100' });
+
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-range'), `bytes 18-19/${CONTENT.length}`);
+  assert.equal(await res.text(), 'ij');
+});
+
+test('sends several ranges as multipart/byteranges', async () => {
+  const res = await get({ Range: 'bytes=0-1,10-11' });
+  const body = await res.text();
+
+  assert.equal(res.status, 206);
+  assert.match(res.headers.get('content-type'), /^multipart\/byteranges; boundary=/);
+  assert.equal(res.headers.get('content-length'), String(Buffer.byteLength(body)));
+  assert.match(body, /Content-Range: bytes 0-1\/20\r\n\r\n01\r\n/);
+  assert.match(body, /Content-Range: bytes 10-11\/20\r\n\r\nab\r\n/);
+});
+
+test('answers 416 for a range outside the file', async () => {
+  const res = await get({ Range: 'bytes=50-60' });
+
+  assert.equal(res.status, 416);
+  assert.equal(res.headers.get('content-range'), `bytes */${CONTENT.length}`);
+  assert.equal((await res.json()).error, 'Range not satisfiable');
+});
+
+test('ignores malformed ranges and sends the whole file', async () => {
+  const res = await get({ Range: 'lines=1-2' });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), CONTENT);
+});
+
+test('honours If-Range only for the current strong ETag', async () => {
+  const matching = await get({ Range: 'bytes=0-1', 'If-Range': ETAG });
+  assert.equal(matching.status, 206);
+  await matching.arrayBuffer();
+
+  const stale = await get({ Range: 'bytes=0-1', 'If-Range': '"other"' });
+  assert.equal(stale.status, 200);
+  assert.deepEqual(Buffer.from(await stale.arrayBuffer()), CONTENT);
+});
+
+test('honours If-Range dates no older than the file', async () => {
+  const current = await get({ Range: 'bytes=0-1', 'If-Range': LAST_MODIFIED.toUTCString() });
+  assert.equal(current.status, 206);
+  await current.arrayBuffer();
+
+  const older = new Date(LAST_MODIFIED.getTime() - 1000).toUTCString();
+  const stale = await get({ Range: 'bytes=0-1', 'If-Range': older });
+  assert.equal(stale.status, 200);
+  await stale.arrayBuffer();
+});
+
+test('never honours If-Range with a weak ETag', async () => {
+  const res = await get({ Range: 'bytes=0-1', 'If-Range': 'W/"14-1"' }, 'GET', baseUrl.replace(/file$/, 'weak'));
+
+  assert.equal(res.status, 200);
+  await res.arrayBuffer();
+});
+
+test('answers 304 to a conditional request for the current ETag', async () => {
+  // fetch() adds Cache-Control: no-cache to conditional requests, which
+  // rightly disables the 304.
+  const status = await new Promise((resolve, reject) => {
+    http.get(baseUrl, { headers: { 'If-None-Match': ETAG } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+
+  assert.equal(status, 304);
+});
+
+test('sends only headers for HEAD', async () => {
+  const res = await get({ Range: 'bytes=0-4' }, 'HEAD');
+
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-length'), '5');
+  assert.equal(await res.text(), '');
+});
+
+test('asks beforeSend about responses with content only', async () => {
+  const guarded = baseUrl.replace(/file$/, 'guarded');
+  decisions = [];
+
+  assert.equal(await (await get({}, 'GET', `${guarded}?allow`)).text(), CONTENT.toString());
+  const multipart = await get({ Range: 'bytes=2-3,5-6' }, 'GET', `${guarded}?allow`);
+  assert.equal(multipart.status, 206);
+  await multipart.arrayBuffer();
+  assert.equal((await get({ Range: 'bytes=99-' }, 'GET', `${guarded}?allow`)).status, 416);
+
+  assert.deepEqual(decisions, [[200, null], [206, [[2, 3], [5, 6]]]]);
+});
+
+test('sends nothing when beforeSend refuses', async () => {
+  const res = await get({ Range: 'bytes=0-4' }, 'GET', baseUrl.replace(/file$/, 'guarded'));
+
+  assert.equal(res.status, 410);
+  assert.equal(res.headers.get('content-range'), null);
+  assert.deepEqual(await res.json(), { success: false });
+});
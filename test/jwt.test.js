@@ -0,0 +1,69 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signToken, verifyToken, TokenError } = require('../src/utils/jwt');
+
+const SECRET = 'test-secret';
+const NOW = new Date('2026-05-01T12:00:00Z');
+const NOW_SECONDS = NOW.getTime() / 1000;
+
+function at(date, fn) {
+  mock.timers.enable({ apis: ['Date'], now: date });
+  try {
+    return fn();
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+// A token with an arbitrary header, signed with SECRET.
+function withHeader(header, claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  return `${signingInput}.${crypto.createHmac('sha256', SECRET).update(signingInput).digest('base64url')}`;
+}
+
+test('signs HS256 tokens that verify back to their claims', () => {
+  const token = at(NOW, () => signToken({ sub: 'alice', admin: true }, SECRET, { expiresIn: 60 }));
+
+  const [header] = token.split('.');
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'HS256', typ: 'JWT' });
+  assert.deepEqual(at(NOW, () => verifyToken(token, SECRET)),
+    { iat: NOW_SECONDS, sub: 'alice', admin: true, exp: NOW_SECONDS + 60 });
+});
+
+test('rejects tokens signed with another secret or tampered with', () => {
+  const token = signToken({ sub: 'alice' }, SECRET);
+  const [header, payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'root', admin: true })).toString('base64url');
+
+  assert.throws(() => verifyToken(token, 'other-secret'), new TokenError('Token signature is invalid'));
+  assert.throws(() => verifyToken(`${header}.${forged}.${signature}`, SECRET), /signature is invalid/);
+  assert.throws(() => verifyToken(`${header}.${payload}`, SECRET), /malformed/);
+  assert.throws(() => verifyToken(`${header}.${payload}.${signature}x`, SECRET), /signature is invalid/);
+});
+
+test('accepts only HS256', () => {
+  const token = withHeader({ alg: 'none', typ: 'JWT' }, { sub: 'alice' });
+
+  assert.throws(() => verifyToken(token, SECRET), /algorithm none is not accepted/);
+});
+
+test('checks exp and nbf with 30 seconds of clock skew', () => {
+  const token = at(NOW, () => signToken({ sub: 'alice', nbf: NOW_SECONDS + 60 }, SECRET, { expiresIn: 120 }));
+  const seconds = offset => new Date(NOW.getTime() + offset * 1000);
+
+  assert.throws(() => at(seconds(29), () => verifyToken(token, SECRET)), /not valid yet/);
+  assert.equal(at(seconds(30), () => verifyToken(token, SECRET)).sub, 'alice');
+  assert.equal(at(seconds(149), () => verifyToken(token, SECRET)).sub, 'alice');
+  assert.throws(() => at(seconds(150), () => verifyToken(token, SECRET)), /expired/);
+  assert.throws(() => at(seconds(121), () => verifyToken(token, SECRET, { clockTolerance: 0 })), /expired/);
+});
+
+test('checks the issuer and audience when asked to', () => {
+  const token = signToken({ sub: 'alice', iss: 'reslify', aud: ['web', 'cli'] }, SECRET);
+
+  assert.equal(verifyToken(token, SECRET, { issuer: 'reslify', audience: 'cli' }).sub, 'alice');
+  assert.throws(() => verifyToken(token, SECRET, { issuer: 'other' }), /issuer is not accepted/);
+  assert.throws(() => verifyToken(token, SECRET, { audience: 'mobile' }), /audience is not accepted/);
+});
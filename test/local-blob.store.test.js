@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalBlobStore = require('../src/stores/local-blob.store');
+const { createBlobStore } = require('../src/stores');
+
+const CONTENT = Buffer.from('The quick brown fox jumps over the lazy dog');
+
+let root;
+let store;
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+before(async () => {
+  root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'local-blob-store-test-'));
+  store = new LocalBlobStore({ root });
+});
+
+after(async () => {
+  await fs.promises.rm(root, { recursive: true, force: true });
+});
+
+test('shards blobs by the SHA-256 of their key', async () => {
+  const key = '1700000000000-sharded.txt';
+  const digest = crypto.createHash('sha256').update(key).digest('hex');
+
+  assert.deepEqual(await store.put(key, Readable.from([CONTENT])), { key, size: CONTENT.length });
+
+  const expected = path.join(root, digest.substring(0, 2), digest.substring(2, 4), key);
+  assert.equal(store.shardedPath(key), expected);
+  assert.deepEqual(await fs.promises.readFile(expected), CONTENT);
+  assert.deepEqual(await fs.promises.readdir(path.dirname(expected)), [key]);
+});
+
+test('reads, stats and deletes a blob, with byte ranges', async () => {
+  const key = '1700000000000-ranges.txt';
+  await store.put(key, Readable.from([CONTENT]));
+
+  assert.deepEqual(await read(await store.createReadStream(key)), CONTENT);
+  assert.equal((await read(await store.createReadStream(key, { start: 4, end: 8 }))).toString(), 'quick');
+
+  const stat = await store.stat(key);
+  assert.equal(stat.size, CONTENT.length);
+  assert.ok(stat.lastModified instanceof Date);
+
+  assert.equal(await store.delete(key), true);
+  assert.equal(await store.stat(key), null);
+  assert.equal(await store.delete(key), false);
+  await assert.rejects(store.createReadStream(key), { code: 'ENOENT', message: `Blob not found: ${key}` });
+});
+
+test('moves local files into place with putFile', async () => {
+  const key = '1700000000000-put-file.txt';
+  const filePath = path.join(root, 'upload.tmp');
+  await fs.promises.writeFile(filePath, CONTENT);
+
+  assert.deepEqual(await store.putFile(key, filePath), { key, size: CONTENT.length });
+
+  assert.deepEqual(await fs.promises.readFile(store.shardedPath(key)), CONTENT);
+  await assert.rejects(fs.promises.access(filePath), { code: 'ENOENT' });
+});
+
+test('leaves no partial blob behind when the source fails', async () => {
+  const key = '1700000000000-failed.txt';
+  let reads = 0;
+  const source = new Readable({
+    read() {
+      if (reads++ === 0) this.push(CONTENT);
+      else this.destroy(new Error('client went away'));
+    }
+  });
+
+  await assert.rejects(store.put(key, source), /client went away/);
+
+  assert.equal(await store.exists(key), false);
+  assert.deepEqual(await fs.promises.readdir(path.dirname(store.shardedPath(key))), []);
+});
+
+test('still finds blobs written flat before sharding', async () => {
+  const key = '1700000000000-legacy.txt';
+  await fs.promises.writeFile(path.join(root, key), CONTENT);
+
+  assert.equal((await store.stat(key)).size, CONTENT.length);
+  assert.deepEqual(await read(await store.createReadStream(key)), CONTENT);
+  assert.equal(await store.delete(key), true);
+  assert.equal(await store.exists(key), false);
+});
+
+test('refuses keys that would escape the store', async () => {
+  for (const key of ['', '.', '..', 'nested/key', 'back\\slash']) {
+    await assert.rejects(store.stat(key), /Invalid storage key/);
+  }
+});
+
+test('creates blob stores by name', () => {
+  assert.equal(createBlobStore('local').name, 'local');
+  assert.throws(() => createBlobStore('ftp'), /Unknown blob store "ftp" in BLOB_STORE, expected one of: local, s3/);
+});
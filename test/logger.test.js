@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { requestIdFrom, runWithRequestId, currentRequestId, bindToRequest } = require('../src/utils/logger');
+const assignRequestId = require('../src/middleware/request-id.middleware');
+
+const LOGGER = path.join(__dirname, '../src/utils/logger');
+
+let server;
+let baseUrl;
+
+// Runs `script` (with `createLogger` in scope) in a fresh process, as the
+// logger reads its settings once, and returns what it wrote.
+function logFrom(script, env) {
+  const { stdout, stderr, status } = spawnSync(process.execPath, [
+    '-e', `const { createLogger, runWithRequestId } = require(${JSON.stringify(LOGGER)});\n${script}`
+  ], { cwd: os.tmpdir(), env: { PATH: process.env.PATH, ...env }, encoding: 'utf8', timeout: 30000 });
+
+  assert.equal(status, 0, stderr);
+  return { stdout, stderr };
+}
+
+function entries(text) {
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+before(async () => {
+  const app = express();
+  app.use(assignRequestId);
+  app.use(bindToRequest(express.json()));
+  app.post('/echo', (req, res) => res.json({ id: req.id, seen: currentRequestId(), body: req.body }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('writes JSON entries at or above the level, warnings and errors to stderr', () => {
+  const { stdout, stderr } = logFrom(`
+    const log = createLogger('files').child({ nodeId: 'n1' });
+    log.debug('hidden');
+    log.info('File stored', { fileId: 'f1', size: 5, skipped: undefined });
+    runWithRequestId('req-1', () => log.error('Failed', { error: Object.assign(new Error('boom'), { code: 'EIO' }) }));
+  `, { LOG_LEVEL: 'info' });
+
+  const [{ time, ...stored }] = entries(stdout);
+  assert.deepEqual(stored, { level: 'info', module: 'files', message: 'File stored', nodeId: 'n1', fileId: 'f1', size: 5 });
+  assert.ok(!Number.isNaN(Date.parse(time)));
+
+  const [failed] = entries(stderr);
+  assert.equal(failed.requestId, 'req-1');
+  assert.deepEqual([failed.error.name, failed.error.message, failed.error.code], ['Error', 'boom', 'EIO']);
+  assert.match(failed.error.stack, /boom/);
+});
+
+test('lets modules log above or below the default level', () => {
+  const { stdout } = logFrom(`
+    createLogger('db').debug('query');
+    createLogger('files').info('stored');
+    createLogger('dht').info('announced');
+  `, { LOG_LEVEL: 'info', LOG_MODULE_LEVELS: 'db=debug,dht=warn' });
+
+  assert.deepEqual(entries(stdout).map(entry => entry.message), ['query', 'stored']);
+});
+
+test('writes readable lines with LOG_FORMAT=pretty', () => {
+  const { stdout } = logFrom(`
+    runWithRequestId('req-1', () => createLogger('files').info('File stored', { fileName: 'my notes.txt', size: 5 }));
+  `, { LOG_FORMAT: 'pretty' });
+
+  assert.match(stdout, /^\d\d:\d\d:\d\d\.\d{3} INFO  files: File stored fileName="my notes.txt" size=5 \[request req-1\]\n$/);
+});
+
+test('keeps plain caller request ids and replaces anything else', () => {
+  assert.equal(requestIdFrom('trace-1.a:b'), 'trace-1.a:b');
+  for (const incoming of [undefined, '', 'has space', 'x'.repeat(129), 'line\nbreak']) {
+    assert.match(requestIdFrom(incoming), /^[0-9a-f-]{36}$/);
+  }
+});
+
+test('tags each request with an id that survives body parsing', async () => {
+  const res = await fetch(`${baseUrl}/echo`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-ID': 'from-proxy' },
+    body: JSON.stringify({ a: 1 })
+  });
+
+  assert.equal(res.headers.get('x-request-id'), 'from-proxy');
+  assert.deepEqual(await res.json(), { id: 'from-proxy', seen: 'from-proxy', body: { a: 1 } });
+
+  const generated = await fetch(`${baseUrl}/echo`, { method: 'POST', headers: { 'X-Request-ID': 'bad id' } });
+  const { id, seen } = await generated.json();
+  assert.equal(generated.headers.get('x-request-id'), id);
+  assert.equal(seen, id);
+  assert.notEqual(id, 'bad id');
+});
@@ -0,0 +1,109 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Registry, registry } = require('../src/utils/metrics');
+const recordRequestMetrics = require('../src/middleware/metrics.middleware');
+const MetricsController = require('../src/controllers/metrics.controller');
+const createMetricsRoutes = require('../src/routes/metrics.routes');
+const { Logger } = require('../src/utils/logger');
+
+let server;
+let baseUrl;
+
+// The sample line for `name` with exactly these labels, or undefined.
+function sample(text, name, labels) {
+  const prefix = `${name}{${Object.entries(labels).map(([key, value]) => `${key}="${value}"`).join(',')}} `;
+  const line = text.split('\n').find(entry => entry.startsWith(prefix));
+  return line === undefined ? undefined : Number(line.substring(prefix.length));
+}
+
+before(async () => {
+  mock.method(Logger.prototype, 'write', () => {});
+
+  const app = express();
+  app.use(recordRequestMetrics);
+  app.use(createMetricsRoutes(new MetricsController(registry)));
+  app.get('/retrieve/:fileId', (req, res) => {
+    res.write('0123');
+    res.end('4567');
+  });
+  app.get('/files/:fileId', (req, res) => res.status(404).json({ success: false }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('renders counters, gauges and histograms in the text format', () => {
+  const local = new Registry();
+  const requests = local.counter('requests_total', 'Requests', ['route']);
+  const peers = local.gauge('peers', 'Peers');
+  const latency = local.histogram('latency_seconds', 'Latency', ['route'], [1, 0.1]);
+
+  requests.inc({ route: '/a "quoted"\\path', ignored: 'x' });
+  requests.inc({ route: '/a "quoted"\\path' }, 2);
+  peers.set(4);
+  latency.observe({ route: '/a' }, 0.05);
+  latency.observe({ route: '/a' }, 0.5);
+
+  assert.equal(local.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{route="/a \\"quoted\\"\\\\path"} 3',
+    '',
+    '# HELP peers Peers',
+    '# TYPE peers gauge',
+    'peers 4',
+    '',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{route="/a",le="0.1"} 1',
+    'latency_seconds_bucket{route="/a",le="1"} 2',
+    'latency_seconds_bucket{route="/a",le="+Inf"} 2',
+    'latency_seconds_sum{route="/a"} 0.55',
+    'latency_seconds_count{route="/a"} 2',
+    ''
+  ].join('\n'));
+
+  assert.throws(() => requests.inc({}, -1), /can only go up/);
+  assert.throws(() => local.counter('peers', 'Again'), /already registered/);
+});
+
+test('runs collectors before each scrape and survives failing ones', () => {
+  const local = new Registry();
+  const topics = local.gauge('topics', 'Topics');
+  let announced = 2;
+  local.onCollect(() => topics.set(announced));
+  local.onCollect(() => { throw new Error('swarm gone'); });
+
+  assert.match(local.render(), /^topics 2$/m);
+  announced = 5;
+  assert.match(local.render(), /^topics 5$/m);
+  const [level, message, { error }] = Logger.prototype.write.mock.calls.at(-1).arguments;
+  assert.deepEqual([level, message, error.message], ['warn', 'Metrics collector failed', 'swarm gone']);
+});
+
+test('counts requests by route pattern and download bytes over http', async () => {
+  const served = sample(registry.render(), 'reslify_bytes_served_total', { transport: 'http' }) || 0;
+
+  assert.equal(await (await fetch(`${baseUrl}/retrieve/abc`)).text(), '01234567');
+  await (await fetch(`${baseUrl}/files/abc`)).arrayBuffer();
+  await (await fetch(`${baseUrl}/files/def`)).arrayBuffer();
+  await (await fetch(`${baseUrl}/no/such/path`)).arrayBuffer();
+
+  const res = await fetch(`${baseUrl}/metrics`);
+  const text = await res.text();
+
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.equal(sample(text, 'reslify_bytes_served_total', { transport: 'http' }), served + 8);
+  assert.equal(sample(text, 'reslify_http_requests_total', { method: 'GET', route: '/retrieve/:fileId', status: 200 }), 1);
+  assert.equal(sample(text, 'reslify_http_requests_total', { method: 'GET', route: '/files/:fileId', status: 404 }), 2);
+  assert.equal(sample(text, 'reslify_http_requests_total', { method: 'GET', route: '<unmatched>', status: 404 }), 1);
+  assert.equal(sample(text, 'reslify_http_request_duration_seconds_count', { method: 'GET', route: '/files/:fileId', status: 404 }), 2);
+});
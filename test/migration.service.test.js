@@ -0,0 +1,242 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const cassandra = require('cassandra-driver');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationService = require('../src/services/migration.service');
+const { loadMigrations } = MigrationService;
+const { FakeCassandra } = require('./support/fake-cassandra');
+const { Logger } = require('../src/utils/logger');
+
+const CONFIG = {
+  contactPoints: ['127.0.0.1'],
+  localDataCenter: 'datacenter1',
+  keyspace: 'fs_metadata',
+  replication: { class: 'SimpleStrategy', replication_factor: 1 }
+};
+
+let client;
+
+function service(config = CONFIG, options) {
+  const migrations = new MigrationService(config, options);
+  migrations.client = client;
+  return migrations;
+}
+
+function tables() {
+  return [...client.schemas.keys()].sort();
+}
+
+before(() => {
+  mock.method(Logger.prototype, 'write', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  client = new FakeCassandra();
+});
+
+test('loads the migrations in version order', () => {
+  const migrations = loadMigrations();
+
+  assert.deepEqual(migrations.map(migration => migration.version), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  assert.equal(migrations[0].name, 'create-files');
+});
+
+test('refuses two migrations with the same version', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'migrations-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const migration = 'module.exports = { async up() {}, async down() {} };';
+  await fs.promises.writeFile(path.join(dir, '001-first.js'), migration);
+  await fs.promises.writeFile(path.join(dir, '01-second.js'), migration);
+  await fs.promises.writeFile(path.join(dir, 'README.md'), 'not a migration');
+
+  assert.throws(() => loadMigrations(dir), /Two migrations share version 1/);
+});
+
+test('creates the keyspace and applies every migration once', async () => {
+  const migrations = service();
+
+  const applied = await migrations.up();
+
+  assert.deepEqual(applied.map(migration => migration.version), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  assert.deepEqual(client.keyspaces.get('fs_metadata'), { class: 'SimpleStrategy', replication_factor: '1' });
+  assert.deepEqual(tables(), [
+    'access_log_days', 'access_logs_by_day', 'access_logs_by_file', 'blobs', 'download_grants', 'file_listing_buckets',
+    'file_replicas', 'files', 'files_by_name', 'files_by_size', 'files_by_upload_date', 'node_files',
+    'schema_migration_lock', 'schema_migrations', 'storage_usage'
+  ]);
+  assert.equal(client.table('schema_migration_lock').size, 0);
+  assert.ok(['file_name', 'file_size', 'content_hash'].every(column => client.schemas.get('node_files').columns.includes(column)));
+  for (const table of ['files', 'files_by_upload_date', 'files_by_name', 'files_by_size']) {
+    assert.ok(['storage_key', 'owner_id', 'visibility', 'shared_with'].every(column => client.schemas.get(table).columns.includes(column)), table);
+  }
+
+  assert.deepEqual(await migrations.up(), []);
+  assert.ok((await migrations.status()).every(entry => entry.state === 'applied'));
+});
+
+test('applies up to a version and rolls back step by step', async () => {
+  const migrations = service();
+
+  await migrations.up({ to: 2 });
+  assert.deepEqual((await migrations.status()).map(entry => entry.state),
+    ['applied', 'applied', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending']);
+  assert.ok(client.schemas.get('files').columns.includes('content_hash'));
+
+  const rolledBack = await migrations.down();
+  assert.deepEqual(rolledBack.map(migration => migration.version), [2]);
+  assert.ok(!client.schemas.get('files').columns.includes('content_hash'));
+});
+
+test('rolls back everything above a version', async () => {
+  const migrations = service();
+  await migrations.up();
+
+  const rolledBack = await migrations.down({ to: 0 });
+
+  assert.deepEqual(rolledBack.map(migration => migration.version), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  assert.deepEqual(tables(), ['schema_migration_lock', 'schema_migrations']);
+});
+
+test('copies existing rows into the listing and access log tables', async () => {
+  const migrations = service();
+  await migrations.up({ to: 4 });
+
+  const uploadedAt = new Date('2026-03-01T00:00:00Z');
+  await client.execute('INSERT INTO fs_metadata.files (file_id, file_path, file_name, file_size, content_hash, uploaded_at) VALUES (?, ?, ?, ?, ?, ?)',
+    ['f1', 'uploads/f1', 'Report.pdf', cassandra.types.Long.fromNumber(2048), null, uploadedAt]);
+  const logId = cassandra.types.TimeUuid.fromDate(uploadedAt);
+  await client.execute('INSERT INTO fs_metadata.access_logs (log_id, file_id, client_id, operation_type, timestamp) VALUES (?, ?, ?, ?, ?)',
+    [logId, 'f1', '1.2.3.4', 'DOWNLOAD', uploadedAt]);
+
+  await migrations.up();
+
+  assert.deepEqual(client.rows('files_by_upload_date').map(row => [row.bucket, row.file_id]), [['2026-03', 'f1']]);
+  assert.deepEqual(client.rows('files_by_name').map(row => [row.bucket, row.sort_key]), [['72', 'report.pdf']]);
+  assert.deepEqual(client.rows('files_by_size').map(row => row.bucket), ['11']);
+  assert.deepEqual(client.rows('file_listing_buckets').map(row => `${row.index_name}:${row.bucket}`).sort(),
+    ['name:72', 'size:11', 'uploadedAt:2026-03']);
+
+  assert.deepEqual(client.rows('access_logs_by_file').map(row => [row.file_id, row.day, row.client_id]),
+    [['f1', '2026-03-01', '1.2.3.4']]);
+  assert.equal(client.rows('access_logs_by_day').length, 1);
+  assert.deepEqual(client.rows('access_log_days').map(row => row.scope).sort(), ['*', 'f1']);
+  assert.equal(client.schemas.has('access_logs'), false);
+
+  await migrations.down({ to: 5 });
+  assert.deepEqual(client.rows('access_logs').map(row => row.client_id), ['1.2.3.4']);
+});
+
+test('moves file paths to storage keys and back', async () => {
+  const migrations = service();
+  await migrations.up({ to: 6 });
+  await client.execute('INSERT INTO fs_metadata.files (file_id, file_path, file_name) VALUES (?, ?, ?)',
+    ['f1', 'uploads/1700000000000-a.txt', 'a.txt']);
+  await client.execute('INSERT INTO fs_metadata.file_replicas (file_id, node_id, file_path) VALUES (?, ?, ?)',
+    ['f1', 'node-a', 'uploads/1700000000000-a.txt']);
+
+  await migrations.up();
+
+  assert.equal(client.rows('files')[0].storage_key, '1700000000000-a.txt');
+  assert.equal(client.rows('file_replicas')[0].storage_key, '1700000000000-a.txt');
+
+  await client.execute('INSERT INTO fs_metadata.files (file_id, storage_key, file_name) VALUES (?, ?, ?)',
+    ['f2', '1700000000001-b.txt', 'b.txt']);
+  await migrations.down({ to: 6 });
+
+  assert.ok(!client.schemas.get('files').columns.includes('storage_key'));
+  assert.deepEqual(client.rows('files').map(row => [row.file_id, row.file_path, row.storage_key]),
+    [['f1', 'uploads/1700000000000-a.txt', undefined], ['f2', 'uploads/1700000000001-b.txt', undefined]]);
+});
+
+test('counts existing files into storage usage', async () => {
+  const migrations = service();
+  await migrations.up({ to: 10 });
+  const insert = 'INSERT INTO fs_metadata.files (file_id, storage_key, file_name, file_size, owner_id) VALUES (?, ?, ?, ?, ?)';
+  await client.execute(insert, ['f1', 'f1', 'a.txt', cassandra.types.Long.fromNumber(100), 'alice']);
+  await client.execute(insert, ['f2', 'f2', 'b.txt', cassandra.types.Long.fromNumber(20), 'alice']);
+  await client.execute(insert, ['f3', 'f3', 'c.txt', cassandra.types.Long.fromNumber(5), null]);
+
+  await migrations.up();
+
+  assert.deepEqual(client.rows('storage_usage').map(row => [row.scope, Number(row.files), Number(row.bytes)]),
+    [['*', 3, 125], ['alice', 2, 120]]);
+});
+
+test('changes nothing on a dry run', async () => {
+  const migrations = service();
+
+  const planned = await migrations.up({ dryRun: true });
+
+  assert.equal(planned.length, 12);
+  assert.deepEqual(tables(), []);
+  assert.equal(client.keyspaces.size, 0);
+});
+
+test('dry-runs the usage count against keyspaces from before file ownership', async () => {
+  const migrations = service();
+  await migrations.up({ to: 7 });
+  await client.execute('INSERT INTO fs_metadata.files (file_id, storage_key, file_name, file_size) VALUES (?, ?, ?, ?)',
+    ['f1', 'f1', 'a.txt', cassandra.types.Long.fromNumber(100)]);
+  client.executed = [];
+
+  assert.equal((await migrations.up({ dryRun: true })).length, 5);
+
+  const reads = client.executed.map(({ query }) => query.replace(/\s+/g, ' ')).filter(query => /FROM fs_metadata\.files\b/.test(query));
+  assert.deepEqual(reads, ['SELECT file_size FROM fs_metadata.files']);
+  assert.ok(!client.schemas.has('storage_usage'));
+});
+
+test('refuses to run while another runner holds the lock', async () => {
+  const ran = [];
+  const migrations = service(CONFIG, {
+    migrations: [{ version: 1, name: 'only', description: 'only', up: async () => ran.push('up'), down: async () => {} }]
+  });
+  await migrations.ensureKeyspace();
+  await migrations.ensureMigrationTables();
+  await client.execute("INSERT INTO fs_metadata.schema_migration_lock (id, owner, acquired_at) VALUES ('lock', ?, ?)",
+    ['other-host:1', new Date('2026-01-01T00:00:00Z')]);
+
+  await assert.rejects(migrations.up(), /Migrations are locked by other-host:1/);
+  assert.deepEqual(ran, []);
+  assert.equal(client.table('schema_migration_lock').size, 1);
+});
+
+test('reports and refuses to roll back versions it has no file for', async () => {
+  const migrations = service();
+  await migrations.up();
+  await client.execute('INSERT INTO fs_metadata.schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+    [99, 'from-a-newer-release', new Date()]);
+
+  const status = await migrations.status();
+  assert.deepEqual(status[status.length - 1], {
+    version: 99,
+    name: 'from-a-newer-release',
+    description: null,
+    state: 'missing',
+    appliedAt: status[status.length - 1].appliedAt
+  });
+  await assert.rejects(migrations.down(), /version\(s\) 99 are applied but have no migration file/);
+});
+
+test('warns about but never alters the replication of an existing keyspace', async () => {
+  await service().up();
+  const wider = { ...CONFIG, replication: { class: 'NetworkTopologyStrategy', datacenter1: 3 } };
+  const migrations = service(wider);
+
+  assert.deepEqual(await migrations.ensureKeyspace(), { created: false });
+  const [level, message, fields] = Logger.prototype.write.mock.calls.at(-1).arguments;
+  assert.deepEqual([level, message], ['warn', 'Keyspace replication differs from the configured one; run "npm run migrate -- keyspace" to apply it']);
+  assert.equal(fields.configured, "{ 'class': 'NetworkTopologyStrategy', 'datacenter1': 3 }");
+  assert.equal(client.keyspaces.get('fs_metadata').class, 'SimpleStrategy');
+
+  const { changed } = await migrations.updateKeyspace();
+  assert.equal(changed, true);
+  assert.deepEqual(client.keyspaces.get('fs_metadata'), { class: 'NetworkTopologyStrategy', datacenter1: '3' });
+  assert.equal((await migrations.updateKeyspace()).changed, false);
+});
@@ -0,0 +1,108 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const hypercoreCrypto = require('hypercore-crypto');
+const PeerAuthService = require('../src/services/peer-auth.service');
+const { PeerAuthError } = PeerAuthService;
+const DHTService = require('../src/services/dht.service');
+const { topicForFile } = require('../src/utils/transfer-protocol');
+
+const FILE_ID = '0b6f3c3e-5d6a-4c1e-9a2b-3f4e5d6c7b8a';
+
+const issuerKeys = hypercoreCrypto.keyPair();
+const peerKey = hypercoreCrypto.keyPair().publicKey;
+const issuerId = issuerKeys.publicKey.toString('hex');
+
+// A node trusting the issuer, as another cluster member would.
+function verifier() {
+  return new PeerAuthService(hypercoreCrypto.keyPair(), { trustedPeers: issuerId });
+}
+
+function refusedWith(error, message) {
+  return (thrown) => {
+    assert.ok(thrown instanceof PeerAuthError, `expected a PeerAuthError, got ${thrown}`);
+    assert.equal(thrown.status, 403);
+    assert.equal(thrown.error, error);
+    assert.match(thrown.message, message);
+    return true;
+  };
+}
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('trusts itself, listed nodes and everyone with "*"', () => {
+  const node = new PeerAuthService(issuerKeys, { trustedPeers: peerKey.toString('hex').toUpperCase() });
+
+  assert.equal(node.isTrusted(issuerKeys.publicKey), true);
+  assert.equal(node.isTrusted(peerKey), true);
+  assert.equal(node.isTrusted(hypercoreCrypto.keyPair().publicKey), false);
+  assert.equal(new PeerAuthService(issuerKeys, { trustedPeers: '*' }).isTrusted(hypercoreCrypto.keyPair().publicKey), true);
+  assert.deepEqual(node.status(), { nodeId: issuerId, openCluster: false, trustedPeers: [peerKey.toString('hex')] });
+});
+
+test('refuses malformed trust lists', () => {
+  assert.throws(() => new PeerAuthService(issuerKeys, { trustedPeers: 'node-a' }), /64-character hex node ids or "\*"/);
+});
+
+test('lets untrusted peers in with a capability for the file', () => {
+  const { token, peer } = new PeerAuthService(issuerKeys, { trustedPeers: '' }).issue(FILE_ID);
+  const node = verifier();
+
+  assert.equal(peer, null);
+  assert.equal(node.authorizeFileRequest(FILE_ID, peerKey, token), 'capability');
+  assert.equal(node.authorizeFileRequest(FILE_ID, issuerKeys.publicKey), 'trusted');
+  assert.throws(() => node.authorizeFileRequest(FILE_ID, peerKey), refusedWith('Unauthorized peer', /presented no capability token/));
+});
+
+test('refuses capabilities for another file, peer or issuer, and tampered ones', () => {
+  const issuer = new PeerAuthService(issuerKeys, { trustedPeers: '' });
+  const { token } = issuer.issue(FILE_ID, { peer: peerKey });
+  const node = verifier();
+  const otherKey = hypercoreCrypto.keyPair().publicKey;
+
+  assert.throws(() => node.verifyCapability(token, 'other-file', peerKey), refusedWith('Invalid capability', /another file/));
+  assert.throws(() => node.verifyCapability(token, FILE_ID, otherKey), refusedWith('Invalid capability', /another peer/));
+
+  const [encoded, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, peer: otherKey.toString('hex') })).toString('base64url');
+  assert.throws(() => node.verifyCapability(`${forged}.${signature}`, FILE_ID, otherKey), refusedWith('Invalid capability', /signature/));
+  assert.throws(() => node.verifyCapability('not-a-token', FILE_ID, peerKey), refusedWith('Invalid capability', /malformed/));
+
+  const stranger = new PeerAuthService(hypercoreCrypto.keyPair(), { trustedPeers: '' }).issue(FILE_ID).token;
+  assert.throws(() => node.verifyCapability(stranger, FILE_ID, peerKey), refusedWith('Invalid capability', /does not trust/));
+});
+
+test('refuses expired capabilities and out-of-range lifetimes', () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T00:00:00Z') });
+  const issuer = new PeerAuthService(issuerKeys, { trustedPeers: '' });
+  const { token, expiresAt } = issuer.issue(FILE_ID, { expiresIn: 60 });
+  assert.equal(expiresAt.toISOString(), '2026-01-01T00:01:00.000Z');
+
+  mock.timers.setTime(new Date('2026-01-01T00:01:00Z').getTime());
+  assert.throws(() => verifier().verifyCapability(token, FILE_ID, peerKey), refusedWith('Capability expired', /expired/));
+
+  for (const expiresIn of [0, 1.5, 8 * 24 * 60 * 60]) {
+    assert.throws(() => issuer.issue(FILE_ID, { expiresIn }), { status: 400, error: 'Invalid capability request' });
+  }
+  assert.throws(() => issuer.issue(FILE_ID, { peer: 'abc' }), /peer must be a 64-character hex public key/);
+});
+
+test('DHT file requests must name the file topic and come from an authorized peer', () => {
+  const { authorizeRequest } = DHTService.prototype;
+  const dht = { peerAuthService: verifier() };
+  const topic = topicForFile(FILE_ID);
+  const { token } = new PeerAuthService(issuerKeys, { trustedPeers: '' }).issue(FILE_ID);
+  const request = { fileId: FILE_ID, topic: topic.toString('hex'), capability: token };
+
+  authorizeRequest.call(dht, request, { publicKey: peerKey, topics: [] });
+  authorizeRequest.call(dht, request, { publicKey: peerKey, topics: [topic] });
+
+  assert.throws(() => authorizeRequest.call(dht, { ...request, topic: 'ff'.repeat(32) }, { publicKey: peerKey, topics: [] }),
+    { status: 400, error: 'Wrong topic' });
+  assert.throws(() => authorizeRequest.call(dht, request, { publicKey: peerKey, topics: [topicForFile('other')] }),
+    { status: 400, error: 'Wrong topic' });
+  assert.throws(() => authorizeRequest.call(dht, { ...request, capability: undefined }, { publicKey: peerKey, topics: [] }),
+    { status: 403, error: 'Unauthorized peer' });
+});
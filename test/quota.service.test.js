@@ -0,0 +1,165 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const EmbeddedMetadataStore = require('../src/stores/embedded.store');
+const QuotaService = require('../src/services/quota.service');
+const { QuotaError } = QuotaService;
+const AuthService = require('../src/services/auth.service');
+const createAuthMiddleware = require('../src/middleware/auth.middleware');
+const UsageController = require('../src/controllers/usage.controller');
+const createUsageRoutes = require('../src/routes/usage.routes');
+
+let dir;
+let store;
+
+beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'quota-test-'));
+  store = new EmbeddedMetadataStore({ dir });
+  await store.initialize();
+});
+
+afterEach(async () => {
+  await store.shutdown();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function storeFile(fileId, ownerId, size) {
+  return store.storeFileMetadata(fileId, `blob-${fileId}`, `${fileId}.bin`, size, null, { ownerId });
+}
+
+function rejectsWith(status, scope) {
+  return (thrown) => {
+    assert.ok(thrown instanceof QuotaError, `expected a QuotaError, got ${thrown}`);
+    assert.equal(thrown.status, status);
+    assert.equal(thrown.usage.scope, scope);
+    return true;
+  };
+}
+
+test('allows uploads that fit in the owner quota', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 100, ownerQuotas: [], globalQuota: 0 });
+  await storeFile('a', 'alice', 60);
+
+  await quotas.check('alice', 40);
+  await quotas.check('bob', 100);
+});
+
+test('refuses uploads over the owner quota with 413', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 100, ownerQuotas: [], globalQuota: 0 });
+  await storeFile('a', 'alice', 60);
+
+  await assert.rejects(quotas.check('alice', 41), (thrown) => {
+    rejectsWith(413, 'owner')(thrown);
+    assert.equal(thrown.error, 'Quota exceeded');
+    assert.deepEqual(thrown.usage, {
+      scope: 'owner', ownerId: 'alice', requested: 41, files: 1, bytes: 60, quota: 100, available: 40
+    });
+    return true;
+  });
+});
+
+test('refuses uploads over the global quota with 507', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 0, ownerQuotas: [], globalQuota: 100 });
+  await storeFile('a', 'alice', 50);
+  await storeFile('b', 'bob', 40);
+
+  await quotas.check('carol', 10);
+  await assert.rejects(quotas.check('carol', 11), (thrown) => {
+    rejectsWith(507, 'global')(thrown);
+    assert.equal(thrown.error, 'Insufficient storage');
+    assert.equal(thrown.usage.bytes, 90);
+    return true;
+  });
+});
+
+test('checks the owner quota before the global one', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 10, ownerQuotas: [], globalQuota: 10 });
+
+  await assert.rejects(quotas.check('alice', 11), rejectsWith(413, 'owner'));
+});
+
+test('applies per-owner quotas, where 0 means unlimited', async () => {
+  const quotas = new QuotaService(store, {
+    ownerQuota: 100,
+    ownerQuotas: ['alice=1000', ' root = 0'],
+    globalQuota: 0
+  });
+
+  assert.equal(quotas.quotaFor('alice'), 1000);
+  assert.equal(quotas.quotaFor('root'), 0);
+  assert.equal(quotas.quotaFor('bob'), 100);
+
+  await quotas.check('alice', 1000);
+  await quotas.check('root', 10 ** 12);
+  await assert.rejects(quotas.check('bob', 101), rejectsWith(413, 'owner'));
+});
+
+test('counts replaced and deleted files out of the usage', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 100, ownerQuotas: [], globalQuota: 0 });
+  await storeFile('a', 'alice', 90);
+  await storeFile('a', 'alice', 30);
+  await quotas.check('alice', 70);
+
+  await store.deleteFileMetadata('a');
+  await quotas.check('alice', 100);
+});
+
+test('reports owner and global usage', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 100, ownerQuotas: ['bob=0'], globalQuota: 1000 });
+  await storeFile('a', 'alice', 30);
+  await storeFile('b', 'alice', 20);
+  await storeFile('c', 'bob', 70);
+
+  assert.deepEqual(await quotas.report('alice'), {
+    owner: { ownerId: 'alice', files: 2, bytes: 50, quota: 100, available: 50 },
+    global: { files: 3, bytes: 120, quota: 1000, available: 880 }
+  });
+  assert.deepEqual(await quotas.report('dave'), {
+    owner: { ownerId: 'dave', files: 0, bytes: 0, quota: 100, available: 100 },
+    global: { files: 3, bytes: 120, quota: 1000, available: 880 }
+  });
+});
+
+test('lists owners largest first', async () => {
+  const quotas = new QuotaService(store, { ownerQuota: 100, ownerQuotas: ['bob=0'], globalQuota: 0 });
+  await storeFile('a', 'alice', 30);
+  await storeFile('c', 'bob', 70);
+  await storeFile('d', null, 5);
+
+  assert.deepEqual(await quotas.listOwners(), [
+    { ownerId: 'bob', files: 1, bytes: 70, quota: null, available: null },
+    { ownerId: 'alice', files: 1, bytes: 30, quota: 100, available: 70 }
+  ]);
+});
+
+test('answers GET /usage for the caller, and for anyone to admins', async (t) => {
+  const quotas = new QuotaService(store, { ownerQuota: 100, ownerQuotas: [], globalQuota: 0 });
+  await storeFile('a', 'alice', 30);
+  await storeFile('b', 'bob', 70);
+
+  const auth = createAuthMiddleware(new AuthService({ apiKeys: 'alice=alice-key,root=root-key', adminUsers: 'root' }));
+  const app = express();
+  app.use(auth.authenticate);
+  app.use(createUsageRoutes(new UsageController(quotas), auth));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const usage = (user, query = '') => fetch(`http://127.0.0.1:${server.address().port}/usage${query}`, {
+    headers: { 'X-API-Key': `${user}-key` }
+  });
+
+  const own = await (await usage('alice')).json();
+  assert.deepEqual(own.owner, { ownerId: 'alice', files: 1, bytes: 30, quota: 100, available: 70 });
+  assert.equal(own.global.bytes, 100);
+  assert.equal(own.owners, undefined);
+
+  assert.equal((await usage('alice', '?owner=bob')).status, 403);
+
+  const admin = await (await usage('root', '?owner=bob')).json();
+  assert.equal(admin.owner.bytes, 70);
+  assert.deepEqual(admin.owners.map(owner => owner.ownerId), ['bob', 'alice']);
+});
@@ -0,0 +1,242 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const constants = require('../src/config/constants');
+
+// With three copies wanted, two live holders still leave one to place, so
+// which of them coordinates matters.
+constants.REPLICATION_FACTOR = 3;
+
+const MetadataStore = require('../src/stores/metadata-store');
+const RepairService = require('../src/services/repair.service');
+const LocalBlobStore = require('../src/stores/local-blob.store');
+
+const CONTENT = Buffer.from('replicated content');
+const CONTENT_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+// Node ids sort as LOW < SELF < HIGH, which decides who coordinates.
+const LOW = '1'.repeat(64);
+const SELF = '5'.repeat(64);
+const HIGH = '9'.repeat(64);
+
+const metadataStore = new MetadataStore('test');
+
+let dir;
+let blobStore;
+let files;
+let replicas;
+let alive;
+let dhtService;
+let replicationService;
+let repair;
+
+function storedFile(name = 'a.txt') {
+  const fileId = crypto.randomUUID();
+  const storageKey = `1700000000000-${name}`;
+  files.push({ fileId, storageKey, fileName: name, fileSize: String(CONTENT.length), contentHash: CONTENT_HASH });
+  return { fileId, storageKey };
+}
+
+function writeBlob(storageKey, content) {
+  return blobStore.put(storageKey, Readable.from([content]));
+}
+
+function holds(fileId, ...nodeIds) {
+  replicas.set(fileId, nodeIds.map(nodeId => ({ fileId, nodeId, nodeAddress: `${nodeId.slice(0, 4)}:3000`, storageKey: '1700000000000-a.txt' })));
+}
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'repair-test-'));
+
+  mock.method(metadataStore, 'getAllFiles', async () => files);
+  mock.method(metadataStore, 'getReplicas', async fileId => replicas.get(fileId) || []);
+  mock.method(metadataStore, 'addReplica', async (fileId, nodeId, nodeAddress, storageKey) => {
+    replicas.set(fileId, [...(replicas.get(fileId) || []), { fileId, nodeId, nodeAddress, storageKey }]);
+    return true;
+  });
+  mock.method(metadataStore, 'removeReplica', async (fileId, nodeId) => {
+    replicas.set(fileId, replicas.get(fileId).filter(replica => replica.nodeId !== nodeId));
+    return true;
+  });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.mkdir(dir);
+  blobStore = new LocalBlobStore({ root: path.join(dir, 'blobs') });
+  files = [];
+  replicas = new Map();
+  alive = new Set();
+
+  dhtService = {
+    activeTopics: new Map(),
+    async announceFile(fileId, storageKey) {
+      this.activeTopics.set(fileId, { storageKey });
+    },
+    async unannounceFile(fileId) {
+      this.activeTopics.delete(fileId);
+    }
+  };
+
+  replicationService = {
+    nodeId: SELF,
+    async ping(nodeId) {
+      return alive.has(nodeId);
+    },
+    async replicateFile(file, copies) {
+      return { replicas: Array.from({ length: copies }, (_, i) => ({ nodeId: `new-${i}` })), failures: [] };
+    },
+    async stagingPath(storageKey) {
+      await fs.promises.mkdir(path.join(dir, 'incoming'), { recursive: true });
+      return path.join(dir, 'incoming', storageKey);
+    },
+    async pullFrom(nodeId, fileId, destination) {
+      await fs.promises.writeFile(destination, CONTENT);
+      return { contentHash: CONTENT_HASH };
+    }
+  };
+
+  repair = new RepairService(dhtService, replicationService, metadataStore, blobStore);
+});
+
+test('leaves healthy, announced, fully replicated files alone', async () => {
+  const { fileId, storageKey } = storedFile();
+  await writeBlob(storageKey, CONTENT);
+  holds(fileId, SELF, LOW, HIGH);
+  alive.add(LOW).add(HIGH);
+  dhtService.activeTopics.set(fileId, { storageKey });
+
+  const result = await repair.runCycle();
+
+  assert.equal(result.checked, 1);
+  assert.equal(result.healthy, 1);
+  assert.equal(repair.getStatus().cycles, 1);
+});
+
+test('re-announces copies missing from the DHT', async () => {
+  const { fileId, storageKey } = storedFile();
+  await writeBlob(storageKey, CONTENT);
+  holds(fileId, SELF, LOW, HIGH);
+  alive.add(LOW).add(HIGH);
+
+  assert.equal((await repair.runCycle()).reannounced, 1);
+  assert.equal(dhtService.activeTopics.get(fileId).storageKey, storageKey);
+});
+
+test('re-replicates when it is the lowest live holder and forgets the dead one', async (t) => {
+  const { fileId, storageKey } = storedFile();
+  await writeBlob(storageKey, CONTENT);
+  holds(fileId, SELF, LOW);
+  const replicate = t.mock.method(replicationService, 'replicateFile');
+
+  const result = await repair.runCycle();
+
+  assert.equal(result.replicated, 1);
+  assert.equal(replicate.mock.callCount(), 1);
+  const [file, copies, exclude] = replicate.mock.calls[0].arguments;
+  assert.equal(file.storageKey, storageKey);
+  assert.equal(copies, 2);
+  assert.deepEqual(exclude, [SELF, LOW]);
+  assert.deepEqual(replicas.get(fileId).map(replica => replica.nodeId), [SELF]);
+});
+
+test('leaves re-replication to a live holder with a lower node id', async (t) => {
+  const { fileId, storageKey } = storedFile();
+  await writeBlob(storageKey, CONTENT);
+  holds(fileId, SELF, LOW, HIGH);
+  alive.add(LOW);
+  const replicate = t.mock.method(replicationService, 'replicateFile');
+
+  await repair.runCycle();
+
+  assert.equal(replicate.mock.callCount(), 0);
+});
+
+test('keeps dead holders and reports a shortfall when no replacement is placed', async (t) => {
+  const { fileId, storageKey } = storedFile();
+  await writeBlob(storageKey, CONTENT);
+  holds(fileId, SELF, HIGH);
+  t.mock.method(replicationService, 'replicateFile', async () => ({ replicas: [], failures: [] }));
+
+  const result = await repair.runCycle();
+
+  assert.equal(result.underReplicated, 1);
+  assert.equal(replicas.get(fileId).length, 2);
+  assert.match(repair.getStatus().recentFailures[0].message, /Placed 0 of 2 missing replica\(s\): No eligible peers found/);
+});
+
+test('restores a corrupt local copy from a live holder', async (t) => {
+  const { fileId, storageKey } = storedFile();
+  await writeBlob(storageKey, Buffer.alloc(CONTENT.length));
+  holds(fileId, SELF, HIGH);
+  alive.add(HIGH);
+  const pull = t.mock.method(replicationService, 'pullFrom');
+
+  const result = await repair.runCycle();
+
+  assert.equal(result.restored, 1);
+  assert.equal(pull.mock.calls[0].arguments[0], HIGH);
+  assert.deepEqual(await fs.promises.readFile(blobStore.shardedPath(storageKey)), CONTENT);
+  assert.deepEqual(await fs.promises.readdir(path.join(dir, 'incoming')), []);
+  assert.equal(dhtService.activeTopics.has(fileId), true);
+});
+
+test('fails a damaged copy with no live holder and withdraws its announcement', async () => {
+  const { fileId, storageKey } = storedFile();
+  holds(fileId, SELF, HIGH);
+  dhtService.activeTopics.set(fileId, { storageKey });
+
+  const result = await repair.runCycle();
+
+  assert.equal(result.failed, 1);
+  assert.equal(dhtService.activeTopics.has(fileId), false);
+  assert.match(repair.getStatus().recentFailures[0].message, /no live holder/);
+});
+
+test('rejects a pulled copy whose hash differs from the file', async (t) => {
+  const { fileId, storageKey } = storedFile();
+  holds(fileId, SELF, HIGH);
+  alive.add(HIGH);
+  t.mock.method(replicationService, 'pullFrom', async (nodeId, id, destination) => {
+    await fs.promises.writeFile(destination, 'other');
+    return { contentHash: '0'.repeat(64) };
+  });
+
+  assert.equal((await repair.runCycle()).failed, 1);
+  assert.equal(await blobStore.exists(storageKey), false);
+  assert.deepEqual(await fs.promises.readdir(path.join(dir, 'incoming')), []);
+});
+
+test('adopts untracked files found in the blob store and skips files held elsewhere', async () => {
+  const legacy = storedFile('legacy.txt');
+  await writeBlob(legacy.storageKey, CONTENT);
+  const remote = storedFile('remote.txt');
+  holds(remote.fileId, HIGH);
+
+  const result = await repair.runCycle();
+
+  assert.equal(result.skipped, 1);
+  assert.deepEqual(replicas.get(legacy.fileId).map(replica => replica.nodeId), [SELF]);
+});
+
+test('joins a cycle that is already running', async () => {
+  storedFile();
+
+  const first = repair.runCycle();
+  const second = repair.runCycle();
+
+  assert.equal(first, second);
+  await first;
+  assert.equal(repair.getStatus().cycles, 1);
+  assert.equal(repair.getStatus().running, false);
+});
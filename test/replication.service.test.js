@@ -0,0 +1,202 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const hypercoreCrypto = require('hypercore-crypto');
+
+// Incoming replicas are staged under ./uploads, so run from a scratch directory.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replication-test-'));
+process.chdir(dir);
+
+const MetadataStore = require('../src/stores/metadata-store');
+const ReplicationService = require('../src/services/replication.service');
+const PeerAuthService = require('../src/services/peer-auth.service');
+const LocalBlobStore = require('../src/stores/local-blob.store');
+const { FakeNetwork } = require('./support/fake-dht');
+const { SERVER_ADDRESS } = require('../src/config/constants');
+
+const metadataStore = new MetadataStore('test');
+
+const CONTENT = crypto.randomBytes(200 * 1024);
+const CONTENT_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const SOURCE_KEY = '1700000000000-source.bin';
+
+let network;
+let nodes;
+
+// A storage node: a ReplicationService with its own key on the fake network
+// and blob store, and a DHT service that only tracks what it announces.
+// Nodes trust each other unless given a trust list.
+async function startNode(index, trustedPeers = '*') {
+  const dhtService = {
+    swarm: { dht: network.node() },
+    activeTopics: new Map(),
+    async announceFile(fileId, storageKey, fileName) {
+      this.activeTopics.set(fileId, { storageKey, fileName });
+    },
+    async unannounceFile(fileId) {
+      this.activeTopics.delete(fileId);
+    }
+  };
+
+  const blobStore = new LocalBlobStore({ root: path.join(dir, `blobs-${index}`) });
+  const peerAuthService = new PeerAuthService(hypercoreCrypto.keyPair(), { trustedPeers });
+  const node = new ReplicationService(dhtService, metadataStore, blobStore, peerAuthService);
+  await node.start();
+  return node;
+}
+
+function file(overrides = {}) {
+  return {
+    fileId: crypto.randomUUID(),
+    storageKey: SOURCE_KEY,
+    fileName: 'data.bin',
+    fileSize: CONTENT.length,
+    contentHash: CONTENT_HASH,
+    ...overrides
+  };
+}
+
+before(async () => {
+  mock.method(metadataStore, 'addReplica', async () => true);
+  mock.method(metadataStore, 'removeReplica', async () => true);
+});
+
+after(async () => {
+  mock.restoreAll();
+  process.chdir(os.tmpdir());
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.rm('uploads', { recursive: true, force: true });
+  if (nodes) await Promise.all(nodes.map(node => node.shutdown()));
+  network = new FakeNetwork();
+  nodes = [];
+  for (let i = 0; i < 3; i++) {
+    await fs.promises.rm(path.join(dir, `blobs-${i}`), { recursive: true, force: true });
+    nodes.push(await startNode(i));
+  }
+  await nodes[0].blobStore.put(SOURCE_KEY, Readable.from([CONTENT]));
+  metadataStore.addReplica.mock.resetCalls();
+});
+
+test('finds the other nodes on the cluster topic', async () => {
+  const [self, ...others] = nodes;
+
+  const peers = await self.findPeers();
+
+  assert.deepEqual(peers.map(peer => peer.nodeId).sort(), others.map(node => node.nodeId).sort());
+});
+
+test('pushes copies to the requested number of peers', async () => {
+  const [self] = nodes;
+  const pushed = file();
+
+  const result = await self.replicateFile(pushed, 2, [self.nodeId]);
+
+  assert.equal(result.replicas.length, 2);
+  assert.deepEqual(result.failures, []);
+
+  for (const replica of result.replicas) {
+    const holder = nodes.find(node => node.nodeId === replica.nodeId);
+    const held = holder.dhtService.activeTopics.get(pushed.fileId);
+    assert.deepEqual(await fs.promises.readFile(holder.blobStore.shardedPath(held.storageKey)), CONTENT);
+  }
+
+  // Each copy is recorded by the node holding it and by the one that pushed it.
+  const recorded = metadataStore.addReplica.mock.calls.map(call => call.arguments);
+  for (const replica of result.replicas) {
+    const held = nodes.find(node => node.nodeId === replica.nodeId).dhtService.activeTopics.get(pushed.fileId);
+    const entries = recorded.filter(([, nodeId]) => nodeId === replica.nodeId);
+    assert.equal(entries.length, 2);
+    for (const [fileId, , , storageKey, details] of entries) {
+      assert.deepEqual([fileId, storageKey], [pushed.fileId, held.storageKey]);
+      assert.deepEqual(details, { fileName: 'data.bin', fileSize: CONTENT.length, contentHash: CONTENT_HASH });
+    }
+  }
+});
+
+test('never pushes to excluded nodes and reports a shortfall', async () => {
+  const [self, excluded] = nodes;
+
+  const result = await self.replicateFile(file(), 2, [self.nodeId, excluded.nodeId]);
+
+  assert.equal(result.replicas.length, 1);
+  assert.notEqual(result.replicas[0].nodeId, excluded.nodeId);
+});
+
+test('skips replication when no copies are wanted', async () => {
+  assert.deepEqual(await nodes[0].replicateFile(file(), 0), { replicas: [], failures: [] });
+});
+
+test('refuses replicas whose content does not match their hash', async () => {
+  const [self] = nodes;
+  const pushed = file({ contentHash: '0'.repeat(64) });
+
+  const result = await self.replicateFile(pushed, 1, [self.nodeId]);
+
+  assert.deepEqual(result.replicas, []);
+  assert.match(result.failures[0].message, /Integrity check failed/);
+  for (const node of nodes) assert.equal(node.dhtService.activeTopics.has(pushed.fileId), false);
+  for (const node of nodes.slice(1)) assert.equal(await node.blobStore.stat(SOURCE_KEY), null);
+  assert.deepEqual(await fs.promises.readdir('uploads/.incoming'), []);
+});
+
+test('refuses replicas without a content hash', async () => {
+  const [self] = nodes;
+
+  const result = await self.replicateFile(file({ contentHash: null }), 1, [self.nodeId]);
+
+  assert.deepEqual(result.replicas, []);
+  assert.match(result.failures[0].message, /SHA-256 content hash/);
+});
+
+test('acknowledges replicas a node already holds without storing them again', async () => {
+  const [self, holder] = nodes;
+  const pushed = file();
+  await holder.dhtService.announceFile(pushed.fileId, 'elsewhere-key', pushed.fileName);
+
+  const result = await self.replicateFile(pushed, 1, [self.nodeId, nodes[2].nodeId]);
+
+  assert.deepEqual(result.replicas.map(replica => replica.nodeId), [holder.nodeId]);
+  assert.equal(holder.dhtService.activeTopics.get(pushed.fileId).storageKey, 'elsewhere-key');
+  // Only the pusher records the copy, under the key the holder reports.
+  assert.deepEqual(metadataStore.addReplica.mock.calls.map(call => call.arguments.slice(1, 4)),
+    [[holder.nodeId, SERVER_ADDRESS, 'elsewhere-key']]);
+});
+
+test('drops replicas on other nodes', async () => {
+  const [self] = nodes;
+  const pushed = file();
+  const { replicas } = await self.replicateFile(pushed, 2, [self.nodeId]);
+  const held = replicas.map(replica => nodes.find(node => node.nodeId === replica.nodeId))
+    .map(node => [node, node.dhtService.activeTopics.get(pushed.fileId).storageKey]);
+
+  const missing = hypercoreCrypto.keyPair().publicKey.toString('hex');
+  const result = await self.dropReplicas(pushed.fileId, [...replicas.map(replica => replica.nodeId), missing, self.nodeId]);
+
+  assert.deepEqual(result.dropped.sort(), replicas.map(replica => replica.nodeId).sort());
+  assert.deepEqual(result.failures.map(failure => failure.nodeId), [missing]);
+  for (const node of nodes) assert.equal(node.dhtService.activeTopics.has(pushed.fileId), false);
+  for (const [node, storageKey] of held) assert.equal(await node.blobStore.exists(storageKey), false);
+});
+
+test('neither finds nor accepts replicas from nodes outside its trust list', async () => {
+  const [self, outsider] = nodes;
+  const guarded = await startNode(3, self.nodeId);
+  nodes.push(guarded);
+  await outsider.blobStore.put(SOURCE_KEY, Readable.from([CONTENT]));
+
+  assert.deepEqual((await guarded.findPeers()).map(peer => peer.nodeId), [self.nodeId]);
+
+  const pushed = file();
+  await assert.rejects(outsider.pushTo({ nodeId: guarded.nodeId }, pushed), /not in this node's trust list/);
+  assert.equal(guarded.dhtService.activeTopics.has(pushed.fileId), false);
+
+  const ack = await self.pushTo({ nodeId: guarded.nodeId }, pushed);
+  assert.equal(ack.nodeId, guarded.nodeId);
+});
@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const S3BlobStore = require('../src/stores/s3-blob.store');
+const S3StandIn = require('./support/s3-stand-in');
+
+const BUCKET = 'reslify';
+const CONTENT = Buffer.from('The quick brown fox jumps over the lazy dog');
+
+let s3;
+let stagingDir;
+let store;
+
+function createStore(options = {}) {
+  return new S3BlobStore({
+    endpoint: s3.endpoint,
+    region: s3.region,
+    bucket: BUCKET,
+    prefix: 'blobs/',
+    accessKeyId: s3.accessKeyId,
+    secretAccessKey: s3.secretAccessKey,
+    forcePathStyle: true,
+    stagingDir,
+    ...options
+  });
+}
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+before(async () => {
+  s3 = await new S3StandIn({ buckets: [BUCKET] }).start();
+  stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 's3-staging-'));
+  store = createStore();
+});
+
+after(async () => {
+  store.agent.destroy();
+  await s3.stop();
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+});
+
+test('reports the bucket healthy', async () => {
+  const health = await store.checkHealth();
+
+  assert.equal(health.bucket, BUCKET);
+  assert.equal(health.endpoint, s3.endpoint);
+});
+
+test('stores, reads, stats and deletes a blob under the prefix', async () => {
+  const key = '1700000000000-put-and-read.txt';
+
+  assert.deepEqual(await store.put(key, Readable.from([CONTENT]), { size: CONTENT.length }), { key, size: CONTENT.length });
+  assert.deepEqual(s3.objects(BUCKET).get(`blobs/${key}`).body, CONTENT);
+
+  assert.deepEqual(await read(await store.createReadStream(key)), CONTENT);
+
+  const stat = await store.stat(key);
+  assert.equal(stat.key, key);
+  assert.equal(stat.size, CONTENT.length);
+  assert.ok(stat.lastModified instanceof Date);
+  assert.equal(await store.exists(key), true);
+
+  assert.equal(await store.delete(key), true);
+  assert.equal(await store.stat(key), null);
+  assert.equal(await store.exists(key), false);
+  assert.equal(await store.delete(key), false);
+});
+
+test('reads byte ranges', async () => {
+  const key = '1700000000000-ranges.txt';
+  await store.put(key, Readable.from([CONTENT]), { size: CONTENT.length });
+
+  const ranged = await store.createReadStream(key, { start: 4, end: 8 });
+  assert.equal(ranged.statusCode, 206);
+  assert.equal((await read(ranged)).toString(), 'quick');
+  assert.equal((await read(await store.createReadStream(key, { start: 40 }))).toString(), 'dog');
+  assert.equal((await read(await store.createReadStream(key, { end: 2 }))).toString(), 'The');
+
+  await store.delete(key);
+});
+
+test('spools streams of unknown size to send a Content-Length', async () => {
+  const key = '1700000000000-unknown-size.bin';
+  const stored = await store.put(key, Readable.from([CONTENT.subarray(0, 10), CONTENT.subarray(10)]));
+
+  assert.equal(stored.size, CONTENT.length);
+  assert.deepEqual(await read(await store.createReadStream(key)), CONTENT);
+  assert.deepEqual(await fs.promises.readdir(stagingDir), []);
+
+  await store.delete(key);
+});
+
+test('uploads local files with putFile and removes them', async () => {
+  const key = '1700000000000-put-file.txt';
+  const filePath = path.join(stagingDir, 'upload.tmp');
+  await fs.promises.writeFile(filePath, CONTENT);
+
+  await store.putFile(key, filePath);
+
+  assert.deepEqual(await read(await store.createReadStream(key)), CONTENT);
+  await assert.rejects(fs.promises.access(filePath), { code: 'ENOENT' });
+
+  await store.delete(key);
+});
+
+test('signs keys that need percent-encoding', async () => {
+  const key = "1700000000000-report (final)! it's 100%.txt";
+  await store.put(key, Readable.from([CONTENT]), { size: CONTENT.length });
+
+  assert.ok(s3.objects(BUCKET).has(`blobs/${key}`));
+  assert.equal((await store.stat(key)).size, CONTENT.length);
+  assert.equal(await store.delete(key), true);
+});
+
+test('rejects reads of missing blobs with ENOENT', async () => {
+  await assert.rejects(store.createReadStream('1700000000000-missing.txt'), { code: 'ENOENT' });
+});
+
+test('refuses invalid keys before sending anything', async () => {
+  const sent = s3.requests.length;
+
+  await assert.rejects(store.stat('nested/key'), /Invalid storage key/);
+  await assert.rejects(store.put('..', Readable.from([CONTENT]), { size: CONTENT.length }), /Invalid storage key/);
+  assert.equal(s3.requests.length, sent);
+});
+
+test('surfaces S3 errors with their code and status', async () => {
+  const wrongSecret = createStore({ secretAccessKey: 'not-the-secret' });
+  try {
+    await assert.rejects(wrongSecret.put('1700000000000-denied.txt', Readable.from([CONTENT]), { size: CONTENT.length }),
+      { status: 403, message: /SignatureDoesNotMatch/ });
+  } finally {
+    wrongSecret.agent.destroy();
+  }
+
+  const missingBucket = createStore({ bucket: 'missing' });
+  try {
+    await assert.rejects(missingBucket.checkHealth(), /Bucket "missing" answered HTTP 404/);
+  } finally {
+    missingBucket.agent.destroy();
+  }
+});
@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmbeddedMetadataStore = require('../src/stores/embedded.store');
+const SignedUrlService = require('../src/services/signed-url.service');
+const { SignedUrlError } = SignedUrlService;
+
+const FILE_ID = 'file-1';
+
+let dir;
+let store;
+let service;
+
+beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'signed-url-test-'));
+  store = new EmbeddedMetadataStore({ dir });
+  await store.initialize();
+  service = new SignedUrlService(store, { secret: Buffer.from('test-secret') });
+});
+
+afterEach(async () => {
+  await store.shutdown();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function rejectsWith(status, error) {
+  return (thrown) => {
+    assert.ok(thrown instanceof SignedUrlError, `expected a SignedUrlError, got ${thrown}`);
+    assert.equal(thrown.status, status);
+    assert.equal(thrown.error, error);
+    return true;
+  };
+}
+
+// Signs parameters directly, e.g. to produce a URL that is already expired.
+function sign(params, fileId = FILE_ID) {
+  return { ...params, sig: service.signature(fileId, params).toString('base64url') };
+}
+
+test('accepts the URLs it issues', async () => {
+  const { params, expiresAt } = await service.issue(FILE_ID, { expiresIn: 60 });
+  const grant = service.verify(FILE_ID, params, '10.0.0.1');
+
+  assert.equal(grant.id, params.id);
+  assert.equal(grant.expiresAt.getTime(), expiresAt.getTime());
+  assert.equal(grant.maxDownloads, null);
+  assert.equal(grant.ip, null);
+});
+
+test('refuses URLs whose parameters or file were changed', async () => {
+  const { params } = await service.issue(FILE_ID, { expiresIn: 60 });
+
+  assert.throws(() => service.verify('file-2', params), rejectsWith(403, 'Invalid signature'));
+  assert.throws(() => service.verify(FILE_ID, { ...params, expires: String(Number(params.expires) + 3600) }),
+    rejectsWith(403, 'Invalid signature'));
+  assert.throws(() => service.verify(FILE_ID, { ...params, max: '5' }), rejectsWith(403, 'Invalid signature'));
+  assert.throws(() => service.verify(FILE_ID, { ...params, sig: 'AAAA' }), rejectsWith(403, 'Invalid signature'));
+});
+
+test('refuses URLs signed with another secret', async () => {
+  const { params } = await service.issue(FILE_ID);
+  const other = new SignedUrlService(store, { secret: Buffer.from('other-secret') });
+
+  assert.throws(() => other.verify(FILE_ID, params), rejectsWith(403, 'Invalid signature'));
+});
+
+test('refuses malformed URLs', () => {
+  assert.throws(() => service.verify(FILE_ID, {}), rejectsWith(403, 'Invalid signature'));
+  assert.throws(() => service.verify(FILE_ID, { expires: 'soon', id: 'x', sig: 'x' }),
+    rejectsWith(403, 'Invalid signature'));
+  assert.throws(() => service.verify(FILE_ID, { expires: ['1', '2'], id: 'x', sig: 'x' }),
+    rejectsWith(403, 'Invalid signature'));
+});
+
+test('answers 410 once a correctly signed URL has expired', () => {
+  const params = sign({ expires: String(Math.floor(Date.now() / 1000) - 1), id: 'expired' });
+
+  assert.throws(() => service.verify(FILE_ID, params), rejectsWith(410, 'Link expired'));
+});
+
+test('restricts URLs to the address they were issued for', async () => {
+  const { params, ip } = await service.issue(FILE_ID, { ip: '::ffff:192.0.2.7' });
+
+  assert.equal(ip, '192.0.2.7');
+  assert.equal(service.verify(FILE_ID, params, '192.0.2.7').ip, '192.0.2.7');
+  assert.equal(service.verify(FILE_ID, params, '::ffff:192.0.2.7').ip, '192.0.2.7');
+  assert.throws(() => service.verify(FILE_ID, params, '192.0.2.8'), rejectsWith(403, 'Address not allowed'));
+});
+
+test('validates the options of new URLs', async () => {
+  await assert.rejects(service.issue(FILE_ID, { expiresIn: 0 }), rejectsWith(400, 'Invalid signed URL request'));
+  await assert.rejects(service.issue(FILE_ID, { maxDownloads: 1.5 }), rejectsWith(400, 'Invalid signed URL request'));
+  await assert.rejects(service.issue(FILE_ID, { ip: 'localhost' }), rejectsWith(400, 'Invalid signed URL request'));
+});
+
+test('counts downloads against the limit and refuses them once used up', async () => {
+  const { params } = await service.issue(FILE_ID, { maxDownloads: 2 });
+  const grant = service.verify(FILE_ID, params);
+  assert.equal(grant.maxDownloads, 2);
+
+  await service.consume(grant);
+  await service.consume(grant);
+
+  await assert.rejects(service.consume(grant), rejectsWith(410, 'Download limit reached'));
+  assert.equal((await store.getDownloadGrant(params.id)).downloads, 2);
+  assert.equal((await service.checkAvailable(grant)).downloads, 2);
+});
+
+test('checking availability never counts a download', async () => {
+  const { params } = await service.issue(FILE_ID, { maxDownloads: 1 });
+  const grant = service.verify(FILE_ID, params);
+
+  assert.equal((await service.checkAvailable(grant)).downloads, 0);
+  assert.equal((await service.checkAvailable(grant)).downloads, 0);
+  assert.equal((await store.getDownloadGrant(params.id)).downloads, 0);
+});
+
+test('refuses limited URLs whose grant is unknown to the store', async () => {
+  const grant = service.verify(FILE_ID, sign({ expires: String(Math.floor(Date.now() / 1000) + 60), id: 'unknown', max: '3' }));
+
+  await assert.rejects(service.checkAvailable(grant), rejectsWith(410, 'Download limit reached'));
+  await assert.rejects(service.consume(grant), rejectsWith(410, 'Download limit reached'));
+});
+
+test('leaves URLs without a limit uncounted', async () => {
+  const { params } = await service.issue(FILE_ID);
+  const grant = service.verify(FILE_ID, params);
+
+  assert.equal(await service.checkAvailable(grant), null);
+  assert.equal(await service.consume(grant), null);
+});
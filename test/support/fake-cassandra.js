@@ -0,0 +1,305 @@
+const cassandra = require('cassandra-driver');
+
+// Primary key columns of the tables db.js uses: the partition key first,
+// then clustering columns in clustering order, with those clustered newest
+// first listed as descending. Tables created through CREATE TABLE get their
+// key from the statement instead.
+const SCHEMAS = {
+  files: { key: ['file_id'] },
+  file_replicas: { key: ['file_id', 'node_id'] },
+  node_files: { key: ['node_id', 'file_id'] },
+  file_listing_buckets: { key: ['index_name', 'bucket'] },
+  files_by_upload_date: { key: ['bucket', 'sort_key', 'file_id'] },
+  files_by_name: { key: ['bucket', 'sort_key', 'file_id'] },
+  files_by_size: { key: ['bucket', 'sort_key', 'file_id'] },
+  access_logs_by_file: { key: ['file_id', 'day', 'log_id'], descending: ['log_id'] },
+  access_logs_by_day: { key: ['day', 'log_id'], descending: ['log_id'] },
+  access_log_days: { key: ['scope', 'day'], descending: ['day'] }
+};
+
+function timeuuidTicks(value) {
+  const { date, ticks } = value.getDatePrecision();
+  return date.getTime() * 10000 + ticks;
+}
+
+// Orders values the way Cassandra does: timestamps, timeuuids and bigints by
+// value, text by its UTF-8 bytes.
+function compare(a, b) {
+  if (a instanceof cassandra.types.TimeUuid) {
+    return timeuuidTicks(a) - timeuuidTicks(b) || Buffer.compare(a.getBuffer(), b.getBuffer());
+  }
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (cassandra.types.Long.isLong(a)) return a.compare(b);
+  if (typeof a === 'number') return a - b;
+  return Buffer.compare(Buffer.from(String(a)), Buffer.from(String(b)));
+}
+
+function columnList(text) {
+  return text.split(',').map(column => column.trim());
+}
+
+// A value in a statement: a bound ? or a quoted literal.
+function valueOf(token, params) {
+  token = token.trim();
+  return token === '?' ? params.shift() : token.replace(/^'(.*)'$/, '$1');
+}
+
+const COMPARATORS = {
+  '=': result => result === 0,
+  '>=': result => result >= 0,
+  '>': result => result > 0,
+  '<=': result => result <= 0,
+  '<': result => result < 0
+};
+
+const TIMEUUID_BOUNDS = {
+  minTimeuuid: date => cassandra.types.TimeUuid.min(date, 0),
+  maxTimeuuid: date => cassandra.types.TimeUuid.max(date, 9999)
+};
+
+function parseConditions(where, params) {
+  if (!where) return [];
+  return where.split(/\s+AND\s+/i).map(condition => {
+    const [, column, operator, bound, token] =
+      /^(\w+)\s*(>=|<=|=|<|>)\s*(?:(\w+)\(\?\)|(\?|'[^']*'))$/.exec(condition.trim());
+    const value = bound ? TIMEUUID_BOUNDS[bound](params.shift()) : valueOf(token, params);
+    return { column, test: COMPARATORS[operator], value };
+  });
+}
+
+function matches(row, conditions) {
+  return conditions.every(({ column, test, value }) => row[column] !== undefined && test(compare(row[column], value)));
+}
+
+// Column names, primary key and clustering order of a CREATE TABLE body.
+function parseTableDefinition(body, options = '') {
+  const columns = [];
+  let key = [];
+
+  for (const part of body.split(/,(?![^(]*\))/).map(text => text.trim())) {
+    const primaryKey = /^PRIMARY KEY \((.+)\)$/i.exec(part);
+    if (primaryKey) {
+      key = primaryKey[1].replace(/[()]/g, '').split(',').map(column => column.trim());
+      continue;
+    }
+    const [name, , inline] = part.split(/\s+/);
+    columns.push(name);
+    if (/^PRIMARY$/i.test(inline || '')) key = [name];
+  }
+
+  const clustering = /CLUSTERING ORDER BY \((.+?)\)/i.exec(options);
+  const descending = clustering
+    ? clustering[1].split(',').map(entry => entry.trim().split(/\s+/)).filter(([, order]) => /DESC/i.test(order)).map(([name]) => name)
+    : [];
+
+  return { columns, key, descending };
+}
+
+function result(rows, { pageState = null, all = rows, applied = true } = {}) {
+  return {
+    rows,
+    pageState,
+    first: () => rows[0] || null,
+    wasApplied: () => applied,
+    async * [Symbol.asyncIterator]() {
+      yield * all;
+    }
+  };
+}
+
+/**
+ * An in-memory stand-in for the cassandra-driver Client, understanding the
+ * statements db.js, the migration runner and the migrations issue: single
+ * table SELECT, INSERT, UPDATE (including counter increments) and DELETE
+ * (with IF conditions), CREATE, ALTER, DROP and TRUNCATE TABLE, CREATE and
+ * ALTER KEYSPACE, and the system_schema lookups.
+ * Paging follows the driver: `fetchSize` caps a page and `pageState`
+ * resumes it. Keyspace prefixes on table names are ignored.
+ */
+class FakeCassandra {
+  constructor() {
+    this.keyspaces = new Map();
+    this.schemas = new Map();
+    this.tables = new Map();
+    this.executed = [];
+    this.execute = this.execute.bind(this);
+    this.batch = this.batch.bind(this);
+  }
+
+  schema(name) {
+    return this.schemas.get(name) || SCHEMAS[name] || { key: [] };
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  // Like Cassandra, refuses rows with an empty partition key.
+  keyOf(name, row) {
+    const { key } = this.schema(name);
+    if (key.length > 0 && row[key[0]] === '') throw new Error('Key may not be empty');
+    return (key.length > 0 ? key : [Object.keys(row)[0]]).map(column => String(row[column])).join('\u0000');
+  }
+
+  // Rows in clustering order.
+  rows(name) {
+    const { key = [], descending = [] } = this.schema(name);
+    return [...this.table(name).values()].sort((a, b) => {
+      for (const column of key) {
+        const order = compare(a[column], b[column]);
+        if (order !== 0) return descending.includes(column) ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  async execute(query, params = [], options = {}) {
+    this.executed.push({ query, params, options });
+    return this.run(query, [...params], options);
+  }
+
+  async batch(queries) {
+    for (const { query, params } of queries) {
+      this.run(query, [...params], {});
+    }
+  }
+
+  run(query, params, { fetchSize, pageState } = {}) {
+    query = query.trim().replace(/\s+/g, ' ');
+
+    let match = /^(CREATE|ALTER) KEYSPACE (?:IF NOT EXISTS )?(\w+) WITH replication = (\{.*\})$/i.exec(query);
+    if (match) {
+      const replication = JSON.parse(match[3].replace(/'/g, '"').replace(/: (\d+)/g, ': "$1"'));
+      if (match[1].toUpperCase() === 'ALTER' || !this.keyspaces.has(match[2])) this.keyspaces.set(match[2], replication);
+      return result([]);
+    }
+
+    if (/^SELECT replication FROM system_schema\.keyspaces/i.test(query)) {
+      const replication = this.keyspaces.get(params[0]);
+      return result(replication ? [{ replication }] : []);
+    }
+    if (/^SELECT table_name FROM system_schema\.tables/i.test(query)) {
+      return result(this.schemas.has(params[1]) ? [{ table_name: params[1] }] : []);
+    }
+    if (/^SELECT column_name FROM system_schema\.columns/i.test(query)) {
+      const schema = this.schemas.get(params[1]);
+      return result(schema && schema.columns.includes(params[2]) ? [{ column_name: params[2] }] : []);
+    }
+
+    // Everything else names tables in one keyspace.
+    query = query.replace(/\b[A-Za-z_]\w*\.([A-Za-z_]\w*)\b/g, '$1');
+
+    match = /^CREATE TABLE (?:IF NOT EXISTS )?(\w+) \((.+)\)( WITH .+)?$/i.exec(query);
+    if (match) {
+      if (!this.schemas.has(match[1])) this.schemas.set(match[1], parseTableDefinition(match[2], match[3]));
+      return result([]);
+    }
+
+    match = /^DROP TABLE (IF EXISTS )?(\w+)$/i.exec(query);
+    if (match) {
+      if (!this.schemas.has(match[2]) && !match[1]) throw new Error(`unconfigured table ${match[2]}`);
+      this.schemas.delete(match[2]);
+      this.tables.delete(match[2]);
+      return result([]);
+    }
+
+    match = /^TRUNCATE (?:TABLE )?(\w+)$/i.exec(query);
+    if (match) {
+      this.tables.delete(match[1]);
+      return result([]);
+    }
+
+    match = /^ALTER TABLE (\w+) (ADD|DROP) (\w+)/i.exec(query);
+    if (match) {
+      const { columns } = this.schemas.get(match[1]);
+      if (match[2].toUpperCase() === 'ADD') {
+        columns.push(match[3]);
+      } else {
+        columns.splice(columns.indexOf(match[3]), 1);
+        for (const row of this.table(match[1]).values()) delete row[match[3]];
+      }
+      return result([]);
+    }
+
+    match = /^INSERT INTO (\w+) \(([^)]+)\) VALUES \(([^)]+)\)( IF NOT EXISTS)?(?: USING TTL \d+)?$/i.exec(query);
+    if (match) {
+      const row = {};
+      const values = columnList(match[3]);
+      columnList(match[2]).forEach((column, i) => { row[column] = valueOf(values[i], params); });
+
+      const key = this.keyOf(match[1], row);
+      const existing = this.table(match[1]).get(key);
+      if (match[4] && existing) return result([existing], { applied: false });
+
+      // Like an UPDATE, an INSERT leaves the columns it doesn't name alone.
+      this.table(match[1]).set(key, { ...existing, ...row });
+      return result([]);
+    }
+
+    // An UPDATE is an upsert keyed by its equality conditions. Counters
+    // (`c = c + ?`) start from zero and read back as bigints.
+    match = /^UPDATE (\w+) SET (.+?) WHERE (.+)$/i.exec(query);
+    if (match) {
+      const row = {};
+      const increments = {};
+      for (const assignment of columnList(match[2])) {
+        const [column, value] = assignment.split('=').map(text => text.trim());
+        const increment = /^(\w+) ([+-]) (.+)$/.exec(value);
+        if (increment) {
+          const amount = Number(valueOf(increment[3], params));
+          increments[column] = increment[2] === '+' ? amount : -amount;
+        } else {
+          row[column] = valueOf(value, params);
+        }
+      }
+      for (const { column, value } of parseConditions(match[3], params)) row[column] = value;
+
+      const key = this.keyOf(match[1], row);
+      const updated = { ...this.table(match[1]).get(key), ...row };
+      for (const [column, amount] of Object.entries(increments)) {
+        updated[column] = cassandra.types.Long.fromNumber(Number(updated[column] || 0) + amount);
+      }
+      this.table(match[1]).set(key, updated);
+      return result([]);
+    }
+
+    match = /^DELETE FROM (\w+) WHERE (.+?)(?: IF (.+))?$/i.exec(query);
+    if (match) {
+      const conditions = parseConditions(match[2], params);
+      const required = parseConditions(match[3], params);
+      const table = this.table(match[1]);
+      for (const [key, row] of table) {
+        if (!matches(row, conditions)) continue;
+        if (!matches(row, required)) return result([row], { applied: false });
+        table.delete(key);
+      }
+      return result([]);
+    }
+
+    match = /^SELECT (.+?) FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY (\w+) (ASC|DESC))?(?: LIMIT (\d+))?$/i.exec(query);
+    if (!match) throw new Error(`FakeCassandra cannot run: ${query}`);
+
+    const [, columns, name, where, orderBy, direction, limit] = match;
+    const conditions = parseConditions(where, params);
+    let rows = this.rows(name).filter(row => matches(row, conditions));
+    const { descending = [] } = this.schema(name);
+    if (orderBy && (direction.toUpperCase() === 'DESC') !== descending.includes(orderBy)) rows.reverse();
+    if (limit) rows = rows.slice(0, Number(limit));
+    if (columns.trim() !== '*') {
+      const wanted = columnList(columns);
+      // Unset columns read back as null, as they do from Cassandra.
+      rows = rows.map(row => Object.fromEntries(wanted.map(column => [column, row[column] === undefined ? null : row[column]])));
+    }
+
+    const start = pageState ? Number(pageState) : 0;
+    const end = fetchSize ? start + fetchSize : rows.length;
+
+    return result(rows.slice(start, end), {
+      pageState: end < rows.length ? String(end) : null,
+      all: rows.slice(start)
+    });
+  }
+}
+
+module.exports = { FakeCassandra };
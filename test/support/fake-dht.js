@@ -0,0 +1,106 @@
+const { Duplex } = require('stream');
+
+// An in-memory stand-in for the parts of a HyperDHT node that storage nodes
+// use: servers listening on a key pair, direct connections to a public key,
+// and announce/lookup on topics. Connections are pairs of duplex streams
+// carrying each side's remotePublicKey, like Noise streams do.
+
+function duplexPair() {
+  const sides = [];
+  for (let i = 0; i < 2; i++) {
+    sides.push(new Duplex({
+      read() {},
+      write(chunk, encoding, callback) {
+        sides[1 - i].push(chunk);
+        callback();
+      },
+      final(callback) {
+        sides[1 - i].push(null);
+        callback();
+      },
+      destroy(error, callback) {
+        if (!sides[1 - i].destroyed) sides[1 - i].destroy();
+        callback(error);
+      }
+    }));
+  }
+  return sides;
+}
+
+class FakeNetwork {
+  constructor() {
+    // public key (hex) -> connection handler
+    this.servers = new Map();
+    // topic (hex) -> Map(public key hex -> public key)
+    this.topics = new Map();
+  }
+
+  node(keyPair = null) {
+    return new FakeDHT(this, keyPair);
+  }
+}
+
+class FakeDHT {
+  constructor(network, keyPair) {
+    this.network = network;
+    this.defaultKeyPair = keyPair;
+  }
+
+  createServer(onConnection) {
+    const network = this.network;
+    let listening = null;
+
+    return {
+      relayAddresses: [],
+      async listen(keyPair) {
+        listening = keyPair;
+        network.servers.set(keyPair.publicKey.toString('hex'), { keyPair, onConnection });
+      },
+      async close() {
+        if (listening) network.servers.delete(listening.publicKey.toString('hex'));
+      }
+    };
+  }
+
+  connect(publicKey, { keyPair = this.defaultKeyPair } = {}) {
+    const [client, server] = duplexPair();
+    const target = this.network.servers.get(publicKey.toString('hex'));
+
+    client.remotePublicKey = publicKey;
+    server.remotePublicKey = keyPair ? keyPair.publicKey : null;
+
+    process.nextTick(() => {
+      if (!target) {
+        client.destroy(new Error('PEER_NOT_FOUND: No peer found for public key'));
+        return;
+      }
+      target.onConnection(server);
+    });
+
+    return client;
+  }
+
+  announce(topic, keyPair) {
+    const key = topic.toString('hex');
+    if (!this.network.topics.has(key)) this.network.topics.set(key, new Map());
+    this.network.topics.get(key).set(keyPair.publicKey.toString('hex'), keyPair.publicKey);
+    return { finished: async () => {} };
+  }
+
+  async unannounce(topic, keyPair) {
+    const peers = this.network.topics.get(topic.toString('hex'));
+    if (peers) peers.delete(keyPair.publicKey.toString('hex'));
+  }
+
+  lookup(topic) {
+    const peers = Array.from((this.network.topics.get(topic.toString('hex')) || new Map()).values());
+    return {
+      destroy() {},
+      async * [Symbol.asyncIterator]() {
+        yield { peers: peers.map(publicKey => ({ publicKey })) };
+      }
+    };
+  }
+}
+
+module.exports = { FakeNetwork, duplexPair };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// An in-process stand-in for an S3-compatible server (path-style requests
+// only), enough to run S3BlobStore against without MinIO or AWS: buckets
+// hold objects in memory, every request must carry a valid Signature
+// Version 4 Authorization header, and GET honours single byte ranges.
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function sendError(res, status, code, message) {
+  res.writeHead(status, { 'content-type': 'application/xml' });
+  res.end(res.req.method === 'HEAD'
+    ? undefined
+    : `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+}
+
+// "bytes=a-b", "bytes=a-" or "bytes=-n" -> { start, end }, null when the
+// header can't be honoured, undefined when there is none.
+function parseRange(header, size) {
+  if (header === undefined) return undefined;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : null;
+}
+
+class S3StandIn {
+  constructor({ accessKeyId = 'stand-in-key', secretAccessKey = 'stand-in-secret', region = 'us-east-1', buckets = ['reslify'] } = {}) {
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.region = region;
+    // bucket -> Map(object key -> { body, lastModified })
+    this.buckets = new Map(buckets.map(bucket => [bucket, new Map()]));
+    // "METHOD /path" of every authenticated request, in order
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => sendError(res, 500, 'InternalError', error.message));
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.endpoint = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  objects(bucket) {
+    return this.buckets.get(bucket);
+  }
+
+  // Checks the request's SigV4 signature the way S3 does; returns an error
+  // code or null when it is valid.
+  verifySignature(req) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+      .exec(req.headers.authorization || '');
+    if (!match) return 'AccessDenied';
+
+    const [, accessKeyId, date, region, signedHeaders, signature] = match;
+    if (accessKeyId !== this.accessKeyId) return 'InvalidAccessKeyId';
+
+    const amzDate = req.headers['x-amz-date'] || '';
+    const names = signedHeaders.split(';');
+    if (!amzDate.startsWith(date) || !names.includes('host')) return 'AccessDenied';
+
+    const [pathname, query = ''] = req.url.split('?');
+    const canonicalHeaders = names.map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join('');
+    const canonicalRequest = [
+      req.method, pathname, query, canonicalHeaders, signedHeaders, req.headers['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const expected = hmac(signingKey, stringToSign).toString('hex');
+
+    return region === this.region && expected === signature ? null : 'SignatureDoesNotMatch';
+  }
+
+  async handle(req, res) {
+    const failure = this.verifySignature(req);
+    if (failure) {
+      return sendError(res, 403, failure, 'The request signature we calculated does not match the signature you provided');
+    }
+    this.requests.push(`${req.method} ${req.url}`);
+
+    const [, bucketName, ...keyParts] = req.url.split('?')[0].split('/');
+    const bucket = this.buckets.get(decodeURIComponent(bucketName));
+    if (!bucket) return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+
+    const key = keyParts.map(decodeURIComponent).join('/');
+    if (!key) {
+      if (req.method !== 'HEAD') return sendError(res, 405, 'MethodNotAllowed', 'Only HEAD is supported on buckets');
+      res.writeHead(200);
+      return res.end();
+    }
+
+    if (req.method === 'PUT') return this.putObject(req, res, bucket, key);
+
+    const object = bucket.get(key);
+    if (!object) return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+
+    if (req.method === 'DELETE') {
+      bucket.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === 'GET' || req.method === 'HEAD') return this.getObject(req, res, object);
+    return sendError(res, 405, 'MethodNotAllowed', `${req.method} is not supported`);
+  }
+
+  async putObject(req, res, bucket, key) {
+    if (req.headers['content-length'] === undefined) {
+      return sendError(res, 411, 'MissingContentLength', 'You must provide the Content-Length HTTP header.');
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    if (body.length !== Number(req.headers['content-length'])) {
+      return sendError(res, 400, 'IncompleteBody', 'You did not provide the number of bytes specified by the Content-Length HTTP header');
+    }
+
+    bucket.set(key, { body, lastModified: new Date() });
+    res.writeHead(200, { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+    res.end();
+  }
+
+  getObject(req, res, object) {
+    const size = object.body.length;
+    const range = parseRange(req.headers.range, size);
+    const headers = { 'accept-ranges': 'bytes', 'last-modified': object.lastModified.toUTCString() };
+
+    if (range === null) {
+      res.setHeader('content-range', `bytes */${size}`);
+      return sendError(res, 416, 'InvalidRange', 'The requested range is not satisfiable');
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+    if (range) headers['content-range'] = `bytes ${start}-${end}/${size}`;
+    headers['content-length'] = String(Math.max(0, end - start + 1));
+
+    res.writeHead(range ? 206 : 200, headers);
+    res.end(req.method === 'HEAD' ? undefined : object.body.subarray(start, end + 1));
+  }
+}
+
+module.exports = S3StandIn;
@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough, Readable } = require('stream');
+const {
+  FRAME_TYPES,
+  encodeFrame,
+  encodeChunk,
+  decodeChunk,
+  FrameDecoder,
+  FrameReader,
+  parseJsonPayload,
+  receiveFile,
+  streamFile
+} = require('../src/utils/transfer-protocol');
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transfer-protocol-test-'));
+});
+
+after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+// Collects every frame written to a connection until it ends.
+async function readFrames(conn) {
+  const decoder = new FrameDecoder();
+  const frames = [];
+  for await (const data of conn) frames.push(...decoder.push(data));
+  return frames;
+}
+
+test('encodes a type byte, a big-endian length and the payload', () => {
+  const frame = encodeFrame(FRAME_TYPES.REQUEST, { fileId: 'abc', offset: 0 });
+  const payload = Buffer.from(JSON.stringify({ fileId: 'abc', offset: 0 }));
+
+  assert.equal(frame[0], FRAME_TYPES.REQUEST);
+  assert.equal(frame.readUInt32BE(1), payload.length);
+  assert.deepEqual(frame.subarray(5), payload);
+});
+
+test('reassembles frames from a byte stream split anywhere', () => {
+  const wire = Buffer.concat([
+    encodeFrame(FRAME_TYPES.HEADER, { success: true, size: 3 }),
+    encodeChunk(0, Buffer.from('abc')),
+    encodeFrame(FRAME_TYPES.END, { chunks: 1, bytes: 3 })
+  ]);
+
+  for (let split = 0; split <= wire.length; split++) {
+    const decoder = new FrameDecoder();
+    const frames = [...decoder.push(wire.subarray(0, split)), ...decoder.push(wire.subarray(split))];
+
+    assert.deepEqual(frames.map(frame => frame.type), [FRAME_TYPES.HEADER, FRAME_TYPES.CHUNK, FRAME_TYPES.END]);
+    assert.deepEqual(parseJsonPayload(frames[2].payload), { chunks: 1, bytes: 3 });
+  }
+});
+
+test('returns nothing until a frame is complete, one byte at a time', () => {
+  const wire = encodeFrame(FRAME_TYPES.END, { chunks: 0, bytes: 0 });
+  const decoder = new FrameDecoder();
+  const frames = [];
+
+  for (const byte of wire) {
+    assert.equal(frames.length, 0);
+    frames.push(...decoder.push(Buffer.from([byte])));
+  }
+  assert.equal(frames.length, 1);
+});
+
+test('refuses frames over the size limit', () => {
+  const header = Buffer.alloc(5);
+  header.writeUInt8(FRAME_TYPES.CHUNK, 0);
+  header.writeUInt32BE(0xffffffff, 1);
+
+  assert.throws(() => new FrameDecoder().push(header), /exceeds/);
+});
+
+test('checks every chunk against its SHA-256', () => {
+  const data = crypto.randomBytes(100);
+  const [frame] = new FrameDecoder().push(encodeChunk(4096, data));
+
+  assert.deepEqual(decodeChunk(frame.payload), { offset: 4096, data });
+
+  const corrupted = Buffer.from(frame.payload);
+  corrupted[corrupted.length - 1] ^= 1;
+  assert.throws(() => decodeChunk(corrupted), /Checksum mismatch for chunk at offset 4096/);
+  assert.throws(() => decodeChunk(Buffer.alloc(10)), /too short/);
+});
+
+test('streams a file as HEADER, checksummed CHUNKs and END', async () => {
+  const content = crypto.randomBytes(10 * 1024 + 5);
+  const filePath = path.join(dir, 'whole.bin');
+  await fs.promises.writeFile(filePath, content);
+
+  // A small buffer so the stream has to wait for 'drain'.
+  const conn = new PassThrough({ highWaterMark: 1024 });
+  const received = readFrames(conn);
+  const summary = await streamFile(conn, fs.createReadStream(filePath),
+    { success: true, fileName: 'whole.bin', size: content.length }, { chunkSize: 1024 });
+  conn.end();
+  const frames = await received;
+
+  assert.deepEqual(summary, { chunks: 11, bytes: content.length });
+  assert.equal(frames[0].type, FRAME_TYPES.HEADER);
+  assert.deepEqual(parseJsonPayload(frames[0].payload),
+    { success: true, fileName: 'whole.bin', size: content.length, offset: 0, chunkSize: 1024 });
+
+  const chunks = frames.slice(1, -1).map(frame => decodeChunk(frame.payload));
+  assert.deepEqual(chunks.map(chunk => chunk.offset), Array.from({ length: 11 }, (_, i) => i * 1024));
+  assert.deepEqual(Buffer.concat(chunks.map(chunk => chunk.data)), content);
+
+  assert.equal(frames[frames.length - 1].type, FRAME_TYPES.END);
+  assert.deepEqual(parseJsonPayload(frames[frames.length - 1].payload), summary);
+});
+
+test('resumes a transfer from an offset', async () => {
+  const content = crypto.randomBytes(3000);
+  const filePath = path.join(dir, 'resume.bin');
+  await fs.promises.writeFile(filePath, content);
+
+  const conn = new PassThrough();
+  const received = readFrames(conn);
+  const summary = await streamFile(conn, fs.createReadStream(filePath, { start: 2000 }), { success: true }, { offset: 2000, chunkSize: 512 });
+  conn.end();
+  const frames = await received;
+
+  assert.deepEqual(summary, { chunks: 2, bytes: 1000 });
+  assert.equal(parseJsonPayload(frames[0].payload).offset, 2000);
+  const chunks = frames.slice(1, -1).map(frame => decodeChunk(frame.payload));
+  assert.deepEqual(chunks.map(chunk => chunk.offset), [2000, 2512]);
+  assert.deepEqual(Buffer.concat(chunks.map(chunk => chunk.data)), content.subarray(2000));
+});
+
+test('splits source reads larger than a chunk', async () => {
+  const content = crypto.randomBytes(2500);
+
+  const conn = new PassThrough();
+  const received = readFrames(conn);
+  const summary = await streamFile(conn, Readable.from([content]), { success: true }, { chunkSize: 1000 });
+  conn.end();
+  const frames = await received;
+
+  const chunks = frames.slice(1, -1).map(frame => decodeChunk(frame.payload));
+  assert.deepEqual(summary, { chunks: 3, bytes: 2500 });
+  assert.deepEqual(chunks.map(chunk => chunk.data.length), [1000, 1000, 500]);
+  assert.deepEqual(Buffer.concat(chunks.map(chunk => chunk.data)), content);
+});
+
+test('rejects without an END frame when the source fails', async () => {
+  const source = new Readable({ read() {} });
+  source.push(Buffer.from('abc'));
+  setImmediate(() => source.destroy(new Error('disk gone')));
+
+  const conn = new PassThrough();
+  const received = readFrames(conn);
+  await assert.rejects(streamFile(conn, source, { success: true }), /disk gone/);
+  conn.end();
+  const frames = await received;
+
+  assert.deepEqual(frames.map(frame => frame.type), [FRAME_TYPES.HEADER, FRAME_TYPES.CHUNK]);
+});
+
+test('waits for drain when any chunk of a read fills the connection', async () => {
+  // Only the first chunk's write reports a full buffer.
+  const conn = new EventEmitter();
+  const writes = [];
+  conn.write = (data) => {
+    writes.push(data);
+    return writes.length !== 2;
+  };
+
+  let summary = null;
+  const source = Readable.from([crypto.randomBytes(2500), crypto.randomBytes(500)]);
+  const streamed = streamFile(conn, source, { success: true }, { chunkSize: 1000 })
+    .then((result) => { summary = result; });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(writes.length, 4);
+  assert.equal(summary, null);
+
+  conn.emit('drain');
+  await streamed;
+  assert.deepEqual(summary, { chunks: 4, bytes: 3000 });
+  assert.equal(conn.listenerCount('close'), 0);
+});
+
+test('stops watching the connection once the source fails', async () => {
+  const source = new Readable({ read() {} });
+  setImmediate(() => source.destroy(new Error('disk gone')));
+
+  const conn = new PassThrough();
+  await assert.rejects(streamFile(conn, source, { success: true }), /disk gone/);
+
+  assert.equal(conn.listenerCount('close'), 0);
+});
+
+test('deletes a received file that falls short of its size', async () => {
+  const destination = path.join(dir, 'short.bin');
+  const conn = new PassThrough();
+  conn.write(encodeChunk(0, Buffer.from('abc')));
+  conn.end(encodeFrame(FRAME_TYPES.END, {}));
+
+  await assert.rejects(receiveFile(new FrameReader(conn), { size: 10 }, { destination }),
+    /Incomplete transfer: received 3 of 10 bytes/);
+  await assert.rejects(fs.promises.stat(destination), { code: 'ENOENT' });
+});
@@ -0,0 +1,167 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Sessions live under ./uploads, so run from a scratch directory.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-session-test-'));
+process.chdir(dir);
+
+const UploadSessionService = require('../src/services/upload-session.service');
+const LocalBlobStore = require('../src/stores/local-blob.store');
+const { UploadSessionError } = UploadSessionService;
+const { QuotaError } = require('../src/services/quota.service');
+
+const blobStore = new LocalBlobStore({ root: path.join(dir, 'blobs') });
+
+let sessions;
+
+const OWNER = 'alice';
+
+after(async () => {
+  process.chdir(os.tmpdir());
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.rm('uploads', { recursive: true, force: true });
+  await fs.promises.mkdir('uploads');
+  sessions = new UploadSessionService(blobStore);
+});
+
+function rejectsWith(status, error) {
+  return (thrown) => {
+    assert.ok(thrown instanceof UploadSessionError, `expected an UploadSessionError, got ${thrown}`);
+    assert.equal(thrown.status, status);
+    assert.equal(thrown.error, error);
+    return true;
+  };
+}
+
+function append(sessionId, offset, content) {
+  return sessions.appendChunk(sessionId, OWNER, offset, Readable.from([Buffer.from(content)]));
+}
+
+test('creates sessions at offset 0 and validates them', async () => {
+  const session = await sessions.createSession({ fileName: '../etc/notes.txt', size: '10', ownerId: OWNER });
+
+  assert.equal(session.offset, 0);
+  assert.equal(session.size, 10);
+  assert.equal(session.fileName, 'notes.txt');
+  assert.deepEqual(await sessions.getSession(session.sessionId), session);
+
+  await assert.rejects(sessions.createSession({ size: 1 }), rejectsWith(400, 'Invalid session'));
+  await assert.rejects(sessions.createSession({ fileName: 'a', size: -1, ownerId: OWNER }), rejectsWith(400, 'Invalid session'));
+  await assert.rejects(sessions.createSession({ fileName: 'a', size: 6 * 1024 ** 3, ownerId: OWNER }), rejectsWith(413, 'File too large'));
+  await assert.rejects(sessions.createSession({ fileName: 'a', size: 1, ownerId: OWNER, visibility: 'everyone' }),
+    rejectsWith(400, 'Invalid session'));
+});
+
+test('refuses sessions whose declared size would go over a quota', async () => {
+  const checked = [];
+  const quotaError = new QuotaError(413, 'Quota exceeded', 'Over quota', { scope: 'owner' });
+  sessions = new UploadSessionService(blobStore, null, {
+    async check(ownerId, bytes) {
+      checked.push([ownerId, bytes]);
+      if (bytes > 10) throw quotaError;
+    }
+  });
+
+  await sessions.createSession({ fileName: 'a.txt', size: 10, ownerId: OWNER });
+  await assert.rejects(sessions.createSession({ fileName: 'b.txt', size: 11, ownerId: OWNER }), quotaError);
+  assert.deepEqual(checked, [[OWNER, 10], [OWNER, 11]]);
+  assert.equal((await fs.promises.readdir('uploads/.sessions')).filter(name => name.endsWith('.json')).length, 1);
+});
+
+test('keeps sessions to the user who created them', async () => {
+  const { sessionId, visibility, sharedWith } = await sessions.createSession({
+    fileName: 'a.txt', size: 4, ownerId: OWNER, visibility: 'shared', sharedWith: 'bob'
+  });
+  assert.equal(visibility, 'shared');
+  assert.deepEqual(sharedWith, ['bob']);
+
+  assert.equal(await sessions.getSession(sessionId, 'bob'), null);
+  await assert.rejects(sessions.appendChunk(sessionId, 'bob', 0, Readable.from([Buffer.from('ab')])),
+    rejectsWith(404, 'Session not found'));
+  await assert.rejects(sessions.cancel(sessionId, 'bob'), rejectsWith(404, 'Session not found'));
+  assert.equal((await sessions.getSession(sessionId, OWNER)).offset, 0);
+});
+
+test('appends chunks at the current offset only', async () => {
+  const { sessionId } = await sessions.createSession({ fileName: 'a.txt', size: 10, ownerId: OWNER });
+
+  assert.equal((await append(sessionId, 0, 'hello')).offset, 5);
+  await assert.rejects(append(sessionId, 0, 'again'), rejectsWith(409, 'Offset mismatch'));
+  assert.equal((await append(sessionId, 5, 'world')).offset, 10);
+  assert.equal((await sessions.getSession(sessionId)).offset, 10);
+});
+
+test('discards a chunk running past the declared size', async () => {
+  const { sessionId } = await sessions.createSession({ fileName: 'a.txt', size: 6, ownerId: OWNER });
+  await append(sessionId, 0, 'abc');
+
+  await assert.rejects(append(sessionId, 3, 'defg'), rejectsWith(413, 'Chunk too large'));
+  assert.equal((await sessions.getSession(sessionId)).offset, 3);
+});
+
+test('refuses a second concurrent write to the same session', async () => {
+  const { sessionId } = await sessions.createSession({ fileName: 'a.txt', size: 4, ownerId: OWNER });
+  const slow = new Readable({ read() {} });
+
+  const first = sessions.appendChunk(sessionId, OWNER, 0, slow);
+  await assert.rejects(append(sessionId, 0, 'ab'), rejectsWith(409, 'Upload in progress'));
+  await assert.rejects(sessions.finalize(sessionId, OWNER), rejectsWith(409, 'Upload in progress'));
+
+  slow.push('abcd');
+  slow.push(null);
+  assert.equal((await first).offset, 4);
+});
+
+test('finalizes complete uploads into the blob store with their hash', async () => {
+  const { sessionId } = await sessions.createSession({ fileName: 'my notes.txt', size: 10, ownerId: OWNER });
+  await append(sessionId, 0, 'hello');
+
+  await assert.rejects(sessions.finalize(sessionId, OWNER), rejectsWith(409, 'Upload incomplete'));
+
+  await append(sessionId, 5, 'world');
+  const { file } = await sessions.finalize(sessionId, OWNER);
+
+  assert.equal(file.originalname, 'my notes.txt');
+  assert.match(file.filename, /^\d+-[0-9a-f-]{36}-my-notes\.txt$/);
+  assert.equal(file.storageKey, file.filename);
+  assert.equal(file.size, 10);
+  assert.equal(file.contentHash, crypto.createHash('sha256').update('helloworld').digest('hex'));
+  assert.equal(await fs.promises.readFile(blobStore.shardedPath(file.storageKey), 'utf8'), 'helloworld');
+  assert.equal(await sessions.getSession(sessionId), null);
+});
+
+test('cancels sessions', async () => {
+  const { sessionId } = await sessions.createSession({ fileName: 'a.txt', size: 4, ownerId: OWNER });
+
+  await sessions.cancel(sessionId, OWNER);
+
+  assert.equal(await sessions.getSession(sessionId), null);
+  await assert.rejects(sessions.cancel(sessionId, OWNER), rejectsWith(404, 'Session not found'));
+  assert.deepEqual(await fs.promises.readdir('uploads/.sessions'), []);
+});
+
+test('treats expired sessions as gone and sweeps them', async () => {
+  const expired = await sessions.createSession({ fileName: 'old.txt', size: 4, ownerId: OWNER });
+  const current = await sessions.createSession({ fileName: 'new.txt', size: 4, ownerId: OWNER });
+
+  const metaPath = sessions.metaPath(expired.sessionId);
+  const meta = JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+  await fs.promises.writeFile(metaPath, JSON.stringify({ ...meta, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+  assert.equal(await sessions.sweepExpired(), 1);
+  assert.equal(await sessions.getSession(expired.sessionId), null);
+  assert.notEqual(await sessions.getSession(current.sessionId), null);
+  await assert.rejects(append(expired.sessionId, 0, 'ab'), rejectsWith(404, 'Session not found'));
+});
+
+test('ignores session ids that are not UUIDs', async () => {
+  assert.equal(await sessions.getSession('../../etc/passwd'), null);
+});